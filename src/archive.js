@@ -0,0 +1,323 @@
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+import { createDecryptStream, createEncryptStream } from './encrypt.js';
+import { hashFile } from './manifest.js';
+import { createDestination } from './destinations/index.js';
+import { checkSignature, signManifest } from './signing.js';
+import { ensureDirectory } from './utils.js';
+
+// How each archive kind is named in messages
+const KIND_LABELS = { wal: 'WAL', binlog: 'binary log' };
+
+/**
+ * Get the name of an archive kind for messages
+ * @param {string} kind - Archive kind
+ * @returns {string} Label, e.g. 'binary log'
+ */
+function getKindLabel(kind) {
+  return KIND_LABELS[kind] || kind;
+}
+
+/**
+ * Get the names of the files stored for an archived log file
+ * Each log file <name> of a kind (e.g. 'wal', 'binlog') is stored encrypted
+ * as <name>.<kind>.encrypted, next to <name>.<kind>.sha256 holding the
+ * plaintext checksum once it is stored everywhere. Signed files also have
+ * <name>.<kind>.sig.
+ * @param {string} name - Log file name
+ * @param {string} kind - Archive kind
+ * @returns {{encrypted: string, checksum: string, signature: string}} File names
+ */
+export function getArchivedNames(name, kind) {
+  return {
+    encrypted: `${name}.${kind}.encrypted`,
+    checksum: `${name}.${kind}.sha256`,
+    signature: `${name}.${kind}.sig`,
+  };
+}
+
+/**
+ * Get the text signed for an archived log file
+ * It binds the checksum of the plaintext to its name and kind, so a signed
+ * file cannot be replaced, renamed or passed off as another kind. Signing
+ * the plaintext keeps the signature valid when the file is re-encrypted
+ * for new keys (qdb rekey).
+ * @param {string} name - Log file name
+ * @param {string} kind - Archive kind
+ * @param {string} sha256 - SHA-256 of the plaintext
+ * @returns {string} Signed text
+ */
+function getSignedText(name, kind, sha256) {
+  return JSON.stringify({ kind, name, sha256 });
+}
+
+/**
+ * Read the checksum of an archived log file
+ * @param {string} dir - Archive directory
+ * @param {string} name - Log file name
+ * @param {string} kind - Archive kind
+ * @returns {Promise<string|null>} SHA-256 of the plaintext, or null if the
+ *   file has not been archived everywhere yet
+ */
+export async function getArchivedChecksum(dir, name, kind) {
+  try {
+    const checksumPath = path.join(dir, getArchivedNames(name, kind).checksum);
+    return (await fs.readFile(checksumPath, 'utf-8')).trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Encrypt a log file and store it locally and at every destination
+ * The checksum file is written last, so a file only counts as archived once
+ * every copy is stored; an interrupted run is simply repeated. Archiving the
+ * same contents again does nothing, and different contents under an
+ * archived name are refused. With signing keys, the plaintext checksum is
+ * signed and the signature is stored next to the encrypted file.
+ * @param {string} sourcePath - Plaintext log file
+ * @param {string} name - Log file name
+ * @param {Object} options - Archive options
+ * @param {string} options.kind - Archive kind ('wal', 'binlog')
+ * @param {Object|string[]} options.recipients - Keys object or recipient public keys
+ * @param {string} options.dir - Local archive directory
+ * @param {Array<Object>} [options.destinations] - Destination configurations
+ * @param {Object|null} [options.signingKeys] - Signing key file to sign the
+ *   file with
+ * @returns {Promise<{name: string, status: 'archived'|'already archived', uploads: number}>}
+ *   Outcome
+ * @throws {Error} If the file could not be signed or stored everywhere
+ */
+export async function archiveEncryptedFile(
+  sourcePath,
+  name,
+  { kind, recipients, dir, destinations = [], signingKeys = null }
+) {
+  await ensureDirectory(dir);
+  const names = getArchivedNames(name, kind);
+  const target = path.join(dir, names.encrypted);
+  const { sha256 } = await hashFile(sourcePath);
+
+  const archived = await getArchivedChecksum(dir, name, kind);
+  if (archived === sha256) {
+    return { name, status: 'already archived', uploads: 0 };
+  }
+  if (archived) {
+    throw new Error(`${name} was already archived with different contents`);
+  }
+
+  const partialPath = `${target}.partial`;
+  try {
+    await pipeline(
+      createReadStream(sourcePath),
+      await createEncryptStream(recipients),
+      createWriteStream(partialPath, { mode: 0o600 })
+    );
+    // The source may be removed as soon as this returns
+    const handle = await fs.open(partialPath, 'r');
+    await handle.sync();
+    await handle.close();
+    await fs.rename(partialPath, target);
+  } catch (error) {
+    await fs.unlink(partialPath).catch(() => {});
+    throw new Error(`Failed to encrypt ${name}: ${error.message}`);
+  }
+
+  // A signature left by an interrupted earlier run may be for other contents
+  const signaturePath = path.join(dir, names.signature);
+  await fs.rm(signaturePath, { force: true });
+  const files = [target];
+  if (signingKeys) {
+    try {
+      const signature = await signManifest(
+        getSignedText(name, kind, sha256),
+        signingKeys
+      );
+      await fs.writeFile(signaturePath, JSON.stringify(signature, null, 2), {
+        mode: 0o600,
+      });
+    } catch (error) {
+      throw new Error(`Failed to sign ${name}: ${error.message}`);
+    }
+    files.push(signaturePath);
+  }
+
+  const failures = [];
+  for (const config of destinations) {
+    try {
+      const destination = createDestination(config);
+      for (const file of files) {
+        await destination.put(file);
+      }
+    } catch (error) {
+      failures.push(`${config.name} (${error.message})`);
+    }
+  }
+  if (failures.length > 0) {
+    throw new Error(`Upload of ${name} failed for: ${failures.join(', ')}`);
+  }
+
+  await fs.writeFile(path.join(dir, names.checksum), `${sha256}\n`, {
+    mode: 0o600,
+  });
+  return { name, status: 'archived', uploads: destinations.length };
+}
+
+/**
+ * List the log files in an archive directory
+ * @param {string} dir - Archive directory
+ * @param {string} kind - Archive kind
+ * @returns {Promise<string[]>} Log file names, sorted
+ * @throws {Error} If the directory cannot be read
+ */
+export async function listArchivedFiles(dir, kind) {
+  const suffix = getArchivedNames('', kind).encrypted;
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    throw new Error(
+      `Cannot read ${getKindLabel(kind)} archive ${dir}: ${error.message}`
+    );
+  }
+  return files
+    .filter((file) => file.endsWith(suffix))
+    .map((file) => file.slice(0, -suffix.length))
+    .sort();
+}
+
+/**
+ * Check the signature of an archived log file
+ * The signature covers the plaintext checksum, so the decrypted file must
+ * be checked against the returned checksum. A file without a checksum has
+ * not been archived everywhere and counts as unsigned.
+ * @param {string} dir - Archive directory
+ * @param {string} name - Log file name
+ * @param {string} kind - Archive kind
+ * @param {Map<string, string>} trustedSigners - Trusted signer public keys
+ * @param {boolean} allowUnsigned - Accept unsigned or untrusted files
+ * @returns {Promise<{status: string, signer: string|null, sha256: string|null}>}
+ *   Signature status and plaintext checksum
+ * @throws {Error} If the file may not be used
+ */
+async function checkArchivedSignature(
+  dir,
+  name,
+  kind,
+  trustedSigners,
+  allowUnsigned
+) {
+  const names = getArchivedNames(name, kind);
+  let signature = null;
+  try {
+    signature = JSON.parse(
+      await fs.readFile(path.join(dir, names.signature), 'utf-8')
+    );
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Cannot read the signature of ${name}: ${error.message}`);
+    }
+  }
+
+  const sha256 = await getArchivedChecksum(dir, name, kind);
+  const text = signature && sha256 && getSignedText(name, kind, sha256);
+  const { status, signer } = await checkSignature(
+    text,
+    signature,
+    trustedSigners,
+    {
+      allowUnsigned,
+      subject: `Archived ${getKindLabel(kind)} ${name}`,
+    }
+  );
+  return { status, signer, sha256 };
+}
+
+/**
+ * Decrypt archived log files
+ * Every file's signature is checked before any is decrypted, like the
+ * manifest signature of a backup, and every decrypted file is checked
+ * against its archived checksum.
+ * @param {string} dir - Archive directory
+ * @param {string} outputDir - Directory for the decrypted files
+ * @param {Object} keys - Keys with the private key
+ * @param {string[]} names - Log file names to decrypt
+ * @param {string} kind - Archive kind
+ * @param {Object} [options] - Signature options
+ * @param {Map<string, string>} [options.trustedSigners] - Trusted signer
+ *   public keys
+ * @param {boolean} [options.allowUnsigned=false] - Accept unsigned files and
+ *   files from untrusted signers (with a warning)
+ * @returns {Promise<string[]>} Paths of the decrypted files, in order
+ * @throws {Error} If a signature is missing or invalid, or a file fails to
+ *   decrypt or does not match its checksum
+ */
+export async function decryptArchivedFiles(
+  dir,
+  outputDir,
+  keys,
+  names,
+  kind,
+  { trustedSigners = new Map(), allowUnsigned = false } = {}
+) {
+  const signers = new Set();
+  const checksums = new Map();
+  let unsigned = 0;
+  for (const name of names) {
+    const { status, signer, sha256 } = await checkArchivedSignature(
+      dir,
+      name,
+      kind,
+      trustedSigners,
+      allowUnsigned
+    );
+    checksums.set(name, sha256);
+    if (status === 'trusted') {
+      signers.add(signer);
+    } else {
+      unsigned++;
+    }
+  }
+  if (signers.size > 0) {
+    console.log(
+      `✓ ${names.length - unsigned} ${getKindLabel(kind)} file(s) signed by trusted key ${[...signers].join(', ')}`
+    );
+  }
+  if (unsigned > 0) {
+    console.log(
+      `⚠️  ${unsigned} ${getKindLabel(kind)} file(s) unsigned or signed by an untrusted key (accepted with --allow-unsigned)`
+    );
+  }
+
+  await fs.mkdir(outputDir, { recursive: true, mode: 0o700 });
+
+  const outputs = [];
+  for (const name of names) {
+    const output = path.join(outputDir, name);
+    try {
+      await pipeline(
+        createReadStream(
+          path.join(dir, getArchivedNames(name, kind).encrypted)
+        ),
+        createDecryptStream(keys),
+        createWriteStream(output, { mode: 0o600 })
+      );
+    } catch (error) {
+      throw new Error(
+        `Failed to decrypt ${getKindLabel(kind)} ${name}: ${error.message}`
+      );
+    }
+    const expected = checksums.get(name);
+    if (expected && (await hashFile(output)).sha256 !== expected) {
+      throw new Error(
+        `Checksum mismatch for ${getKindLabel(kind)} ${name}: the archived file was modified`
+      );
+    }
+    outputs.push(output);
+  }
+  return outputs;
+}
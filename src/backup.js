@@ -1,9 +1,18 @@
 import { promises as fs } from 'fs';
 import archiver from 'archiver';
 import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
 import path from 'path';
 import { generateBackupFilename, ensureDirectory } from './utils.js';
 import { getProvider, defaultProvider } from './providers/index.js';
+import { createEncryptStream } from './encrypt.js';
+import {
+  MANIFEST_NAME,
+  createHashStream,
+  createManifest,
+  hashFile,
+} from './manifest.js';
+import { SIGNATURE_NAME, signManifest } from './signing.js';
 
 /**
  * Execute database dump using the specified provider
@@ -34,13 +43,123 @@ export async function dumpDatabase(outputPath, providerName = 'supabase', option
   }
 }
 
+/**
+ * Start a database dump that streams its output instead of writing a file
+ * @param {string} providerName - Name of the database provider (default: 'supabase')
+ * @param {Object} options - Provider-specific options
+ * @returns {Promise<{stream: import('stream').Readable, completed: Promise<string>}>}
+ *   Dump output stream and a promise that settles when the dump finishes
+ */
+export async function dumpDatabaseStream(
+  providerName = 'supabase',
+  options = {}
+) {
+  try {
+    const provider = providerName ? getProvider(providerName) : defaultProvider;
+
+    if (typeof provider.createDumpStream !== 'function') {
+      throw new Error(
+        `${provider.displayName} does not support streaming dumps. Use --keep-files to dump to disk.`
+      );
+    }
+
+    const isAvailable = await provider.isAvailable();
+    if (!isAvailable) {
+      throw new Error(
+        `${provider.displayName} is not available. Please ensure it is installed and configured.`
+      );
+    }
+
+    return provider.createDumpStream(options);
+  } catch (error) {
+    throw new Error(`Database dump failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get the archive entries that store a manifest
+ * @param {Object} manifest - Backup manifest
+ * @param {Object|null} signingKeys - Signing key file, or null for unsigned backups
+ * @returns {Promise<Array<{name: string, contents: string}>>} manifest.json,
+ *   followed by manifest.sig when signing
+ */
+async function getManifestEntries(manifest, signingKeys) {
+  const manifestText = JSON.stringify(manifest, null, 2);
+  const entries = [{ name: MANIFEST_NAME, contents: manifestText }];
+
+  if (signingKeys) {
+    const signature = await signManifest(manifestText, signingKeys);
+    entries.push({
+      name: SIGNATURE_NAME,
+      contents: JSON.stringify(signature, null, 2),
+    });
+  }
+  return entries;
+}
+
+/**
+ * Create a streaming ZIP archive with a single entry
+ * When buildManifest is given, the entry is hashed while it streams and the
+ * manifest it returns is appended as manifest.json after the entry.
+ * @param {import('stream').Readable} source - Entry contents
+ * @param {string} entryName - Name of the entry inside the archive
+ * @param {function(Array<Object>): Promise<Object>} [buildManifest] - Receives
+ *   the entry's { name, size, sha256 } list and returns the manifest
+ * @param {Object|null} [signingKeys] - Signing key file to sign the manifest with
+ * @returns {import('archiver').Archiver} Readable ZIP stream
+ */
+export function createZipStream(
+  source,
+  entryName,
+  buildManifest,
+  signingKeys = null
+) {
+  const archive = archiver('zip', {
+    zlib: { level: 9 }, // Maximum compression
+  });
+
+  if (!buildManifest) {
+    archive.append(source, { name: entryName });
+    archive.finalize();
+    return archive;
+  }
+
+  const hasher = createHashStream();
+  archive.append(source.pipe(hasher), { name: entryName });
+
+  hasher.on('end', () => {
+    buildManifest([{ name: entryName, ...hasher.digest() }])
+      .then((manifest) => getManifestEntries(manifest, signingKeys))
+      .then((entries) => {
+        for (const { name, contents } of entries) {
+          archive.append(contents, { name });
+        }
+        archive.finalize();
+      })
+      .catch((error) => archive.emit('error', error));
+  });
+
+  return archive;
+}
+
 /**
  * Create a ZIP archive from a file
  * @param {string} sourceFile - Path to file to compress
  * @param {string} outputZip - Path where ZIP should be saved
+ * @param {Object} [manifest] - Backup manifest to store as manifest.json
+ * @param {Object|null} [signingKeys] - Signing key file to sign the manifest with
  * @returns {Promise<void>}
  */
-export async function createZipArchive(sourceFile, outputZip) {
+export async function createZipArchive(
+  sourceFile,
+  outputZip,
+  manifest,
+  signingKeys = null
+) {
+  const manifestEntries = manifest
+    ? await getManifestEntries(manifest, signingKeys)
+    : [];
+
   return new Promise((resolve, reject) => {
     const output = createWriteStream(outputZip);
     const archive = archiver('zip', {
@@ -57,6 +176,9 @@ export async function createZipArchive(sourceFile, outputZip) {
 
     archive.pipe(output);
     archive.file(sourceFile, { name: path.basename(sourceFile) });
+    for (const { name, contents } of manifestEntries) {
+      archive.append(contents, { name });
+    }
     archive.finalize();
   });
 }
@@ -67,22 +189,28 @@ export async function createZipArchive(sourceFile, outputZip) {
  * @param {string} workDir - Working directory for temporary files
  * @param {string} providerName - Name of the database provider (default: 'supabase')
  * @param {Object} providerOptions - Provider-specific options
- * @returns {Promise<{dumpFile: string, zipFile: string}>} Paths to created files
+ * @param {Object|null} [signingKeys] - Signing key file to sign the manifest with
+ * @returns {Promise<{dumpFile: string, zipFile: string, manifest: Object}>} Paths to created files and the backup manifest
  */
 export async function createBackup(
   dbName,
   workDir = './backups',
   providerName = 'supabase',
-  providerOptions = {}
+  providerOptions = {},
+  signingKeys = null
 ) {
   await ensureDirectory(workDir);
 
   // Get provider to determine file extension
   const provider = providerName ? getProvider(providerName) : defaultProvider;
-  const fileExtension = provider.getFileExtension();
+  const fileExtension = provider.getFileExtension(providerOptions);
 
-  const dumpFilename = generateBackupFilename(dbName, fileExtension);
-  const zipFilename = generateBackupFilename(dbName, 'zip');
+  const dumpFilename = generateBackupFilename(
+    dbName,
+    fileExtension,
+    provider.name
+  );
+  const zipFilename = generateBackupFilename(dbName, 'zip', provider.name);
 
   const dumpPath = path.join(workDir, dumpFilename);
   const zipPath = path.join(workDir, zipFilename);
@@ -91,12 +219,21 @@ export async function createBackup(
     console.log(`Creating ${provider.displayName} database dump: ${dumpFilename}`);
     await dumpDatabase(dumpPath, providerName, providerOptions);
 
+    const manifest = await createManifest({
+      provider,
+      dbName,
+      providerOptions,
+      entries: [{ name: dumpFilename, ...(await hashFile(dumpPath)) }],
+      extra: await provider.getManifestDetails?.(dumpPath, providerOptions),
+    });
+
     console.log(`Creating ZIP archive: ${zipFilename}`);
-    await createZipArchive(dumpPath, zipPath);
+    await createZipArchive(dumpPath, zipPath, manifest, signingKeys);
 
     return {
       dumpFile: dumpPath,
       zipFile: zipPath,
+      manifest,
     };
   } catch (error) {
     // Clean up partial files on error
@@ -109,4 +246,90 @@ export async function createBackup(
 
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Create an encrypted backup in a single streaming pass
+ * Dump output is compressed and encrypted on the fly, so only ciphertext
+ * is ever written to disk.
+ * @param {string} dbName - Database name for filename
+ * @param {string} workDir - Directory for the encrypted backup
+ * @param {string} providerName - Name of the database provider (default: 'supabase')
+ * @param {Object} providerOptions - Provider-specific options
+ * @param {Object|string[]} recipients - Keys object or recipient public keys
+ * @param {Object|null} [signingKeys] - Signing key file to sign the manifest with
+ * @returns {Promise<{encryptedFile: string, manifest: Object}>} Encrypted file path and the backup manifest
+ */
+export async function createEncryptedBackup(
+  dbName,
+  workDir = './backups',
+  providerName = 'supabase',
+  providerOptions = {},
+  recipients,
+  signingKeys = null
+) {
+  await ensureDirectory(workDir);
+
+  const provider = providerName ? getProvider(providerName) : defaultProvider;
+  const dumpName = generateBackupFilename(
+    dbName,
+    provider.getFileExtension(providerOptions),
+    provider.name
+  );
+  const encryptedFile = path.join(
+    workDir,
+    `${generateBackupFilename(dbName, 'zip', provider.name)}.encrypted`
+  );
+
+  console.log(
+    `Streaming ${provider.displayName} dump → ZIP → encryption: ${path.basename(encryptedFile)}`
+  );
+
+  // Wrap the data key before starting the dump so a key problem never
+  // leaves a dump process running
+  const encryptStream = await createEncryptStream(recipients);
+  let dump;
+
+  try {
+    dump = await dumpDatabaseStream(providerName, providerOptions);
+
+    // The manifest is written once the dump has finished successfully
+    let manifest;
+    const archive = createZipStream(
+      dump.stream,
+      dumpName,
+      async (entries) => {
+        await dump.completed;
+        manifest = await createManifest({
+          provider,
+          dbName,
+          providerOptions,
+          entries,
+          // Providers that inspect the dump as it streams report here
+          extra: await dump.details,
+        });
+        return manifest;
+      },
+      signingKeys
+    );
+
+    await Promise.all([
+      pipeline(
+        archive,
+        encryptStream,
+        createWriteStream(encryptedFile, { mode: 0o600 })
+      ),
+      dump.completed.catch((error) => {
+        archive.abort();
+        throw new Error(`Database dump failed: ${error.message}`);
+      }),
+    ]);
+
+    return { encryptedFile, manifest };
+  } catch (error) {
+    // Stop the dump process and never leave a partial backup behind
+    dump?.stream.destroy();
+    await fs.unlink(encryptedFile).catch(() => {});
+    throw error;
+  }
+}
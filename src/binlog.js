@@ -0,0 +1,230 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  archiveEncryptedFile,
+  decryptArchivedFiles,
+  getArchivedChecksum,
+  getArchivedNames,
+  listArchivedFiles,
+} from './archive.js';
+
+const KIND = 'binlog';
+
+/**
+ * Suffix of encrypted binary log files, locally and at destinations
+ */
+export const BINLOG_SUFFIX = getArchivedNames('', KIND).encrypted;
+
+// e.g. binlog.000042 or mysql-bin.000003
+const BINLOG_NAME_PATTERN = /^([\w.-]+)\.(\d+)$/;
+
+/**
+ * Get the local directory encrypted binary logs are archived to
+ * @param {string} workDir - Backup work directory
+ * @returns {string} Binary log directory
+ */
+export function getBinlogDir(workDir) {
+  return path.join(workDir, 'binlog');
+}
+
+/**
+ * Split a binary log file name into its base name and sequence number
+ * @param {string} name - Binary log file name (e.g. 'binlog.000042')
+ * @returns {{base: string, sequence: number}|null} Parts, or null if the name
+ *   is not a binary log file name
+ */
+export function parseBinlogName(name) {
+  const match = name.match(BINLOG_NAME_PATTERN);
+  return match ? { base: match[1], sequence: Number(match[2]) } : null;
+}
+
+/**
+ * Parse a --target-position value
+ * @param {string} value - '<binlog file>:<position>' (e.g. 'binlog.000042:1337')
+ * @returns {{file: string, position: number}} Binary log position
+ * @throws {Error} If the value is not a binary log position
+ */
+export function parseBinlogPosition(value) {
+  const match = String(value).match(/^([\w.-]+):(\d+)$/);
+  if (!match || !parseBinlogName(match[1])) {
+    throw new Error(
+      `Invalid binary log position: ${value} (use e.g. binlog.000042:1337)`
+    );
+  }
+  return { file: match[1], position: Number(match[2]) };
+}
+
+/**
+ * Pick the archived binary logs to replay after a dump, in order
+ * @param {string[]} names - Archived binary log file names
+ * @param {string} startFile - Binary log file the dump position is in
+ * @param {string} [stopFile] - Last file to replay (default: all archived)
+ * @returns {string[]} File names from startFile on
+ * @throws {Error} If a file in the range is missing from the archive
+ */
+export function selectBinlogs(names, startFile, stopFile) {
+  const start = parseBinlogName(startFile);
+  const stop = stopFile ? parseBinlogName(stopFile) : null;
+  if (stop && (stop.base !== start.base || stop.sequence < start.sequence)) {
+    throw new Error(
+      `${stopFile} is not after the dump position (${startFile})`
+    );
+  }
+
+  const bySequence = new Map();
+  for (const name of names) {
+    const parsed = parseBinlogName(name);
+    if (parsed?.base === start.base && parsed.sequence >= start.sequence) {
+      bySequence.set(parsed.sequence, name);
+    }
+  }
+
+  const last = stop ? stop.sequence : Math.max(0, ...bySequence.keys());
+  const selected = [];
+  for (let sequence = start.sequence; sequence <= last; sequence++) {
+    if (!bySequence.has(sequence)) {
+      const missing = `${start.base}.${String(sequence).padStart(6, '0')}`;
+      throw new Error(`Binary log ${missing} is missing from the archive`);
+    }
+    selected.push(bySequence.get(sequence));
+  }
+  if (selected.length === 0) {
+    throw new Error(`Binary log ${startFile} is missing from the archive`);
+  }
+  return selected;
+}
+
+/**
+ * Encrypt and store the server's closed binary logs
+ * Every binary log the server has finished writing is copied, encrypted,
+ * stored in binlogDir and uploaded to every destination. Files archived by an
+ * earlier run are skipped, so this can run as often as needed (e.g. from
+ * cron). The file the server is writing to is left for a later run unless
+ * flush is set.
+ * @param {Object} provider - MySQL provider
+ * @param {Object} providerOptions - Connection options
+ * @param {Object} options - Archive options
+ * @param {Object|string[]} options.recipients - Keys object or recipient public keys
+ * @param {string} options.binlogDir - Local binary log directory
+ * @param {Array<Object>} [options.destinations] - Destination configurations
+ * @param {boolean} [options.flush=false] - Close the current binary log first
+ * @param {Object|null} [options.signingKeys] - Signing key file to sign the
+ *   files with
+ * @returns {Promise<{archived: string[], skipped: number}>} Newly archived
+ *   files and the number already archived
+ * @throws {Error} If a file could not be fetched or stored everywhere
+ */
+export async function archiveBinaryLogs(
+  provider,
+  providerOptions,
+  {
+    recipients,
+    binlogDir,
+    destinations = [],
+    flush = false,
+    signingKeys = null,
+  }
+) {
+  if (flush) {
+    await provider.flushBinaryLogs(providerOptions);
+  }
+  const closed = (await provider.listBinaryLogs(providerOptions)).slice(0, -1);
+
+  const pending = [];
+  for (const name of closed) {
+    if (!(await getArchivedChecksum(binlogDir, name, KIND))) {
+      pending.push(name);
+    }
+  }
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-binlog-'));
+  try {
+    for (const name of pending) {
+      const filePath = await provider.fetchBinaryLog(
+        name,
+        tempDir,
+        providerOptions
+      );
+      await archiveEncryptedFile(filePath, name, {
+        kind: KIND,
+        recipients,
+        dir: binlogDir,
+        destinations,
+        signingKeys,
+      });
+      await fs.unlink(filePath);
+      console.log(`✓ Archived binary log ${name}`);
+    }
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return { archived: pending, skipped: closed.length - pending.length };
+}
+
+/**
+ * Roll a restored dump forward by replaying archived binary logs
+ * @param {Object} provider - MySQL provider
+ * @param {string} dumpPath - Restored dump (records its binary log position)
+ * @param {Object} keys - Keys with the private key
+ * @param {Object} providerOptions - Connection options of the restore target
+ * @param {Object} options - Replay options
+ * @param {string} options.binlogDir - Directory with the encrypted binary logs
+ * @param {string} options.workDir - Directory for the decrypted files
+ * @param {string} options.sourceDatabase - Database the dump was taken of
+ * @param {string} [options.targetTime] - Stop at this time (ISO timestamp)
+ * @param {{file: string, position: number}} [options.targetPosition] - Stop
+ *   at this binary log position
+ * @param {Map<string, string>} [options.trustedSigners] - Trusted signer
+ *   public keys for the binary log signatures
+ * @param {boolean} [options.allowUnsigned=false] - Accept unsigned binary
+ *   logs
+ * @returns {Promise<{start: Object, files: string[]}>} Dump position and the
+ *   replayed files
+ */
+export async function replayBinaryLogs(
+  provider,
+  dumpPath,
+  keys,
+  providerOptions,
+  {
+    binlogDir,
+    workDir,
+    sourceDatabase,
+    targetTime,
+    targetPosition,
+    trustedSigners,
+    allowUnsigned,
+  }
+) {
+  const start = await provider.getDumpBinlogPosition(dumpPath);
+  console.log(`✓ Dump taken at ${start.file}:${start.position}`);
+
+  const names = selectBinlogs(
+    await listArchivedFiles(binlogDir, KIND),
+    start.file,
+    targetPosition?.file
+  );
+  const files = await decryptArchivedFiles(
+    binlogDir,
+    path.join(workDir, 'binlog'),
+    keys,
+    names,
+    KIND,
+    { trustedSigners, allowUnsigned }
+  );
+  console.log(`✓ Decrypted ${files.length} binary log file(s)`);
+
+  await provider.replayBinaryLogs(
+    files,
+    {
+      startPosition: start.position,
+      stopPosition: targetPosition?.position,
+      stopTime: targetTime,
+      sourceDatabase,
+    },
+    providerOptions
+  );
+  return { start, files: names };
+}
@@ -0,0 +1,326 @@
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import os from 'os';
+import path from 'path';
+import { getConfigDir } from './config.js';
+import { ensureDirectory } from './utils.js';
+import { hashFile } from './manifest.js';
+import { createDestination } from './destinations/index.js';
+
+/**
+ * Shortest ID prefix accepted by findCatalogRecord()
+ */
+const MIN_ID_PREFIX = 4;
+
+/**
+ * Get the backup catalog path (one JSON record per line)
+ * @returns {string} Catalog path
+ */
+export function getCatalogPath() {
+  return path.join(getConfigDir(), 'catalog.jsonl');
+}
+
+/**
+ * Add a backup to the catalog
+ * Records are appended, so concurrent backups never overwrite each other.
+ * @param {Object} record - Backup details (profile, provider, database, file,
+ *   size, checksum, keyFingerprints, destinations, status, ...)
+ * @returns {Promise<Object>} Stored record with its id and createdAt
+ */
+export async function appendCatalogRecord(record) {
+  const stored = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    ...record,
+  };
+  const catalogPath = getCatalogPath();
+
+  await ensureDirectory(path.dirname(catalogPath));
+  await fs.appendFile(catalogPath, `${JSON.stringify(stored)}\n`, {
+    mode: 0o600,
+  });
+  return stored;
+}
+
+/**
+ * Record changes to a cataloged backup
+ * The changes are appended as a line with the record's id and no createdAt,
+ * which loadCatalog() merges into the record, so the catalog stays
+ * append-only.
+ * @param {string} id - Record ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<void>}
+ */
+export async function updateCatalogRecord(id, changes) {
+  const catalogPath = getCatalogPath();
+
+  await ensureDirectory(path.dirname(catalogPath));
+  await fs.appendFile(
+    catalogPath,
+    `${JSON.stringify({ ...changes, id, updatedAt: new Date().toISOString() })}\n`,
+    { mode: 0o600 }
+  );
+}
+
+/**
+ * Record the new checksum and keys of rekeyed backups
+ * Successful backups whose file no longer matches the cataloged checksum
+ * are updated, which also covers files rekeyed by an interrupted run.
+ * @param {string[]} files - Absolute paths of rekeyed (or skipped) backups
+ * @param {string[]} keyFingerprints - Fingerprints of the new recipient keys
+ * @returns {Promise<number>} Number of updated records
+ */
+export async function recordRekeyedBackups(files, keyFingerprints) {
+  const records = (await loadCatalog()).filter(
+    (record) => record.status === 'success' && files.includes(record.file)
+  );
+
+  let updated = 0;
+  for (const record of records) {
+    const { sha256, size } = await hashFile(record.file);
+    if (sha256 === record.checksum) {
+      continue;
+    }
+    await updateCatalogRecord(record.id, {
+      checksum: sha256,
+      size,
+      keyFingerprints,
+    });
+    updated++;
+  }
+  return updated;
+}
+
+/**
+ * Record a backup copy deleted by qdb prune
+ * A pruned destination copy is marked as no longer stored, and a pruned
+ * work directory file as removed. Once no copy is left, the backup's status
+ * becomes 'pruned', so restores and "qdb list" skip it.
+ * @param {string} filename - Backup filename
+ * @param {Object} location - Where the copy was deleted
+ * @param {string} [location.workDir] - Work directory the file was in
+ * @param {string} [location.destination] - Destination name
+ * @returns {Promise<number>} Number of updated records
+ */
+export async function recordPrunedBackup(filename, { workDir, destination }) {
+  const records = (await loadCatalog()).filter(
+    (record) =>
+      record.status === 'success' &&
+      record.filename === filename &&
+      (destination
+        ? record.destinations.some((d) => d.destination === destination)
+        : record.file === path.resolve(workDir, filename))
+  );
+
+  for (const record of records) {
+    const changes = destination
+      ? {
+          destinations: record.destinations.map((d) =>
+            d.destination === destination
+              ? { ...d, ok: false, pruned: true }
+              : d
+          ),
+        }
+      : { fileRemoved: true };
+    const fileRemoved = changes.fileRemoved || record.fileRemoved;
+    const stored = (changes.destinations || record.destinations).some(
+      (d) => d.ok
+    );
+    if (fileRemoved && !stored) {
+      changes.status = 'pruned';
+    }
+    await updateCatalogRecord(record.id, changes);
+  }
+  return records.length;
+}
+
+/**
+ * Load every catalog record, oldest first
+ * Lines that cannot be parsed (e.g. a write cut short) are skipped, and
+ * changes from updateCatalogRecord() are merged into their record.
+ * @returns {Promise<Array<Object>>} Records
+ */
+export async function loadCatalog() {
+  let text;
+  try {
+    text = await fs.readFile(getCatalogPath(), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new Error(`Failed to load backup catalog: ${error.message}`);
+  }
+
+  const records = new Map();
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // Partial line from an interrupted write
+      continue;
+    }
+    if (record.createdAt) {
+      records.set(record.id, record);
+    } else if (records.has(record.id)) {
+      Object.assign(records.get(record.id), record);
+    }
+  }
+  return [...records.values()];
+}
+
+/**
+ * Parse a --since/--until date
+ * A plain date (YYYY-MM-DD) covers the whole day when used as an end date.
+ * @param {string} value - Date or date-time
+ * @param {boolean} [endOfDay=false] - Use the end of a plain date
+ * @returns {Date} Parsed date
+ * @throws {Error} If the date is invalid
+ */
+export function parseCatalogDate(value, endOfDay = false) {
+  const plainDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(
+    plainDate ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : value
+  );
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value} (use e.g. 2024-10-06)`);
+  }
+  return date;
+}
+
+/**
+ * Filter catalog records
+ * @param {Array<Object>} records - Catalog records
+ * @param {Object} [filters] - Filters (all optional)
+ * @param {string} [filters.database] - Database name
+ * @param {string} [filters.provider] - Provider name
+ * @param {string} [filters.profile] - Profile name
+ * @param {string} [filters.status] - 'success', 'failed' or 'pruned'
+ * @param {Date} [filters.since] - Earliest backup time
+ * @param {Date} [filters.until] - Latest backup time
+ * @returns {Array<Object>} Matching records
+ */
+export function filterCatalog(records, filters = {}) {
+  const { database, provider, profile, status, since, until } = filters;
+
+  return records.filter((record) => {
+    const createdAt = new Date(record.createdAt);
+    return (
+      (!database || record.database === database) &&
+      (!provider || record.provider === provider) &&
+      (!profile || record.profile === profile) &&
+      (!status || record.status === status) &&
+      (!since || createdAt >= since) &&
+      (!until || createdAt <= until)
+    );
+  });
+}
+
+/**
+ * Find a catalog record by ID or unique ID prefix
+ * @param {Array<Object>} records - Catalog records
+ * @param {string} id - Full ID or a prefix of at least 4 characters
+ * @returns {Object} Record
+ * @throws {Error} If no record, or more than one, matches
+ */
+export function findCatalogRecord(records, id) {
+  const exact = records.find((record) => record.id === id);
+  if (exact) {
+    return exact;
+  }
+
+  const matches =
+    id.length >= MIN_ID_PREFIX
+      ? records.filter((record) => record.id.startsWith(id))
+      : [];
+  if (matches.length === 0) {
+    throw new Error(
+      `No backup with ID ${id} in the catalog. Run "qdb list" to see backup IDs.`
+    );
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Backup ID ${id} is ambiguous: matches ${matches.map((record) => record.id).join(', ')}`
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Get a local copy of a cataloged backup
+ * Uses the file in the work directory if it is still there, else downloads
+ * it from the first destination that has it. Either way the file must match
+ * the cataloged checksum.
+ * @param {Object} record - Catalog record
+ * @param {Array<Object>} destinations - Destination configurations by name
+ * @returns {Promise<{filePath: string, source: string, cleanup: Function}>}
+ *   Backup file, where it came from, and a function removing any download
+ * @throws {Error} If the backup failed or was pruned, or no copy matches
+ *   the checksum
+ */
+export async function fetchCatalogBackup(record, destinations = []) {
+  if (record.status === 'pruned') {
+    throw new Error(`Backup ${record.id} was deleted by qdb prune`);
+  }
+  if (record.status !== 'success') {
+    throw new Error(
+      `Backup ${record.id} did not complete (${record.status}${record.step ? ` at ${record.step}` : ''})`
+    );
+  }
+
+  const problems = [];
+  const matches = async (filePath) => {
+    const { sha256 } = await hashFile(filePath);
+    return sha256 === record.checksum;
+  };
+
+  try {
+    if (await matches(record.file)) {
+      return {
+        filePath: record.file,
+        source: record.file,
+        cleanup: async () => {},
+      };
+    }
+    problems.push(`${record.file}: checksum mismatch`);
+  } catch (error) {
+    problems.push(
+      `${record.file}: ${error.code === 'ENOENT' ? 'no longer exists' : error.message}`
+    );
+  }
+
+  for (const stored of (record.destinations || []).filter((d) => d.ok)) {
+    const config = destinations.find((d) => d.name === stored.destination);
+    if (!config) {
+      problems.push(
+        `${stored.destination}: destination is no longer configured`
+      );
+      continue;
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-catalog-'));
+    const cleanup = () => fs.rm(tempDir, { recursive: true, force: true });
+    const filePath = path.join(tempDir, record.filename);
+    try {
+      await createDestination(config).get(record.filename, filePath);
+      if (await matches(filePath)) {
+        return {
+          filePath,
+          source: stored.location || stored.destination,
+          cleanup,
+        };
+      }
+      problems.push(`${stored.destination}: checksum mismatch`);
+    } catch (error) {
+      problems.push(`${stored.destination}: ${error.message}`);
+    }
+    await cleanup();
+  }
+
+  throw new Error(
+    `No usable copy of backup ${record.id}: ${problems.join('; ')}`
+  );
+}
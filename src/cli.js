@@ -2,20 +2,17 @@
 
 import { Command } from 'commander';
 import inquirer from 'inquirer';
-import { createBackup } from './backup.js';
+import { loadBackupRecipients, runBackup } from './workflow.js';
 import {
   loadKeys,
-  encryptBackupFile,
   decryptBackupFile,
   getFileSize,
   formatBytes,
+  getHeaderRecipients,
+  readEnvelopeHeader,
 } from './encrypt.js';
-import {
-  sendBackupEmail,
-  generateBackupEmailContent,
-  isSmtpConfigured,
-} from './email.js';
-import { deleteFile, getAbsolutePath } from './utils.js';
+import { isSmtpConfigured } from './email.js';
+import { getAbsolutePath, readJsonFile } from './utils.js';
 import {
   configExists,
   loadConfig,
@@ -23,8 +20,63 @@ import {
   mergeConfig,
   validateConfig,
   getConfigPath,
+  getConfigValue,
+  getProviderOptions,
+  getProfile,
+  getProfileNames,
+  resolveProviderName,
+  toProviderDefaults,
 } from './config.js';
+import { getProvider, getAllProviders } from './providers/index.js';
+import { pruneBackups, RETENTION_KEYS } from './retention.js';
+import { parseCron, getNextRun } from './cron.js';
+import {
+  describeKeys,
+  generateKeys,
+  getKeyFingerprint,
+  isProtected,
+  loadRecipientKeys,
+  protectKeys,
+  toPublicKeys,
+  unprotectKeys,
+  writeKeyFile,
+  PASSPHRASE_ENV,
+} from './keys.js';
+import {
+  Scheduler,
+  getSchedules,
+  getScheduleLogPath,
+  loadScheduleState,
+} from './scheduler.js';
+import {
+  generateSigningKeys,
+  loadSigningKeys,
+  loadTrustedSigners,
+} from './signing.js';
+import { NOTIFY_EVENTS, sendNotifications } from './notify.js';
+import {
+  fetchCatalogBackup,
+  filterCatalog,
+  findCatalogRecord,
+  getCatalogPath,
+  loadCatalog,
+  parseCatalogDate,
+  recordRekeyedBackups,
+} from './catalog.js';
+import { formatDuration } from './templates.js';
+import { BASE_BACKUP_FORMAT } from './providers/postgres.js';
+import { archiveWalSegment, getWalDir } from './wal.js';
+import { BINLOG_FORMAT } from './providers/mysql.js';
+import { parseOplogLimit } from './providers/oplog.js';
+import { describeFilters, parseTableName } from './filters.js';
+import {
+  archiveBinaryLogs,
+  getBinlogDir,
+  parseBinlogPosition,
+} from './binlog.js';
 import path from 'path';
+import os from 'os';
+import { readFileSync } from 'fs';
 
 const program = new Command();
 
@@ -87,6 +139,16 @@ program
           validate: (value) =>
             value.trim() ? true : 'Database name is required',
         },
+        {
+          type: 'list',
+          name: 'defaultProvider',
+          message: 'Default database provider:',
+          choices: [...new Set(getAllProviders())].map((provider) => ({
+            name: provider.displayName,
+            value: provider.name,
+          })),
+          default: 'supabase',
+        },
         {
           type: 'input',
           name: 'workDir',
@@ -127,11 +189,29 @@ program
         },
       ]);
 
+      // Provider-specific connection defaults
+      const provider = getProvider(responses.defaultProvider);
+      const providerAnswers = await inquirer.prompt(
+        provider.getConfigPrompts()
+      );
+      const providerValidation = provider.validateConfig(providerAnswers);
+      if (!providerValidation.valid) {
+        console.error(`\n❌ ${provider.displayName} configuration is invalid:`);
+        providerValidation.errors.forEach((error) =>
+          console.error(`  - ${error}`)
+        );
+        process.exit(1);
+      }
+
       // Build config object
       const config = {
         keysPath: responses.keysPath,
         defaultEmail: responses.defaultEmail,
         defaultDbName: responses.defaultDbName,
+        defaultProvider: provider.name,
+        providers: {
+          [provider.name]: toProviderDefaults(provider.name, providerAnswers),
+        },
         workDir: responses.workDir,
         smtp: {
           host: responses.smtpHost,
@@ -165,122 +245,649 @@ program
     }
   });
 
+/**
+ * Run a backup for every configured profile and print a summary
+ * Per-database CLI flags are ignored; each profile uses its own settings.
+ * @param {Object} workflowOptions - Options passed to runBackup()
+ * @returns {Promise<number>} Number of failed profiles
+ */
+async function backupAllProfiles(workflowOptions) {
+  const config = (await configExists()) ? await loadConfig() : {};
+  const names = getProfileNames(config);
+  const startedAt = Date.now();
+
+  if (names.length === 0) {
+    throw new Error(
+      'No profiles configured. Add a "profiles" section to config.json.'
+    );
+  }
+
+  const results = [];
+  for (const name of names) {
+    console.log(`\n━━━ Profile: ${name} ━━━\n`);
+    try {
+      const profileConfig = await mergeConfig({ profile: name });
+      const { encryptedFile } = await runBackup(profileConfig, workflowOptions);
+      results.push({ name, ok: true, detail: path.basename(encryptedFile) });
+    } catch (error) {
+      console.error(`❌ Profile ${name} failed: ${error.message}`);
+      results.push({ name, ok: false, detail: error.message });
+    }
+  }
+
+  const failed = results.filter((result) => !result.ok).length;
+
+  console.log('\n📊 Backup summary:');
+  for (const result of results) {
+    console.log(`  ${result.ok ? '✓' : '✗'} ${result.name}: ${result.detail}`);
+  }
+  console.log(
+    `\n${results.length - failed} succeeded, ${failed} failed (${results.length} total)`
+  );
+
+  if (workflowOptions.notify !== false) {
+    await sendNotifications(await mergeConfig({}), 'digest', {
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      summary: results
+        .map(
+          (result) =>
+            `${result.ok ? '✓' : '✗'} ${result.name}: ${result.detail}`
+        )
+        .join('\n'),
+      host: os.hostname(),
+      duration: formatDuration(Date.now() - startedAt),
+      results,
+    });
+  }
+
+  return failed;
+}
+
 /**
  * Backup command - Create encrypted database backup and email it
  */
 program
   .command('backup')
-  .description('Create an encrypted database backup and email it')
+  .description(
+    'Create an encrypted database backup, email it and upload it to destinations'
+  )
   .option('-e, --email <email>', 'Recipient email address')
-  .option('-k, --keys <path>', 'Path to keys.json file')
+  .option('-k, --keys <path>', 'Path to keys file (public key is enough)')
+  .option(
+    '-r, --recipient <path>',
+    'Also encrypt for this public key file (repeatable)',
+    (value, previous = []) => [...previous, value]
+  )
+  .option('--signing-key <path>', 'Signing key file to sign the backup with')
   .option('-d, --db-name <name>', 'Database name')
+  .option(
+    '-p, --provider <name>',
+    'Database provider (supabase, mongodb, mysql, postgres, sqlite, redis)'
+  )
+  .option('--host <host>', 'Database host')
+  .option('--port <port>', 'Database port')
+  .option('--user <user>', 'Database user')
+  .option('--password <password>', 'Database password')
+  .option(
+    '--database <name>',
+    'Database name to dump, or SQLite database file (defaults to --db-name)'
+  )
+  .option('--uri <uri>', 'Database connection URI (MongoDB)')
+  .option(
+    '--base-backup',
+    'PostgreSQL: back up the whole cluster with pg_basebackup (for point-in-time restore)'
+  )
+  .option(
+    '--binlog',
+    'MySQL: record the binary log position for incremental restore from binary logs'
+  )
+  .option(
+    '--oplog',
+    'MongoDB: consistent snapshot of every database, capturing the oplog during the dump'
+  )
+  .option(
+    '--include <pattern>',
+    'Only back up matching tables/collections, or schema:<pattern> (repeatable)',
+    (value, previous = []) => [...previous, value]
+  )
+  .option(
+    '--exclude <pattern>',
+    'Leave out matching tables/collections, or schema:<pattern> (repeatable)',
+    (value, previous = []) => [...previous, value]
+  )
   .option('-w, --work-dir <path>', 'Working directory for backups')
-  .option('--keep-files', 'Keep intermediate files (SQL and ZIP)', false)
+  .option(
+    '--keep-files',
+    'Write and keep plaintext dump and ZIP files (disables streaming)',
+    false
+  )
   .option('--no-email', 'Skip sending email (only create encrypted backup)')
+  .option(
+    '--email-part-size <size>',
+    'Split emailed backups into parts of at most this size (default 15MB)'
+  )
+  .option('--no-upload', 'Skip uploading to configured storage destinations')
+  .option('--no-notify', 'Skip success/failure notifications')
+  .option('-P, --profile <name>', 'Use a named backup profile from config')
+  .option('-a, --all', 'Back up every configured profile, one after another')
   .action(async (options) => {
     try {
+      if (options.all && options.profile) {
+        throw new Error('Use either --profile or --all, not both.');
+      }
+
       console.log('🔐 Starting quantum database backup...\n');
 
+      const workflowOptions = {
+        sendEmail: options.email !== false,
+        keepFiles: options.keepFiles,
+        upload: options.upload !== false,
+        notify: options.notify !== false,
+      };
+
+      if (options.all) {
+        const failed = await backupAllProfiles(workflowOptions);
+        if (failed > 0) {
+          process.exit(1);
+        }
+        return;
+      }
+
       // Merge config with CLI options
       const config = await mergeConfig(options);
+      if (config.profile) {
+        console.log(`📇 Using profile: ${config.profile}\n`);
+      }
 
-      // Check if we have required values
-      if (!config.keys) {
-        throw new Error(
-          'Keys path not specified. Run "qdb init" or use --keys option.'
-        );
+      const { id, encryptedFile, keyFingerprints, signer } = await runBackup(
+        config,
+        workflowOptions
+      );
+
+      console.log('✅ Backup process completed successfully!');
+      console.log(`📦 Encrypted backup: ${encryptedFile}`);
+      if (id) {
+        console.log(`🗂️  Catalog ID: ${id}`);
       }
-      if (!config.email && !options.noEmail) {
-        throw new Error(
-          'Email not specified. Run "qdb init" or use --email option.'
+      console.log(`🔑 Encrypted for: ${keyFingerprints.join(', ')}`);
+      console.log(`✍️  Signed by: ${signer || '(unsigned)'}`);
+
+      if (options.keepFiles) {
+        console.log(
+          '\n⚠️  WARNING: Unencrypted dump and ZIP files were kept on disk.'
         );
+      } else {
+        console.log('\n⚠️  IMPORTANT: Keep your keys.json file safe!');
+        console.log('   Without it, you cannot decrypt this backup.');
       }
-      if (!config.dbName) {
-        throw new Error(
-          'Database name not specified. Run "qdb init" or use --db-name option.'
-        );
+
+      // Show config location if using saved config
+      if (await configExists()) {
+        console.log(`\n📁 Using config from: ${getConfigPath()}`);
+      }
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      if (error.step) {
+        console.error(`   Failed step: ${error.step}`);
+      }
+      process.exit(1);
+    }
+  });
+
+/**
+ * Get the retention policy for a prune run
+ * @param {Object} config - Merged configuration from mergeConfig()
+ * @param {Object} options - Command-line options
+ * @returns {Object} Retention policy (CLI flags override the config)
+ */
+function getRetentionPolicy(config, options) {
+  const policy = { ...config.retention };
+  for (const key of RETENTION_KEYS) {
+    if (options[key] !== undefined) {
+      policy[key] = options[key];
+    }
+  }
+  return policy;
+}
+
+/**
+ * Prune command - Delete old backups according to the retention policy
+ */
+program
+  .command('prune')
+  .description('Delete old encrypted backups according to the retention policy')
+  .option('--dry-run', 'List backups that would be deleted without deleting')
+  .option('--keep-last <n>', 'Keep the N newest backups')
+  .option('--keep-daily <n>', 'Keep one backup per day for the last N days')
+  .option('--keep-weekly <n>', 'Keep one backup per week for the last N weeks')
+  .option(
+    '--keep-monthly <n>',
+    'Keep one backup per month for the last N months'
+  )
+  .option('-d, --db-name <name>', 'Only prune backups of this database')
+  .option('-p, --provider <name>', 'Provider of the --db-name database')
+  .option('-w, --work-dir <path>', 'Working directory with backups')
+  .option('-P, --profile <name>', 'Prune the backups of a named profile')
+  .option('-a, --all', 'Prune the backups of every configured profile')
+  .action(async (options) => {
+    try {
+      if (options.all && options.profile) {
+        throw new Error('Use either --profile or --all, not both.');
       }
 
-      // Validate SMTP configuration if email is enabled
-      if (config.email && !options.noEmail) {
-        if (!config.smtp.user || !config.smtp.pass) {
+      console.log(
+        options.dryRun
+          ? '🔍 Dry run: nothing will be deleted\n'
+          : '🧹 Pruning old backups...\n'
+      );
+
+      let profiles = [options.profile];
+      if (options.all) {
+        const config = (await configExists()) ? await loadConfig() : {};
+        profiles = getProfileNames(config);
+        if (profiles.length === 0) {
           throw new Error(
-            'SMTP not configured. Run "qdb init" or set SMTP_USER and SMTP_PASS environment variables.'
+            'No profiles configured. Add a "profiles" section to config.json.'
           );
         }
       }
 
-      // Load encryption keys
-      console.log('📋 Loading encryption keys...');
-      const keysPath = getAbsolutePath(config.keys);
-      const keys = await loadKeys(keysPath);
-      console.log('✓ Keys loaded successfully\n');
+      let pruned = 0;
+      for (const profile of profiles) {
+        const config = await mergeConfig(options.all ? { profile } : options);
+        if (config.profile) {
+          console.log(`📇 Profile: ${config.profile}`);
+        }
 
-      // Create database backup (dump + ZIP)
-      console.log('💾 Creating database backup...');
-      const { dumpFile, zipFile } = await createBackup(
-        config.dbName,
-        config.workDir
+        // Profiles share work directories, so only touch their own database
+        const database =
+          config.profile || options.dbName
+            ? { provider: config.provider, dbName: config.dbName }
+            : null;
+
+        const results = await pruneBackups(config, {
+          policy: getRetentionPolicy(config, options),
+          dryRun: options.dryRun,
+          database,
+        });
+        pruned += results.reduce((sum, r) => sum + r.pruned.length, 0);
+        console.log('');
+      }
+
+      console.log(
+        options.dryRun
+          ? `✅ ${pruned} backup(s) would be deleted`
+          : `✅ Deleted ${pruned} backup(s)`
       );
-      console.log(`✓ Database dump created: ${path.basename(dumpFile)}`);
-      console.log(`✓ ZIP archive created: ${path.basename(zipFile)}\n`);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
 
-      // Encrypt the ZIP file
-      console.log('🔒 Encrypting backup with post-quantum cryptography...');
-      const encryptedFile = `${zipFile}.encrypted`;
-      await encryptBackupFile(zipFile, encryptedFile, keys);
+/**
+ * Load the trusted signers from config.json and --trusted-signer
+ * @param {Object} options - Command options
+ * @returns {Promise<Map<string, string>>} Trusted signer public keys
+ */
+async function getTrustedSigners(options) {
+  return loadTrustedSigners([
+    ...((await getConfigValue('trustedSigners')) || []),
+    ...(options.trustedSigner || []),
+  ]);
+}
 
-      const fileSize = await getFileSize(encryptedFile);
-      console.log(`✓ Backup encrypted: ${path.basename(encryptedFile)}`);
-      console.log(`✓ File size: ${formatBytes(fileSize)}\n`);
+/**
+ * Get a local copy of a cataloged backup for restore
+ * Destinations are resolved from the backup's profile, if it still exists.
+ * @param {Object} record - Catalog record
+ * @returns {Promise<{filePath: string, source: string, cleanup: Function}>}
+ *   Result of fetchCatalogBackup()
+ */
+async function getCatalogBackup(record) {
+  console.log(
+    `🗂️  Catalog backup ${record.id}: ${record.provider}/${record.database} from ${record.createdAt}`
+  );
 
-      // Send email if enabled
-      if (config.email && !options.noEmail) {
-        console.log(`📧 Sending encrypted backup to ${config.email}...`);
-        const { subject, text } = generateBackupEmailContent(
-          config.dbName,
-          path.basename(encryptedFile),
-          formatBytes(fileSize)
-        );
+  const config = await getRecordConfig(record);
+  const backup = await fetchCatalogBackup(record, config.destinations);
+  console.log(`✓ Using ${backup.source} (checksum matches)\n`);
+  return backup;
+}
+
+/**
+ * Get the configuration a cataloged backup was made with
+ * Falls back to the top-level configuration if its profile is gone.
+ * @param {Object|null} record - Catalog record
+ * @returns {Promise<Object>} Merged configuration
+ */
+async function getRecordConfig(record) {
+  try {
+    return await mergeConfig({ profile: record?.profile || undefined });
+  } catch {
+    return await mergeConfig({});
+  }
+}
+
+/**
+ * Find the newest backup a point-in-time restore can start from
+ * That is a PostgreSQL base backup or a MySQL dump with its binary log
+ * position, finished before the target time. Pruned backups (status
+ * 'pruned') are left out with the failed ones.
+ * @param {Date} targetTime - Recovery target
+ * @param {string} [providerName] - Only consider this provider
+ * @returns {Promise<Object>} Catalog record
+ * @throws {Error} If no such backup finished before the target time
+ */
+async function findPointInTimeRecord(targetTime, providerName) {
+  const records = filterCatalog(await loadCatalog(), {
+    provider: providerName && resolveProviderName(providerName),
+    status: 'success',
+    until: targetTime,
+  }).filter((record) =>
+    [BASE_BACKUP_FORMAT, BINLOG_FORMAT].includes(record.format)
+  );
+  if (records.length === 0) {
+    throw new Error(
+      `No base backup or binlog backup in the catalog finished before ${targetTime.toISOString()}. Use --input or --id.`
+    );
+  }
+  return records[records.length - 1];
+}
+
+/**
+ * Read a key file passphrase without prompting
+ * --passphrase-fd wins over the QDB_KEY_PASSPHRASE environment variable;
+ * only the first line read from the descriptor is used.
+ * @param {Object} options - Command options
+ * @returns {string|null} Passphrase, or null if none was supplied
+ */
+function readSuppliedPassphrase(options) {
+  if (options.passphraseFd !== undefined) {
+    const fd = Number(options.passphraseFd);
+    if (!Number.isInteger(fd) || fd < 0) {
+      throw new Error(`Invalid --passphrase-fd: ${options.passphraseFd}`);
+    }
+    return readFileSync(fd, 'utf-8').split(/\r?\n/)[0];
+  }
+  return process.env[PASSPHRASE_ENV] || null;
+}
+
+/**
+ * Build the passphrase callback for loadKeys()
+ * Prompts on a terminal when no passphrase was supplied.
+ * @param {Object} options - Command options
+ * @returns {function(string): Promise<string|null>} Passphrase callback
+ */
+function getKeyPassphrase(options) {
+  return async (keysPath) => {
+    const supplied = readSuppliedPassphrase(options);
+    if (supplied || !process.stdin.isTTY) {
+      return supplied;
+    }
+    const { passphrase } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'passphrase',
+        message: `Passphrase for ${path.basename(keysPath)}:`,
+        mask: '*',
+      },
+    ]);
+    return passphrase;
+  };
+}
+
+/**
+ * Get a new passphrase for protecting a key file, asking twice on a terminal
+ * @param {Object} options - Command options
+ * @returns {Promise<string>} New passphrase
+ * @throws {Error} If no passphrase was supplied or the two entries differ
+ */
+async function getNewPassphrase(options) {
+  const supplied = readSuppliedPassphrase(options);
+  if (supplied) {
+    return supplied;
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error(
+      `No passphrase supplied. Set ${PASSPHRASE_ENV} or use --passphrase-fd.`
+    );
+  }
+
+  const { passphrase, confirmation } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'New passphrase:',
+      mask: '*',
+      validate: (value) => (value ? true : 'Passphrase is required'),
+    },
+    {
+      type: 'password',
+      name: 'confirmation',
+      message: 'Repeat passphrase:',
+      mask: '*',
+    },
+  ]);
+  if (passphrase !== confirmation) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Print key details as shown by keygen and keys inspect
+ * @param {Object} keys - Parsed key file
+ */
+function printKeyDetails(keys) {
+  const details = describeKeys(keys);
+  const size = (bytes) => (bytes === null ? '(not present)' : `${bytes} bytes`);
+
+  if (keys.type === 'signing') {
+    console.log('   Use: signing backups');
+  }
+  console.log(`   Algorithm: ${details.algorithm}`);
+  console.log(`   Public key: ${size(details.publicKeySize)}`);
+  console.log(
+    `   Private key: ${details.protected ? 'passphrase-protected (scrypt)' : size(details.privateKeySize)}`
+  );
+  console.log(`   Fingerprint: ${details.fingerprint || '(no public key)'}`);
+  if (details.createdAt) {
+    console.log(`   Created: ${details.createdAt}`);
+  }
+}
+
+/**
+ * Keygen command - Generate a post-quantum key pair
+ */
+program
+  .command('keygen')
+  .description('Generate a post-quantum key pair for encrypting backups')
+  .option(
+    '-o, --out <path>',
+    'Output key file (public and private key) (default: ./keys.json, or ./signing-key.json with --signing)'
+  )
+  .option('--public-out <path>', 'Also write the public key on its own')
+  .option(
+    '--signing',
+    'Generate a signing key pair (ML-DSA) instead of an encryption key pair'
+  )
+  .option('-f, --force', 'Overwrite existing key files')
+  .action(async (options) => {
+    try {
+      console.log(
+        options.signing
+          ? '✍️  Generating post-quantum signing key pair...'
+          : '🔑 Generating post-quantum key pair...'
+      );
+      const keys = options.signing
+        ? await generateSigningKeys()
+        : await generateKeys();
+
+      const outputPath = getAbsolutePath(
+        options.out || (options.signing ? './signing-key.json' : './keys.json')
+      );
+      await writeKeyFile(outputPath, keys, { force: options.force });
+      console.log(`✓ Key pair written to ${outputPath} (mode 0600)`);
 
-        // Set SMTP env vars from config if not already set
-        if (!process.env.SMTP_USER) process.env.SMTP_USER = config.smtp.user;
-        if (!process.env.SMTP_PASS) process.env.SMTP_PASS = config.smtp.pass;
-        if (!process.env.SMTP_HOST) process.env.SMTP_HOST = config.smtp.host;
-        if (!process.env.SMTP_PORT)
-          process.env.SMTP_PORT = String(config.smtp.port);
-        if (!process.env.SMTP_SECURE)
-          process.env.SMTP_SECURE = String(config.smtp.secure);
-
-        await sendBackupEmail({
-          to: config.email,
-          subject,
-          text,
-          attachmentPath: encryptedFile,
+      if (options.publicOut) {
+        const publicPath = getAbsolutePath(options.publicOut);
+        await writeKeyFile(publicPath, toPublicKeys(keys), {
+          force: options.force,
+          mode: 0o644,
         });
-        console.log('✓ Email sent successfully\n');
+        console.log(`✓ Public key written to ${publicPath}`);
       }
 
-      // Clean up intermediate files if requested
-      if (!options.keepFiles) {
-        console.log('🧹 Cleaning up intermediate files...');
-        await deleteFile(dumpFile);
-        await deleteFile(zipFile);
-        console.log('✓ Cleanup complete\n');
+      console.log('');
+      printKeyDetails(keys);
+      console.log('\n⚠️  IMPORTANT: Back up the key pair somewhere safe.');
+      console.log('   Without the private key, backups cannot be decrypted.');
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Keys commands - Inspect and export key files
+ */
+const keysCommand = program
+  .command('keys')
+  .description('Inspect, export and passphrase-protect encryption key files');
+
+keysCommand
+  .command('inspect')
+  .description('Show the algorithm, key sizes and fingerprint of a key file')
+  .option('-k, --keys <path>', 'Path to key file (default: from config)')
+  .action(async (options) => {
+    try {
+      const keysPath = options.keys || (await getConfigValue('keysPath'));
+      if (!keysPath) {
+        throw new Error(
+          'Keys path not specified. Run "qdb init" or use --keys option.'
+        );
       }
 
-      console.log('✅ Backup process completed successfully!');
-      console.log(`📦 Encrypted backup: ${encryptedFile}`);
+      const keys = await readJsonFile(getAbsolutePath(keysPath));
+      console.log(`🔑 ${getAbsolutePath(keysPath)}`);
+      printKeyDetails(keys);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
 
-      if (!options.keepFiles) {
-        console.log('\n⚠️  IMPORTANT: Keep your keys.json file safe!');
-        console.log('   Without it, you cannot decrypt this backup.');
+keysCommand
+  .command('export-public')
+  .description('Write the public half of a key file on its own')
+  .requiredOption('-k, --keys <path>', 'Path to key pair file')
+  .requiredOption('-o, --out <path>', 'Output public key file')
+  .option('-f, --force', 'Overwrite an existing file')
+  .action(async (options) => {
+    try {
+      const keys = await readJsonFile(getAbsolutePath(options.keys));
+      if (!keys.publicKey) {
+        throw new Error(`${options.keys} does not contain a publicKey`);
       }
 
-      // Show config location if using saved config
-      if (await configExists()) {
-        console.log(`\n📁 Using config from: ${getConfigPath()}`);
+      const outputPath = getAbsolutePath(options.out);
+      await writeKeyFile(outputPath, toPublicKeys(keys), {
+        force: options.force,
+        mode: 0o644,
+      });
+      console.log(`✓ Public key written to ${outputPath}`);
+      console.log(`   Fingerprint: ${getKeyFingerprint(keys.publicKey)}`);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Write a converted key file in place, or to --out
+ * @param {Object} options - Command options
+ * @param {Object} keys - Key file contents
+ * @returns {Promise<string>} Path written
+ */
+async function writeConvertedKeyFile(options, keys) {
+  const outputPath = getAbsolutePath(options.out || options.keys);
+  await writeKeyFile(outputPath, keys, {
+    force: !options.out || options.force,
+  });
+  return outputPath;
+}
+
+keysCommand
+  .command('protect')
+  .description('Encrypt the private key of a key file with a passphrase')
+  .requiredOption('-k, --keys <path>', 'Path to key pair file')
+  .option('-o, --out <path>', 'Write to a new file instead of in place')
+  .option('-f, --force', 'Overwrite an existing --out file')
+  .option(
+    '--passphrase-fd <fd>',
+    `Read the new passphrase from this file descriptor (or set ${PASSPHRASE_ENV})`
+  )
+  .action(async (options) => {
+    try {
+      const keys = await readJsonFile(getAbsolutePath(options.keys));
+      if (isProtected(keys)) {
+        throw new Error(`${options.keys} is already passphrase-protected`);
+      }
+      if (!keys.privateKey) {
+        throw new Error(`${options.keys} does not contain a private key`);
+      }
+
+      const passphrase = await getNewPassphrase(options);
+      console.log('🔐 Deriving key from passphrase (scrypt)...');
+      const outputPath = await writeConvertedKeyFile(
+        options,
+        await protectKeys(keys, passphrase)
+      );
+      console.log(`✓ Protected key file written to ${outputPath}`);
+      if (options.out) {
+        console.log(
+          `⚠️  ${options.keys} still holds the unprotected private key; delete it once you have checked the new file.`
+        );
+      }
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+keysCommand
+  .command('unprotect')
+  .description('Remove the passphrase from a key file')
+  .requiredOption('-k, --keys <path>', 'Path to protected key file')
+  .option('-o, --out <path>', 'Write to a new file instead of in place')
+  .option('-f, --force', 'Overwrite an existing --out file')
+  .option(
+    '--passphrase-fd <fd>',
+    `Read the passphrase from this file descriptor (or set ${PASSPHRASE_ENV})`
+  )
+  .action(async (options) => {
+    try {
+      const keysPath = getAbsolutePath(options.keys);
+      const keys = await readJsonFile(keysPath);
+      if (!isProtected(keys)) {
+        throw new Error(`${options.keys} is not passphrase-protected`);
       }
+
+      const passphrase = await getKeyPassphrase(options)(keysPath);
+      if (!passphrase) {
+        throw new Error(
+          `No passphrase supplied. Set ${PASSPHRASE_ENV} or use --passphrase-fd.`
+        );
+      }
+      const outputPath = await writeConvertedKeyFile(
+        options,
+        await unprotectKeys(keys, passphrase)
+      );
+      console.log(`✓ Unprotected key file written to ${outputPath}`);
+      console.log('⚠️  The private key is now stored in plaintext.');
     } catch (error) {
       console.error('\n❌ Error:', error.message);
       process.exit(1);
@@ -295,7 +902,11 @@ program
   .description('Decrypt an encrypted backup file')
   .requiredOption('-i, --input <path>', 'Path to encrypted file')
   .requiredOption('-o, --output <path>', 'Path for decrypted output file')
-  .requiredOption('-k, --keys <path>', 'Path to keys.json file')
+  .requiredOption('-k, --keys <path>', 'Path to keys.json file (private key)')
+  .option(
+    '--passphrase-fd <fd>',
+    `Read the key file passphrase from this file descriptor (or set ${PASSPHRASE_ENV})`
+  )
   .action(async (options) => {
     try {
       console.log('🔓 Starting decryption...\n');
@@ -303,7 +914,9 @@ program
       // Load encryption keys
       console.log('📋 Loading encryption keys...');
       const keysPath = getAbsolutePath(options.keys);
-      const keys = await loadKeys(keysPath);
+      const keys = await loadKeys(keysPath, ['privateKey'], {
+        getPassphrase: getKeyPassphrase(options),
+      });
       console.log('✓ Keys loaded successfully\n');
 
       // Decrypt the file
@@ -330,65 +943,461 @@ program
 program
   .command('restore')
   .description('Decrypt and restore an encrypted backup to database')
-  .requiredOption('-i, --input <path>', 'Path to encrypted backup file')
-  .requiredOption('-k, --keys <path>', 'Path to keys.json file')
+  .option('-i, --input <path>', 'Path to encrypted backup file')
+  .option('--id <id>', 'Restore a backup from the catalog (see "qdb list")')
+  .requiredOption('-k, --keys <path>', 'Path to keys.json file (private key)')
+  .option(
+    '--passphrase-fd <fd>',
+    `Read the key file passphrase from this file descriptor (or set ${PASSPHRASE_ENV})`
+  )
   .option(
     '-p, --provider <name>',
-    'Database provider (supabase, mongodb, mysql, postgres)',
-    'supabase'
+    'Database provider (default: from the backup manifest, else supabase)'
   )
   .option('--host <host>', 'Database host')
   .option('--port <port>', 'Database port')
   .option('--user <user>', 'Database user')
   .option('--password <password>', 'Database password')
-  .option('--database <name>', 'Database name')
-  .option('--uri <uri>', 'Database connection URI (MongoDB)')
-  .option('--drop', 'Drop existing data before restore (MongoDB/PostgreSQL)')
+  .option(
+    '--database <name>',
+    'Database name, or SQLite database file to replace'
+  )
+  .option(
+    '--uri <uri>',
+    'Database connection URI (MongoDB; Supabase with --only)'
+  )
+  .option(
+    '--drop',
+    'Drop existing data before restore (MongoDB/PostgreSQL/Redis)'
+  )
   .option('--clean', 'Clean database before restore (PostgreSQL)')
+  .option('-f, --force', 'Restore even if --provider does not match the backup')
+  .option(
+    '--trusted-signer <path>',
+    'Also trust backups signed by this signing public key (repeatable)',
+    (value, previous = []) => [...previous, value]
+  )
+  .option(
+    '--allow-unsigned',
+    'Accept unsigned or untrusted backups, WAL and binary logs'
+  )
+  .option(
+    '--target-time <time>',
+    'PostgreSQL/MySQL: replay archived WAL or binary logs up to this time (newest suitable backup before it unless --input/--id)'
+  )
+  .option(
+    '--target-position <file:pos>',
+    'MySQL: replay archived binary logs up to this position (e.g. binlog.000042:1337)'
+  )
+  .option(
+    '--pgdata <dir>',
+    'PostgreSQL: new data directory to restore a base backup into'
+  )
+  .option(
+    '--wal-dir <dir>',
+    'PostgreSQL: encrypted WAL archive (default: <work dir>/wal)'
+  )
+  .option(
+    '--binlog-dir <dir>',
+    'MySQL: encrypted binary log archive (default: <work dir>/binlog)'
+  )
+  .option(
+    '--data-dir <dir>',
+    "Redis: load the snapshot into a stopped instance's data directory instead of importing it"
+  )
+  .option(
+    '--oplog-limit <ts>',
+    'MongoDB: only replay oplog entries before this <seconds>[:<ordinal>] or date (--oplog backups)'
+  )
+  .option(
+    '--only <names>',
+    'Only restore these tables or collections (comma-separated, e.g. public.users,orders; repeatable)',
+    (value, previous = []) => [
+      ...previous,
+      ...value
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean),
+    ]
+  )
+  .option(
+    '--into <name>',
+    'With --only: restore into this schema (PostgreSQL/Supabase) or database (MySQL/MongoDB) instead, to compare before merging'
+  )
   .action(async (options) => {
+    let backup = null;
     try {
+      if (options.input && options.id) {
+        throw new Error('Specify either --input or --id.');
+      }
+      if (options.into && !options.only) {
+        throw new Error('--into needs --only.');
+      }
+      options.only?.forEach(parseTableName);
+      const targetTime = options.targetTime
+        ? parseCatalogDate(options.targetTime, true)
+        : null;
+      const targetPosition = options.targetPosition
+        ? parseBinlogPosition(options.targetPosition)
+        : null;
+      if (!options.input && !options.id && !targetTime) {
+        throw new Error('Specify either --input or --id.');
+      }
       console.log('🔄 Starting database restore...\n');
 
       // Load encryption keys
       console.log('📋 Loading encryption keys...');
       const keysPath = getAbsolutePath(options.keys);
-      const keys = await loadKeys(keysPath);
+      const keys = await loadKeys(keysPath, ['privateKey'], {
+        getPassphrase: getKeyPassphrase(options),
+      });
       console.log('✓ Keys loaded successfully\n');
 
       // Prepare provider options
       const providerOptions = {
-        host: options.host,
-        port: options.port ? parseInt(options.port, 10) : undefined,
-        user: options.user,
-        password: options.password,
-        database: options.database,
-        uri: options.uri,
+        ...getProviderOptions(options),
         drop: options.drop || false,
         clean: options.clean || false,
+        ...(options.oplogLimit && {
+          oplogLimit: parseOplogLimit(options.oplogLimit),
+        }),
+        ...(options.dataDir && { dataDir: getAbsolutePath(options.dataDir) }),
+        ...(options.only && { only: options.only }),
+        ...(options.into && { into: options.into }),
       };
 
-      // Remove undefined values
-      Object.keys(providerOptions).forEach((key) => {
-        if (providerOptions[key] === undefined) {
-          delete providerOptions[key];
-        }
-      });
-
       // Import restore module
       const { restoreFromBackup } = await import('./restore.js');
 
+      // Find the backup
+      let inputPath;
+      let record = null;
+      if (options.input) {
+        inputPath = getAbsolutePath(options.input);
+      } else {
+        record = options.id
+          ? findCatalogRecord(await loadCatalog(), options.id)
+          : await findPointInTimeRecord(targetTime, options.provider);
+        backup = await getCatalogBackup(record);
+        inputPath = backup.filePath;
+      }
+      const workDir = getAbsolutePath((await getRecordConfig(record)).workDir);
+      const walDir = options.walDir
+        ? getAbsolutePath(options.walDir)
+        : getWalDir(workDir);
+      const binlogDir = options.binlogDir
+        ? getAbsolutePath(options.binlogDir)
+        : getBinlogDir(workDir);
+
       // Restore the backup
-      const inputPath = getAbsolutePath(options.input);
       await restoreFromBackup(
         inputPath,
         keys,
         options.provider,
-        providerOptions
+        providerOptions,
+        undefined,
+        {
+          force: options.force,
+          trustedSigners: await getTrustedSigners(options),
+          allowUnsigned: options.allowUnsigned,
+          pgdata: options.pgdata && getAbsolutePath(options.pgdata),
+          walDir,
+          targetTime: targetTime?.toISOString(),
+          targetPosition,
+          binlogDir,
+        }
       );
 
       console.log('✅ Restore completed successfully!');
+      console.log(`📦 Database restored from: ${path.basename(inputPath)}`);
+      await backup?.cleanup();
+    } catch (error) {
+      await backup?.cleanup();
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * WAL archive command - PostgreSQL archive_command for point-in-time restore
+ */
+program
+  .command('wal-archive')
+  .description(
+    'Encrypt and store a PostgreSQL WAL file (use as archive_command with %p %f)'
+  )
+  .argument('<path>', 'WAL file to archive (%p)')
+  .argument('<name>', 'WAL file name (%f)')
+  .option('-P, --profile <name>', 'Use a named backup profile from config')
+  .option('-k, --keys <path>', 'Path to keys file (public key is enough)')
+  .option(
+    '-r, --recipient <path>',
+    'Also encrypt for this public key file (repeatable)',
+    (value, previous = []) => [...previous, value]
+  )
+  .option('-w, --work-dir <path>', 'Working directory (WAL goes to <dir>/wal)')
+  .option('--signing-key <path>', 'Signing key file to sign the WAL file with')
+  .option('--no-upload', 'Skip uploading to configured storage destinations')
+  .action(async (walPath, name, options) => {
+    try {
+      const config = await mergeConfig(options);
+      if (!config.keys && !config.recipients?.length) {
+        throw new Error(
+          'Keys path not specified. Run "qdb init" or use --keys or --recipient option.'
+        );
+      }
+      const { recipients } = await loadBackupRecipients(config);
+      const signingKeys = config.signingKey
+        ? await loadSigningKeys(getAbsolutePath(config.signingKey))
+        : null;
+
+      // PostgreSQL runs archive_command in the data directory
+      const result = await archiveWalSegment(getAbsolutePath(walPath), name, {
+        recipients,
+        walDir: getWalDir(getAbsolutePath(config.workDir)),
+        destinations: options.upload === false ? [] : config.destinations,
+        signingKeys,
+      });
+      console.log(
+        `✓ WAL ${result.name} ${result.status}${result.uploads ? `, stored at ${result.uploads} destination(s)` : ''}`
+      );
+    } catch (error) {
+      // A non-zero exit makes PostgreSQL keep the file and retry later
+      console.error(`❌ wal-archive ${name}: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Binlog archive command - Archive MySQL binary logs for incremental restore
+ */
+program
+  .command('binlog-archive')
+  .description(
+    'Encrypt and store the closed MySQL binary logs (run regularly, e.g. from cron)'
+  )
+  .option('-P, --profile <name>', 'Use a named backup profile from config')
+  .option('-p, --provider <name>', 'Database provider (must be mysql)')
+  .option('-k, --keys <path>', 'Path to keys file (public key is enough)')
+  .option(
+    '-r, --recipient <path>',
+    'Also encrypt for this public key file (repeatable)',
+    (value, previous = []) => [...previous, value]
+  )
+  .option('--host <host>', 'Database host')
+  .option('--port <port>', 'Database port')
+  .option('--user <user>', 'Database user')
+  .option('--password <password>', 'Database password')
+  .option(
+    '-w, --work-dir <path>',
+    'Working directory (binary logs go to <dir>/binlog)'
+  )
+  .option('--flush', 'Close the current binary log first so it is archived too')
+  .option(
+    '--signing-key <path>',
+    'Signing key file to sign the binary logs with'
+  )
+  .option('--no-upload', 'Skip uploading to configured storage destinations')
+  .action(async (options) => {
+    try {
+      const config = await mergeConfig(options);
+      if (config.provider !== 'mysql') {
+        throw new Error(
+          `Binary logs are a MySQL feature; the provider is ${config.provider}. Use a MySQL profile or --provider mysql.`
+        );
+      }
+      if (!config.keys && !config.recipients?.length) {
+        throw new Error(
+          'Keys path not specified. Run "qdb init" or use --keys or --recipient option.'
+        );
+      }
+      const { recipients } = await loadBackupRecipients(config);
+      const signingKeys = config.signingKey
+        ? await loadSigningKeys(getAbsolutePath(config.signingKey))
+        : null;
+
+      const result = await archiveBinaryLogs(
+        getProvider('mysql'),
+        config.providerOptions,
+        {
+          recipients,
+          binlogDir: getBinlogDir(getAbsolutePath(config.workDir)),
+          destinations: options.upload === false ? [] : config.destinations,
+          flush: options.flush,
+          signingKeys,
+        }
+      );
+      console.log(
+        `✅ Archived ${result.archived.length} binary log(s), ${result.skipped} already archived`
+      );
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Verify command - Check a backup is restorable without touching a database
+ */
+program
+  .command('verify')
+  .description(
+    'Verify an encrypted backup can be restored, without touching a database'
+  )
+  .requiredOption('-i, --input <path>', 'Path to encrypted backup file')
+  .requiredOption('-k, --keys <path>', 'Path to keys.json file (private key)')
+  .option(
+    '--passphrase-fd <fd>',
+    `Read the key file passphrase from this file descriptor (or set ${PASSPHRASE_ENV})`
+  )
+  .option(
+    '-p, --provider <name>',
+    'Database provider for backups without a manifest'
+  )
+  .option('--uri <uri>', 'MongoDB URI to also run mongorestore --dryRun')
+  .option('--skip-provider-check', 'Skip the provider-level dump check')
+  .option(
+    '--trusted-signer <path>',
+    'Also trust backups signed by this signing public key (repeatable)',
+    (value, previous = []) => [...previous, value]
+  )
+  .option('--allow-unsigned', 'Accept unsigned or untrusted backups')
+  .action(async (options) => {
+    try {
+      console.log('🔎 Verifying backup...\n');
+
+      // Load encryption keys
+      console.log('📋 Loading encryption keys...');
+      const keysPath = getAbsolutePath(options.keys);
+      const keys = await loadKeys(keysPath, ['privateKey'], {
+        getPassphrase: getKeyPassphrase(options),
+      });
+      console.log('✓ Keys loaded successfully\n');
+
+      const { verifyBackup } = await import('./verify.js');
+      const result = await verifyBackup(getAbsolutePath(options.input), keys, {
+        providerName: options.provider,
+        providerOptions: getProviderOptions(options),
+        skipProviderCheck: options.skipProviderCheck,
+        trustedSigners: await getTrustedSigners(options),
+        allowUnsigned: options.allowUnsigned,
+      });
+
+      console.log('\n✅ Backup verified successfully!');
+      console.log(`📦 ${path.basename(options.input)}`);
+      console.log(`   Provider: ${result.provider}`);
+      console.log(`   Dump file: ${result.dumpFile}`);
+      if (result.manifest) {
+        console.log(`   Database: ${result.manifest.database}`);
+        console.log(`   Created: ${result.manifest.createdAt}`);
+      }
+      if (result.recipients) {
+        console.log(`   Readable by: ${result.recipients.join(', ')}`);
+      }
+      console.log(
+        `   Signature: ${result.signature.status}${result.signature.signer ? ` (${result.signature.signer})` : ''}`
+      );
+    } catch (error) {
+      console.error('\n❌ Verification failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Inspect command - Show an encrypted backup's header without decrypting it
+ */
+program
+  .command('inspect')
+  .description(
+    'Show the encryption details and recipient keys of an encrypted backup'
+  )
+  .requiredOption('-i, --input <path>', 'Path to encrypted backup file')
+  .action(async (options) => {
+    try {
+      const inputPath = getAbsolutePath(options.input);
+      const header = await readEnvelopeHeader(inputPath);
+      const fileSize = await getFileSize(inputPath);
+
+      console.log(`📦 ${path.basename(inputPath)} (${formatBytes(fileSize)})`);
+      if (!header) {
+        console.log('   Format: legacy (whole-file post-quantum-helper)');
+        console.log('   Readable by: unknown (not recorded in older backups)');
+        return;
+      }
+
+      console.log(`   Format: streaming envelope v${header.version}`);
+      console.log(`   Cipher: ${header.cipher}`);
+      console.log(`   Chunk size: ${formatBytes(header.chunkSize)}`);
+      console.log('   Readable by:');
+      for (const recipient of getHeaderRecipients(header)) {
+        console.log(`     🔑 ${recipient.fingerprint || 'unknown'}`);
+      }
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Rekey command - Re-encrypt existing backups for new keys
+ */
+program
+  .command('rekey')
+  .description('Re-encrypt existing backups for a new key (key rotation)')
+  .argument('<paths...>', 'Encrypted backup files or directories')
+  .requiredOption('--old <path>', 'Current key pair file (private key)')
+  .option(
+    '--passphrase-fd <fd>',
+    `Read the --old key file passphrase from this file descriptor (or set ${PASSPHRASE_ENV})`
+  )
+  .requiredOption(
+    '--new <path>',
+    'New key file to encrypt for (public key is enough)'
+  )
+  .option(
+    '-r, --recipient <path>',
+    'Also encrypt for this public key file (repeatable)',
+    (value, previous = []) => [...previous, value]
+  )
+  .action(async (paths, options) => {
+    try {
+      console.log('🔁 Rekeying backups...\n');
+
+      console.log('📋 Loading encryption keys...');
+      const oldKeys = await loadKeys(
+        getAbsolutePath(options.old),
+        ['privateKey'],
+        { getPassphrase: getKeyPassphrase(options) }
+      );
+      const newKeys = await loadKeys(getAbsolutePath(options.new), [
+        'publicKey',
+      ]);
+      const recipients = [
+        newKeys.publicKey,
+        ...(await loadRecipientKeys(options.recipient)),
+      ];
+      const fingerprints = [...new Set(recipients.map(getKeyFingerprint))];
+      console.log('✓ Keys loaded successfully');
+      console.log(`🔑 Re-encrypting for: ${fingerprints.join(', ')}\n`);
+
+      const { rekeyBackups } = await import('./rekey.js');
+      const results = await rekeyBackups(
+        paths.map((inputPath) => getAbsolutePath(inputPath)),
+        oldKeys,
+        recipients,
+        newKeys
+      );
+
+      const rekeyed = results.filter((result) => result.status === 'rekeyed');
+      const updated = await recordRekeyedBackups(
+        results.map((result) => result.file),
+        fingerprints
+      );
+      if (updated > 0) {
+        console.log(`✓ Updated ${updated} catalog record(s)`);
+      }
       console.log(
-        `📦 Database restored from: ${path.basename(options.input)}`
+        `\n✅ Rekeyed ${rekeyed.length} backup(s), ${results.length - rekeyed.length} already up to date`
       );
     } catch (error) {
       console.error('\n❌ Error:', error.message);
@@ -396,6 +1405,338 @@ program
     }
   });
 
+/**
+ * List command - Show backups recorded in the catalog
+ */
+program
+  .command('list')
+  .description('List backups recorded in the local catalog, newest first')
+  .option('-d, --database <name>', 'Only backups of this database')
+  .option('-p, --provider <name>', 'Only backups from this provider')
+  .option('-P, --profile <name>', 'Only backups of this profile')
+  .option(
+    '--status <status>',
+    'Only success, failed or pruned backups (pruned ones are hidden otherwise)'
+  )
+  .option('--since <date>', 'Only backups on or after this date')
+  .option('--until <date>', 'Only backups on or before this date')
+  .option('-n, --limit <count>', 'Show at most this many backups')
+  .option('--json', 'Print the records as JSON')
+  .action(async (options) => {
+    try {
+      const records = filterCatalog(await loadCatalog(), {
+        database: options.database,
+        provider: options.provider && resolveProviderName(options.provider),
+        profile: options.profile,
+        status: options.status,
+        since: options.since && parseCatalogDate(options.since),
+        until: options.until && parseCatalogDate(options.until, true),
+      })
+        .filter((record) => options.status || record.status !== 'pruned')
+        .reverse()
+        .slice(0, options.limit ? parseInt(options.limit, 10) : undefined);
+
+      if (options.json) {
+        console.log(JSON.stringify(records, null, 2));
+        return;
+      }
+      if (records.length === 0) {
+        console.log(`No backups found in ${getCatalogPath()}`);
+        return;
+      }
+
+      for (const record of records) {
+        let mark = '✗';
+        let detail = `failed at ${record.step}: ${record.error}`;
+        if (record.status === 'success') {
+          mark = '✓';
+          detail = `${formatBytes(record.size)}, ${record.destinations.filter((d) => d.ok).length} destination(s)`;
+        } else if (record.status === 'pruned') {
+          mark = '-';
+          detail = 'deleted by qdb prune';
+        }
+        console.log(
+          `${mark} ${record.id.slice(0, 8)}  ${record.createdAt}  ${record.provider}/${record.database}${record.profile ? ` (${record.profile})` : ''}  ${detail}`
+        );
+      }
+      console.log(`\n${records.length} backup(s). Details: qdb show <id>`);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Show command - Print a catalog record
+ */
+program
+  .command('show')
+  .description('Show the catalog record of a backup')
+  .argument('<id>', 'Backup ID or unique prefix (see "qdb list")')
+  .option('--json', 'Print the record as JSON')
+  .action(async (id, options) => {
+    try {
+      const record = findCatalogRecord(await loadCatalog(), id);
+      if (options.json) {
+        console.log(JSON.stringify(record, null, 2));
+        return;
+      }
+
+      console.log(`🗂️  Backup ${record.id}\n`);
+      console.log(`Status:        ${record.status}`);
+      if (record.status === 'failed') {
+        console.log(`Failed step:   ${record.step}`);
+        console.log(`Error:         ${record.error}`);
+      }
+      console.log(`Created:       ${record.createdAt}`);
+      console.log(`Profile:       ${record.profile || '(none)'}`);
+      console.log(`Provider:      ${record.provider}`);
+      console.log(`Database:      ${record.database}`);
+      if (record.file) {
+        console.log(`File:          ${record.file}`);
+        console.log(`Size:          ${formatBytes(record.size)}`);
+        console.log(`SHA-256:       ${record.checksum}`);
+      }
+      console.log(
+        `Encrypted for: ${record.keyFingerprints.join(', ') || '(unknown)'}`
+      );
+      console.log(`Signed by:     ${record.signer || '(unsigned)'}`);
+      if (record.filters) {
+        console.log(`Filters:       ${describeFilters(record.filters)}`);
+      }
+      console.log('Destinations:');
+      if (record.destinations.length === 0) {
+        console.log('  (none)');
+      }
+      for (const destination of record.destinations) {
+        console.log(
+          `  ${destination.ok ? '✓' : '✗'} ${destination.destination}${destination.location ? `: ${destination.location}` : ''}`
+        );
+      }
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Join command - Rebuild a backup that was emailed in parts
+ */
+program
+  .command('join')
+  .description('Rebuild an encrypted backup that was emailed in parts')
+  .argument('<paths...>', 'Part files, parts manifests or directories')
+  .option('-o, --output <path>', 'Output file (single backup only)')
+  .action(async (paths, options) => {
+    try {
+      console.log('🧩 Joining backup parts...\n');
+
+      const { joinBackups } = await import('./parts.js');
+      const results = await joinBackups(
+        paths.map((inputPath) => getAbsolutePath(inputPath)),
+        options.output && getAbsolutePath(options.output)
+      );
+
+      for (const result of results) {
+        console.log(
+          `✓ ${result.backupId}: ${result.parts} part(s) → ${result.outputPath} (${formatBytes(result.size)})`
+        );
+      }
+      console.log(
+        `\n✅ Joined ${results.length} backup(s); whole-file checksums match`
+      );
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Notify commands - Check notification channels
+ */
+const notifyCommand = program
+  .command('notify')
+  .description('Check success, failure and digest notification channels');
+
+notifyCommand
+  .command('test')
+  .description('Send a sample notification to the channels of an event')
+  .option(
+    '--event <event>',
+    `Event to simulate (${NOTIFY_EVENTS.join(', ')})`,
+    'failure'
+  )
+  .option('-P, --profile <name>', 'Use the channels of a named profile')
+  .action(async (options) => {
+    try {
+      if (!NOTIFY_EVENTS.includes(options.event)) {
+        throw new Error(
+          `Unknown event: ${options.event} (use ${NOTIFY_EVENTS.join(', ')})`
+        );
+      }
+      const config = await mergeConfig({ profile: options.profile });
+
+      console.log(`🔔 Sending a test ${options.event} notification...\n`);
+      const results = await sendNotifications(config, options.event, {
+        database: config.dbName || 'example',
+        provider: config.provider,
+        profile: config.profile,
+        step: 'test',
+        error: 'This is a test notification from qdb',
+        outcome: 'No backup was produced by this run.',
+        filename: 'example-backup.zip.encrypted',
+        size: '0 Bytes',
+        checksum: '0'.repeat(64),
+        keyFingerprint: '-',
+        signer: '-',
+        total: 1,
+        succeeded: options.event === 'failure' ? 0 : 1,
+        failed: options.event === 'failure' ? 1 : 0,
+        summary: '✓ example: test notification',
+        host: os.hostname(),
+        duration: '0s',
+      });
+
+      if (results.length === 0) {
+        throw new Error(
+          `No notification channels are subscribed to ${options.event}. Add them under "notifications" in config.json.`
+        );
+      }
+      const failed = results.filter((result) => !result.ok).length;
+      if (failed > 0) {
+        throw new Error(`${failed} of ${results.length} channel(s) failed`);
+      }
+      console.log(`\n✅ Notified ${results.length} channel(s)`);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Schedule commands - Manage cron schedules for backup profiles
+ */
+const schedule = program
+  .command('schedule')
+  .description('Manage backup schedules for profiles (run by "qdb daemon")');
+
+schedule
+  .command('add <profile> <expression...>')
+  .description('Set the cron schedule of a profile (e.g. "0 2 * * *")')
+  .action(async (profile, expression) => {
+    try {
+      const config = (await configExists()) ? await loadConfig() : {};
+      getProfile(config, profile);
+
+      const cron = parseCron(expression.join(' '));
+      config.profiles[profile].schedule = cron.expression;
+      await saveConfig(config);
+
+      console.log(`✓ ${profile} scheduled: ${cron.expression}`);
+      console.log(`  Next run: ${getNextRun(cron).toLocaleString()}`);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+schedule
+  .command('list')
+  .description('List profile schedules with their next and last runs')
+  .action(async () => {
+    try {
+      const config = (await configExists()) ? await loadConfig() : {};
+      const schedules = getSchedules(config);
+      if (schedules.length === 0) {
+        console.log(
+          'No schedules. Add one with: qdb schedule add <profile> "0 2 * * *"'
+        );
+        return;
+      }
+
+      const state = await loadScheduleState();
+      for (const { profile, expression } of schedules) {
+        console.log(`📅 ${profile}: ${expression}`);
+        try {
+          console.log(
+            `   Next run: ${getNextRun(expression).toLocaleString()}`
+          );
+        } catch (error) {
+          console.log(`   ⚠️  ${error.message}`);
+        }
+        const lastRun = state.profiles[profile]?.lastRun;
+        if (lastRun) {
+          const when = new Date(lastRun.finishedAt).toLocaleString();
+          console.log(
+            `   Last run: ${lastRun.status === 'success' ? '✓' : '✗'} ${when}` +
+              (lastRun.error ? ` (${lastRun.error})` : '')
+          );
+        }
+      }
+      console.log(`\n📁 Run log: ${getScheduleLogPath()}`);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+schedule
+  .command('remove <profile>')
+  .description('Remove the schedule of a profile')
+  .action(async (profile) => {
+    try {
+      const config = (await configExists()) ? await loadConfig() : {};
+      if (!getProfile(config, profile).schedule) {
+        throw new Error(`Profile '${profile}' has no schedule.`);
+      }
+
+      delete config.profiles[profile].schedule;
+      await saveConfig(config);
+      console.log(`✓ Schedule removed from ${profile}`);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Daemon command - Run scheduled backups until stopped
+ */
+program
+  .command('daemon')
+  .description('Run scheduled profile backups in the foreground until stopped')
+  .option('--no-catch-up', 'Skip runs missed while the daemon was not running')
+  .option('--no-email', 'Skip sending email for scheduled backups')
+  .option('--no-upload', 'Skip uploading scheduled backups to destinations')
+  .option('--no-notify', 'Skip success/failure notifications')
+  .action(async (options) => {
+    const scheduler = new Scheduler({
+      catchUp: options.catchUp !== false,
+      workflowOptions: {
+        sendEmail: options.email !== false,
+        upload: options.upload !== false,
+        notify: options.notify !== false,
+      },
+    });
+
+    const shutdown = async (signal) => {
+      console.log(`\n🛑 ${signal} received, waiting for running backups...`);
+      await scheduler.stop();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    const config = (await configExists()) ? await loadConfig() : {};
+    const schedules = getSchedules(config);
+    console.log(`🕒 QDB daemon started (pid ${process.pid})`);
+    console.log(
+      `   ${schedules.length} scheduled profile(s): ${schedules.map((s) => s.profile).join(', ') || '(none yet)'}`
+    );
+    console.log(`   Run log: ${getScheduleLogPath()}\n`);
+
+    scheduler.start();
+  });
 
 /**
  * Info command - Display configuration and status
@@ -416,8 +1757,29 @@ program
         console.log(`  Config Location: ${getConfigPath()}`);
         console.log(`  Default Email: ${config.defaultEmail || '(not set)'}`);
         console.log(`  Default DB Name: ${config.defaultDbName || '(not set)'}`);
+        console.log(
+          `  Default Provider: ${config.defaultProvider || 'supabase'}`
+        );
+        for (const [name, defaults] of Object.entries(config.providers || {})) {
+          const saved = Object.keys(defaults).filter(
+            (key) => key !== 'password'
+          );
+          console.log(`  ${name} defaults: ${saved.join(', ') || '(none)'}`);
+        }
         console.log(`  Keys Path: ${config.keysPath || '(not set)'}`);
+        console.log(
+          `  Signing Key: ${config.signingKeyPath || '(not set, backups are unsigned)'}`
+        );
+        console.log(
+          `  Trusted Signers: ${(config.trustedSigners || []).length}`
+        );
         console.log(`  Work Directory: ${config.workDir || './backups'}`);
+        const profileNames = getProfileNames(config);
+        console.log(`  Profiles: ${profileNames.join(', ') || '(none)'}`);
+        const destinations = Object.entries(config.destinations || {}).map(
+          ([name, destination]) => `${name} (${destination.type})`
+        );
+        console.log(`  Destinations: ${destinations.join(', ') || '(none)'}`);
         console.log(`  SMTP Host: ${config.smtp?.host || 'smtp.gmail.com'}`);
         console.log(`  SMTP Port: ${config.smtp?.port || '587'}`);
         console.log(`  SMTP User: ${config.smtp?.user || '(not set)'}`);
@@ -436,9 +1798,23 @@ program
 
     console.log('\nUsage:');
     console.log('  qdb init                    # Interactive setup wizard');
+    console.log('  qdb keygen --out keys.json --public-out keys.pub.json');
+    console.log('  qdb keys inspect --keys keys.json');
+    console.log('  qdb keys protect --keys keys.json  # Add a passphrase');
+    console.log('  qdb keygen --signing --out signing-key.json --public-out signer.pub.json');
     console.log('  qdb backup                  # Use saved configuration');
     console.log('  qdb backup --email user@example.com --db-name mydb');
+    console.log('  qdb backup --provider postgres --host localhost --user postgres --db-name mydb');
+    console.log('  qdb backup --profile billing-prod  # Use a named profile');
+    console.log('  qdb backup --all               # Back up every profile');
+    console.log('  qdb backup --no-email          # Only upload to destinations');
+    console.log('  qdb schedule add billing-prod "0 2 * * *"');
+    console.log('  qdb daemon                     # Run scheduled backups');
+    console.log('  qdb prune --dry-run            # Preview retention cleanup');
     console.log('  qdb decrypt --input backup.encrypted --output backup.zip --keys ./keys.json');
+    console.log('  qdb verify --input backup.encrypted --keys ./keys.json');
+    console.log('  qdb inspect --input backup.encrypted  # List recipient keys');
+    console.log('  qdb rekey --old keys-old.json --new keys-new.pub.json ./backups');
     console.log('  qdb info                    # Show this information');
   });
 
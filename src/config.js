@@ -1,7 +1,24 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
-import { ensureDirectory, readJsonFile } from './utils.js';
+import { ensureDirectory, parseSize, readJsonFile } from './utils.js';
+import { getProvider, hasProvider } from './providers/index.js';
+import { parseCron } from './cron.js';
+import { validateEmailTemplates } from './templates.js';
+import { validateNotifications } from './notify.js';
+import { parseFilterPattern } from './filters.js';
+
+/**
+ * Connection option names shared by all database providers
+ */
+export const PROVIDER_OPTION_KEYS = [
+  'host',
+  'port',
+  'user',
+  'password',
+  'database',
+  'uri',
+];
 
 /**
  * Get the config directory path
@@ -85,20 +102,94 @@ export async function getConfigValue(key, defaultValue = null) {
   }
 }
 
+/**
+ * Get the names of all configured backup profiles
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Profile names in config order
+ */
+export function getProfileNames(config) {
+  return Object.keys(config.profiles || {});
+}
+
+/**
+ * Get a named backup profile
+ * @param {Object} config - Configuration object
+ * @param {string} name - Profile name
+ * @returns {Object} Profile settings
+ * @throws {Error} If the profile does not exist
+ */
+export function getProfile(config, name) {
+  const profile = config.profiles?.[name];
+  if (!profile) {
+    const available = getProfileNames(config).join(', ') || '(none)';
+    throw new Error(
+      `Profile '${name}' not found. Available profiles: ${available}`
+    );
+  }
+  return profile;
+}
+
 /**
  * Merge configuration with command-line options
- * Priority: CLI args > config file > defaults
+ * Priority: CLI args > profile > config file > defaults
  * @param {Object} options - Command-line options
+ * @param {string} [options.profile] - Named profile to apply
  * @returns {Promise<Object>} Merged configuration
  */
 export async function mergeConfig(options) {
   const config = (await configExists()) ? await loadConfig() : {};
+  const profile = options.profile ? getProfile(config, options.profile) : {};
+  const dbName =
+    options.dbName || profile.dbName || config.defaultDbName || null;
+  const provider = resolveProviderName(
+    options.provider || profile.provider || config.defaultProvider
+  );
+  const maxAttachmentSize =
+    options.emailPartSize || config.smtp?.maxAttachmentSize;
 
   return {
-    email: options.email || config.defaultEmail || null,
-    keys: options.keys || config.keysPath || null,
-    dbName: options.dbName || config.defaultDbName || null,
-    workDir: options.workDir || config.workDir || './backups',
+    profile: options.profile || null,
+    email: options.email || profile.email || config.defaultEmail || null,
+    keys: options.keys || profile.keysPath || config.keysPath || null,
+    // Extra recipients: profile list replaces the top-level one, flags add
+    recipients: [
+      ...(profile.recipients || config.recipients || []),
+      ...(options.recipient || []),
+    ],
+    signingKey:
+      options.signingKey ||
+      profile.signingKeyPath ||
+      config.signingKeyPath ||
+      null,
+    // A profile's template for a kind replaces the top-level one
+    emailTemplates: { ...config.emailTemplates, ...profile.emailTemplates },
+    // Notification channels: profile list replaces the top-level one
+    notifications: profile.notifications || config.notifications || [],
+    dbName,
+    workDir:
+      options.workDir || profile.workDir || config.workDir || './backups',
+    provider,
+    destinations: resolveDestinations(config, profile),
+    retention: { ...config.retention, ...profile.retention },
+    // Database name falls back to --db-name, then to the saved default
+    providerOptions: {
+      ...(config.defaultDbName && { database: config.defaultDbName }),
+      ...config.providers?.[provider],
+      ...(profile.dbName && { database: profile.dbName }),
+      ...profile.connection,
+      ...(options.dbName && { database: options.dbName }),
+      ...getProviderOptions(options),
+      ...(options.baseBackup && { baseBackup: true }),
+      ...(options.binlog && { binlog: true }),
+      ...(options.oplog && { oplog: true }),
+      // Filter flags replace the profile's patterns
+      ...((options.include || profile.include) && {
+        include: options.include || profile.include,
+      }),
+      ...((options.exclude || profile.exclude) && {
+        exclude: options.exclude || profile.exclude,
+      }),
+    },
     smtp: {
       host: process.env.SMTP_HOST || config.smtp?.host || 'smtp.gmail.com',
       port:
@@ -108,10 +199,103 @@ export async function mergeConfig(options) {
         process.env.SMTP_SECURE === 'true' || config.smtp?.secure || false,
       user: process.env.SMTP_USER || config.smtp?.user || null,
       pass: process.env.SMTP_PASS || config.smtp?.pass || null,
+      // Larger backups are split over several emails
+      maxAttachmentSize: maxAttachmentSize
+        ? parseSize(maxAttachmentSize)
+        : null,
     },
   };
 }
 
+/**
+ * Resolve the storage destinations a backup should be uploaded to
+ * A profile's destinations may name entries from config.destinations or be
+ * inline objects. Without a profile list, every configured destination is used.
+ * @param {Object} config - Configuration object
+ * @param {Object} [profile={}] - Profile settings
+ * @returns {Array<Object>} Destination configurations, each with a name
+ * @throws {Error} If a profile references an unknown destination
+ */
+export function resolveDestinations(config, profile = {}) {
+  const configured = config.destinations || {};
+
+  if (!profile.destinations) {
+    return Object.entries(configured).map(([name, destination]) => ({
+      ...destination,
+      name,
+    }));
+  }
+
+  return profile.destinations.map((entry, index) => {
+    if (typeof entry !== 'string') {
+      return { name: entry.name || `${entry.type}-${index + 1}`, ...entry };
+    }
+    if (!configured[entry]) {
+      const available = Object.keys(configured).join(', ') || '(none)';
+      throw new Error(
+        `Destination '${entry}' not found. Available destinations: ${available}`
+      );
+    }
+    return { ...configured[entry], name: entry };
+  });
+}
+
+/**
+ * Resolve a provider name to its canonical registry name
+ * Aliases (e.g. 'postgresql') map to the provider's own name.
+ * @param {string} [name] - Provider name (default: 'supabase')
+ * @returns {string} Canonical provider name
+ */
+export function resolveProviderName(name) {
+  if (!name) {
+    return 'supabase';
+  }
+  return hasProvider(name) ? getProvider(name).name : name.toLowerCase();
+}
+
+/**
+ * Extract provider connection options from command-line options
+ * @param {Object} options - Command-line options
+ * @returns {Object} Provider options with unset values removed
+ */
+export function getProviderOptions(options) {
+  const providerOptions = {};
+
+  for (const key of PROVIDER_OPTION_KEYS) {
+    if (options[key] !== undefined && options[key] !== null) {
+      providerOptions[key] = options[key];
+    }
+  }
+
+  if (providerOptions.port !== undefined) {
+    providerOptions.port = parseInt(providerOptions.port, 10);
+  }
+
+  return providerOptions;
+}
+
+/**
+ * Convert answers from a provider's config prompts into saved defaults
+ * Prompt names are prefixed with the provider name (e.g. 'postgresHost'),
+ * saved defaults use the plain option names (e.g. 'host').
+ * @param {string} providerName - Canonical provider name
+ * @param {Object} answers - Answers from provider.getConfigPrompts()
+ * @returns {Object} Provider defaults for config.providers[providerName]
+ */
+export function toProviderDefaults(providerName, answers) {
+  const defaults = {};
+
+  for (const [name, value] of Object.entries(answers)) {
+    if (!name.startsWith(providerName) || value === '' || value == null) {
+      continue;
+    }
+    const key = name.slice(providerName.length);
+    defaults[key.charAt(0).toLowerCase() + key.slice(1)] = value;
+  }
+
+  return defaults;
+}
+
 /**
  * Validate configuration
  * @param {Object} config - Configuration to validate
@@ -132,6 +316,73 @@ export function validateConfig(config) {
     errors.push('Default database name is required');
   }
 
+  if (config.defaultProvider && !hasProvider(config.defaultProvider)) {
+    errors.push(`Unknown default provider: ${config.defaultProvider}`);
+  }
+
+  if (config.recipients && !Array.isArray(config.recipients)) {
+    errors.push('Recipients must be a list of key files');
+  }
+
+  if (config.trustedSigners && !Array.isArray(config.trustedSigners)) {
+    errors.push('Trusted signers must be a list of key files');
+  }
+
+  errors.push(...validateEmailTemplates(config.emailTemplates));
+  errors.push(...validateNotifications(config.notifications));
+
+  for (const [name, profile] of Object.entries(config.profiles || {})) {
+    if (!profile.dbName) {
+      errors.push(`Profile '${name}': database name (dbName) is required`);
+    }
+    if (profile.provider && !hasProvider(profile.provider)) {
+      errors.push(`Profile '${name}': unknown provider ${profile.provider}`);
+    }
+    if (profile.schedule) {
+      try {
+        parseCron(profile.schedule);
+      } catch (error) {
+        errors.push(`Profile '${name}': ${error.message}`);
+      }
+    }
+    if (profile.recipients && !Array.isArray(profile.recipients)) {
+      errors.push(`Profile '${name}': recipients must be a list of key files`);
+    }
+    for (const key of ['include', 'exclude']) {
+      if (profile[key] && !Array.isArray(profile[key])) {
+        errors.push(`Profile '${name}': ${key} must be a list of patterns`);
+        continue;
+      }
+      for (const pattern of profile[key] || []) {
+        try {
+          parseFilterPattern(pattern);
+        } catch (error) {
+          errors.push(`Profile '${name}': ${error.message}`);
+        }
+      }
+    }
+    for (const error of [
+      ...validateEmailTemplates(profile.emailTemplates),
+      ...validateNotifications(profile.notifications),
+    ]) {
+      errors.push(`Profile '${name}': ${error}`);
+    }
+    for (const destination of profile.destinations || []) {
+      if (
+        typeof destination === 'string' &&
+        !config.destinations?.[destination]
+      ) {
+        errors.push(`Profile '${name}': unknown destination ${destination}`);
+      }
+    }
+  }
+
+  for (const [name, destination] of Object.entries(config.destinations || {})) {
+    if (!destination.type) {
+      errors.push(`Destination '${name}': type is required`);
+    }
+  }
+
   if (!config.smtp?.user) {
     errors.push('SMTP user is required');
   }
@@ -140,6 +391,14 @@ export function validateConfig(config) {
     errors.push('SMTP password is required');
   }
 
+  if (config.smtp?.maxAttachmentSize) {
+    try {
+      parseSize(config.smtp.maxAttachmentSize);
+    } catch (error) {
+      errors.push(`SMTP maxAttachmentSize: ${error.message}`);
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors,
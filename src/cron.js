@@ -0,0 +1,207 @@
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: [
+      'jan',
+      'feb',
+      'mar',
+      'apr',
+      'may',
+      'jun',
+      'jul',
+      'aug',
+      'sep',
+      'oct',
+      'nov',
+      'dec',
+    ],
+  },
+  {
+    name: 'day of week',
+    min: 0,
+    max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+  },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Give up after this many candidate times (covers impossible dates like 30 Feb)
+const MAX_ITERATIONS = 100000;
+
+/**
+ * Parse one value of a cron field (number or name)
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition
+ * @returns {number} Numeric value
+ */
+function parseValue(value, field) {
+  const index = field.names?.indexOf(value.toLowerCase()) ?? -1;
+  if (index < 0 && !/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+
+  const number = index >= 0 ? index + field.min : Number(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(
+      `${field.name} value ${number} out of range (${field.min}-${field.max})`
+    );
+  }
+  return number;
+}
+
+/**
+ * Parse a cron field into the set of values it matches
+ * @param {string} text - Field text (e.g. '*', '1-5', '0,30', '*\/15')
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+    } else {
+      start = parseValue(range, field);
+      // '5/15' means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid ${field.name} range: ${part}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * Supports the standard five fields (minute hour day-of-month month
+ * day-of-week) with lists, ranges, steps, month/day names and macros such as
+ * @daily. Schedules are evaluated in the local time zone.
+ * @param {string} expression - Cron expression (e.g. '30 2 * * 1-5', '@daily')
+ * @returns {Object} Parsed schedule for getNextRun()
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const expanded = MACROS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(
+      `Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`
+    );
+  }
+
+  try {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map(
+      (part, index) => parseField(part, FIELDS[index])
+    );
+    // Sunday may be written as 0 or 7
+    if (dayOfWeek.delete(7)) {
+      dayOfWeek.add(0);
+    }
+
+    return {
+      expression: text,
+      minute,
+      hour,
+      dayOfMonth,
+      month,
+      dayOfWeek,
+      anyDayOfMonth: parts[2] === '*',
+      anyDayOfWeek: parts[4] === '*',
+    };
+  } catch (error) {
+    throw new Error(
+      `Invalid cron expression "${expression}": ${error.message}`
+    );
+  }
+}
+
+/**
+ * Check whether a date's day matches a schedule
+ * As in cron, a restricted day of month and day of week match either one.
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(schedule, date) {
+  const dom = schedule.dayOfMonth.has(date.getDate());
+  const dow = schedule.dayOfWeek.has(date.getDay());
+
+  if (schedule.anyDayOfMonth && schedule.anyDayOfWeek) {
+    return true;
+  }
+  if (schedule.anyDayOfMonth) {
+    return dow;
+  }
+  if (schedule.anyDayOfWeek) {
+    return dom;
+  }
+  return dom || dow;
+}
+
+/**
+ * Get the first time a schedule fires strictly after a given time
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} [after] - Start time (default: now)
+ * @returns {Date} Next run time (whole minute)
+ * @throws {Error} If the schedule never fires
+ */
+export function getNextRun(schedule, after = new Date()) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression "${parsed.expression}" never runs`);
+}
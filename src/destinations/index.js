@@ -0,0 +1,50 @@
+import { LocalDestination } from './local.js';
+import { S3Destination } from './s3.js';
+
+/**
+ * Registry of storage destination types
+ * Each destination implements put, list, get and delete.
+ */
+const destinationTypes = new Map();
+
+// Register destination types
+destinationTypes.set('local', LocalDestination);
+destinationTypes.set('s3', S3Destination);
+
+/**
+ * Create a storage destination from its configuration
+ * @param {Object} config - Destination configuration
+ * @param {string} config.name - Destination name
+ * @param {string} config.type - Destination type (e.g. 'local', 's3')
+ * @returns {Object} Destination instance
+ * @throws {Error} If the type is unknown or the configuration is invalid
+ */
+export function createDestination(config) {
+  const Destination = destinationTypes.get(
+    String(config.type || '').toLowerCase()
+  );
+  if (!Destination) {
+    const available = Array.from(destinationTypes.keys()).join(', ');
+    throw new Error(
+      `Destination '${config.name}': unknown type '${config.type}'. Available types: ${available}`
+    );
+  }
+  return new Destination(config);
+}
+
+/**
+ * Get names of all registered destination types
+ * @returns {Array<string>} Array of destination type names
+ */
+export function getDestinationTypes() {
+  return Array.from(destinationTypes.keys());
+}
+
+/**
+ * Register a new destination type
+ * @param {string} type - Destination type name
+ * @param {Function} Destination - Class constructed with the destination config
+ */
+export function registerDestinationType(type, Destination) {
+  destinationTypes.set(type.toLowerCase(), Destination);
+}
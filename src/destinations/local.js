@@ -0,0 +1,108 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ensureDirectory } from '../utils.js';
+
+/**
+ * Local or mounted-directory storage destination
+ * Stores backups as plain files in a directory (e.g. an NFS or SMB mount).
+ */
+export class LocalDestination {
+  /**
+   * @param {Object} config - Destination configuration
+   * @param {string} config.name - Destination name
+   * @param {string} config.path - Directory to store backups in
+   */
+  constructor(config) {
+    if (!config.path) {
+      throw new Error(`Destination '${config.name}': path is required`);
+    }
+    this.name = config.name;
+    this.type = 'local';
+    this.dir = path.resolve(config.path);
+  }
+
+  /**
+   * Resolve a backup name to a path inside the destination directory
+   * @param {string} name - Backup file name
+   * @returns {string} Absolute path
+   */
+  resolve(name) {
+    const filePath = path.resolve(this.dir, name);
+    if (path.dirname(filePath) !== this.dir) {
+      throw new Error(`Invalid backup name: ${name}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Upload a backup file
+   * Copies to a temporary name first so readers never see a partial file.
+   * @param {string} filePath - Local file to upload
+   * @param {string} [name] - Name at the destination (default: file basename)
+   * @returns {Promise<{name: string, location: string}>} Stored backup
+   */
+  async put(filePath, name = path.basename(filePath)) {
+    await ensureDirectory(this.dir);
+    const target = this.resolve(name);
+    const partial = `${target}.partial`;
+
+    try {
+      await fs.copyFile(filePath, partial);
+      await fs.chmod(partial, 0o600);
+      await fs.rename(partial, target);
+    } catch (error) {
+      await fs.unlink(partial).catch(() => {});
+      throw error;
+    }
+
+    return { name, location: target };
+  }
+
+  /**
+   * List stored backups
+   * @returns {Promise<Array<{name: string, size: number, modified: Date}>>}
+   *   Stored backups
+   */
+  async list() {
+    let names;
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const backups = [];
+    for (const name of names) {
+      if (name.endsWith('.partial')) {
+        continue;
+      }
+      const stats = await fs.stat(path.join(this.dir, name));
+      if (stats.isFile()) {
+        backups.push({ name, size: stats.size, modified: stats.mtime });
+      }
+    }
+    return backups;
+  }
+
+  /**
+   * Download a stored backup
+   * @param {string} name - Backup name
+   * @param {string} outputPath - Where to write the file
+   * @returns {Promise<void>}
+   */
+  async get(name, outputPath) {
+    await fs.copyFile(this.resolve(name), outputPath);
+  }
+
+  /**
+   * Delete a stored backup
+   * @param {string} name - Backup name
+   * @returns {Promise<void>}
+   */
+  async delete(name) {
+    await fs.unlink(this.resolve(name));
+  }
+}
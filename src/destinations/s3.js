@@ -0,0 +1,299 @@
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { URL } from 'url';
+import { signRequest, uriEncode, UNSIGNED_PAYLOAD } from './sigv4.js';
+
+// Files larger than this are uploaded in parts (S3 single PUT limit is 5 GiB)
+const MULTIPART_THRESHOLD = 256 * 1024 * 1024;
+const PART_SIZE = 128 * 1024 * 1024;
+
+// A request fails once its connection has been idle this long
+const REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * Read the text of an XML element
+ * @param {string} xml - XML document
+ * @param {string} tag - Element name
+ * @returns {string|null} Element text, or null if missing
+ */
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * S3-compatible storage destination (AWS S3, MinIO, Ceph, R2, ...)
+ * Requests are signed with AWS Signature V4; no SDK is required.
+ */
+export class S3Destination {
+  /**
+   * @param {Object} config - Destination configuration
+   * @param {string} config.name - Destination name
+   * @param {string} config.bucket - Bucket name
+   * @param {string} [config.endpoint] - Endpoint URL (e.g. http://minio:9000)
+   * @param {string} [config.region='us-east-1'] - Region
+   * @param {string} [config.prefix=''] - Key prefix (e.g. 'qdb/')
+   * @param {string} [config.accessKeyId] - Access key (default: AWS_ACCESS_KEY_ID)
+   * @param {string} [config.secretAccessKey] - Secret key (default: AWS_SECRET_ACCESS_KEY)
+   * @param {boolean} [config.forcePathStyle] - Use path-style URLs (default: true with a custom endpoint)
+   */
+  constructor(config) {
+    if (!config.bucket) {
+      throw new Error(`Destination '${config.name}': bucket is required`);
+    }
+    this.name = config.name;
+    this.type = 's3';
+    this.bucket = config.bucket;
+    this.region = config.region || 'us-east-1';
+    this.prefix = config.prefix || '';
+    this.endpoint = new URL(
+      config.endpoint || `https://s3.${this.region}.amazonaws.com`
+    );
+    this.forcePathStyle = config.forcePathStyle ?? Boolean(config.endpoint);
+    this.timeout = REQUEST_TIMEOUT_MS;
+    this.credentials = {
+      accessKeyId: config.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey:
+        config.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+      region: this.region,
+    };
+
+    if (!this.credentials.accessKeyId || !this.credentials.secretAccessKey) {
+      throw new Error(
+        `Destination '${config.name}': S3 credentials not found. Set accessKeyId/secretAccessKey or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY.`
+      );
+    }
+  }
+
+  /**
+   * Build the URL for an object key (or the bucket when key is empty)
+   * @param {string} key - Object key
+   * @param {Object} [query] - Query parameters
+   * @returns {URL} Request URL
+   */
+  objectUrl(key, query = {}) {
+    const encodedKey = key.split('/').map(uriEncode).join('/');
+    const url = new URL(this.endpoint);
+
+    if (this.forcePathStyle) {
+      const base = url.pathname.replace(/\/$/, '');
+      url.pathname = `${base}/${this.bucket}/${encodedKey}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `/${encodedKey}`;
+    }
+
+    for (const [name, value] of Object.entries(query)) {
+      url.searchParams.set(name, value);
+    }
+    return url;
+  }
+
+  /**
+   * Send a signed request
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key ('' for the bucket)
+   * @param {Object} options - Request options
+   * @param {Object} [options.query] - Query parameters
+   * @param {Object} [options.headers] - Extra headers to sign
+   * @param {Buffer|import('stream').Readable} [options.body] - Request body
+   * @param {string} [options.payloadHash] - Body hash for signing
+   * @param {boolean} [options.stream=false] - Resolve with the response stream
+   * @returns {Promise<{statusCode: number, headers: Object, body: string}|import('http').IncomingMessage>}
+   *   Response (body buffered unless stream is set)
+   */
+  async request(method, key, options = {}) {
+    const { query, headers = {}, body, payloadHash, stream = false } = options;
+    const url = this.objectUrl(key, query);
+    const signed = signRequest(
+      { method, url, headers, payloadHash },
+      this.credentials
+    );
+    const transport = url.protocol === 'http:' ? http : https;
+
+    const response = await new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers: signed }, resolve);
+      // Idle timeout, so streamed bodies may take as long as they need
+      req.setTimeout(this.timeout, () =>
+        req.destroy(
+          new Error(
+            `S3 ${method} ${key || this.bucket} timed out after ${this.timeout / 1000}s`
+          )
+        )
+      );
+      req.on('error', reject);
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', (error) => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+
+    if (stream && response.statusCode < 300) {
+      return response;
+    }
+
+    const chunks = [];
+    for await (const chunk of response) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf-8');
+
+    if (response.statusCode >= 300) {
+      const code = xmlValue(text, 'Code') || `HTTP ${response.statusCode}`;
+      const message = xmlValue(text, 'Message') || response.statusMessage;
+      throw new Error(
+        `S3 ${method} ${key || this.bucket} failed: ${code} - ${message}`
+      );
+    }
+
+    return {
+      statusCode: response.statusCode,
+      headers: response.headers,
+      body: text,
+    };
+  }
+
+  /**
+   * Upload a backup file
+   * @param {string} filePath - Local file to upload
+   * @param {string} [name] - Name at the destination (default: file basename)
+   * @returns {Promise<{name: string, location: string}>} Stored backup
+   */
+  async put(filePath, name = path.basename(filePath)) {
+    const key = `${this.prefix}${name}`;
+    const { size } = await fs.stat(filePath);
+
+    if (size > MULTIPART_THRESHOLD) {
+      await this.putMultipart(filePath, key, size);
+    } else {
+      await this.request('PUT', key, {
+        headers: { 'content-length': size },
+        body: createReadStream(filePath),
+        payloadHash: UNSIGNED_PAYLOAD,
+      });
+    }
+
+    return { name, location: `s3://${this.bucket}/${key}` };
+  }
+
+  /**
+   * Upload a large file with the S3 multipart API
+   * @param {string} filePath - Local file to upload
+   * @param {string} key - Object key
+   * @param {number} size - File size in bytes
+   * @returns {Promise<void>}
+   */
+  async putMultipart(filePath, key, size) {
+    const created = await this.request('POST', key, { query: { uploads: '' } });
+    const uploadId = xmlValue(created.body, 'UploadId');
+    const parts = [];
+
+    try {
+      for (let start = 0, number = 1; start < size; start += PART_SIZE) {
+        const end = Math.min(start + PART_SIZE, size);
+        const { headers } = await this.request('PUT', key, {
+          query: { partNumber: String(number), uploadId },
+          headers: { 'content-length': end - start },
+          body: createReadStream(filePath, { start, end: end - 1 }),
+          payloadHash: UNSIGNED_PAYLOAD,
+        });
+        parts.push({ number: number++, etag: headers.etag });
+      }
+
+      const completeXml = `<CompleteMultipartUpload>${parts
+        .map(
+          (part) =>
+            `<Part><PartNumber>${part.number}</PartNumber><ETag>${part.etag}</ETag></Part>`
+        )
+        .join('')}</CompleteMultipartUpload>`;
+      const body = Buffer.from(completeXml);
+      await this.request('POST', key, {
+        query: { uploadId },
+        headers: { 'content-length': body.length },
+        body,
+        payloadHash: UNSIGNED_PAYLOAD,
+      });
+    } catch (error) {
+      await this.request('DELETE', key, { query: { uploadId } }).catch(
+        () => {}
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * List stored backups under the configured prefix
+   * @returns {Promise<Array<{name: string, size: number, modified: Date}>>}
+   *   Stored backups
+   */
+  async list() {
+    const backups = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix: this.prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+      const { body } = await this.request('GET', '', { query });
+
+      for (const [, contents] of body.matchAll(
+        /<Contents>([\s\S]*?)<\/Contents>/g
+      )) {
+        const key = xmlValue(contents, 'Key');
+        const name = key.slice(this.prefix.length);
+        // Only direct children of the prefix are backups
+        if (name && !name.includes('/')) {
+          backups.push({
+            name,
+            size: parseInt(xmlValue(contents, 'Size'), 10),
+            modified: new Date(xmlValue(contents, 'LastModified')),
+          });
+        }
+      }
+
+      continuationToken =
+        xmlValue(body, 'IsTruncated') === 'true'
+          ? xmlValue(body, 'NextContinuationToken')
+          : null;
+    } while (continuationToken);
+
+    return backups;
+  }
+
+  /**
+   * Download a stored backup
+   * @param {string} name - Backup name
+   * @param {string} outputPath - Where to write the file
+   * @returns {Promise<void>}
+   */
+  async get(name, outputPath) {
+    const response = await this.request('GET', `${this.prefix}${name}`, {
+      stream: true,
+    });
+    await pipeline(response, createWriteStream(outputPath, { mode: 0o600 }));
+  }
+
+  /**
+   * Delete a stored backup
+   * @param {string} name - Backup name
+   * @returns {Promise<void>}
+   */
+  async delete(name) {
+    await this.request('DELETE', `${this.prefix}${name}`);
+  }
+}
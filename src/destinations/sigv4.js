@@ -0,0 +1,109 @@
+import { createHash, createHmac } from 'crypto';
+
+/**
+ * Payload hash used when the body is streamed without being hashed first
+ */
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+/**
+ * SHA-256 of an empty body
+ */
+export const EMPTY_PAYLOAD_HASH = createHash('sha256').update('').digest('hex');
+
+/**
+ * Percent-encode a string per RFC 3986 as AWS Signature V4 requires
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+export function uriEncode(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Format a date as an AWS timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date to format
+ * @returns {string} AWS timestamp
+ */
+function amzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+function hmac(key, value) {
+  return createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Full request URL (path already encoded)
+ * @param {Object} [request.headers] - Headers to sign (lower-case names)
+ * @param {string} [request.payloadHash] - Hex SHA-256 of the body, or UNSIGNED_PAYLOAD
+ * @param {Object} credentials - Signing credentials
+ * @param {string} credentials.accessKeyId - Access key ID
+ * @param {string} credentials.secretAccessKey - Secret access key
+ * @param {string} credentials.region - Region (e.g. 'us-east-1')
+ * @param {string} [credentials.service='s3'] - Service name
+ * @param {Date} [date] - Signing time (default: now)
+ * @returns {Object} Headers including Authorization, to send with the request
+ */
+export function signRequest(
+  { method, url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH },
+  { accessKeyId, secretAccessKey, region, service = 's3' },
+  date = new Date()
+) {
+  const timestamp = amzDate(date);
+  const day = timestamp.slice(0, 8);
+  const signedHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': timestamp,
+  };
+
+  const headerNames = Object.keys(signedHeaders)
+    .map((name) => name.toLowerCase())
+    .sort();
+  const canonicalHeaders = headerNames
+    .map((name) => `${name}:${String(signedHeaders[name]).trim()}\n`)
+    .join('');
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    canonicalHeaders,
+    headerNames.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    timestamp,
+    scope,
+    createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+
+  const signingKey = hmac(
+    hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), service),
+    'aws4_request'
+  );
+  const signature = createHmac('sha256', signingKey)
+    .update(stringToSign)
+    .digest('hex');
+
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`,
+  };
+}
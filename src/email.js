@@ -1,6 +1,14 @@
 import nodemailer from 'nodemailer';
-import { promises as fs } from 'fs';
+import { promises as fs, createReadStream } from 'fs';
 import path from 'path';
+import { createPartsManifest, PARTS_MANIFEST_SUFFIX } from './parts.js';
+import { escapeHtml, renderEmail } from './templates.js';
+
+/**
+ * Default largest attachment per message. Base64 encoding adds a third, so
+ * 15 MB parts stay under the common 25 MB message size limit.
+ */
+export const DEFAULT_MAX_ATTACHMENT_SIZE = 15 * 1024 * 1024;
 
 /**
  * Create email transporter from environment variables or config
@@ -26,12 +34,57 @@ export function createTransporter() {
   return nodemailer.createTransport(config);
 }
 
+/**
+ * Use SMTP settings from config for any SMTP_* variable not already set
+ * @param {Object} smtp - smtp section of the merged configuration
+ */
+export function applySmtpConfig(smtp) {
+  if (!process.env.SMTP_USER && smtp.user) process.env.SMTP_USER = smtp.user;
+  if (!process.env.SMTP_PASS && smtp.pass) process.env.SMTP_PASS = smtp.pass;
+  if (!process.env.SMTP_HOST) process.env.SMTP_HOST = smtp.host;
+  if (!process.env.SMTP_PORT) process.env.SMTP_PORT = String(smtp.port);
+  if (!process.env.SMTP_SECURE) process.env.SMTP_SECURE = String(smtp.secure);
+}
+
+/**
+ * Send an email without attachments (notifications)
+ * @param {Object} options - Email options
+ * @param {string|string[]} options.to - Recipient email address(es)
+ * @param {string} options.subject - Email subject
+ * @param {string} [options.text] - Email body text
+ * @param {string} [options.html] - Email body HTML
+ * @param {Object} [options.transporter] - Optional custom transporter
+ * @returns {Promise<Object>} Email send result
+ */
+export async function sendNotificationEmail({
+  to,
+  subject,
+  text,
+  html,
+  transporter,
+}) {
+  const transport = transporter || createTransporter();
+
+  try {
+    return await transport.sendMail({
+      from: process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+      html,
+    });
+  } catch (error) {
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+}
+
 /**
  * Send an email with encrypted backup attachment
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email address
  * @param {string} options.subject - Email subject
- * @param {string} options.text - Email body text
+ * @param {string} [options.text] - Email body text
+ * @param {string} [options.html] - Email body HTML
  * @param {string} options.attachmentPath - Path to file to attach
  * @param {Object} [options.transporter] - Optional custom transporter
  * @returns {Promise<Object>} Email send result
@@ -40,6 +93,7 @@ export async function sendBackupEmail({
   to,
   subject,
   text,
+  html,
   attachmentPath,
   transporter,
 }) {
@@ -53,6 +107,7 @@ export async function sendBackupEmail({
     to,
     subject,
     text,
+    html,
     attachments: [
       {
         filename: path.basename(attachmentPath),
@@ -70,39 +125,107 @@ export async function sendBackupEmail({
 }
 
 /**
- * Generate email content for backup notification
- * @param {string} dbName - Database name
- * @param {string} filename - Backup filename
- * @param {string} fileSize - Formatted file size
- * @returns {Object} Email subject and text
+ * Send an encrypted backup, split over several messages if it is too large
+ * Each part goes in its own message with the parts manifest (backup ID, part
+ * count and checksums) that "qdb join" uses to rebuild the file.
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email address
+ * @param {string} options.subject - Email subject
+ * @param {string} [options.text] - Email body text
+ * @param {string} [options.html] - Email body HTML
+ * @param {string} options.attachmentPath - Path to file to attach
+ * @param {number} [options.maxAttachmentSize] - Largest attachment per message in bytes
+ * @param {Object} [options.transporter] - Optional custom transporter
+ * @returns {Promise<{parts: number, backupId: string|null}>} Number of
+ *   messages sent and the backup ID shared by the parts (null if not split)
  */
-export function generateBackupEmailContent(dbName, filename, fileSize) {
-  const subject = `Encrypted Database Backup - ${dbName}`;
+export async function sendBackupEmails({
+  to,
+  subject,
+  text,
+  html,
+  attachmentPath,
+  maxAttachmentSize = DEFAULT_MAX_ATTACHMENT_SIZE,
+  transporter,
+}) {
+  const transport = transporter || createTransporter();
+  const { size } = await fs.stat(attachmentPath);
 
-  const text = `
-Your encrypted database backup is ready.
+  if (size <= maxAttachmentSize) {
+    await sendBackupEmail({
+      to,
+      subject,
+      text,
+      html,
+      attachmentPath,
+      transporter: transport,
+    });
+    return { parts: 1, backupId: null };
+  }
 
-Database: ${dbName}
-Filename: ${filename}
-File Size: ${fileSize}
-Timestamp: ${new Date().toISOString()}
+  const manifest = await createPartsManifest(attachmentPath, maxAttachmentSize);
+  const manifestName = `${manifest.filename}${PARTS_MANIFEST_SUFFIX}`;
+  const count = manifest.parts.length;
 
-This backup has been encrypted using post-quantum cryptography.
-Keep your decryption keys safe - they are required to restore this backup.
+  for (const [index, part] of manifest.parts.entries()) {
+    const number = index + 1;
+    const partNote = `MULTI-PART BACKUP:
+This backup was split into ${count} parts.
+Backup ID: ${manifest.backupId}
+This message: part ${number} of ${count} (${part.name})
+Whole-file SHA-256: ${manifest.sha256}
 
-IMPORTANT SECURITY NOTES:
-- Your encryption keys are NOT stored anywhere
-- You are solely responsible for keeping your keys safe
-- Without your keys, this backup cannot be decrypted
-- Store your keys in a secure location separate from this backup
+Save all ${count} parts and ${manifestName} (attached to every part) in one
+directory, then rebuild the encrypted file with: qdb join <directory>`;
+    try {
+      await transport.sendMail({
+        from: process.env.SMTP_USER,
+        to,
+        subject: `${subject} [part ${number}/${count}]`,
+        text: text == null ? partNote : `${text}\n\n${partNote}`,
+        html:
+          html == null
+            ? undefined
+            : `${html}\n<pre>${escapeHtml(partNote)}</pre>`,
+        attachments: [
+          {
+            filename: part.name,
+            content: createReadStream(attachmentPath, {
+              start: part.offset,
+              end: part.offset + part.size - 1,
+            }),
+          },
+          {
+            filename: manifestName,
+            content: JSON.stringify(manifest, null, 2),
+            contentType: 'application/json',
+          },
+        ],
+      });
+    } catch (error) {
+      throw new Error(
+        `Failed to send email part ${number} of ${count}: ${error.message}`
+      );
+    }
+  }
 
-To decrypt this backup, you will need:
-1. Your keys.json file
-2. The qdb CLI tool
-3. The command: qdb decrypt --input <encrypted-file> --output <output-file> --keys <keys.json>
-`.trim();
+  return { parts: count, backupId: manifest.backupId };
+}
 
-  return { subject, text };
+/**
+ * Generate email content for backup notification
+ * Uses the success template from config, or the built-in one.
+ * @param {Object} details - Template values (database, provider, filename,
+ *   size, checksum, keyFingerprint, signer, host, duration, timestamp, ...)
+ * @param {Object} [templates] - emailTemplates from config
+ * @returns {{subject: string, text?: string, html?: string}} Email content
+ */
+export function generateBackupEmailContent(details, templates) {
+  return renderEmail(
+    'success',
+    { timestamp: new Date().toISOString(), ...details },
+    templates
+  );
 }
 
 /**
@@ -1,55 +1,299 @@
-import { promises as fs } from 'fs';
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { randomBytes } from 'crypto';
 import { readJsonFile, validateRequiredKeys } from './utils.js';
+import {
+  EncryptStream,
+  DecryptStream,
+  createHeader,
+  isEnvelope,
+  MAGIC,
+} from './envelope.js';
+import {
+  getKeyFingerprint,
+  isProtected,
+  unprotectKeys,
+  PASSPHRASE_ENV,
+} from './keys.js';
 
 // Note: Import the actual functions from @profullstack/post-quantum-helper
 // The exact API may vary - adjust imports based on the actual module exports
-let encryptFile, decryptFile;
+let decryptFile, encryptMessage, decryptMessage;
 try {
   const pqHelper = await import('@profullstack/post-quantum-helper');
-  encryptFile = pqHelper.encryptFile || pqHelper.encrypt || pqHelper.default?.encryptFile;
-  decryptFile = pqHelper.decryptFile || pqHelper.decrypt || pqHelper.default?.decryptFile;
+  decryptFile = pqHelper.decryptFile || pqHelper.default?.decryptFile;
+  encryptMessage = pqHelper.encrypt || pqHelper.default?.encrypt;
+  decryptMessage = pqHelper.decrypt || pqHelper.default?.decrypt;
 } catch (error) {
   console.warn('Warning: @profullstack/post-quantum-helper not properly loaded:', error.message);
 }
 
+/**
+ * What each half of a key pair is needed for, for error messages
+ */
+const KEY_PURPOSES = {
+  publicKey: 'the public key, which is needed to encrypt backups',
+  privateKey:
+    'the private key, which is needed to decrypt, restore or verify backups',
+};
+
 /**
  * Load encryption keys from a JSON file
+ * Backups only need the public key, so backup hosts can use a public-key-only
+ * file (see "qdb keys export-public"); decrypting needs the private key.
+ * A passphrase-protected private key is only decrypted when it is required.
  * @param {string} keysPath - Path to keys.json file
+ * @param {string[]} [requiredKeys] - Key halves the caller needs
+ *   (default: ['publicKey', 'privateKey'])
+ * @param {Object} [options] - Load options
+ * @param {Function} [options.getPassphrase] - Returns the passphrase for a
+ *   protected key file (default: read QDB_KEY_PASSPHRASE)
  * @returns {Promise<Object>} Keys object
+ * @throws {Error} Naming the missing half if a required key is absent
  */
-export async function loadKeys(keysPath) {
-  const keys = await readJsonFile(keysPath);
+export async function loadKeys(
+  keysPath,
+  requiredKeys = ['publicKey', 'privateKey'],
+  { getPassphrase = null } = {}
+) {
+  let keys = await readJsonFile(keysPath);
+
+  if (isProtected(keys) && requiredKeys.includes('privateKey')) {
+    const passphrase = getPassphrase
+      ? await getPassphrase(keysPath)
+      : process.env[PASSPHRASE_ENV];
+    if (!passphrase) {
+      throw new Error(
+        `${keysPath} is passphrase-protected. Set ${PASSPHRASE_ENV} (or use --passphrase-fd) to unlock it.`
+      );
+    }
+    try {
+      keys = await unprotectKeys(keys, passphrase);
+    } catch (error) {
+      throw new Error(`Cannot unlock ${keysPath}: ${error.message}`);
+    }
+  }
 
+  const missing = requiredKeys.filter((name) => !keys[name]);
+  if (missing.length === 1) {
+    throw new Error(
+      `${keysPath} does not contain ${KEY_PURPOSES[missing[0]]}. ` +
+        (missing[0] === 'privateKey'
+          ? 'It looks like a public-key-only file; use the full key pair file from "qdb keygen".'
+          : 'Use the key pair file from "qdb keygen" or its exported public key.')
+    );
+  }
   // Validate that required keys exist
-  validateRequiredKeys(keys, ['publicKey', 'privateKey']);
+  validateRequiredKeys(keys, requiredKeys);
 
   return keys;
 }
 
+/**
+ * Wrap a symmetric data key for a post-quantum public key
+ * @param {Buffer} dataKey - Symmetric data key
+ * @param {string} publicKey - Recipient public key
+ * @returns {Promise<*>} Wrapped key as returned by post-quantum-helper
+ */
+async function wrapDataKey(dataKey, publicKey) {
+  if (!encryptMessage) {
+    throw new Error('@profullstack/post-quantum-helper is not available');
+  }
+  return encryptMessage(dataKey.toString('base64'), publicKey);
+}
+
+/**
+ * Unwrap a symmetric data key with a post-quantum private key
+ * @param {*} wrappedKey - Wrapped key from the envelope header
+ * @param {string} privateKey - Recipient private key
+ * @returns {Promise<Buffer>} Symmetric data key
+ */
+async function unwrapDataKey(wrappedKey, privateKey) {
+  if (!decryptMessage) {
+    throw new Error('@profullstack/post-quantum-helper is not available');
+  }
+  return Buffer.from(await decryptMessage(wrappedKey, privateKey), 'base64');
+}
+
+/**
+ * Get the distinct public keys to encrypt for
+ * @param {Object|Array<string>} recipients - Keys object (its publicKey) or
+ *   list of recipient public keys
+ * @returns {Array<string>} Public keys, without duplicates
+ * @throws {Error} If there is no public key
+ */
+function getPublicKeys(recipients) {
+  const publicKeys = Array.isArray(recipients)
+    ? recipients
+    : [recipients?.publicKey];
+  const unique = new Map();
+
+  for (const publicKey of publicKeys.filter(Boolean)) {
+    unique.set(getKeyFingerprint(publicKey), publicKey);
+  }
+  if (unique.size === 0) {
+    throw new Error('No recipient public key to encrypt for');
+  }
+  return [...unique.values()];
+}
+
+/**
+ * Create a stream that encrypts its input with post-quantum encryption
+ * A random data key encrypts the stream; the key itself is wrapped with
+ * each recipient's post-quantum public key and stored in the stream header,
+ * so any one of the matching private keys can decrypt.
+ * @param {Object|Array<string>} recipients - Keys object or list of recipient
+ *   public keys
+ * @returns {Promise<import('stream').Transform>} Encrypting transform stream
+ */
+export async function createEncryptStream(recipients) {
+  const dataKey = randomBytes(32);
+  const wrapped = [];
+
+  for (const publicKey of getPublicKeys(recipients)) {
+    wrapped.push({
+      fingerprint: getKeyFingerprint(publicKey),
+      wrappedKey: await wrapDataKey(dataKey, publicKey),
+    });
+  }
+
+  return new EncryptStream(dataKey, createHeader({ recipients: wrapped }));
+}
+
+/**
+ * Get the recipients listed in an envelope header
+ * Headers written before multi-recipient support hold a single wrapped key.
+ * @param {Object} header - Envelope header
+ * @returns {Array<{fingerprint: string|null, wrappedKey: *}>} Recipients
+ */
+export function getHeaderRecipients(header) {
+  if (Array.isArray(header.recipients)) {
+    return header.recipients;
+  }
+  return [
+    {
+      fingerprint: header.keyFingerprint || null,
+      wrappedKey: header.wrappedKey,
+    },
+  ];
+}
+
+/**
+ * Unwrap the data key of an envelope with a private key
+ * Uses the recipient entry matching the key's fingerprint when the key file
+ * has a public key; otherwise tries every entry.
+ * @param {Object} header - Envelope header
+ * @param {Object} keys - Encryption keys object
+ * @returns {Promise<Buffer>} Symmetric data key
+ * @throws {Error} Listing the backup's recipients if none match the key
+ */
+async function unwrapForRecipient(header, keys) {
+  const recipients = getHeaderRecipients(header);
+  const fingerprint = keys.publicKey ? getKeyFingerprint(keys.publicKey) : null;
+  const matching = recipients.filter(
+    (recipient) =>
+      !fingerprint ||
+      !recipient.fingerprint ||
+      recipient.fingerprint === fingerprint
+  );
+
+  for (const recipient of matching) {
+    try {
+      return await unwrapDataKey(recipient.wrappedKey, keys.privateKey);
+    } catch (error) {
+      if (matching.length === 1) {
+        throw error;
+      }
+    }
+  }
+
+  const readableBy = recipients
+    .map((recipient) => recipient.fingerprint || 'unknown')
+    .join(', ');
+  throw new Error(
+    `This backup is not encrypted for your key${fingerprint ? ` (${fingerprint})` : ''}. It can be decrypted by: ${readableBy}`
+  );
+}
+
+/**
+ * Create a stream that decrypts output of createEncryptStream()
+ * @param {Object} keys - Encryption keys object
+ * @returns {import('stream').Transform} Decrypting transform stream
+ */
+export function createDecryptStream(keys) {
+  return new DecryptStream((header) => unwrapForRecipient(header, keys));
+}
+
+/**
+ * Read the plaintext header of a streaming-format encrypted file
+ * No key is needed: the header only holds wrapped keys and fingerprints.
+ * @param {string} filePath - Path to encrypted file
+ * @returns {Promise<Object|null>} Header, or null for legacy-format files
+ */
+export async function readEnvelopeHeader(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const prefix = Buffer.alloc(MAGIC.length + 4);
+    const { bytesRead } = await handle.read(prefix, 0, prefix.length, 0);
+    if (!isEnvelope(prefix.subarray(0, bytesRead))) {
+      return null;
+    }
+    if (bytesRead < prefix.length) {
+      throw new Error('Encrypted stream is truncated (incomplete header)');
+    }
+
+    const json = Buffer.alloc(prefix.readUInt32BE(MAGIC.length));
+    await handle.read(json, 0, json.length, prefix.length);
+    return JSON.parse(json.toString('utf-8'));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check whether a file uses the streaming encryption format
+ * Older backups were encrypted whole-file by post-quantum-helper.
+ * @param {string} filePath - Path to encrypted file
+ * @returns {Promise<boolean>} True if the file is a streaming envelope
+ */
+export async function isStreamEncrypted(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(MAGIC.length);
+    const { bytesRead } = await handle.read(buffer, 0, MAGIC.length, 0);
+    return isEnvelope(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
 /**
  * Encrypt a file using post-quantum encryption
  * @param {string} inputFile - Path to file to encrypt
  * @param {string} outputFile - Path where encrypted file should be saved
- * @param {Object} keys - Encryption keys object
+ * @param {Object|Array<string>} recipients - Keys object or list of
+ *   recipient public keys
  * @returns {Promise<void>}
  */
-export async function encryptBackupFile(inputFile, outputFile, keys) {
+export async function encryptBackupFile(inputFile, outputFile, recipients) {
   try {
     // Verify input file exists
     await fs.access(inputFile);
 
-    // Use post-quantum-helper to encrypt the file
-    await encryptFile(inputFile, outputFile, keys.publicKey);
-
-    // Verify output file was created
-    await fs.access(outputFile);
+    await pipeline(
+      createReadStream(inputFile),
+      await createEncryptStream(recipients),
+      createWriteStream(outputFile, { mode: 0o600 })
+    );
   } catch (error) {
+    await fs.unlink(outputFile).catch(() => {});
     throw new Error(`Encryption failed: ${error.message}`);
   }
 }
 
 /**
  * Decrypt a file using post-quantum encryption
+ * Handles both the streaming format and legacy whole-file encryption.
  * @param {string} inputFile - Path to encrypted file
  * @param {string} outputFile - Path where decrypted file should be saved
  * @param {Object} keys - Encryption keys object
@@ -59,13 +303,27 @@ export async function decryptBackupFile(inputFile, outputFile, keys) {
   try {
     // Verify input file exists
     await fs.access(inputFile);
+  } catch (error) {
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
 
-    // Use post-quantum-helper to decrypt the file
-    await decryptFile(inputFile, outputFile, keys.privateKey);
+  try {
+    if (await isStreamEncrypted(inputFile)) {
+      await pipeline(
+        createReadStream(inputFile),
+        createDecryptStream(keys),
+        createWriteStream(outputFile, { mode: 0o600 })
+      );
+    } else {
+      // Legacy format: use post-quantum-helper to decrypt the file
+      await decryptFile(inputFile, outputFile, keys.privateKey);
+    }
 
     // Verify output file was created
     await fs.access(outputFile);
   } catch (error) {
+    // Never leave partially decrypted, unauthenticated output behind
+    await fs.unlink(outputFile).catch(() => {});
     throw new Error(`Decryption failed: ${error.message}`);
   }
 }
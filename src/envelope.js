@@ -0,0 +1,259 @@
+import { Transform } from 'stream';
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+/**
+ * Streaming encryption envelope
+ *
+ * Layout:
+ *   MAGIC (8 bytes) | header length (uint32 BE) | header JSON
+ *   frame* where frame = ciphertext length (uint32 BE) | ciphertext | tag (16)
+ *
+ * Each frame is sealed with AES-256-GCM under a random data key. The nonce
+ * is a random 7-byte prefix, a 4-byte frame counter and a 1-byte "final"
+ * flag, so reordered, dropped or truncated frames fail authentication.
+ * The header bytes are bound to every frame as additional authenticated data.
+ */
+
+export const MAGIC = Buffer.from('QDBSTRM1');
+export const CIPHER = 'aes-256-gcm';
+export const CHUNK_SIZE = 64 * 1024;
+
+const TAG_LENGTH = 16;
+const PREFIX_LENGTH = 7;
+const MAX_HEADER_LENGTH = 1024 * 1024;
+
+/**
+ * Build the nonce for a frame
+ * @param {Buffer} prefix - Random nonce prefix from the header
+ * @param {number} counter - Frame counter
+ * @param {boolean} final - Whether this is the last frame
+ * @returns {Buffer} 12-byte nonce
+ */
+function frameNonce(prefix, counter, final) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, PREFIX_LENGTH);
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Encode the envelope preamble (magic + header)
+ * @param {Object} header - Header fields (JSON-serializable)
+ * @returns {Buffer} Encoded preamble
+ */
+export function encodeHeader(header) {
+  const json = Buffer.from(JSON.stringify(header), 'utf-8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(json.length);
+  return Buffer.concat([MAGIC, length, json]);
+}
+
+/**
+ * Check whether a buffer starts with the envelope magic
+ * @param {Buffer} buffer - Leading bytes of a file
+ * @returns {boolean} True if the buffer is an envelope
+ */
+export function isEnvelope(buffer) {
+  return (
+    buffer.length >= MAGIC.length &&
+    buffer.subarray(0, MAGIC.length).equals(MAGIC)
+  );
+}
+
+/**
+ * Create the header fields for a new envelope
+ * @param {Object} fields - Extra header fields (e.g. wrapped data keys)
+ * @returns {Object} Header object
+ */
+export function createHeader(fields = {}) {
+  return {
+    version: 1,
+    cipher: CIPHER,
+    chunkSize: CHUNK_SIZE,
+    noncePrefix: randomBytes(PREFIX_LENGTH).toString('base64'),
+    ...fields,
+  };
+}
+
+/**
+ * Transform stream that encrypts plaintext into an envelope
+ */
+export class EncryptStream extends Transform {
+  /**
+   * @param {Buffer} dataKey - 32-byte AES key
+   * @param {Object} header - Header from createHeader()
+   */
+  constructor(dataKey, header) {
+    super();
+    this.dataKey = dataKey;
+    this.preamble = encodeHeader(header);
+    this.prefix = Buffer.from(header.noncePrefix, 'base64');
+    this.counter = 0;
+    this.pending = Buffer.alloc(0);
+    this.push(this.preamble);
+  }
+
+  sealFrame(plaintext, final) {
+    const cipher = createCipheriv(
+      CIPHER,
+      this.dataKey,
+      frameNonce(this.prefix, this.counter++, final)
+    );
+    cipher.setAAD(this.preamble);
+    const ciphertext = Buffer.concat([
+      cipher.update(plaintext),
+      cipher.final(),
+    ]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(ciphertext.length);
+    this.push(Buffer.concat([length, ciphertext, cipher.getAuthTag()]));
+  }
+
+  _transform(chunk, _encoding, callback) {
+    this.pending = Buffer.concat([this.pending, chunk]);
+
+    // Hold back the tail so it can be sealed as the final frame in _flush
+    while (this.pending.length > CHUNK_SIZE) {
+      this.sealFrame(this.pending.subarray(0, CHUNK_SIZE), false);
+      this.pending = this.pending.subarray(CHUNK_SIZE);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    try {
+      this.sealFrame(this.pending, true);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Transform stream that decrypts an envelope into plaintext
+ * The data key is resolved from the header once it has been read.
+ */
+export class DecryptStream extends Transform {
+  /**
+   * @param {function(Object): Promise<Buffer>} resolveKey - Returns the data
+   *   key for a parsed header
+   */
+  constructor(resolveKey) {
+    super();
+    this.resolveKey = resolveKey;
+    this.pending = Buffer.alloc(0);
+    this.preamble = null;
+    this.dataKey = null;
+    this.counter = 0;
+    this.finished = false;
+  }
+
+  async readPreamble() {
+    const headerStart = MAGIC.length + 4;
+    if (this.pending.length < headerStart) {
+      return false;
+    }
+    if (!isEnvelope(this.pending)) {
+      throw new Error('Not a QDB encrypted stream');
+    }
+
+    const headerLength = this.pending.readUInt32BE(MAGIC.length);
+    if (headerLength > MAX_HEADER_LENGTH) {
+      throw new Error('Encrypted stream header is too large');
+    }
+    if (this.pending.length < headerStart + headerLength) {
+      return false;
+    }
+
+    this.preamble = Buffer.from(
+      this.pending.subarray(0, headerStart + headerLength)
+    );
+    this.header = JSON.parse(
+      this.preamble.subarray(headerStart).toString('utf-8')
+    );
+    if (this.header.version !== 1 || this.header.cipher !== CIPHER) {
+      throw new Error(
+        `Unsupported encrypted stream format: v${this.header.version} ${this.header.cipher}`
+      );
+    }
+
+    this.prefix = Buffer.from(this.header.noncePrefix, 'base64');
+    this.pending = this.pending.subarray(headerStart + headerLength);
+    this.dataKey = await this.resolveKey(this.header);
+    this.emit('header', this.header);
+    return true;
+  }
+
+  openFrames() {
+    while (this.pending.length >= 4) {
+      const length = this.pending.readUInt32BE(0);
+      // Bound what is buffered before the frame can be authenticated
+      if (!(length <= this.header.chunkSize)) {
+        throw new Error('Encrypted frame is larger than the chunk size');
+      }
+      const frameLength = 4 + length + TAG_LENGTH;
+      if (this.pending.length < frameLength) {
+        return;
+      }
+      if (this.finished) {
+        throw new Error('Unexpected data after final frame');
+      }
+
+      const ciphertext = this.pending.subarray(4, 4 + length);
+      const tag = this.pending.subarray(4 + length, frameLength);
+      const plaintext = this.openFrame(ciphertext, tag);
+      this.pending = this.pending.subarray(frameLength);
+      this.push(plaintext);
+    }
+  }
+
+  openFrame(ciphertext, tag) {
+    // A frame is final if it authenticates with the final flag set
+    for (const final of [false, true]) {
+      const decipher = createDecipheriv(
+        CIPHER,
+        this.dataKey,
+        frameNonce(this.prefix, this.counter, final)
+      );
+      decipher.setAAD(this.preamble);
+      decipher.setAuthTag(tag);
+      try {
+        const plaintext = Buffer.concat([
+          decipher.update(ciphertext),
+          decipher.final(),
+        ]);
+        this.counter++;
+        this.finished = final;
+        return plaintext;
+      } catch {
+        // Try the other flag before giving up
+      }
+    }
+    throw new Error(
+      `Authentication failed for frame ${this.counter}: data is corrupted or was tampered with`
+    );
+  }
+
+  _transform(chunk, _encoding, callback) {
+    this.pending = Buffer.concat([this.pending, chunk]);
+
+    (async () => {
+      if (!this.dataKey && !(await this.readPreamble())) {
+        return;
+      }
+      this.openFrames();
+    })().then(() => callback(), callback);
+  }
+
+  _flush(callback) {
+    if (!this.dataKey) {
+      callback(new Error('Encrypted stream is truncated (incomplete header)'));
+    } else if (this.pending.length > 0 || !this.finished) {
+      callback(new Error('Encrypted stream is truncated'));
+    } else {
+      callback();
+    }
+  }
+}
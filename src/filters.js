@@ -0,0 +1,192 @@
+/**
+ * Include/exclude filters for backups
+ * A pattern selects tables (MongoDB: collections), optionally qualified with
+ * their schema or database ('public.events', 'shop.orders'). Patterns
+ * starting with 'schema:' select whole schemas (MongoDB: databases). '*'
+ * matches any run of characters and '?' a single one.
+ * Selective restores (--only) take exact table or collection names instead.
+ */
+
+const SCHEMA_PREFIX = 'schema:';
+
+/**
+ * Parse one --include/--exclude pattern
+ * @param {string} value - Pattern (e.g. 'audit_*', 'public.events', 'schema:reporting')
+ * @returns {{kind: 'schema'|'table', pattern: string}} Parsed pattern
+ * @throws {Error} If the pattern is empty
+ */
+export function parseFilterPattern(value) {
+  const text = String(value).trim();
+  const isSchema = text.startsWith(SCHEMA_PREFIX);
+  const pattern = isSchema ? text.slice(SCHEMA_PREFIX.length).trim() : text;
+
+  if (!pattern) {
+    throw new Error(`Invalid filter pattern: '${value}'`);
+  }
+  if (isSchema && pattern.includes('.')) {
+    throw new Error(
+      `Invalid filter pattern: '${value}' (schema patterns cannot contain '.')`
+    );
+  }
+  return { kind: isSchema ? 'schema' : 'table', pattern };
+}
+
+/**
+ * Get the filters set in provider options
+ * @param {Object} options - Provider-specific options
+ * @param {string[]} [options.include] - Patterns to back up
+ * @param {string[]} [options.exclude] - Patterns to leave out
+ * @returns {{include: string[], exclude: string[]}|null} Filters, or null if
+ *   the whole database is backed up
+ */
+export function getFilters(options = {}) {
+  const include = options.include || [];
+  const exclude = options.exclude || [];
+  if (include.length === 0 && exclude.length === 0) {
+    return null;
+  }
+  return { include: [...include], exclude: [...exclude] };
+}
+
+/**
+ * Split the filters in provider options by kind
+ * @param {Object} options - Provider-specific options (see getFilters)
+ * @returns {{includeSchemas: string[], excludeSchemas: string[], includeTables: string[], excludeTables: string[]}}
+ *   Patterns without their 'schema:' prefix
+ * @throws {Error} If a pattern is invalid
+ */
+export function splitFilters(options = {}) {
+  const split = {
+    includeSchemas: [],
+    excludeSchemas: [],
+    includeTables: [],
+    excludeTables: [],
+  };
+  for (const [direction, values] of [
+    ['include', options.include || []],
+    ['exclude', options.exclude || []],
+  ]) {
+    for (const value of values) {
+      const { kind, pattern } = parseFilterPattern(value);
+      const key = `${direction}${kind === 'schema' ? 'Schemas' : 'Tables'}`;
+      split[key].push(pattern);
+    }
+  }
+  return split;
+}
+
+/**
+ * Check whether a pattern contains wildcards
+ * @param {string} pattern - Filter pattern
+ * @returns {boolean} True if the pattern uses '*' or '?'
+ */
+export function hasWildcards(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Check whether a name matches a filter pattern
+ * @param {string} name - Table, collection or schema name
+ * @param {string} pattern - Filter pattern
+ * @returns {boolean} True if the whole name matches
+ */
+export function matchesPattern(name, pattern) {
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Describe filters for logs and the catalog
+ * @param {{include: string[], exclude: string[]}|null} filters - Filters
+ * @returns {string} e.g. 'include schema:reporting; exclude audit_*'
+ */
+export function describeFilters(filters) {
+  if (!filters) {
+    return 'none (whole database)';
+  }
+  return [
+    filters.include.length > 0 && `include ${filters.include.join(', ')}`,
+    filters.exclude.length > 0 && `exclude ${filters.exclude.join(', ')}`,
+  ]
+    .filter(Boolean)
+    .join('; ');
+}
+
+/**
+ * Reject filters for backups that always hold everything
+ * @param {Object} options - Provider-specific options
+ * @param {string} what - Kind of backup for the message (e.g. 'SQLite backups')
+ * @throws {Error} If include or exclude patterns are set
+ */
+export function assertNoFilters(options, what) {
+  if (getFilters(options)) {
+    throw new Error(`${what} cannot be filtered; remove --include/--exclude`);
+  }
+}
+
+/**
+ * Parse a table or collection name given to --only
+ * @param {string} value - Name, optionally qualified with its schema or
+ *   database (e.g. 'users', 'public.users', 'shop.orders')
+ * @returns {{schema: string|null, name: string}} Parsed name
+ * @throws {Error} If the name is empty or uses wildcards
+ */
+export function parseTableName(value) {
+  const text = String(value).trim();
+  const dot = text.indexOf('.');
+  const schema = dot === -1 ? null : text.slice(0, dot);
+  const name = dot === -1 ? text : text.slice(dot + 1);
+
+  if (!name || schema === '' || hasWildcards(text)) {
+    throw new Error(
+      `Invalid table name: '${value}' (--only takes exact names, e.g. public.users)`
+    );
+  }
+  return { schema, name };
+}
+
+/**
+ * Format a parsed table name
+ * @param {{schema: string|null, name: string}} table - Parsed name
+ * @returns {string} 'schema.name', or the name alone
+ */
+export function formatTableName(table) {
+  return table.schema ? `${table.schema}.${table.name}` : table.name;
+}
+
+/**
+ * Check whether a table matches a name given to --only
+ * Names without a schema match the table in any schema.
+ * @param {{schema: string|null, name: string}} wanted - Parsed --only name
+ * @param {{schema: string|null, name: string}} table - Table found in a dump
+ * @returns {boolean} True if the table was asked for
+ */
+export function matchesTable(wanted, table) {
+  return (
+    wanted.name === table.name &&
+    (!wanted.schema || wanted.schema === table.schema)
+  );
+}
+
+/**
+ * Reject selective restores for backups that can only be restored whole
+ * @param {Object} options - Provider-specific restore options
+ * @param {string} what - Kind of backup for the message (e.g. 'SQLite snapshots')
+ * @throws {Error} If --only is set
+ */
+export function assertFullRestore(options, what) {
+  if (options.only?.length > 0) {
+    throw new Error(`${what} can only be restored whole; remove --only`);
+  }
+}
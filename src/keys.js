@@ -0,0 +1,316 @@
+import { promises as fs } from 'fs';
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes,
+  scrypt,
+} from 'crypto';
+import { promisify } from 'util';
+import { getAbsolutePath, readJsonFile } from './utils.js';
+
+let generateKeyPair;
+try {
+  const pqHelper = await import('@profullstack/post-quantum-helper');
+  generateKeyPair =
+    pqHelper.generateKeyPair || pqHelper.default?.generateKeyPair;
+} catch {
+  // encrypt.js already warns when the helper is missing
+}
+
+/**
+ * Known post-quantum KEM key sizes in bytes, used to name the algorithm of
+ * key files that do not record it
+ */
+const KEY_SIZES = [
+  { algorithm: 'ML-KEM-512', publicKey: 800, privateKey: 1632 },
+  { algorithm: 'ML-KEM-768', publicKey: 1184, privateKey: 2400 },
+  { algorithm: 'ML-KEM-1024', publicKey: 1568, privateKey: 3168 },
+];
+
+/**
+ * Passphrase protection: scrypt derives an AES-256-GCM key that seals the
+ * private key. N = 2^17 takes about half a second and 128 MiB of memory.
+ */
+const PASSPHRASE_KDF = { kdf: 'scrypt', N: 2 ** 17, r: 8, p: 1 };
+const PASSPHRASE_CIPHER = 'aes-256-gcm';
+
+/**
+ * Environment variable read for the key file passphrase
+ */
+export const PASSPHRASE_ENV = 'QDB_KEY_PASSPHRASE';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Decode a key as stored in keys.json (base64 or hex string)
+ * @param {string|Object} key - Key value
+ * @returns {Buffer} Raw key bytes (the JSON text for non-string keys)
+ */
+export function decodeKey(key) {
+  if (typeof key !== 'string') {
+    return Buffer.from(JSON.stringify(key));
+  }
+  if (/^[0-9a-f]+$/i.test(key) && key.length % 2 === 0) {
+    return Buffer.from(key, 'hex');
+  }
+  return Buffer.from(key, 'base64');
+}
+
+/**
+ * Get the short fingerprint of a public key
+ * The first 8 bytes of the SHA-256 of the raw key, as colon-separated hex.
+ * @param {string|Object} publicKey - Public key
+ * @returns {string} Fingerprint (e.g. '3f2a:9c1e:77b0:d4e5')
+ */
+export function getKeyFingerprint(publicKey) {
+  const hex = createHash('sha256')
+    .update(decodeKey(publicKey))
+    .digest('hex')
+    .slice(0, 16);
+  return hex.match(/.{4}/g).join(':');
+}
+
+/**
+ * Describe a key file: algorithm, key sizes and fingerprint
+ * @param {Object} keys - Parsed key file
+ * @returns {{algorithm: string, publicKeySize: number|null, privateKeySize: number|null, fingerprint: string|null, createdAt: string|null, protected: boolean}}
+ *   Key details (sizes in bytes; null for a missing or protected half)
+ */
+export function describeKeys(keys) {
+  const publicKeySize = keys.publicKey
+    ? decodeKey(keys.publicKey).length
+    : null;
+  const privateKeySize = keys.privateKey
+    ? decodeKey(keys.privateKey).length
+    : null;
+  const known = KEY_SIZES.find(
+    (sizes) =>
+      sizes.publicKey === publicKeySize || sizes.privateKey === privateKeySize
+  );
+
+  return {
+    algorithm: keys.algorithm || known?.algorithm || 'unknown',
+    publicKeySize,
+    privateKeySize,
+    fingerprint: keys.publicKey ? getKeyFingerprint(keys.publicKey) : null,
+    createdAt: keys.createdAt || null,
+    protected: isProtected(keys),
+  };
+}
+
+/**
+ * Check whether a key file's private key is passphrase-protected
+ * @param {Object} keys - Parsed key file
+ * @returns {boolean} True if the private key is encrypted
+ */
+export function isProtected(keys) {
+  return Boolean(keys.encryptedPrivateKey);
+}
+
+/**
+ * Derive the key that seals a private key
+ * @param {string} passphrase - Passphrase
+ * @param {Object} params - KDF parameters and base64 salt
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+function derivePassphraseKey(passphrase, { N, r, p, salt }) {
+  return scryptAsync(passphrase, Buffer.from(salt, 'base64'), 32, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+}
+
+/**
+ * Encrypt the private key of a key file with a passphrase
+ * The public key is bound to the ciphertext, so it cannot be swapped for
+ * another key without the passphrase check failing.
+ * @param {Object} keys - Key file with a plaintext private key
+ * @param {string} passphrase - Passphrase (must not be empty)
+ * @returns {Promise<Object>} Key file with encryptedPrivateKey instead of privateKey
+ * @throws {Error} If there is no private key, it is already protected or
+ *   the passphrase is empty
+ */
+export async function protectKeys(keys, passphrase) {
+  if (isProtected(keys)) {
+    throw new Error('The private key is already passphrase-protected');
+  }
+  if (!keys.privateKey) {
+    throw new Error('The key file does not contain a private key to protect');
+  }
+  if (!passphrase) {
+    throw new Error('The passphrase must not be empty');
+  }
+
+  const params = {
+    ...PASSPHRASE_KDF,
+    salt: randomBytes(16).toString('base64'),
+  };
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(
+    PASSPHRASE_CIPHER,
+    await derivePassphraseKey(passphrase, params),
+    iv
+  );
+  cipher.setAAD(Buffer.from(keys.publicKey || ''));
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(keys.privateKey)),
+    cipher.final(),
+  ]);
+
+  const protectedKeys = {
+    ...keys,
+    encryptedPrivateKey: {
+      ...params,
+      cipher: PASSPHRASE_CIPHER,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64'),
+    },
+  };
+  delete protectedKeys.privateKey;
+  return protectedKeys;
+}
+
+/**
+ * Decrypt the private key of a passphrase-protected key file
+ * @param {Object} keys - Key file with encryptedPrivateKey
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Key file with a plaintext private key
+ * @throws {Error} If the passphrase is wrong or the key file was modified
+ */
+export async function unprotectKeys(keys, passphrase) {
+  const sealed = keys.encryptedPrivateKey;
+  if (!sealed) {
+    throw new Error('The private key is not passphrase-protected');
+  }
+  if (sealed.kdf !== 'scrypt' || sealed.cipher !== PASSPHRASE_CIPHER) {
+    throw new Error(
+      `Unsupported key protection: ${sealed.kdf} ${sealed.cipher}`
+    );
+  }
+
+  let privateKey;
+  try {
+    const decipher = createDecipheriv(
+      PASSPHRASE_CIPHER,
+      await derivePassphraseKey(passphrase || '', sealed),
+      Buffer.from(sealed.iv, 'base64')
+    );
+    decipher.setAAD(Buffer.from(keys.publicKey || ''));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    privateKey = JSON.parse(
+      Buffer.concat([
+        decipher.update(Buffer.from(sealed.ciphertext, 'base64')),
+        decipher.final(),
+      ]).toString('utf-8')
+    );
+  } catch {
+    throw new Error('Wrong passphrase, or the key file has been modified');
+  }
+
+  const unprotected = { ...keys, privateKey };
+  delete unprotected.encryptedPrivateKey;
+  return unprotected;
+}
+
+/**
+ * Generate a new post-quantum key pair
+ * @returns {Promise<{algorithm: string, createdAt: string, publicKey: string, privateKey: string}>}
+ *   Key file contents
+ */
+export async function generateKeys() {
+  if (!generateKeyPair) {
+    throw new Error('@profullstack/post-quantum-helper is not available');
+  }
+
+  const keyPair = await generateKeyPair();
+  const keys = {
+    publicKey: keyPair.publicKey,
+    privateKey: keyPair.privateKey,
+  };
+
+  return {
+    algorithm: keyPair.algorithm || describeKeys(keys).algorithm,
+    createdAt: new Date().toISOString(),
+    ...keys,
+  };
+}
+
+/**
+ * Get the public half of a key file
+ * @param {Object} keys - Parsed key file
+ * @returns {Object} Key file without the private key
+ */
+export function toPublicKeys(keys) {
+  const publicKeys = {
+    ...keys,
+    fingerprint: getKeyFingerprint(keys.publicKey),
+  };
+  delete publicKeys.privateKey;
+  delete publicKeys.encryptedPrivateKey;
+  return publicKeys;
+}
+
+/**
+ * Load the public keys of additional backup recipients
+ * @param {string[]} keyFiles - Paths to key files (public-key-only files are enough)
+ * @returns {Promise<string[]>} Recipient public keys
+ * @throws {Error} If a file cannot be read or has no public key
+ */
+export async function loadRecipientKeys(keyFiles = []) {
+  const publicKeys = [];
+
+  for (const keyFile of keyFiles) {
+    const keys = await readJsonFile(getAbsolutePath(keyFile));
+    if (!keys.publicKey) {
+      throw new Error(`Recipient ${keyFile} does not contain a publicKey`);
+    }
+    publicKeys.push(keys.publicKey);
+  }
+
+  return publicKeys;
+}
+
+/**
+ * Write a key file, by default readable only by the owner (0600)
+ * Overwriting replaces the file atomically, so an interrupted write never
+ * leaves a truncated key file behind.
+ * @param {string} filePath - Output path
+ * @param {Object} keys - Key file contents
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.force=false] - Overwrite an existing file
+ * @param {number} [options.mode=0o600] - File permissions
+ * @returns {Promise<void>}
+ * @throws {Error} If the file exists and force is not set
+ */
+export async function writeKeyFile(
+  filePath,
+  keys,
+  { force = false, mode = 0o600 } = {}
+) {
+  const writePath = force ? `${filePath}.${process.pid}.tmp` : filePath;
+
+  try {
+    await fs.writeFile(writePath, `${JSON.stringify(keys, null, 2)}\n`, {
+      mode,
+      flag: 'wx',
+    });
+    await fs.chmod(writePath, mode);
+    if (force) {
+      await fs.rename(writePath, filePath);
+    }
+  } catch (error) {
+    if (force) {
+      await fs.unlink(writePath).catch(() => {});
+    }
+    if (error.code === 'EEXIST') {
+      throw new Error(
+        `${filePath} already exists. Use --force to overwrite it.`
+      );
+    }
+    throw new Error(`Failed to write key file: ${error.message}`);
+  }
+}
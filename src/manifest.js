@@ -0,0 +1,186 @@
+import { promises as fs, createReadStream } from 'fs';
+import { createHash } from 'crypto';
+import { PassThrough } from 'stream';
+import os from 'os';
+import path from 'path';
+import { URL } from 'url';
+import { readJsonFile } from './utils.js';
+import { getFilters } from './filters.js';
+
+/**
+ * Name of the manifest entry inside backup archives
+ */
+export const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Current manifest format version
+ */
+export const MANIFEST_VERSION = 1;
+
+let qdbVersion;
+
+/**
+ * Get the installed qdb version from package.json
+ * @returns {Promise<string>} Version string
+ */
+export async function getQdbVersion() {
+  if (!qdbVersion) {
+    const pkg = await readJsonFile(new URL('../package.json', import.meta.url));
+    qdbVersion = pkg.version;
+  }
+  return qdbVersion;
+}
+
+/**
+ * Get the database host a backup was taken from, without credentials
+ * @param {Object} options - Provider options (host or uri)
+ * @returns {string|null} Host name(s), or null if unknown
+ */
+export function getSourceHost(options = {}) {
+  if (options.host) {
+    return options.port ? `${options.host}:${options.port}` : options.host;
+  }
+  if (options.uri) {
+    // Strip scheme, credentials, path and query: mongodb://user:pw@h1,h2/db
+    const match = options.uri.match(/^[a-z+]+:\/\/(?:[^@/]*@)?([^/?]+)/i);
+    return match ? match[1] : null;
+  }
+  return null;
+}
+
+/**
+ * Create a pass-through stream that hashes the data flowing through it
+ * Call digest() after the stream has ended.
+ * @returns {PassThrough & {digest: function(): {size: number, sha256: string}}}
+ *   Hashing stream
+ */
+export function createHashStream() {
+  const hash = createHash('sha256');
+  let size = 0;
+
+  const stream = new PassThrough({
+    transform(chunk, _encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    },
+  });
+
+  stream.digest = () => ({ size, sha256: hash.digest('hex') });
+  return stream;
+}
+
+/**
+ * Compute the SHA-256 checksum and size of a file
+ * @param {string} filePath - Path to file
+ * @returns {Promise<{size: number, sha256: string}>} Size and hex checksum
+ */
+export async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  let size = 0;
+
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+
+  return { size, sha256: hash.digest('hex') };
+}
+
+/**
+ * Build a backup manifest
+ * @param {Object} details - Backup details
+ * @param {Object} details.provider - Provider instance
+ * @param {string} details.dbName - Database name used for the backup
+ * @param {Object} details.providerOptions - Provider options used for the dump
+ * @param {Array<{name: string, size: number, sha256: string}>} details.entries
+ *   Archive entries, dump file first
+ * @param {Object} [details.extra] - Provider-specific metadata
+ * @returns {Promise<Object>} Manifest object
+ */
+export async function createManifest({
+  provider,
+  dbName,
+  providerOptions = {},
+  entries,
+  extra = {},
+}) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    qdbVersion: await getQdbVersion(),
+    provider: provider.name,
+    dbName,
+    database: providerOptions.database || dbName,
+    format: provider.getDumpFormat(providerOptions),
+    toolVersion: await provider.getVersion(),
+    createdAt: new Date().toISOString(),
+    sourceHost: getSourceHost(providerOptions),
+    hostname: os.hostname(),
+    dumpFile: entries[0].name,
+    entries,
+    // Only partial backups record the --include/--exclude patterns they used
+    ...(getFilters(providerOptions) && {
+      filters: getFilters(providerOptions),
+    }),
+    ...extra,
+  };
+}
+
+/**
+ * Read the manifest from an extracted archive directory
+ * @param {string} dir - Directory the archive was extracted to
+ * @returns {Promise<Object|null>} Manifest, or null for backups without one
+ */
+export async function readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_NAME);
+  try {
+    await fs.access(manifestPath);
+  } catch {
+    return null;
+  }
+
+  const manifest = await readJsonFile(manifestPath);
+  if (manifest.manifestVersion > MANIFEST_VERSION) {
+    throw new Error(
+      `Backup manifest version ${manifest.manifestVersion} is newer than this qdb supports`
+    );
+  }
+  return manifest;
+}
+
+/**
+ * Check extracted archive entries against the manifest checksums
+ * @param {Object} manifest - Backup manifest
+ * @param {string} dir - Directory the archive was extracted to
+ * @returns {Promise<string[]>} Problems found (empty if all entries match)
+ */
+export async function verifyManifestEntries(manifest, dir) {
+  const problems = [];
+
+  for (const entry of manifest.entries || []) {
+    // Entry names come from the archive; never follow them outside dir
+    const entryPath = path.resolve(dir, entry.name);
+    if (!entryPath.startsWith(path.resolve(dir) + path.sep)) {
+      problems.push(`${entry.name}: invalid entry path`);
+      continue;
+    }
+
+    let actual;
+    try {
+      actual = await hashFile(entryPath);
+    } catch {
+      problems.push(`${entry.name}: missing from archive`);
+      continue;
+    }
+
+    if (actual.size !== entry.size) {
+      problems.push(
+        `${entry.name}: size mismatch (expected ${entry.size}, got ${actual.size})`
+      );
+    } else if (actual.sha256 !== entry.sha256) {
+      problems.push(`${entry.name}: SHA-256 checksum mismatch`);
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,271 @@
+import http from 'http';
+import https from 'https';
+import { URL } from 'url';
+import { applySmtpConfig, sendNotificationEmail } from './email.js';
+import { renderEmail, TEMPLATE_PLACEHOLDERS } from './templates.js';
+
+/**
+ * Events a notification channel can subscribe to
+ */
+export const NOTIFY_EVENTS = ['success', 'failure', 'digest'];
+
+/**
+ * Payload formats for webhook channels
+ */
+export const WEBHOOK_FORMATS = ['raw', 'slack', 'teams'];
+
+/**
+ * Channels subscribe to failures unless they list their own events
+ */
+const DEFAULT_EVENTS = ['failure'];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Labels of the values shown as fields in Slack and Teams messages, for
+ * the values that are placeholders of the event
+ */
+const FIELD_LABELS = {
+  database: 'Database',
+  provider: 'Provider',
+  profile: 'Profile',
+  step: 'Failed step',
+  error: 'Error',
+  outcome: 'Backup',
+  filename: 'File',
+  size: 'Size',
+  checksum: 'SHA-256',
+  total: 'Backups',
+  succeeded: 'Succeeded',
+  failed: 'Failed',
+  summary: 'Summary',
+  host: 'Host',
+  duration: 'Duration',
+};
+
+const EVENT_STYLES = {
+  success: { emoji: '✅', color: '#2eb67d' },
+  failure: { emoji: '❌', color: '#e01e5a' },
+  digest: { emoji: '📊', color: '#1d9bd1' },
+};
+
+/**
+ * Describe a channel for log messages, without secrets in webhook URLs
+ * @param {Object} channel - Notification channel
+ * @returns {string} Label
+ */
+function describeChannel(channel) {
+  if (channel.type === 'webhook') {
+    try {
+      return `${channel.format || 'raw'} webhook ${new URL(channel.url).host}`;
+    } catch {
+      return 'webhook (invalid URL)';
+    }
+  }
+  return `email ${channel.to || ''}`.trim();
+}
+
+/**
+ * Check the notifications list from config
+ * @param {Array<Object>} notifications - notifications from config
+ * @returns {string[]} Problems found
+ */
+export function validateNotifications(notifications) {
+  if (notifications == null) {
+    return [];
+  }
+  if (!Array.isArray(notifications)) {
+    return ['Notifications must be a list of channels'];
+  }
+
+  const errors = [];
+  notifications.forEach((channel, index) => {
+    const label = `Notification ${index + 1}`;
+    if (!['email', 'webhook'].includes(channel.type)) {
+      errors.push(`${label}: type must be email or webhook`);
+    }
+    if (channel.type === 'webhook') {
+      if (!channel.url) {
+        errors.push(`${label}: url is required`);
+      }
+      if (channel.format && !WEBHOOK_FORMATS.includes(channel.format)) {
+        errors.push(
+          `${label}: unknown format ${channel.format} (use ${WEBHOOK_FORMATS.join(', ')})`
+        );
+      }
+    }
+    for (const event of channel.on || []) {
+      if (!NOTIFY_EVENTS.includes(event)) {
+        errors.push(`${label}: unknown event ${event}`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Build the JSON body of a webhook
+ * @param {string} format - 'raw', 'slack' or 'teams'
+ * @param {string} event - 'success', 'failure' or 'digest'
+ * @param {Object} values - Event values
+ * @param {string} title - Rendered template subject
+ * @returns {Object} Payload
+ */
+export function buildWebhookPayload(format, event, values, title) {
+  const { emoji, color } = EVENT_STYLES[event];
+  const fields = Object.entries(FIELD_LABELS)
+    .filter(([name]) => TEMPLATE_PLACEHOLDERS[event].includes(name))
+    .filter(([name]) => values[name] != null && values[name] !== '')
+    .map(([name, label]) => ({ label, value: String(values[name]) }));
+
+  switch (format) {
+    case 'slack':
+      return {
+        text: `${emoji} ${title}`,
+        attachments: [
+          {
+            color,
+            fields: fields.map(({ label, value }) => ({
+              title: label,
+              value,
+              short: value.length <= 40,
+            })),
+          },
+        ],
+      };
+    case 'teams':
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        themeColor: color.slice(1),
+        summary: title,
+        title: `${emoji} ${title}`,
+        sections: [
+          {
+            facts: fields.map(({ label, value }) => ({ name: label, value })),
+          },
+        ],
+      };
+    default:
+      return { event: `backup.${event}`, title, ...values };
+  }
+}
+
+/**
+ * POST a JSON payload
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON body
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<number>} Response status code
+ * @throws {Error} On network errors, timeouts and non-2xx responses
+ */
+async function postJson(url, payload, headers = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  const body = JSON.stringify(payload);
+
+  const response = await new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...headers,
+        },
+      },
+      resolve
+    );
+    req.setTimeout(WEBHOOK_TIMEOUT_MS, () =>
+      req.destroy(new Error(`timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s`))
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  // Drain the response so the connection is released
+  for await (const _chunk of response) {
+    // discard
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw new Error(`HTTP ${response.statusCode} ${response.statusMessage}`);
+  }
+  return response.statusCode;
+}
+
+/**
+ * Send one notification
+ * @param {Object} channel - Notification channel
+ * @param {string} event - Event name
+ * @param {Object} values - Event values
+ * @param {Object} config - Merged configuration (email, smtp, emailTemplates)
+ * @param {Object} [transporter] - Optional custom mail transporter
+ * @returns {Promise<void>}
+ */
+async function notifyChannel(channel, event, values, config, transporter) {
+  const rendered = renderEmail(event, values, config.emailTemplates);
+
+  if (channel.type === 'webhook') {
+    await postJson(
+      channel.url,
+      buildWebhookPayload(
+        channel.format || 'raw',
+        event,
+        values,
+        rendered.subject
+      ),
+      channel.headers
+    );
+    return;
+  }
+
+  const to = channel.to || config.email;
+  if (!to) {
+    throw new Error('no recipient (set "to" or defaultEmail)');
+  }
+  if (!transporter) {
+    applySmtpConfig(config.smtp);
+  }
+  await sendNotificationEmail({ to, ...rendered, transporter });
+}
+
+/**
+ * Notify every channel subscribed to an event
+ * Failures are logged and returned, never thrown, so a broken channel cannot
+ * hide the outcome of the backup itself.
+ * @param {Object} config - Merged configuration from mergeConfig()
+ * @param {string} event - 'success', 'failure' or 'digest'
+ * @param {Object} values - Template values for the event
+ * @param {Object} [options] - Options
+ * @param {Object} [options.transporter] - Optional custom mail transporter
+ * @returns {Promise<Array<{channel: string, ok: boolean, error?: string}>>}
+ *   Outcome per channel
+ */
+export async function sendNotifications(
+  config,
+  event,
+  values,
+  { transporter } = {}
+) {
+  const channels = (config.notifications || []).filter((channel) =>
+    (channel.on || DEFAULT_EVENTS).includes(event)
+  );
+  const eventValues = { timestamp: new Date().toISOString(), ...values };
+
+  const results = [];
+  for (const channel of channels) {
+    const label = describeChannel(channel);
+    try {
+      await notifyChannel(channel, event, eventValues, config, transporter);
+      console.log(`🔔 Sent ${event} notification: ${label}`);
+      results.push({ channel: label, ok: true });
+    } catch (error) {
+      console.warn(
+        `⚠️  ${event} notification failed (${label}): ${error.message}`
+      );
+      results.push({ channel: label, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,197 @@
+import { promises as fs, createReadStream } from 'fs';
+import { createHash, randomUUID } from 'crypto';
+import path from 'path';
+import { hashFile } from './manifest.js';
+import { readJsonFile } from './utils.js';
+
+/**
+ * Suffix of the parts manifest sent with every part
+ */
+export const PARTS_MANIFEST_SUFFIX = '.parts.json';
+
+/**
+ * Get the file name of one part
+ * @param {string} filename - Name of the whole file
+ * @param {number} index - Part number, starting at 1
+ * @returns {string} Part name (e.g. 'backup.zip.encrypted.part002')
+ */
+export function getPartName(filename, index) {
+  return `${filename}.part${String(index).padStart(3, '0')}`;
+}
+
+/**
+ * Describe how a file is split into parts
+ * Reads the file once to checksum the whole file and every part.
+ * @param {string} filePath - File to split
+ * @param {number} partSize - Maximum part size in bytes
+ * @returns {Promise<Object>} Parts manifest: backupId, filename, size,
+ *   sha256, partSize and parts ({name, offset, size, sha256} each)
+ */
+export async function createPartsManifest(filePath, partSize) {
+  const filename = path.basename(filePath);
+  const whole = createHash('sha256');
+  const parts = [];
+  let part = null;
+  let offset = 0;
+
+  for await (let chunk of createReadStream(filePath)) {
+    whole.update(chunk);
+    while (chunk.length > 0) {
+      if (!part) {
+        part = {
+          name: getPartName(filename, parts.length + 1),
+          offset,
+          size: 0,
+          hash: createHash('sha256'),
+        };
+      }
+      const piece = chunk.subarray(0, partSize - part.size);
+      part.hash.update(piece);
+      part.size += piece.length;
+      offset += piece.length;
+      chunk = chunk.subarray(piece.length);
+
+      if (part.size === partSize) {
+        parts.push(part);
+        part = null;
+      }
+    }
+  }
+  if (part) {
+    parts.push(part);
+  }
+
+  return {
+    backupId: randomUUID(),
+    filename,
+    size: offset,
+    sha256: whole.digest('hex'),
+    partSize,
+    parts: parts.map(({ hash, ...rest }) => ({
+      ...rest,
+      sha256: hash.digest('hex'),
+    })),
+  };
+}
+
+/**
+ * Find parts manifests among files and directories
+ * @param {string[]} paths - Part files, manifests or directories
+ * @returns {Promise<string[]>} Manifest paths
+ */
+async function findPartsManifests(paths) {
+  const manifests = new Set();
+
+  for (const inputPath of paths) {
+    const stats = await fs.stat(inputPath);
+    const dir = stats.isDirectory() ? inputPath : path.dirname(inputPath);
+    const names = stats.isDirectory()
+      ? await fs.readdir(dir)
+      : [path.basename(inputPath)];
+
+    for (const name of names) {
+      if (name.endsWith(PARTS_MANIFEST_SUFFIX)) {
+        manifests.add(path.join(dir, name));
+      }
+    }
+    // A part file brings its manifest from the same directory
+    const partMatch = !stats.isDirectory() && names[0].match(/^(.+)\.part\d+$/);
+    if (partMatch) {
+      manifests.add(path.join(dir, `${partMatch[1]}${PARTS_MANIFEST_SUFFIX}`));
+    }
+  }
+
+  return [...manifests];
+}
+
+/**
+ * Rebuild a file from its parts
+ * Each part is checked before it is appended and the whole file is checked
+ * against the manifest checksum before it is moved into place.
+ * @param {string} manifestPath - Parts manifest
+ * @param {string} [outputPath] - Output file (default: original name next to the parts)
+ * @returns {Promise<{outputPath: string, backupId: string, parts: number, size: number}>}
+ *   Joined file details
+ * @throws {Error} Naming missing or corrupted parts, or a whole-file mismatch
+ */
+export async function joinParts(manifestPath, outputPath) {
+  const manifest = await readJsonFile(manifestPath);
+  const dir = path.dirname(manifestPath);
+  const output = outputPath || path.join(dir, path.basename(manifest.filename));
+
+  // Check every part first so all problems are reported at once
+  const problems = [];
+  for (const part of manifest.parts) {
+    let actual;
+    try {
+      actual = await hashFile(path.join(dir, path.basename(part.name)));
+    } catch {
+      problems.push(`${part.name}: missing`);
+      continue;
+    }
+    if (actual.size !== part.size || actual.sha256 !== part.sha256) {
+      problems.push(`${part.name}: checksum mismatch`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(
+      `Cannot join backup ${manifest.backupId}: ${problems.join('; ')}`
+    );
+  }
+
+  const partialPath = `${output}.partial`;
+  try {
+    const handle = await fs.open(partialPath, 'w', 0o600);
+    try {
+      for (const part of manifest.parts) {
+        const partPath = path.join(dir, path.basename(part.name));
+        for await (const chunk of createReadStream(partPath)) {
+          await handle.write(chunk);
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+
+    const joined = await hashFile(partialPath);
+    if (joined.size !== manifest.size || joined.sha256 !== manifest.sha256) {
+      throw new Error('whole-file SHA-256 checksum mismatch');
+    }
+    await fs.rename(partialPath, output);
+  } catch (error) {
+    await fs.unlink(partialPath).catch(() => {});
+    throw new Error(`Join failed: ${error.message}`);
+  }
+
+  return {
+    outputPath: output,
+    backupId: manifest.backupId,
+    parts: manifest.parts.length,
+    size: manifest.size,
+  };
+}
+
+/**
+ * Rebuild every split backup found in the given paths
+ * @param {string[]} paths - Part files, manifests or directories
+ * @param {string} [outputPath] - Output file (only with a single backup)
+ * @returns {Promise<Array<Object>>} Result of joinParts() per backup
+ * @throws {Error} If no manifest is found or a join fails
+ */
+export async function joinBackups(paths, outputPath) {
+  const manifests = await findPartsManifests(paths);
+  if (manifests.length === 0) {
+    throw new Error(
+      `No parts manifest (*${PARTS_MANIFEST_SUFFIX}) found. Save it from any of the part emails next to the parts.`
+    );
+  }
+  if (outputPath && manifests.length > 1) {
+    throw new Error('--output can only be used when joining a single backup');
+  }
+
+  const results = [];
+  for (const manifestPath of manifests) {
+    results.push(await joinParts(manifestPath, outputPath));
+  }
+  return results;
+}
@@ -0,0 +1,96 @@
+import { promises as fs, createReadStream } from 'fs';
+import { createGunzip } from 'zlib';
+
+const HEAD_BYTES = 64 * 1024;
+const TAIL_BYTES = 4 * 1024;
+
+/**
+ * Read a byte range from a file
+ * @param {string} filePath - Path to file
+ * @param {number} position - Start offset
+ * @param {number} length - Maximum number of bytes to read
+ * @returns {Promise<Buffer>} Bytes read
+ */
+export async function readRange(filePath, position, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Sanity-check a plain SQL dump without loading it anywhere
+ * @param {string} dumpPath - Path to the SQL dump
+ * @param {Object} expectations - What a complete dump looks like
+ * @param {RegExp} [expectations.header] - Pattern the start must match
+ * @param {RegExp} [expectations.footer] - Pattern the end must match
+ * @returns {Promise<string>} Description of what was checked
+ * @throws {Error} If the dump is empty, binary, or looks truncated
+ */
+export async function checkSqlDump(dumpPath, { header, footer } = {}) {
+  const { size } = await fs.stat(dumpPath);
+  if (size === 0) {
+    throw new Error('Dump file is empty');
+  }
+
+  const head = await readRange(dumpPath, 0, HEAD_BYTES);
+  if (head.includes(0)) {
+    throw new Error('Dump file is not a plain-text SQL dump');
+  }
+
+  const headText = head.toString('utf-8');
+  if (header && !header.test(headText)) {
+    throw new Error(`Dump header not found (expected ${header})`);
+  }
+  if (!/;\s*$/m.test(headText)) {
+    throw new Error('No SQL statements found at the start of the dump');
+  }
+
+  if (footer) {
+    const tailStart = Math.max(0, size - TAIL_BYTES);
+    const tail = await readRange(dumpPath, tailStart, TAIL_BYTES);
+    if (!footer.test(tail.toString('utf-8'))) {
+      throw new Error(
+        'Dump completion marker not found; the dump looks truncated'
+      );
+    }
+  }
+
+  if (footer) {
+    return 'SQL header and completion marker present';
+  }
+  return header ? 'SQL header present' : 'SQL statements present';
+}
+
+/**
+ * Check a gzip file decompresses cleanly and starts with the expected bytes
+ * @param {string} filePath - Path to gzip file
+ * @param {Buffer} [magic] - Expected leading bytes of the decompressed data
+ * @returns {Promise<number>} Decompressed size in bytes
+ * @throws {Error} If the file is corrupt or the magic bytes do not match
+ */
+export async function checkGzipFile(filePath, magic) {
+  let size = 0;
+  let head = Buffer.alloc(0);
+
+  const gunzip = createGunzip();
+  createReadStream(filePath)
+    .on('error', (error) => gunzip.destroy(error))
+    .pipe(gunzip);
+
+  for await (const chunk of gunzip) {
+    if (head.length < (magic?.length || 0)) {
+      head = Buffer.concat([head, chunk]);
+    }
+    size += chunk.length;
+  }
+
+  if (magic && !head.subarray(0, magic.length).equals(magic)) {
+    throw new Error('Unexpected file signature after decompression');
+  }
+  return size;
+}
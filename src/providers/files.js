@@ -0,0 +1,76 @@
+import { promises as fs, constants, createReadStream } from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import os from 'os';
+import path from 'path';
+import { generateTimestamp } from '../utils.js';
+
+/**
+ * Stream a snapshot that its tool can only write to a file
+ * The snapshot goes to a private temporary directory first. It is unlinked as
+ * soon as it is open, so it disappears once the stream is closed.
+ * @param {function(string): Promise<void>} writeSnapshot - Writes the
+ *   snapshot to the given path
+ * @returns {Promise<{stream: import('stream').Readable, completed: Promise<string>}>}
+ *   Snapshot stream and a promise that settles once it has been read
+ */
+export async function streamSnapshotFile(writeSnapshot) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-snapshot-'));
+  try {
+    const snapshotPath = path.join(tempDir, 'snapshot');
+    await writeSnapshot(snapshotPath);
+
+    const stream = createReadStream(snapshotPath);
+    await once(stream, 'open');
+    const completed = finished(stream).then(() => '');
+    return { stream, completed };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Replace a file atomically, keeping the previous one
+ * The source is copied next to the target and renamed over it, so the target
+ * is always either the old or the new file. An existing target is kept as
+ * <target>.<timestamp>.bak and its permissions carry over.
+ * @param {string} sourcePath - New contents
+ * @param {string} targetPath - File to replace (created if missing)
+ * @returns {Promise<string|null>} Path the previous file was kept at, or null
+ *   if there was none
+ */
+export async function replaceFile(sourcePath, targetPath) {
+  const previous = await fs.stat(targetPath).catch((error) => {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  });
+
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  const tempPath = `${targetPath}.qdb-restore-${process.pid}`;
+  try {
+    await fs.copyFile(sourcePath, tempPath, constants.COPYFILE_EXCL);
+    await fs.chmod(tempPath, previous ? previous.mode & 0o777 : 0o600);
+    const handle = await fs.open(tempPath, 'r');
+    await handle.sync();
+    await handle.close();
+
+    let keptPath = null;
+    if (previous) {
+      // A hard link keeps the old file without a moment where target is missing
+      keptPath = `${targetPath}.${generateTimestamp()}.bak`;
+      await fs
+        .link(targetPath, keptPath)
+        .catch(() =>
+          fs.copyFile(targetPath, keptPath, constants.COPYFILE_EXCL)
+        );
+    }
+
+    await fs.rename(tempPath, targetPath);
+    return keptPath;
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
@@ -2,6 +2,8 @@ import supabaseProvider from './supabase.js';
 import mongodbProvider from './mongodb.js';
 import mysqlProvider from './mysql.js';
 import postgresProvider from './postgres.js';
+import sqliteProvider from './sqlite.js';
+import redisProvider from './redis.js';
 
 /**
  * Registry of all available database providers
@@ -14,10 +16,12 @@ providers.set('mongodb', mongodbProvider);
 providers.set('mysql', mysqlProvider);
 providers.set('postgres', postgresProvider);
 providers.set('postgresql', postgresProvider); // Alias for postgres
+providers.set('sqlite', sqliteProvider);
+providers.set('redis', redisProvider);
 
 /**
  * Get a provider by name
- * @param {string} name - Provider name (e.g., 'supabase', 'mongodb', 'mysql', 'postgres')
+ * @param {string} name - Provider name (e.g., 'supabase', 'mongodb', 'mysql', 'postgres', 'sqlite', 'redis')
  * @returns {Object} Provider instance
  * @throws {Error} If provider not found
  */
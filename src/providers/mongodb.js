@@ -1,7 +1,19 @@
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
+import { createReadStream } from 'fs';
+import { PassThrough } from 'stream';
 import { promisify } from 'util';
+import { spawnDumpStream } from './process.js';
+import { checkGzipFile } from './checks.js';
+import { ARCHIVE_MAGIC, formatOplogTimestamp, readOplogEnd } from './oplog.js';
+import { getFilters, parseTableName, splitFilters } from '../filters.js';
+
+/**
+ * Dump format of consistent snapshots that include the oplog
+ */
+export const OPLOG_FORMAT = 'archive-gzip+oplog';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 /**
  * MongoDB database provider
@@ -26,34 +38,118 @@ export class MongoDBProvider {
     }
   }
 
+  /**
+   * Build mongodump arguments
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @param {string} [outputPath] - Archive path; omitted to dump to stdout
+   * @returns {string[]} mongodump arguments
+   */
+  getDumpArgs(options = {}, outputPath) {
+    const { uri, database, oplog } = options;
+
+    if (!uri) {
+      throw new Error('MongoDB URI is required');
+    }
+
+    const namespaceArgs = this.getNamespaceArgs(options);
+
+    // mongodump creates a directory, so we'll use --archive to create a single file
+    return [
+      `--uri=${uri}`,
+      // --oplog only works for a dump of every database
+      ...(oplog
+        ? ['--oplog']
+        : namespaceArgs || (database ? [`--db=${database}`] : [])),
+      outputPath ? `--archive=${outputPath}` : '--archive',
+      '--gzip',
+    ];
+  }
+
+  /**
+   * Build --nsInclude/--nsExclude arguments from filter patterns
+   * Collection patterns without a database are qualified with
+   * options.database (any database if none is set); schema patterns select
+   * whole databases. Only the * wildcard is supported.
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @returns {string[]|null} Namespace arguments, or null without filters
+   * @throws {Error} If filters are combined with oplog
+   */
+  getNamespaceArgs(options = {}) {
+    if (!getFilters(options)) {
+      return null;
+    }
+    if (options.oplog) {
+      throw new Error('--oplog dumps every database and cannot be filtered');
+    }
+
+    const { includeSchemas, excludeSchemas, includeTables, excludeTables } =
+      splitFilters(options);
+    const qualify = (pattern) =>
+      pattern.includes('.') ? pattern : `${options.database || '*'}.${pattern}`;
+    const include = [
+      ...includeSchemas.map((name) => `${name}.*`),
+      ...includeTables.map(qualify),
+    ];
+    const exclude = [
+      ...excludeSchemas.map((name) => `${name}.*`),
+      ...excludeTables.map(qualify),
+    ];
+    // Exclusions alone still only dump the selected database
+    if (include.length === 0 && options.database) {
+      include.push(`${options.database}.*`);
+    }
+
+    return [
+      ...include.map((namespace) => `--nsInclude=${namespace}`),
+      ...exclude.map((namespace) => `--nsExclude=${namespace}`),
+    ];
+  }
+
+  /**
+   * Get the manifest fields describing an oplog dump
+   * @param {Promise<{t: number, i: number}|null>} oplogEnd - Last captured
+   *   oplog entry
+   * @returns {Promise<Object>} oplogEnd ('<seconds>:<ordinal>') and
+   *   oplogEndTime (ISO), both null if no entry was captured
+   */
+  async getOplogDetails(oplogEnd) {
+    const ts = await oplogEnd;
+    return {
+      oplogEnd: ts ? formatOplogTimestamp(ts) : null,
+      oplogEndTime: ts ? new Date(ts.t * 1000).toISOString() : null,
+    };
+  }
+
+  /**
+   * Get provider-specific manifest fields for a dump file
+   * @param {string} dumpPath - Dump archive
+   * @param {Object} options - Provider-specific options
+   * @returns {Promise<Object>} Oplog end for --oplog dumps, else nothing
+   */
+  async getManifestDetails(dumpPath, options = {}) {
+    if (!options.oplog) {
+      return {};
+    }
+    return this.getOplogDetails(readOplogEnd(createReadStream(dumpPath)));
+  }
+
   /**
    * Create a database dump
    * @param {string} outputPath - Path where dump archive should be saved
    * @param {Object} options - Provider-specific options
    * @param {string} options.uri - MongoDB connection URI
-   * @param {string} options.database - Database name
+   * @param {string} options.database - Database name (ignored with oplog)
+   * @param {boolean} [options.oplog] - Dump every database as a consistent
+   *   snapshot, capturing the oplog written during the dump
+   * @param {string[]} [options.include] - Collections and databases to dump
+   * @param {string[]} [options.exclude] - Collections and databases to leave out
    * @returns {Promise<void>}
    */
   async createDump(outputPath, options = {}) {
     try {
-      const { uri, database } = options;
-      
-      if (!uri) {
-        throw new Error('MongoDB URI is required');
-      }
+      const args = this.getDumpArgs(options, outputPath);
 
-      // mongodump creates a directory, so we'll use --archive to create a single file
-      const cmd = [
-        'mongodump',
-        `--uri="${uri}"`,
-        database ? `--db="${database}"` : '',
-        `--archive="${outputPath}"`,
-        '--gzip',
-      ]
-        .filter(Boolean)
-        .join(' ');
-
-      const { stderr } = await execAsync(cmd, {
+      const { stderr } = await execFileAsync('mongodump', args, {
         maxBuffer: 50 * 1024 * 1024,
       });
 
@@ -65,6 +161,70 @@ export class MongoDBProvider {
     }
   }
 
+  /**
+   * Create a database dump as a stream, without writing to disk
+   * With options.oplog the archive is also scanned as it streams, and
+   * details resolves with the manifest fields of getOplogDetails().
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @returns {{stream: import('stream').Readable, completed: Promise<string>, details?: Promise<Object>}}
+   *   mongodump archive output and a promise that settles when it exits
+   */
+  createDumpStream(options = {}) {
+    const dump = spawnDumpStream('mongodump', this.getDumpArgs(options));
+    return options.oplog ? this.scanOplogDump(dump) : dump;
+  }
+
+  /**
+   * Scan a streaming --oplog dump for the end of its oplog
+   * The dump output is copied to the scanner. If the scan fails, the rest of
+   * the copy is discarded so the dump keeps flowing, and details rejects.
+   * @param {{stream: import('stream').Readable, completed: Promise<string>}} dump
+   *   mongodump output, see spawnDumpStream()
+   * @returns {{stream: import('stream').Readable, completed: Promise<string>, details: Promise<Object>}}
+   *   Dump output and its manifest fields
+   */
+  scanOplogDump(dump) {
+    const output = new PassThrough();
+    const scanned = new PassThrough();
+    dump.stream.pipe(output);
+    dump.stream.pipe(scanned);
+    // Stop mongodump when the backup pipeline gives up on the output
+    output.once('close', () => dump.stream.destroy());
+
+    const details = this.getOplogDetails(
+      readOplogEnd(scanned).catch((error) => {
+        dump.stream.unpipe(scanned);
+        scanned.destroy();
+        throw error;
+      })
+    );
+    details.catch(() => {});
+    return { stream: output, completed: dump.completed, details };
+  }
+
+  /**
+   * Get the version of the dump tool
+   * @returns {Promise<string|null>} First line of `mongodump --version`, or null
+   */
+  async getVersion() {
+    try {
+      const { stdout } = await execAsync('mongodump --version');
+      return stdout.trim().split('\n')[0];
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the dump format recorded in backup manifests
+   * @param {Object} options - Provider-specific options
+   * @returns {string} 'archive-gzip+oplog' for --oplog dumps, else
+   *   'archive-gzip'
+   */
+  getDumpFormat(options = {}) {
+    return options.oplog ? OPLOG_FORMAT : 'archive-gzip';
+  }
+
   /**
    * Get the file extension for dumps
    * @returns {string} File extension
@@ -109,6 +269,70 @@ export class MongoDBProvider {
     };
   }
 
+  /**
+   * Check that a dump archive is readable without restoring it
+   * Always checks gzip integrity and the archive signature; with a URI it
+   * also runs `mongorestore --dryRun` against that server.
+   * @param {string} dumpPath - Path to the dump archive
+   * @param {Object} options - Provider-specific options
+   * @param {string} [options.uri] - MongoDB connection URI for --dryRun
+   * @returns {Promise<string>} Description of what was checked
+   * @throws {Error} If the archive is corrupt
+   */
+  async verifyDump(dumpPath, options = {}) {
+    const size = await checkGzipFile(dumpPath, ARCHIVE_MAGIC);
+    if (!options.uri) {
+      return `gzip stream and archive signature valid (${size} bytes uncompressed)`;
+    }
+
+    try {
+      await execFileAsync(
+        'mongorestore',
+        [`--uri=${options.uri}`, `--archive=${dumpPath}`, '--gzip', '--dryRun'],
+        { maxBuffer: 50 * 1024 * 1024 }
+      );
+      return 'archive signature valid and mongorestore --dryRun succeeded';
+    } catch (error) {
+      throw new Error(`mongorestore --dryRun failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build mongorestore arguments
+   * @param {string} dumpPath - Path to the dump file
+   * @param {Object} options - Provider-specific options (see restoreFromDump)
+   * @returns {string[]} mongorestore arguments
+   * @throws {Error} If the URI is missing or the options do not go together
+   */
+  getRestoreArgs(dumpPath, options = {}) {
+    const {
+      uri,
+      database,
+      drop = false,
+      oplogReplay = false,
+      oplogLimit,
+    } = options;
+
+    if (!uri) {
+      throw new Error('MongoDB URI is required for restore');
+    }
+    if (oplogLimit && !oplogReplay) {
+      throw new Error('An oplog limit needs a backup made with --oplog');
+    }
+    const namespaceArgs = this.getRestoreNamespaceArgs(options);
+
+    return [
+      `--uri=${uri}`,
+      ...(namespaceArgs ||
+        (database && !oplogReplay ? [`--db=${database}`] : [])),
+      ...(drop ? ['--drop'] : []),
+      ...(oplogReplay ? ['--oplogReplay'] : []),
+      ...(oplogLimit ? [`--oplogLimit=${oplogLimit}`] : []),
+      `--archive=${dumpPath}`,
+      '--gzip',
+    ];
+  }
+
   /**
    * Restore a database from a dump file
    * @param {string} dumpPath - Path to the dump file
@@ -116,28 +340,20 @@ export class MongoDBProvider {
    * @param {string} options.uri - MongoDB connection URI
    * @param {string} options.database - Database name
    * @param {boolean} options.drop - Drop existing collections before restore
+   * @param {boolean} [options.oplogReplay] - Replay the oplog captured by an
+   *   --oplog dump (restores every database; database is ignored)
+   * @param {string} [options.oplogLimit] - Only replay oplog entries before
+   *   this '<seconds>[:<ordinal>]' timestamp
+   * @param {string[]} [options.only] - Only restore these collections (see
+   *   getRestoreNamespaceArgs)
+   * @param {string} [options.into] - Database to restore the collections into
    * @returns {Promise<void>}
    */
   async restoreFromDump(dumpPath, options = {}) {
     try {
-      const { uri, database, drop = false } = options;
+      const args = this.getRestoreArgs(dumpPath, options);
 
-      if (!uri) {
-        throw new Error('MongoDB URI is required for restore');
-      }
-
-      const cmd = [
-        'mongorestore',
-        `--uri="${uri}"`,
-        database ? `--db="${database}"` : '',
-        drop ? '--drop' : '',
-        `--archive="${dumpPath}"`,
-        '--gzip',
-      ]
-        .filter(Boolean)
-        .join(' ');
-
-      const { stderr } = await execAsync(cmd, {
+      const { stderr } = await execFileAsync('mongorestore', args, {
         maxBuffer: 50 * 1024 * 1024,
       });
 
@@ -148,6 +364,44 @@ export class MongoDBProvider {
       throw new Error(`MongoDB restore failed: ${error.message}`);
     }
   }
+
+  /**
+   * Build mongorestore arguments for a selective restore
+   * Collections without a database are looked up in options.sourceDatabase,
+   * the database the backup was made from. With options.into they are
+   * renamed into that database with --nsFrom/--nsTo.
+   * @param {Object} options - Provider-specific options (see restoreFromDump)
+   * @param {string} [options.sourceDatabase] - Database the backup was made
+   *   from
+   * @returns {string[]|null} Namespace arguments, or null to restore
+   *   everything
+   * @throws {Error} If a collection's database is unknown, or the oplog is
+   *   to be replayed
+   */
+  getRestoreNamespaceArgs(options = {}) {
+    if (!(options.only?.length > 0)) {
+      return null;
+    }
+    if (options.oplogReplay) {
+      throw new Error('The oplog cannot be replayed for a selective restore');
+    }
+
+    return options.only.map(parseTableName).flatMap(({ schema, name }) => {
+      const database = schema || options.sourceDatabase;
+      if (!database) {
+        throw new Error(
+          `Qualify ${name} with the database it was backed up from (e.g. shop.${name})`
+        );
+      }
+      const namespace = `${database}.${name}`;
+      return [
+        `--nsInclude=${namespace}`,
+        ...(options.into
+          ? [`--nsFrom=${namespace}`, `--nsTo=${options.into}.${name}`]
+          : []),
+      ];
+    });
+  }
 }
 
 // Export a singleton instance
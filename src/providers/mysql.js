@@ -1,7 +1,43 @@
-import { exec } from 'child_process';
+import { exec, execFile, spawn } from 'child_process';
+import { promises as fs } from 'fs';
 import { promisify } from 'util';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { spawnDumpStream } from './process.js';
+import { checkSqlDump, readRange } from './checks.js';
+import { extractTables } from './sqlextract.js';
+import {
+  formatTableName,
+  hasWildcards,
+  matchesPattern,
+  parseTableName,
+  splitFilters,
+} from '../filters.js';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/**
+ * Dump format of full dumps that record their binary log position
+ */
+export const BINLOG_FORMAT = 'sql+binlog';
+
+// The position comment written by --source-data=2 (or --master-data=2)
+const BINLOG_POSITION_PATTERN =
+  /^-- CHANGE (?:MASTER|REPLICATION SOURCE) TO (?:MASTER|SOURCE)_LOG_FILE='([^']+)', (?:MASTER|SOURCE)_LOG_POS=(\d+)/m;
+
+/**
+ * Format a date as local time for mysqlbinlog --stop-datetime
+ * @param {Date} date - Date to format
+ * @returns {string} 'YYYY-MM-DD HH:MM:SS' in the local time zone
+ */
+function formatLocalDateTime(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+  );
+}
 
 /**
  * MySQL database provider
@@ -26,6 +62,148 @@ export class MySQLProvider {
     }
   }
 
+  /**
+   * Build connection arguments shared by the MySQL client tools
+   * @param {Object} options - Provider-specific options (host, port, user, password)
+   * @returns {string[]} Connection arguments
+   */
+  getConnectionArgs(options = {}) {
+    const { host = 'localhost', port = 3306, user, password } = options;
+
+    if (!user) {
+      throw new Error('MySQL user is required');
+    }
+
+    return [
+      `--host=${host}`,
+      `--port=${port}`,
+      `--user=${user}`,
+      ...(password ? [`--password=${password}`] : []),
+    ];
+  }
+
+  /**
+   * Build mysqldump arguments
+   * Tables to dump and to leave out come from resolveTableFilters().
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @param {string} [outputPath] - Dump file path; omitted to dump to stdout
+   * @param {string} [sourceDataOption] - Option recording the binary log
+   *   position, used when options.binlog is set
+   * @returns {string[]} mysqldump arguments
+   */
+  getDumpArgs(options = {}, outputPath, sourceDataOption = '--source-data=2') {
+    const { user, database } = options;
+
+    if (!user || !database) {
+      throw new Error('MySQL user and database are required');
+    }
+
+    return [
+      ...this.getConnectionArgs(options),
+      '--single-transaction',
+      '--routines',
+      '--triggers',
+      '--events',
+      // Start a new binary log so the dump position is the start of a file
+      ...(options.binlog ? [sourceDataOption, '--flush-logs'] : []),
+      ...(options.ignoreTables || []).map(
+        (table) => `--ignore-table=${database}.${table}`
+      ),
+      ...(outputPath ? [`--result-file=${outputPath}`] : []),
+      database,
+      ...(options.tables || []),
+    ];
+  }
+
+  /**
+   * Turn include/exclude patterns into the table names mysqldump takes
+   * mysqldump has no wildcards, so patterns with * or ? are matched against
+   * the tables of the database. Patterns may be qualified with the database
+   * name; schema patterns are not supported, since a dump holds one database.
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @returns {Promise<Object>} Options with tables and ignoreTables set
+   * @throws {Error} If a filter cannot be applied
+   */
+  async resolveTableFilters(options = {}) {
+    const { includeSchemas, excludeSchemas, includeTables, excludeTables } =
+      splitFilters(options);
+    if (includeSchemas.length + excludeSchemas.length > 0) {
+      throw new Error(
+        'MySQL dumps a single database; filter tables instead of schemas'
+      );
+    }
+    if (includeTables.length + excludeTables.length === 0) {
+      return options;
+    }
+    if (options.binlog) {
+      throw new Error(
+        'Binary log replay needs every table; --binlog dumps cannot be filtered'
+      );
+    }
+
+    const { database } = options;
+    const unqualify = (pattern) => {
+      const [qualifier, table] = pattern.includes('.')
+        ? pattern.split(/\.(.*)/)
+        : [database, pattern];
+      if (qualifier !== database) {
+        throw new Error(`Table pattern ${pattern} is not in ${database}`);
+      }
+      return table;
+    };
+    const include = includeTables.map(unqualify);
+    const exclude = excludeTables.map(unqualify);
+
+    const existing = [...include, ...exclude].some(hasWildcards)
+      ? await this.listTables(options)
+      : null;
+    const resolve = (pattern) =>
+      existing && hasWildcards(pattern)
+        ? existing.filter((table) => matchesPattern(table, pattern))
+        : [pattern];
+
+    const tables = include.flatMap(resolve);
+    if (include.length > 0 && tables.length === 0) {
+      throw new Error(`No tables in ${database} match ${include.join(', ')}`);
+    }
+    return { ...options, tables, ignoreTables: exclude.flatMap(resolve) };
+  }
+
+  /**
+   * List the tables of the database
+   * @param {Object} options - Provider-specific options (connection, database)
+   * @returns {Promise<string[]>} Table names
+   */
+  async listTables(options = {}) {
+    const quoted = options.database.replace(/\\/g, '\\\\').replace(/'/g, "''");
+    const output = await this.runStatement(
+      `SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = '${quoted}'`,
+      options
+    );
+    return output.split('\n').filter(Boolean);
+  }
+
+  /**
+   * Get the mysqldump option that records the binary log position
+   * MySQL 8.0.26 renamed --master-data to --source-data; MariaDB and older
+   * MySQL versions only know --master-data.
+   * @returns {Promise<string>} '--source-data=2' or '--master-data=2'
+   */
+  async getSourceDataOption() {
+    const version = (await this.getVersion()) || '';
+    if (/MariaDB/i.test(version)) {
+      return '--master-data=2';
+    }
+    // 'Ver 8.0.33' (MySQL 8) or 'Ver 10.13 Distrib 5.7.42' (MySQL 5.7)
+    const match = version.match(/(?:Distrib |Ver )(\d+)\.(\d+)\.(\d+)/);
+    if (!match) {
+      return '--source-data=2';
+    }
+    const [major, minor, patch] = match.slice(1).map(Number);
+    const renamed = major > 8 || (major === 8 && (minor > 0 || patch >= 26));
+    return renamed ? '--source-data=2' : '--master-data=2';
+  }
+
   /**
    * Create a database dump
    * @param {string} outputPath - Path where dump file should be saved
@@ -35,39 +213,21 @@ export class MySQLProvider {
    * @param {string} options.user - MySQL user
    * @param {string} options.password - MySQL password
    * @param {string} options.database - Database name
+   * @param {boolean} [options.binlog] - Record the binary log position for
+   *   incremental restore
+   * @param {string[]} [options.include] - Tables to dump
+   * @param {string[]} [options.exclude] - Tables to leave out
    * @returns {Promise<void>}
    */
   async createDump(outputPath, options = {}) {
     try {
-      const {
-        host = 'localhost',
-        port = 3306,
-        user,
-        password,
-        database,
-      } = options;
+      const args = this.getDumpArgs(
+        await this.resolveTableFilters(options),
+        outputPath,
+        options.binlog ? await this.getSourceDataOption() : undefined
+      );
 
-      if (!user || !database) {
-        throw new Error('MySQL user and database are required');
-      }
-
-      const cmd = [
-        'mysqldump',
-        `--host=${host}`,
-        `--port=${port}`,
-        `--user=${user}`,
-        password ? `--password=${password}` : '',
-        '--single-transaction',
-        '--routines',
-        '--triggers',
-        '--events',
-        `--result-file=${outputPath}`,
-        database,
-      ]
-        .filter(Boolean)
-        .join(' ');
-
-      const { stderr } = await execAsync(cmd, {
+      const { stderr } = await execFileAsync('mysqldump', args, {
         maxBuffer: 50 * 1024 * 1024,
       });
 
@@ -79,6 +239,49 @@ export class MySQLProvider {
     }
   }
 
+  /**
+   * Create a database dump as a stream, without writing to disk
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @returns {Promise<{stream: import('stream').Readable, completed: Promise<string>}>}
+   *   mysqldump stdout and a promise that settles when mysqldump exits
+   */
+  async createDumpStream(options = {}) {
+    const sourceDataOption = options.binlog
+      ? await this.getSourceDataOption()
+      : undefined;
+    return spawnDumpStream(
+      'mysqldump',
+      this.getDumpArgs(
+        await this.resolveTableFilters(options),
+        undefined,
+        sourceDataOption
+      )
+    );
+  }
+
+  /**
+   * Get the version of the dump tool
+   * @returns {Promise<string|null>} First line of `mysqldump --version`, or null
+   */
+  async getVersion() {
+    try {
+      const { stdout } = await execAsync('mysqldump --version');
+      return stdout.trim().split('\n')[0];
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the dump format recorded in backup manifests
+   * @param {Object} options - Provider-specific options
+   * @returns {string} 'sql+binlog' for dumps that record their binary log
+   *   position, else 'sql'
+   */
+  getDumpFormat(options = {}) {
+    return options.binlog ? BINLOG_FORMAT : 'sql';
+  }
+
   /**
    * Get the file extension for dumps
    * @returns {string} File extension
@@ -144,6 +347,20 @@ export class MySQLProvider {
     };
   }
 
+  /**
+   * Check that a dump file is complete without restoring it
+   * @param {string} dumpPath - Path to the dump file
+   * @param {Object} _options - Provider-specific options (unused for MySQL)
+   * @returns {Promise<string>} Description of what was checked
+   * @throws {Error} If the dump is not a complete mysqldump file
+   */
+  async verifyDump(dumpPath, _options = {}) {
+    return checkSqlDump(dumpPath, {
+      header: /^-- (MySQL|MariaDB) dump/m,
+      footer: /-- Dump completed/,
+    });
+  }
+
   /**
    * Restore a database from a dump file
    * @param {string} dumpPath - Path to the dump file
@@ -153,9 +370,14 @@ export class MySQLProvider {
    * @param {string} options.user - MySQL user
    * @param {string} options.password - MySQL password
    * @param {string} options.database - Database name
+   * @param {string[]} [options.only] - Only restore these tables (see
+   *   selectTables)
+   * @param {string} [options.into] - Database to restore the tables into
+   *   instead; it is created if needed
    * @returns {Promise<void>}
    */
   async restoreFromDump(dumpPath, options = {}) {
+    const selectedPath = `${dumpPath}.selected.sql`;
     try {
       const {
         host = 'localhost',
@@ -163,20 +385,35 @@ export class MySQLProvider {
         user,
         password,
         database,
+        into,
       } = options;
 
       if (!user || !database) {
         throw new Error('MySQL user and database are required for restore');
       }
 
+      let sqlPath = dumpPath;
+      let target = database;
+      if (options.only?.length > 0) {
+        await this.selectTables(dumpPath, selectedPath, options);
+        sqlPath = selectedPath;
+        if (into) {
+          await this.runStatement(
+            `CREATE DATABASE IF NOT EXISTS \`${into.replace(/`/g, '``')}\``,
+            options
+          );
+          target = into;
+        }
+      }
+
       const cmd = [
         'mysql',
         `--host=${host}`,
         `--port=${port}`,
         `--user=${user}`,
         password ? `--password=${password}` : '',
-        database,
-        `< ${dumpPath}`,
+        target,
+        `< ${sqlPath}`,
       ]
         .filter(Boolean)
         .join(' ');
@@ -191,6 +428,192 @@ export class MySQLProvider {
       }
     } catch (error) {
       throw new Error(`MySQL restore failed: ${error.message}`);
+    } finally {
+      await fs.rm(selectedPath, { force: true });
+    }
+  }
+
+  /**
+   * Copy the statements for some tables out of a dump
+   * Each table's DROP TABLE, CREATE TABLE and INSERT statements are kept,
+   * so restoring replaces the table; its triggers are left out.
+   * @param {string} dumpPath - Path to the dump file
+   * @param {string} outputPath - File to write the statements to
+   * @param {Object} options - Provider-specific options
+   * @param {string[]} options.only - Table names, optionally qualified with
+   *   the database the backup was made from
+   * @param {string} [options.sourceDatabase] - Database the backup was made
+   *   from (default: options.database)
+   * @returns {Promise<void>}
+   * @throws {Error} If a table is not in the dump
+   */
+  async selectTables(dumpPath, outputPath, options = {}) {
+    const source = options.sourceDatabase || options.database;
+    const tables = options.only.map(parseTableName).map((table) => {
+      if (table.schema && table.schema !== source) {
+        throw new Error(
+          `Table ${formatTableName(table)} is not in the backup of ${source}`
+        );
+      }
+      return { schema: null, name: table.name };
+    });
+
+    const missing = await extractTables(dumpPath, outputPath, {
+      dialect: 'mysql',
+      tables,
+    });
+    if (missing.length > 0) {
+      throw new Error(
+        `Not found in the dump: ${missing.map(formatTableName).join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Read the binary log position a dump was taken at
+   * @param {string} dumpPath - Dump created with options.binlog
+   * @returns {Promise<{file: string, position: number}>} Binary log file and
+   *   position the dump is consistent with
+   * @throws {Error} If the dump does not record a position
+   */
+  async getDumpBinlogPosition(dumpPath) {
+    const head = (await readRange(dumpPath, 0, 64 * 1024)).toString('utf-8');
+    const match = head.match(BINLOG_POSITION_PATTERN);
+    if (!match) {
+      throw new Error(
+        'The dump does not record a binary log position (back up with --binlog)'
+      );
+    }
+    return { file: match[1], position: Number(match[2]) };
+  }
+
+  /**
+   * Run a statement with the mysql client
+   * @param {string} sql - Statement to run
+   * @param {Object} options - Provider-specific options (connection)
+   * @returns {Promise<string>} Tab-separated output without column names
+   */
+  async runStatement(sql, options = {}) {
+    const { stdout } = await execFileAsync('mysql', [
+      ...this.getConnectionArgs(options),
+      '--batch',
+      '--skip-column-names',
+      `--execute=${sql}`,
+    ]);
+    return stdout;
+  }
+
+  /**
+   * List the server's binary log files, oldest first
+   * The last file is the one the server is writing to.
+   * @param {Object} options - Provider-specific options (connection)
+   * @returns {Promise<string[]>} Binary log file names
+   */
+  async listBinaryLogs(options = {}) {
+    try {
+      const output = await this.runStatement('SHOW BINARY LOGS', options);
+      return output
+        .split('\n')
+        .map((line) => line.split('\t')[0].trim())
+        .filter(Boolean);
+    } catch (error) {
+      throw new Error(`Failed to list MySQL binary logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close the current binary log file and start a new one
+   * @param {Object} options - Provider-specific options (connection)
+   * @returns {Promise<void>}
+   */
+  async flushBinaryLogs(options = {}) {
+    try {
+      await this.runStatement('FLUSH BINARY LOGS', options);
+    } catch (error) {
+      throw new Error(`Failed to flush MySQL binary logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy one binary log file from the server, unchanged
+   * @param {string} name - Binary log file name
+   * @param {string} outputDir - Directory to write the file to
+   * @param {Object} options - Provider-specific options (connection)
+   * @returns {Promise<string>} Path of the copied file
+   */
+  async fetchBinaryLog(name, outputDir, options = {}) {
+    try {
+      await execFileAsync('mysqlbinlog', [
+        ...this.getConnectionArgs(options),
+        '--read-from-remote-server',
+        '--raw',
+        `--result-file=${outputDir}${path.sep}`,
+        name,
+      ]);
+      return path.join(outputDir, name);
+    } catch (error) {
+      throw new Error(`Failed to fetch binary log ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replay binary log files into the server
+   * Events are read from the dump position in the first file up to the
+   * stop position in the last file, or up to a time. Only events for the
+   * dumped database are applied, renamed if it is restored under another
+   * name.
+   * @param {string[]} files - Binary log files, in order
+   * @param {Object} replay - What to replay
+   * @param {number} replay.startPosition - Position in the first file
+   * @param {number} [replay.stopPosition] - Position in the last file
+   * @param {string} [replay.stopTime] - Stop at this time (ISO timestamp)
+   * @param {string} replay.sourceDatabase - Database the dump was taken of
+   * @param {Object} options - Provider-specific options (connection, database)
+   * @returns {Promise<void>}
+   */
+  async replayBinaryLogs(files, replay, options = {}) {
+    const { startPosition, stopPosition, stopTime, sourceDatabase } = replay;
+    const database = options.database || sourceDatabase;
+    const args = [
+      `--start-position=${startPosition}`,
+      ...(stopPosition ? [`--stop-position=${stopPosition}`] : []),
+      ...(stopTime
+        ? [`--stop-datetime=${formatLocalDateTime(new Date(stopTime))}`]
+        : []),
+      // Transactions from the dumped server already ran on a restored server
+      '--skip-gtids',
+      ...(database !== sourceDatabase
+        ? [`--rewrite-db=${sourceDatabase}->${database}`]
+        : []),
+      `--database=${database}`,
+      ...files,
+    ];
+
+    try {
+      const events = spawnDumpStream('mysqlbinlog', args);
+      const client = spawn('mysql', this.getConnectionArgs(options), {
+        stdio: ['pipe', 'ignore', 'pipe'],
+      });
+      let stderr = '';
+      client.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-4096);
+      });
+      const applied = new Promise((resolve, reject) => {
+        client.on('error', reject);
+        client.on('close', (code) =>
+          code === 0
+            ? resolve()
+            : reject(new Error(`mysql exited with code ${code}: ${stderr}`))
+        );
+      });
+
+      await Promise.all([
+        pipeline(events.stream, client.stdin),
+        events.completed,
+        applied,
+      ]);
+    } catch (error) {
+      throw new Error(`MySQL binary log replay failed: ${error.message}`);
     }
   }
 }
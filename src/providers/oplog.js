@@ -0,0 +1,193 @@
+import { createGunzip } from 'zlib';
+
+// Magic number at the start of every mongodump archive (0x8199e26d, LE)
+export const ARCHIVE_MAGIC = Buffer.from([0x6d, 0xe2, 0x99, 0x81]);
+
+// Ends the prelude and every namespace segment of an archive
+const TERMINATOR = -1;
+
+// Bytes needed to read an oplog entry's leading ts field
+const TS_BYTES = 16;
+
+// Fixed sizes of the BSON element types found in archive headers
+const FIXED_SIZES = {
+  0x01: 8, // double
+  0x07: 12, // ObjectId
+  0x08: 1, // boolean
+  0x09: 8, // UTC datetime
+  0x0a: 0, // null
+  0x10: 4, // int32
+  0x11: 8, // timestamp
+  0x12: 8, // int64
+  0x13: 16, // decimal128
+};
+
+/**
+ * Read the top-level string and boolean fields of a BSON document
+ * Enough for archive namespace headers ({db, collection, EOF, CRC}).
+ * @param {Buffer} doc - BSON document
+ * @returns {Object} Field values by name
+ */
+function readHeaderFields(doc) {
+  const fields = {};
+  let pos = 4;
+  while (pos < doc.length - 1) {
+    const type = doc[pos];
+    const keyEnd = doc.indexOf(0, pos + 1);
+    const key = doc.toString('utf-8', pos + 1, keyEnd);
+    pos = keyEnd + 1;
+
+    if (type === 0x02) {
+      const length = doc.readInt32LE(pos);
+      fields[key] = doc.toString('utf-8', pos + 4, pos + 4 + length - 1);
+      pos += 4 + length;
+    } else if (type === 0x08) {
+      fields[key] = doc[pos] === 1;
+      pos += 1;
+    } else if (type === 0x03 || type === 0x04) {
+      pos += doc.readInt32LE(pos);
+    } else if (type === 0x05) {
+      pos += 5 + doc.readInt32LE(pos);
+    } else if (type in FIXED_SIZES) {
+      pos += FIXED_SIZES[type];
+    } else {
+      break;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Read the ts field an oplog entry starts with
+ * @param {Buffer} head - First bytes of the oplog entry
+ * @returns {{t: number, i: number}|null} Seconds and ordinal, or null
+ */
+function readLeadingTimestamp(head) {
+  if (head[4] !== 0x11 || head.toString('latin1', 5, 8) !== 'ts\0') {
+    return null;
+  }
+  return { i: head.readUInt32LE(8), t: head.readUInt32LE(12) };
+}
+
+/**
+ * Find the last oplog entry captured in a gzipped mongodump archive
+ * The archive is scanned as it streams: only namespace headers and the first
+ * bytes of oplog entries are looked at, everything else is skipped.
+ * @param {import('stream').Readable} source - Archive created with --gzip
+ * @returns {Promise<{t: number, i: number}|null>} Timestamp of the last
+ *   oplog entry, or null if the archive holds none
+ * @throws {Error} If the stream is not a mongodump archive
+ */
+export async function readOplogEnd(source) {
+  let buffer = Buffer.alloc(0);
+  let magicSeen = false;
+  let expectHeader = true; // the prelude header comes first
+  let inOplog = false;
+  let skip = 0;
+  let last = null;
+
+  for await (const chunk of source.pipe(createGunzip())) {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+    let pos = 0;
+
+    for (;;) {
+      if (skip > 0) {
+        const skipped = Math.min(skip, buffer.length - pos);
+        skip -= skipped;
+        pos += skipped;
+        if (skip > 0) {
+          break;
+        }
+      }
+      if (buffer.length - pos < 4) {
+        break;
+      }
+      if (!magicSeen) {
+        if (!buffer.subarray(pos, pos + 4).equals(ARCHIVE_MAGIC)) {
+          throw new Error('Not a mongodump archive');
+        }
+        magicSeen = true;
+        pos += 4;
+        continue;
+      }
+
+      const length = buffer.readInt32LE(pos);
+      if (length === TERMINATOR) {
+        expectHeader = true;
+        pos += 4;
+        continue;
+      }
+      if (length < 5) {
+        throw new Error('Corrupt mongodump archive');
+      }
+
+      if (expectHeader) {
+        if (buffer.length - pos < length) {
+          break;
+        }
+        const header = readHeaderFields(buffer.subarray(pos, pos + length));
+        inOplog = header.collection === 'oplog' && !header.db && !header.EOF;
+        expectHeader = false;
+        pos += length;
+        continue;
+      }
+
+      if (inOplog) {
+        const needed = Math.min(length, TS_BYTES);
+        if (buffer.length - pos < needed) {
+          break;
+        }
+        last = readLeadingTimestamp(buffer.subarray(pos, pos + needed)) || last;
+      }
+      skip = length;
+    }
+
+    buffer = buffer.subarray(pos);
+  }
+
+  if (!magicSeen) {
+    throw new Error('Not a mongodump archive');
+  }
+  return last;
+}
+
+/**
+ * Format an oplog timestamp the way mongorestore --oplogLimit takes it
+ * @param {{t: number, i: number}} ts - Oplog timestamp
+ * @returns {string} '<seconds>:<ordinal>'
+ */
+export function formatOplogTimestamp(ts) {
+  return `${ts.t}:${ts.i}`;
+}
+
+/**
+ * Parse an --oplog-limit value
+ * @param {string} value - '<seconds>[:<ordinal>]' or a date (e.g.
+ *   '2024-10-06 14:30:00')
+ * @returns {string} Limit for mongorestore --oplogLimit
+ * @throws {Error} If the value is neither
+ */
+export function parseOplogLimit(value) {
+  if (/^\d+(:\d+)?$/.test(value)) {
+    return value;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(
+      `Invalid oplog limit: ${value} (use <seconds>[:<ordinal>] or a date)`
+    );
+  }
+  return `${Math.floor(date.getTime() / 1000)}:0`;
+}
+
+/**
+ * Compare two '<seconds>:<ordinal>' oplog timestamps
+ * @param {string} a - First timestamp
+ * @param {string} b - Second timestamp
+ * @returns {number} Negative, zero or positive like Array.prototype.sort
+ */
+export function compareOplogTimestamps(a, b) {
+  const [aSeconds, aOrdinal = 0] = a.split(':').map(Number);
+  const [bSeconds, bOrdinal = 0] = b.split(':').map(Number);
+  return aSeconds - bSeconds || aOrdinal - bOrdinal;
+}
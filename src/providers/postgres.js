@@ -1,7 +1,26 @@
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
+import { promises as fs, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import path from 'path';
 import { promisify } from 'util';
+import { spawnDumpStream } from './process.js';
+import { checkSqlDump } from './checks.js';
+import { extractTables } from './sqlextract.js';
+import {
+  assertNoFilters,
+  formatTableName,
+  matchesTable,
+  parseTableName,
+  splitFilters,
+} from '../filters.js';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/**
+ * Format recorded in manifests of pg_basebackup backups
+ */
+export const BASE_BACKUP_FORMAT = 'basebackup';
 
 /**
  * PostgreSQL database provider
@@ -26,6 +45,90 @@ export class PostgreSQLProvider {
     }
   }
 
+  /**
+   * Build pg_dump arguments
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @param {string} [outputPath] - Dump file path; omitted to dump to stdout
+   * @returns {{args: string[], env: Object}} Arguments and environment
+   */
+  getDumpCommand(options = {}, outputPath) {
+    const {
+      host = 'localhost',
+      port = 5432,
+      user,
+      password,
+      database,
+      format = 'custom', // custom format is compressed and suitable for pg_restore
+    } = options;
+
+    if (!user || !database) {
+      throw new Error('PostgreSQL user and database are required');
+    }
+
+    // Set PGPASSWORD environment variable for authentication
+    const env = {
+      ...process.env,
+      ...(password && { PGPASSWORD: password }),
+    };
+
+    // pg_dump takes the same wildcards (* and ?) as filter patterns
+    const { includeSchemas, excludeSchemas, includeTables, excludeTables } =
+      splitFilters(options);
+
+    const args = [
+      `--host=${host}`,
+      `--port=${port}`,
+      `--username=${user}`,
+      `--format=${format}`,
+      '--verbose',
+      '--no-owner',
+      '--no-acl',
+      ...includeSchemas.map((pattern) => `--schema=${pattern}`),
+      ...excludeSchemas.map((pattern) => `--exclude-schema=${pattern}`),
+      ...includeTables.map((pattern) => `--table=${pattern}`),
+      ...excludeTables.map((pattern) => `--exclude-table=${pattern}`),
+      ...(outputPath ? [`--file=${outputPath}`] : []),
+      database,
+    ];
+
+    return { args, env };
+  }
+
+  /**
+   * Build pg_basebackup arguments for a tar of the whole cluster on stdout
+   * WAL needed to make the copy consistent is fetched into the tar, so a
+   * base backup restores on its own; archived WAL then rolls it forward.
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @returns {{args: string[], env: Object}} Arguments and environment
+   */
+  getBaseBackupCommand(options = {}) {
+    const { host = 'localhost', port = 5432, user, password } = options;
+
+    if (!user) {
+      throw new Error('PostgreSQL user is required for base backups');
+    }
+    assertNoFilters(options, 'Base backups');
+
+    const env = {
+      ...process.env,
+      ...(password && { PGPASSWORD: password }),
+    };
+
+    const args = [
+      `--host=${host}`,
+      `--port=${port}`,
+      `--username=${user}`,
+      '--pgdata=-',
+      '--format=tar',
+      '--wal-method=fetch',
+      '--checkpoint=fast',
+      '--label=qdb',
+      '--no-password',
+    ];
+
+    return { args, env };
+  }
+
   /**
    * Create a database dump
    * @param {string} outputPath - Path where dump file should be saved
@@ -36,43 +139,30 @@ export class PostgreSQLProvider {
    * @param {string} options.password - PostgreSQL password
    * @param {string} options.database - Database name
    * @param {string} options.format - Dump format (custom, plain, directory, tar)
+   * @param {boolean} options.baseBackup - Take a pg_basebackup of the whole
+   *   cluster instead of a pg_dump of one database
+   * @param {string[]} [options.include] - Tables and schemas to dump
+   * @param {string[]} [options.exclude] - Tables and schemas to leave out
    * @returns {Promise<void>}
    */
   async createDump(outputPath, options = {}) {
-    try {
-      const {
-        host = 'localhost',
-        port = 5432,
-        user,
-        password,
-        database,
-        format = 'custom', // custom format is compressed and suitable for pg_restore
-      } = options;
-
-      if (!user || !database) {
-        throw new Error('PostgreSQL user and database are required');
+    if (options.baseBackup) {
+      try {
+        const { stream, completed } = this.createDumpStream(options);
+        await Promise.all([
+          pipeline(stream, createWriteStream(outputPath, { mode: 0o600 })),
+          completed,
+        ]);
+      } catch (error) {
+        throw new Error(`PostgreSQL base backup failed: ${error.message}`);
       }
+      return;
+    }
 
-      // Set PGPASSWORD environment variable for authentication
-      const env = {
-        ...process.env,
-        ...(password && { PGPASSWORD: password }),
-      };
-
-      const cmd = [
-        'pg_dump',
-        `--host=${host}`,
-        `--port=${port}`,
-        `--username=${user}`,
-        `--format=${format}`,
-        '--verbose',
-        '--no-owner',
-        '--no-acl',
-        `--file=${outputPath}`,
-        database,
-      ].join(' ');
+    try {
+      const { args, env } = this.getDumpCommand(options, outputPath);
 
-      const { stderr } = await execAsync(cmd, {
+      const { stderr } = await execFileAsync('pg_dump', args, {
         maxBuffer: 50 * 1024 * 1024,
         env,
       });
@@ -85,11 +175,56 @@ export class PostgreSQLProvider {
     }
   }
 
+  /**
+   * Create a database dump as a stream, without writing to disk
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @returns {{stream: import('stream').Readable, completed: Promise<string>}}
+   *   pg_dump stdout and a promise that settles when pg_dump exits
+   */
+  createDumpStream(options = {}) {
+    if (options.baseBackup) {
+      const { args, env } = this.getBaseBackupCommand(options);
+      return spawnDumpStream('pg_basebackup', args, { env });
+    }
+    const { args, env } = this.getDumpCommand(options);
+    return spawnDumpStream('pg_dump', args, { env });
+  }
+
+  /**
+   * Get the version of the dump tool
+   * @returns {Promise<string|null>} First line of `pg_dump --version`, or null
+   */
+  async getVersion() {
+    try {
+      const { stdout } = await execAsync('pg_dump --version');
+      return stdout.trim().split('\n')[0];
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the dump format recorded in backup manifests
+   * @param {Object} options - Provider-specific options
+   * @returns {string} pg_dump format (custom, plain, directory, tar), or
+   *   'basebackup' for pg_basebackup
+   */
+  getDumpFormat(options = {}) {
+    if (options.baseBackup) {
+      return BASE_BACKUP_FORMAT;
+    }
+    return options.format || 'custom';
+  }
+
   /**
    * Get the file extension for dumps
+   * @param {Object} [options] - Provider-specific options
    * @returns {string} File extension
    */
-  getFileExtension() {
+  getFileExtension(options = {}) {
+    if (options.baseBackup) {
+      return 'tar';
+    }
     return 'dump'; // custom format uses .dump extension
   }
 
@@ -150,6 +285,54 @@ export class PostgreSQLProvider {
     };
   }
 
+  /**
+   * Check that a dump file is readable without restoring it
+   * Custom and tar dumps are listed with pg_restore; plain dumps are parsed.
+   * @param {string} dumpPath - Path to the dump file
+   * @param {Object} options - Provider-specific options
+   * @param {string} options.format - Dump format recorded in the manifest
+   * @returns {Promise<string>} Description of what was checked
+   * @throws {Error} If the dump cannot be read
+   */
+  async verifyDump(dumpPath, options = {}) {
+    if (options.format === BASE_BACKUP_FORMAT) {
+      try {
+        const { stdout } = await execFileAsync('tar', ['-tf', dumpPath], {
+          maxBuffer: 50 * 1024 * 1024,
+        });
+        const files = stdout.split('\n').filter(Boolean);
+        if (
+          !files.some((name) => name.replace(/^\.\//, '') === 'backup_label')
+        ) {
+          throw new Error('backup_label not found');
+        }
+        return `tar listed ${files.length} files of a base backup`;
+      } catch (error) {
+        throw new Error(`Base backup check failed: ${error.message}`);
+      }
+    }
+
+    if (options.format === 'plain') {
+      return checkSqlDump(dumpPath, {
+        header: /^-- PostgreSQL database dump/m,
+        footer: /-- PostgreSQL database dump complete/,
+      });
+    }
+
+    try {
+      const args = ['--list', dumpPath];
+      const { stdout } = await execFileAsync('pg_restore', args, {
+        maxBuffer: 50 * 1024 * 1024,
+      });
+      const entries = stdout
+        .split('\n')
+        .filter((line) => line.trim() && !line.startsWith(';')).length;
+      return `pg_restore --list read ${entries} TOC entries`;
+    } catch (error) {
+      throw new Error(`pg_restore --list failed: ${error.message}`);
+    }
+  }
+
   /**
    * Restore a database from a dump file
    * @param {string} dumpPath - Path to the dump file
@@ -160,10 +343,18 @@ export class PostgreSQLProvider {
    * @param {string} options.password - PostgreSQL password
    * @param {string} options.database - Database name
    * @param {boolean} options.clean - Drop database objects before recreating
+   * @param {string[]} [options.only] - Only restore these tables (see
+   *   restoreTables)
+   * @param {string} [options.into] - Schema to restore the tables into
    * @returns {Promise<void>}
    */
   async restoreFromDump(dumpPath, options = {}) {
     try {
+      if (options.only?.length > 0) {
+        await this.restoreTables(dumpPath, options);
+        return;
+      }
+
       const {
         host = 'localhost',
         port = 5432,
@@ -213,6 +404,205 @@ export class PostgreSQLProvider {
       throw new Error(`PostgreSQL restore failed: ${error.message}`);
     }
   }
+
+  /**
+   * List the tables in a custom or tar dump
+   * @param {string} dumpPath - Path to the dump file
+   * @returns {Promise<{schema: string, name: string}[]>} Tables with data
+   *   or a definition in the dump
+   */
+  async listDumpTables(dumpPath) {
+    const { stdout } = await execFileAsync('pg_restore', ['--list', dumpPath], {
+      maxBuffer: 50 * 1024 * 1024,
+    });
+    return stdout
+      .split('\n')
+      .map((line) => line.match(/^\d+; \d+ \d+ TABLE (?:DATA )?(\S+) (\S+) /))
+      .filter(Boolean)
+      .map(([, schema, name]) => ({ schema, name }));
+  }
+
+  /**
+   * Restore some tables from a dump with pg_restore -t
+   * Like pg_restore -t, only the table definitions and data are restored,
+   * not their indexes, constraints or triggers, in a single transaction.
+   * pg_restore cannot rename tables, so with options.into its SQL output is
+   * moved to that schema and run with psql.
+   * @param {string} dumpPath - Path to the dump file
+   * @param {Object} options - Provider-specific options (see restoreFromDump)
+   * @returns {Promise<void>}
+   * @throws {Error} If a table is not in the dump, or the tables are in
+   *   different schemas
+   */
+  async restoreTables(dumpPath, options = {}) {
+    const {
+      host = 'localhost',
+      port = 5432,
+      user,
+      password,
+      database,
+      clean = false,
+      into,
+    } = options;
+
+    if (!user || !database) {
+      throw new Error('PostgreSQL user and database are required for restore');
+    }
+
+    const tables = options.only.map(parseTableName);
+    // -n applies to every -t, so tables can only come from one schema
+    const schemas = [...new Set(tables.map((table) => table.schema))];
+    if (schemas.length > 1) {
+      throw new Error(
+        'pg_restore -t cannot restore tables from different schemas at once; restore one schema at a time'
+      );
+    }
+    const available = await this.listDumpTables(dumpPath);
+    const missing = tables.filter(
+      (table) => !available.some((entry) => matchesTable(table, entry))
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Not found in the dump: ${missing.map(formatTableName).join(', ')}`
+      );
+    }
+
+    const env = {
+      ...process.env,
+      ...(password && { PGPASSWORD: password }),
+    };
+    const connectionArgs = [
+      `--host=${host}`,
+      `--port=${port}`,
+      `--username=${user}`,
+      `--dbname=${database}`,
+    ];
+    const selectArgs = [
+      '--no-owner',
+      '--no-acl',
+      ...(clean ? ['--clean', '--if-exists'] : []),
+      ...(schemas[0] ? [`--schema=${schemas[0]}`] : []),
+      ...tables.map((table) => `--table=${table.name}`),
+    ];
+
+    if (!into) {
+      await execFileAsync(
+        'pg_restore',
+        [...connectionArgs, '--single-transaction', ...selectArgs, dumpPath],
+        { maxBuffer: 50 * 1024 * 1024, env }
+      );
+      return;
+    }
+
+    const sqlPath = `${dumpPath}.tables.sql`;
+    const selectedPath = `${dumpPath}.selected.sql`;
+    try {
+      await execFileAsync('pg_restore', [
+        ...selectArgs,
+        `--file=${sqlPath}`,
+        dumpPath,
+      ]);
+      await extractTables(sqlPath, selectedPath, {
+        dialect: 'postgres',
+        tables,
+        into,
+      });
+      await execFileAsync(
+        'psql',
+        [
+          ...connectionArgs,
+          '--no-psqlrc',
+          '--set=ON_ERROR_STOP=1',
+          '--single-transaction',
+          `--file=${selectedPath}`,
+        ],
+        { maxBuffer: 50 * 1024 * 1024, env }
+      );
+    } finally {
+      await fs.rm(sqlPath, { force: true });
+      await fs.rm(selectedPath, { force: true });
+    }
+  }
+
+  /**
+   * Unpack a base backup into an empty data directory
+   * @param {string} tarPath - Base backup tar from pg_basebackup
+   * @param {string} pgdata - Data directory to create (must be empty or absent)
+   * @returns {Promise<string>} WAL file the base backup starts at
+   * @throws {Error} If the directory is not empty or the tar cannot be read
+   */
+  async restoreBaseBackup(tarPath, pgdata) {
+    try {
+      const existing = await fs.readdir(pgdata).catch((error) => {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      });
+      if (existing.length > 0) {
+        throw new Error(`${pgdata} is not empty`);
+      }
+
+      await fs.mkdir(pgdata, { recursive: true, mode: 0o700 });
+      await fs.chmod(pgdata, 0o700);
+      await execFileAsync('tar', ['-xf', tarPath, '-C', pgdata]);
+
+      return await this.getBackupStartWal(pgdata);
+    } catch (error) {
+      throw new Error(
+        `PostgreSQL base backup restore failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Read the first WAL file a base backup needs from its backup_label
+   * @param {string} pgdata - Data directory holding the base backup
+   * @returns {Promise<string>} WAL file name (e.g. '000000010000000000000002')
+   */
+  async getBackupStartWal(pgdata) {
+    const label = await fs.readFile(path.join(pgdata, 'backup_label'), 'utf-8');
+    const match = label.match(
+      /^START WAL LOCATION: .*\(file ([0-9A-F]{24})\)/m
+    );
+    if (!match) {
+      throw new Error('backup_label has no START WAL LOCATION');
+    }
+    return match[1];
+  }
+
+  /**
+   * Configure a data directory to replay archived WAL up to a point in time
+   * Writes recovery.signal and the recovery settings (PostgreSQL 12+); the
+   * server replays WAL and is promoted once it reaches the target.
+   * @param {string} pgdata - Data directory holding the base backup
+   * @param {Object} options - Recovery options
+   * @param {string} options.walDir - Directory with the decrypted WAL files
+   * @param {string} [options.targetTime] - Recovery target (ISO timestamp);
+   *   omitted to replay all archived WAL
+   * @returns {Promise<void>}
+   */
+  async writeRecoveryConfig(pgdata, { walDir, targetTime }) {
+    const quote = (value) => `'${value.replace(/'/g, "''")}'`;
+    const settings = [
+      '',
+      '# Added by qdb restore for point-in-time recovery',
+      `restore_command = ${quote(`cp "${path.resolve(walDir)}/%f" "%p"`)}`,
+      ...(targetTime
+        ? [
+            `recovery_target_time = ${quote(targetTime)}`,
+            "recovery_target_action = 'promote'",
+          ]
+        : []),
+      '',
+    ];
+
+    await fs.appendFile(
+      path.join(pgdata, 'postgresql.auto.conf'),
+      settings.join('\n')
+    );
+    await fs.writeFile(path.join(pgdata, 'recovery.signal'), '');
+  }
 }
 
 // Export a singleton instance
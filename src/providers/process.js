@@ -0,0 +1,40 @@
+import { spawn } from 'child_process';
+
+// Only the tail of stderr is kept for error messages
+const STDERR_LIMIT = 64 * 1024;
+
+/**
+ * Spawn a dump tool and expose its stdout as a stream
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} options - Options passed to child_process.spawn (e.g. env)
+ * @returns {{stream: import('stream').Readable, completed: Promise<string>}}
+ *   Dump output stream and a promise that resolves with stderr once the
+ *   process exits successfully
+ */
+export function spawnDumpStream(command, args, options = {}) {
+  const child = spawn(command, args, {
+    ...options,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-STDERR_LIMIT);
+  });
+
+  const completed = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve(stderr);
+        return;
+      }
+      const reason = signal ? `signal ${signal}` : `exit code ${code}`;
+      const detail = stderr.trim().split('\n').slice(-5).join('\n');
+      reject(new Error(`${command} failed with ${reason}: ${detail}`));
+    });
+  });
+
+  return { stream: child.stdout, completed };
+}
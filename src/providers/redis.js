@@ -0,0 +1,410 @@
+import { exec, execFile, spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import { pipeline } from 'stream/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { spawnDumpStream } from './process.js';
+import { readRange } from './checks.js';
+import { replaceFile, streamSnapshotFile } from './files.js';
+import { assertFullRestore, assertNoFilters } from '../filters.js';
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// RDB files start with 'REDIS' and a four-digit format version
+const RDB_HEADER_PATTERN = /^REDIS(\d{4})$/;
+
+// RDB files end with the EOF opcode followed by an 8-byte CRC64
+const RDB_EOF = 0xff;
+const RDB_CHECKSUM_BYTES = 8;
+
+// Files that make Redis load the append-only file instead of dump.rdb
+const AOF_NAMES = ['appendonlydir', 'appendonly.aof'];
+
+/**
+ * Redis database provider
+ * Uses redis-cli to pull RDB snapshots, and rdb-cli (librdb) to import them
+ */
+export class RedisProvider {
+  constructor() {
+    this.name = 'redis';
+    this.displayName = 'Redis';
+  }
+
+  /**
+   * Check if the provider is available
+   * @returns {Promise<boolean>} True if redis-cli is available
+   */
+  async isAvailable() {
+    try {
+      await execAsync('redis-cli --version');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Build redis-cli connection arguments and environment
+   * The password is passed in REDISCLI_AUTH, so it does not show up in the
+   * process list.
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @returns {{args: string[], env: Object}} Arguments and environment
+   */
+  getConnection(options = {}) {
+    const { host = 'localhost', port = 6379, user, password } = options;
+
+    const env = {
+      ...process.env,
+      ...(password && { REDISCLI_AUTH: password }),
+    };
+
+    const args = [
+      '-h',
+      host,
+      '-p',
+      String(port),
+      // ACL user (Redis 6+); without one, the password is for 'default'
+      ...(user ? ['--user', user] : []),
+    ];
+
+    return { args, env };
+  }
+
+  /**
+   * Get the database number to restore
+   * @param {Object} options - Provider-specific options
+   * @returns {number|null} Database number, or null for every database
+   * @throws {Error} If the database is not a number
+   */
+  getDatabaseNumber(options = {}) {
+    const { database } = options;
+    if (database === undefined || database === null || database === '') {
+      return null;
+    }
+    if (!/^\d+$/.test(String(database))) {
+      throw new Error(
+        `Redis database must be a number (e.g. 0), got: ${database}`
+      );
+    }
+    return Number(database);
+  }
+
+  /**
+   * Create a database dump
+   * redis-cli --rdb asks the server for a fresh RDB snapshot the way a
+   * replica does, so the server keeps serving while it is written. The
+   * snapshot always holds every database. With ACLs, the user needs the
+   * sync, psync and replconf commands.
+   * @param {string} outputPath - Path where the RDB file should be saved
+   * @param {Object} options - Provider-specific options
+   * @param {string} options.host - Redis host
+   * @param {number} options.port - Redis port
+   * @param {string} [options.user] - ACL user
+   * @param {string} [options.password] - Password of the user
+   * @returns {Promise<void>}
+   */
+  async createDump(outputPath, options = {}) {
+    try {
+      assertNoFilters(options, 'Redis snapshots');
+      const { args, env } = this.getConnection(options);
+
+      await execFileAsync('redis-cli', [...args, '--rdb', outputPath], {
+        maxBuffer: 50 * 1024 * 1024,
+        env,
+      });
+      await fs.chmod(outputPath, 0o600);
+    } catch (error) {
+      throw new Error(`Redis dump failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether redis-cli can write a snapshot to stdout
+   * `--rdb -` was added in redis-cli 7.0. An unknown version is assumed to
+   * support it.
+   * @returns {Promise<boolean>} True if the snapshot can be streamed
+   */
+  async canStreamSnapshot() {
+    const match = ((await this.getVersion()) || '').match(/(\d+)\.\d+\.\d+/);
+    return !match || Number(match[1]) >= 7;
+  }
+
+  /**
+   * Create a database dump as a stream
+   * The snapshot is streamed from `redis-cli --rdb -`. redis-cli before 7.0
+   * can only write it to a file, so it then goes through a private temporary
+   * file instead.
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @returns {Promise<{stream: import('stream').Readable, completed: Promise<string>}>}
+   *   Snapshot stream and a promise that resolves once redis-cli has finished
+   */
+  async createDumpStream(options = {}) {
+    assertNoFilters(options, 'Redis snapshots');
+    if (!(await this.canStreamSnapshot())) {
+      console.warn(
+        '⚠️  redis-cli before 7.0 cannot stream snapshots; writing it to a temporary file first'
+      );
+      return streamSnapshotFile((snapshotPath) =>
+        this.createDump(snapshotPath, options)
+      );
+    }
+
+    const { args, env } = this.getConnection(options);
+    return spawnDumpStream('redis-cli', [...args, '--rdb', '-'], { env });
+  }
+
+  /**
+   * Get the version of the dump tool
+   * @returns {Promise<string|null>} First line of `redis-cli --version`, or null
+   */
+  async getVersion() {
+    try {
+      const { stdout } = await execAsync('redis-cli --version');
+      return stdout.trim().split('\n')[0];
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the dump format recorded in backup manifests
+   * @returns {string} Dump format
+   */
+  getDumpFormat() {
+    return 'rdb';
+  }
+
+  /**
+   * Get the file extension for dumps
+   * @returns {string} File extension
+   */
+  getFileExtension() {
+    return 'rdb';
+  }
+
+  /**
+   * Get provider-specific configuration prompts
+   * @returns {Array} Array of inquirer prompt objects
+   */
+  getConfigPrompts() {
+    return [
+      {
+        type: 'input',
+        name: 'redisHost',
+        message: 'Redis host:',
+        default: 'localhost',
+      },
+      {
+        type: 'number',
+        name: 'redisPort',
+        message: 'Redis port:',
+        default: 6379,
+      },
+      {
+        type: 'input',
+        name: 'redisUser',
+        message: 'Redis ACL user (optional):',
+      },
+      {
+        type: 'password',
+        name: 'redisPassword',
+        message: 'Redis password (optional):',
+        mask: '*',
+      },
+    ];
+  }
+
+  /**
+   * Validate provider-specific configuration
+   * @param {Object} config - Configuration object
+   * @returns {Object} Validation result
+   */
+  validateConfig(config) {
+    const errors = [];
+    if (
+      config.redisPort !== undefined &&
+      !(Number.isInteger(config.redisPort) && config.redisPort > 0)
+    ) {
+      errors.push('Redis port must be a positive number');
+    }
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Check that an RDB file is complete without restoring it
+   * Checks the header and end marker; when redis-check-rdb is installed it
+   * also parses the file and checks its CRC64.
+   * @param {string} dumpPath - Path to the RDB file
+   * @returns {Promise<string>} Description of what was checked
+   * @throws {Error} If the file is not an RDB file or looks truncated
+   */
+  async verifyDump(dumpPath) {
+    const header = (await readRange(dumpPath, 0, 9)).toString('latin1');
+    const match = header.match(RDB_HEADER_PATTERN);
+    if (!match) {
+      throw new Error('Not a Redis RDB file');
+    }
+
+    const { size } = await fs.stat(dumpPath);
+    const eofOffset = size - RDB_CHECKSUM_BYTES - 1;
+    const eof = eofOffset >= 9 ? await readRange(dumpPath, eofOffset, 1) : [];
+    if (eof[0] !== RDB_EOF) {
+      throw new Error('RDB end marker not found; the snapshot looks truncated');
+    }
+
+    try {
+      await execFileAsync('redis-check-rdb', [dumpPath], {
+        maxBuffer: 50 * 1024 * 1024,
+      });
+      return `redis-check-rdb passed (RDB version ${Number(match[1])})`;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        const detail = (error.stdout || error.message).trim().split('\n');
+        throw new Error(
+          `redis-check-rdb failed: ${detail.slice(-3).join(' ')}`
+        );
+      }
+    }
+    return `RDB version ${Number(match[1])} header and end marker present`;
+  }
+
+  /**
+   * Restore a database from an RDB file
+   * With dataDir, the file replaces dump.rdb in the data directory of a
+   * stopped instance, which loads it on start. Otherwise it is imported into
+   * the running instance with `rdb-cli ... resp | redis-cli --pipe`.
+   * @param {string} dumpPath - Path to the RDB file
+   * @param {Object} options - Provider-specific options
+   * @param {string} [options.dataDir] - Data directory of a stopped instance
+   * @param {string} options.host - Redis host to import into
+   * @param {number} options.port - Redis port
+   * @param {string} [options.user] - ACL user
+   * @param {string} [options.password] - Password of the user
+   * @param {string|number} [options.database] - Only import this database
+   * @param {boolean} [options.drop] - Flush the database (or every database)
+   *   before importing
+   * @returns {Promise<void>}
+   */
+  async restoreFromDump(dumpPath, options = {}) {
+    try {
+      assertFullRestore(options, 'Redis snapshots');
+      const database = this.getDatabaseNumber(options);
+      await this.verifyDump(dumpPath);
+
+      if (options.dataDir) {
+        if (database !== null) {
+          throw new Error(
+            'A database can only be selected when importing into a running instance'
+          );
+        }
+        await this.restoreToDataDir(dumpPath, options.dataDir);
+        return;
+      }
+
+      if (options.drop) {
+        const { args, env } = this.getConnection(options);
+        const flush =
+          database === null
+            ? ['FLUSHALL']
+            : ['-n', String(database), 'FLUSHDB'];
+        await execFileAsync('redis-cli', [...args, ...flush], { env });
+      }
+      await this.importDump(dumpPath, database, options);
+    } catch (error) {
+      throw new Error(`Redis restore failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put an RDB file in place of dump.rdb in a data directory
+   * @param {string} dumpPath - Path to the RDB file
+   * @param {string} dataDir - Data directory of a stopped instance
+   * @returns {Promise<void>}
+   * @throws {Error} If the directory holds an append-only file
+   */
+  async restoreToDataDir(dumpPath, dataDir) {
+    for (const name of AOF_NAMES) {
+      const aofPath = path.join(dataDir, name);
+      const exists = await fs.access(aofPath).then(
+        () => true,
+        () => false
+      );
+      if (exists) {
+        throw new Error(
+          `${aofPath} exists; Redis would load it instead of dump.rdb. Move it away and start with appendonly disabled first`
+        );
+      }
+    }
+
+    const keptPath = await replaceFile(
+      dumpPath,
+      path.join(dataDir, 'dump.rdb')
+    );
+    if (keptPath) {
+      console.log(`✓ Previous snapshot kept at ${keptPath}`);
+    }
+  }
+
+  /**
+   * Import an RDB file into a running instance
+   * rdb-cli turns the snapshot into commands that redis-cli --pipe sends.
+   * Keys that already exist are overwritten, except lists, sets and hashes,
+   * which are merged; use drop for an exact copy.
+   * @param {string} dumpPath - Path to the RDB file
+   * @param {number|null} database - Only import this database, or null
+   * @param {Object} options - Connection options (see restoreFromDump)
+   * @returns {Promise<void>}
+   */
+  async importDump(dumpPath, database, options = {}) {
+    const { args, env } = this.getConnection(options);
+    const logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-rdb-cli-'));
+
+    try {
+      const commands = spawnDumpStream('rdb-cli', [
+        dumpPath,
+        '--log-file',
+        path.join(logDir, 'rdb-cli.log'),
+        ...(database !== null ? ['--dbnum', String(database)] : []),
+        'resp',
+      ]);
+      const client = spawn('redis-cli', [...args, '--pipe'], {
+        env,
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      let output = '';
+      const collect = (chunk) => {
+        output = (output + chunk).slice(-4096);
+      };
+      client.stdout.on('data', collect);
+      client.stderr.on('data', collect);
+      const applied = new Promise((resolve, reject) => {
+        client.on('error', reject);
+        client.on('close', (code) =>
+          code === 0
+            ? resolve()
+            : reject(
+                new Error(
+                  `redis-cli --pipe exited with code ${code}: ${output}`
+                )
+              )
+        );
+      });
+
+      await Promise.all([
+        pipeline(commands.stream, client.stdin),
+        commands.completed,
+        applied,
+      ]);
+    } finally {
+      await fs.rm(logDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Export a singleton instance
+export default new RedisProvider();
@@ -0,0 +1,200 @@
+import { createReadStream, createWriteStream } from 'fs';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { matchesTable } from '../filters.js';
+
+// A PostgreSQL identifier: double-quoted, or bare up to a space, dot or '('
+const PG_IDENTIFIER = String.raw`("(?:[^"]|"")+"|[^\s."(]+)`;
+
+// Statements that create or fill a table, with its (optional) schema and name
+const PG_TABLE_STATEMENT = new RegExp(
+  String.raw`^(DROP TABLE (?:IF EXISTS )?|CREATE (?:UNLOGGED )?TABLE (?:IF NOT EXISTS )?|COPY |INSERT INTO )(?:${PG_IDENTIFIER}\.)?${PG_IDENTIFIER}`
+);
+const PG_SESSION_STATEMENT = /^(?:SET |SELECT pg_catalog\.set_config\()/;
+
+// mysqldump writes unqualified, backquoted table names
+const MYSQL_TABLE_STATEMENT =
+  /^(?:DROP TABLE IF EXISTS|CREATE TABLE(?: IF NOT EXISTS)?|LOCK TABLES|INSERT INTO|\/\*!\d+ ALTER TABLE) (`(?:[^`]|``)+`)/;
+const MYSQL_SESSION_STATEMENT = /^(?:SET |\/\*!\d+ SET |UNLOCK TABLES;)/;
+
+// Dollar-quote delimiters of PostgreSQL function bodies ($$, $body$)
+const DOLLAR_QUOTE = /\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/g;
+
+/**
+ * Quote a PostgreSQL identifier
+ * @param {string} name - Identifier
+ * @returns {string} Double-quoted identifier
+ */
+function quotePgIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Remove the quotes around an identifier
+ * @param {string} identifier - Quoted or bare identifier
+ * @returns {string} Identifier
+ */
+function unquote(identifier) {
+  if (identifier.startsWith('"')) {
+    return identifier.slice(1, -1).replace(/""/g, '"');
+  }
+  if (identifier.startsWith('`')) {
+    return identifier.slice(1, -1).replace(/``/g, '`');
+  }
+  return identifier;
+}
+
+/**
+ * Work out what the statement starting with a line does
+ * @param {string} line - First line of the statement
+ * @param {'postgres'|'mysql'} dialect - Dump dialect
+ * @returns {Object} kind ('table', 'session' or 'other'); for table
+ *   statements also the table and a function moving it to another schema
+ */
+function classifyStatement(line, dialect) {
+  if (dialect === 'mysql') {
+    const match = line.match(MYSQL_TABLE_STATEMENT);
+    if (match) {
+      return {
+        kind: 'table',
+        table: { schema: null, name: unquote(match[1]) },
+      };
+    }
+    return { kind: MYSQL_SESSION_STATEMENT.test(line) ? 'session' : 'other' };
+  }
+
+  const match = line.match(PG_TABLE_STATEMENT);
+  if (match) {
+    const [statement, prefix, schema, name] = match;
+    return {
+      kind: 'table',
+      table: { schema: schema ? unquote(schema) : null, name: unquote(name) },
+      moveTo: (into) =>
+        `${prefix}${quotePgIdentifier(into)}.${name}${line.slice(statement.length)}`,
+    };
+  }
+  return { kind: PG_SESSION_STATEMENT.test(line) ? 'session' : 'other' };
+}
+
+/**
+ * Track the dollar quote a line leaves open
+ * @param {string} line - Line of SQL
+ * @param {string|null} open - Dollar quote open before the line
+ * @returns {string|null} Dollar quote open after the line
+ */
+function trackDollarQuote(line, open) {
+  let current = open;
+  for (const [tag] of line.matchAll(DOLLAR_QUOTE)) {
+    if (current === null) {
+      current = tag;
+    } else if (tag === current) {
+      current = null;
+    }
+  }
+  return current;
+}
+
+/**
+ * Copy the statements for some tables out of a plain SQL dump
+ * Keeps session settings and the statements that create and fill the
+ * tables (DROP/CREATE TABLE, COPY and INSERT; for MySQL also the LOCK
+ * TABLES and key statements around the data), like pg_restore -t does.
+ * Indexes, constraints, triggers and everything else are left out.
+ * @param {string} inputPath - Plain SQL dump (pg_dump, pg_restore -f,
+ *   supabase db dump or mysqldump)
+ * @param {string} outputPath - File to write the selected statements to
+ * @param {Object} options - Extract options
+ * @param {'postgres'|'mysql'} options.dialect - Dump dialect
+ * @param {{schema: string|null, name: string}[]} options.tables - Tables
+ *   to keep (see parseTableName)
+ * @param {string} [options.into] - PostgreSQL schema to move the tables to;
+ *   it is created if needed
+ * @returns {Promise<Object[]>} Requested tables not found in the dump
+ */
+export async function extractTables(
+  inputPath,
+  outputPath,
+  { dialect, tables, into }
+) {
+  const found = new Set();
+
+  async function* selectStatements() {
+    if (into && dialect === 'postgres') {
+      yield `CREATE SCHEMA IF NOT EXISTS ${quotePgIdentifier(into)};\n`;
+    }
+
+    const lines = readline.createInterface({
+      input: createReadStream(inputPath),
+      crlfDelay: Infinity,
+    });
+    let statement = null;
+    let delimiter = ';';
+    let dollarQuote = null;
+    let copying = null; // whether the COPY data being read is kept
+
+    for await (const line of lines) {
+      if (copying !== null) {
+        if (copying) {
+          yield `${line}\n`;
+        }
+        if (line === '\\.') {
+          copying = null;
+        }
+        continue;
+      }
+
+      if (!statement) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('--')) {
+          continue;
+        }
+        const newDelimiter = trimmed.match(/^DELIMITER\s+(\S+)$/i);
+        if (dialect === 'mysql' && newDelimiter) {
+          delimiter = newDelimiter[1];
+          continue;
+        }
+        // Version comments without a statement, e.g. MariaDB's sandbox line
+        if (/^\/\*.*\*\/$/.test(trimmed)) {
+          continue;
+        }
+        statement = { ...classifyStatement(line, dialect), lines: [] };
+        if (statement.kind === 'table' && into && statement.moveTo) {
+          statement.lines.push(statement.moveTo(into));
+        } else {
+          statement.lines.push(line);
+        }
+      } else {
+        statement.lines.push(line);
+      }
+
+      if (dialect === 'postgres') {
+        dollarQuote = trackDollarQuote(line, dollarQuote);
+      }
+      if (dollarQuote || !line.trimEnd().endsWith(delimiter)) {
+        continue;
+      }
+
+      const wanted =
+        statement.kind === 'table' &&
+        tables.find((table) => matchesTable(table, statement.table));
+      if (wanted) {
+        found.add(wanted);
+      }
+      const keep = statement.kind === 'session' || Boolean(wanted);
+      if (keep) {
+        yield `${statement.lines.join('\n')}\n`;
+      }
+      if (dialect === 'postgres' && /^COPY .* FROM stdin;$/.test(line)) {
+        copying = keep;
+      }
+      statement = null;
+    }
+  }
+
+  await pipeline(
+    Readable.from(selectStatements()),
+    createWriteStream(outputPath, { mode: 0o600 })
+  );
+  return tables.filter((table) => !found.has(table));
+}
@@ -0,0 +1,262 @@
+import { exec, execFile } from 'child_process';
+import { promises as fs, constants } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { readRange } from './checks.js';
+import { replaceFile, streamSnapshotFile } from './files.js';
+import { assertFullRestore, assertNoFilters } from '../filters.js';
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// How long to wait for a writer to release its lock before giving up
+const BUSY_TIMEOUT_MS = 30000;
+
+// First bytes of every SQLite database file
+const SQLITE_MAGIC = Buffer.from('SQLite format 3\0', 'latin1');
+
+/**
+ * Quote a string as an SQL literal
+ * @param {string} value - String to quote
+ * @returns {string} Quoted literal
+ */
+function quoteLiteral(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Check whether a file exists and is not empty
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True if the file holds data
+ */
+async function hasData(filePath) {
+  try {
+    return (await fs.stat(filePath)).size > 0;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * SQLite database provider
+ * Uses the sqlite3 command-line shell
+ */
+export class SQLiteProvider {
+  constructor() {
+    this.name = 'sqlite';
+    this.displayName = 'SQLite';
+  }
+
+  /**
+   * Check if the provider is available
+   * @returns {Promise<boolean>} True if sqlite3 is available
+   */
+  async isAvailable() {
+    try {
+      await execAsync('sqlite3 --version');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Run SQL against a database file opened read-only
+   * @param {string} databasePath - SQLite database file
+   * @param {string} sql - SQL to run
+   * @returns {Promise<string>} sqlite3 output
+   */
+  async runReadOnly(databasePath, sql) {
+    const { stdout } = await execFileAsync(
+      'sqlite3',
+      [
+        '-readonly',
+        '-batch',
+        '-bail',
+        '-cmd',
+        `.timeout ${BUSY_TIMEOUT_MS}`,
+        path.resolve(databasePath),
+        sql,
+      ],
+      { maxBuffer: 50 * 1024 * 1024 }
+    );
+    return stdout;
+  }
+
+  /**
+   * Create a database dump
+   * The snapshot is taken with VACUUM INTO inside a read transaction, so it is
+   * consistent even while applications keep writing, and unlike a file copy
+   * it never catches a half-written page or misses data still in the WAL.
+   * @param {string} outputPath - Path where the snapshot should be saved
+   * @param {Object} options - Provider-specific options
+   * @param {string} options.database - Path to the SQLite database file
+   * @returns {Promise<void>}
+   */
+  async createDump(outputPath, options = {}) {
+    try {
+      const { database } = options;
+
+      if (!database) {
+        throw new Error('SQLite database file is required');
+      }
+      assertNoFilters(options, 'SQLite snapshots');
+      // sqlite3 would otherwise report a missing file as a generic open error
+      await fs.access(database, constants.R_OK);
+
+      await this.runReadOnly(
+        database,
+        `VACUUM INTO ${quoteLiteral(path.resolve(outputPath))};`
+      );
+      await fs.chmod(outputPath, 0o600);
+    } catch (error) {
+      throw new Error(`SQLite dump failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a database dump as a stream
+   * VACUUM INTO can only write a file, so the snapshot goes through a private
+   * temporary file.
+   * @param {Object} options - Provider-specific options (see createDump)
+   * @returns {Promise<{stream: import('stream').Readable, completed: Promise<string>}>}
+   *   Snapshot stream and a promise that settles once it has been read
+   */
+  createDumpStream(options = {}) {
+    return streamSnapshotFile((snapshotPath) =>
+      this.createDump(snapshotPath, options)
+    );
+  }
+
+  /**
+   * Get the version of the dump tool
+   * @returns {Promise<string|null>} First line of `sqlite3 --version`, or null
+   */
+  async getVersion() {
+    try {
+      const { stdout } = await execAsync('sqlite3 --version');
+      return `sqlite3 ${stdout.trim().split(' ')[0]}`;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the dump format recorded in backup manifests
+   * @returns {string} Dump format
+   */
+  getDumpFormat() {
+    return 'sqlite';
+  }
+
+  /**
+   * Get the file extension for dumps
+   * @returns {string} File extension
+   */
+  getFileExtension() {
+    return 'sqlite'; // the snapshot is itself a database file
+  }
+
+  /**
+   * Get provider-specific configuration prompts
+   * @returns {Array} Array of inquirer prompt objects
+   */
+  getConfigPrompts() {
+    return [
+      {
+        type: 'input',
+        name: 'sqliteDatabase',
+        message: 'SQLite database file:',
+      },
+    ];
+  }
+
+  /**
+   * Validate provider-specific configuration
+   * @param {Object} config - Configuration object
+   * @returns {Object} Validation result
+   */
+  validateConfig(config) {
+    const errors = [];
+    if (!config.sqliteDatabase) {
+      errors.push('SQLite database file is required');
+    }
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Check that a snapshot is a sound database without restoring it
+   * @param {string} dumpPath - Path to the snapshot
+   * @returns {Promise<string>} Description of what was checked
+   * @throws {Error} If the snapshot is not a database or fails the check
+   */
+  async verifyDump(dumpPath) {
+    const head = await readRange(dumpPath, 0, SQLITE_MAGIC.length);
+    if (!head.equals(SQLITE_MAGIC)) {
+      throw new Error('Not an SQLite database file');
+    }
+
+    let result;
+    try {
+      result = (await this.runReadOnly(dumpPath, 'PRAGMA integrity_check;'))
+        .trim()
+        .split('\n');
+    } catch (error) {
+      throw new Error(`PRAGMA integrity_check failed: ${error.message}`);
+    }
+    if (result[0] !== 'ok') {
+      throw new Error(`PRAGMA integrity_check failed: ${result.join('; ')}`);
+    }
+    return 'PRAGMA integrity_check ok';
+  }
+
+  /**
+   * Restore a database from a snapshot
+   * The snapshot is checked and copied next to the target first, then renamed
+   * over it, so the target is always either the old or the new database. The
+   * old file is kept as <database>.<timestamp>.bak.
+   * @param {string} dumpPath - Path to the snapshot
+   * @param {Object} options - Provider-specific options
+   * @param {string} options.database - Path of the database file to write
+   * @returns {Promise<void>}
+   */
+  async restoreFromDump(dumpPath, options = {}) {
+    try {
+      assertFullRestore(options, 'SQLite snapshots');
+      const { database } = options;
+
+      if (!database) {
+        throw new Error('SQLite database file is required for restore');
+      }
+      const target = path.resolve(database);
+
+      // A journal or WAL left next to the target would be applied to the
+      // restored file when it is next opened
+      for (const suffix of ['-wal', '-journal']) {
+        if (await hasData(`${target}${suffix}`)) {
+          throw new Error(
+            `${target}${suffix} exists; stop the applications using the database first`
+          );
+        }
+      }
+
+      await this.verifyDump(dumpPath);
+
+      const keptPath = await replaceFile(dumpPath, target);
+      if (keptPath) {
+        console.log(`✓ Previous database kept at ${keptPath}`);
+      }
+    } catch (error) {
+      throw new Error(`SQLite restore failed: ${error.message}`);
+    }
+  }
+}
+
+// Export a singleton instance
+export default new SQLiteProvider();
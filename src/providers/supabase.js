@@ -1,7 +1,13 @@
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
+import { promises as fs } from 'fs';
 import { promisify } from 'util';
+import { spawnDumpStream } from './process.js';
+import { checkSqlDump } from './checks.js';
+import { extractTables } from './sqlextract.js';
+import { formatTableName, parseTableName, splitFilters } from '../filters.js';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 /**
  * Supabase database provider
@@ -26,16 +32,47 @@ export class SupabaseProvider {
     }
   }
 
+  /**
+   * Build `supabase db dump` arguments
+   * The Supabase CLI can only select schemas, so only schema includes are
+   * supported; they map to --schema.
+   * @param {Object} options - Provider-specific options
+   * @param {string[]} [options.include] - Filter patterns to back up
+   * @param {string[]} [options.exclude] - Filter patterns to leave out
+   * @returns {string[]} Arguments for pnpx
+   * @throws {Error} If table or exclude filters are set
+   */
+  getDumpArgs(options = {}) {
+    const { includeSchemas, excludeSchemas, includeTables, excludeTables } =
+      splitFilters(options);
+
+    if (excludeSchemas.length + includeTables.length + excludeTables.length) {
+      throw new Error(
+        'Supabase dumps can only be filtered by schema (--include schema:<name>)'
+      );
+    }
+
+    return [
+      'supabase',
+      'db',
+      'dump',
+      ...(includeSchemas.length > 0
+        ? ['--schema', includeSchemas.join(',')]
+        : []),
+    ];
+  }
+
   /**
    * Create a database dump
    * @param {string} outputPath - Path where dump file should be saved
-   * @param {Object} _options - Provider-specific options (unused for Supabase)
+   * @param {Object} options - Provider-specific options (see getDumpArgs)
    * @returns {Promise<void>}
    */
-  async createDump(outputPath, _options = {}) {
+  async createDump(outputPath, options = {}) {
     try {
-      const { stderr } = await execAsync(
-        `pnpx supabase db dump -f ${outputPath}`,
+      const { stderr } = await execFileAsync(
+        'pnpx',
+        [...this.getDumpArgs(options), '-f', outputPath],
         { maxBuffer: 50 * 1024 * 1024 } // 50MB buffer for large databases
       );
 
@@ -47,6 +84,39 @@ export class SupabaseProvider {
     }
   }
 
+  /**
+   * Create a database dump as a stream, without writing to disk
+   * `supabase db dump` writes to stdout when no --file is given.
+   * @param {Object} options - Provider-specific options (see getDumpArgs)
+   * @returns {{stream: import('stream').Readable, completed: Promise<string>}}
+   *   Dump output stream and a promise that settles when the CLI exits
+   */
+  createDumpStream(options = {}) {
+    return spawnDumpStream('pnpx', this.getDumpArgs(options));
+  }
+
+  /**
+   * Get the version of the dump tool
+   * @returns {Promise<string|null>} First line of `pnpx supabase --version`, or null
+   */
+  async getVersion() {
+    try {
+      const { stdout } = await execAsync('pnpx supabase --version');
+      return stdout.trim().split('\n')[0];
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the dump format recorded in backup manifests
+   * @param {Object} _options - Provider-specific options (unused for Supabase)
+   * @returns {string} Dump format
+   */
+  getDumpFormat(_options = {}) {
+    return 'sql';
+  }
+
   /**
    * Get the file extension for dumps from this provider
    * @returns {string} File extension (e.g., 'sql', 'bson')
@@ -56,13 +126,31 @@ export class SupabaseProvider {
   }
 
   /**
-   * Restore a database from a dump file
+   * Check that a dump file looks like SQL without restoring it
    * @param {string} dumpPath - Path to the dump file
    * @param {Object} _options - Provider-specific options (unused for Supabase)
+   * @returns {Promise<string>} Description of what was checked
+   * @throws {Error} If the dump is empty or not plain-text SQL
+   */
+  async verifyDump(dumpPath, _options = {}) {
+    return checkSqlDump(dumpPath);
+  }
+
+  /**
+   * Restore a database from a dump file
+   * @param {string} dumpPath - Path to the dump file
+   * @param {Object} options - Provider-specific options
+   * @param {string[]} [options.only] - Only restore these tables (see
+   *   restoreTables)
    * @returns {Promise<void>}
    */
-  async restoreFromDump(dumpPath, _options = {}) {
+  async restoreFromDump(dumpPath, options = {}) {
     try {
+      if (options.only?.length > 0) {
+        await this.restoreTables(dumpPath, options);
+        return;
+      }
+
       const { stderr } = await execAsync(
         `pnpx supabase db reset --db-url file://${dumpPath}`,
         { maxBuffer: 50 * 1024 * 1024 }
@@ -76,6 +164,58 @@ export class SupabaseProvider {
     }
   }
 
+  /**
+   * Restore some tables from a dump with psql
+   * The statements creating and filling the tables are copied out of the
+   * dump and run in a single transaction; indexes, constraints and triggers
+   * are left out.
+   * @param {string} dumpPath - Path to the dump file
+   * @param {Object} options - Provider-specific options
+   * @param {string} options.uri - Postgres connection string of the project
+   * @param {string[]} options.only - Table names, optionally qualified with
+   *   their schema
+   * @param {string} [options.into] - Schema to restore the tables into
+   *   instead; it is created if needed
+   * @returns {Promise<void>}
+   * @throws {Error} If a table is not in the dump
+   */
+  async restoreTables(dumpPath, options = {}) {
+    if (!options.uri) {
+      throw new Error(
+        'Restoring single tables needs the database connection string (--uri)'
+      );
+    }
+
+    const tables = options.only.map(parseTableName);
+    const selectedPath = `${dumpPath}.selected.sql`;
+    try {
+      const missing = await extractTables(dumpPath, selectedPath, {
+        dialect: 'postgres',
+        tables,
+        into: options.into,
+      });
+      if (missing.length > 0) {
+        throw new Error(
+          `Not found in the dump: ${missing.map(formatTableName).join(', ')}`
+        );
+      }
+
+      await execFileAsync(
+        'psql',
+        [
+          `--dbname=${options.uri}`,
+          '--no-psqlrc',
+          '--set=ON_ERROR_STOP=1',
+          '--single-transaction',
+          `--file=${selectedPath}`,
+        ],
+        { maxBuffer: 50 * 1024 * 1024 }
+      );
+    } finally {
+      await fs.rm(selectedPath, { force: true });
+    }
+  }
+
   /**
    * Get provider-specific configuration prompts for interactive setup
    * @returns {Array} Array of inquirer prompt objects
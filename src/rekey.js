@@ -0,0 +1,225 @@
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { Transform, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createHash } from 'crypto';
+import os from 'os';
+import path from 'path';
+import {
+  createDecryptStream,
+  createEncryptStream,
+  decryptBackupFile,
+  getHeaderRecipients,
+  readEnvelopeHeader,
+} from './encrypt.js';
+import { DecryptStream } from './envelope.js';
+import { getKeyFingerprint } from './keys.js';
+
+/**
+ * Pass-through stream that hashes and counts what flows through it
+ * @param {import('crypto').Hash} hash - Hash to update
+ * @returns {Transform} Stream with a `bytes` count
+ */
+function createHashTap(hash) {
+  const tap = new Transform({
+    transform(chunk, _encoding, callback) {
+      hash.update(chunk);
+      tap.bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  tap.bytes = 0;
+  return tap;
+}
+
+/**
+ * Hash the plaintext of an envelope file
+ * @param {string} filePath - Encrypted file
+ * @param {import('stream').Transform} decryptStream - Decrypting stream
+ * @returns {Promise<{sha256: string, bytes: number}>} Plaintext digest and size
+ */
+async function hashDecrypted(filePath, decryptStream) {
+  const hash = createHash('sha256');
+  const tap = createHashTap(hash);
+  await pipeline(
+    createReadStream(filePath),
+    decryptStream,
+    tap,
+    new Writable({
+      write(_chunk, _encoding, callback) {
+        callback();
+      },
+    })
+  );
+  return { sha256: hash.digest('hex'), bytes: tap.bytes };
+}
+
+/**
+ * Find the encrypted backups to rekey
+ * Directories are searched one level deep for *.encrypted files.
+ * @param {string[]} paths - Files and directories
+ * @returns {Promise<string[]>} Encrypted backup paths, sorted
+ * @throws {Error} If a path does not exist
+ */
+export async function findEncryptedBackups(paths) {
+  const files = new Set();
+
+  for (const inputPath of paths) {
+    const stats = await fs.stat(inputPath);
+    if (!stats.isDirectory()) {
+      files.add(inputPath);
+      continue;
+    }
+    for (const entry of await fs.readdir(inputPath, { withFileTypes: true })) {
+      if (entry.isFile() && entry.name.endsWith('.encrypted')) {
+        files.add(path.join(inputPath, entry.name));
+      }
+    }
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Check whether a backup is already encrypted for exactly these keys
+ * @param {Object|null} header - Envelope header (null for legacy files)
+ * @param {string[]} fingerprints - Fingerprints of the new recipients
+ * @returns {boolean} True if the backup needs no rekeying
+ */
+function isRekeyed(header, fingerprints) {
+  if (!header) {
+    return false;
+  }
+  const current = new Set(
+    getHeaderRecipients(header).map((recipient) => recipient.fingerprint)
+  );
+  return (
+    current.size === fingerprints.length &&
+    fingerprints.every((fingerprint) => current.has(fingerprint))
+  );
+}
+
+/**
+ * Re-encrypt one backup for new recipient keys
+ * The backup is decrypted and re-encrypted in one stream next to the
+ * original. The new file's header and full ciphertext are checked against
+ * the plaintext digest before it atomically replaces the original, so an
+ * interrupted run leaves either the old or the new backup, never a mix.
+ * Backups already encrypted for the new keys are skipped, which is what
+ * lets an interrupted run resume.
+ * @param {string} filePath - Encrypted backup
+ * @param {Object} oldKeys - Keys with the current private key
+ * @param {string[]} recipients - New recipient public keys
+ * @param {Object} [newKeys] - New key file; if it has the private key, the
+ *   check decrypts with it
+ * @returns {Promise<{file: string, status: 'rekeyed'|'skipped', bytes?: number}>}
+ *   Outcome
+ * @throws {Error} If decryption, re-encryption or the check fails
+ */
+export async function rekeyBackupFile(
+  filePath,
+  oldKeys,
+  recipients,
+  newKeys = null
+) {
+  const fingerprints = [...new Set(recipients.map(getKeyFingerprint))];
+  const header = await readEnvelopeHeader(filePath);
+  if (isRekeyed(header, fingerprints)) {
+    return { file: filePath, status: 'skipped' };
+  }
+
+  const partialPath = `${filePath}.rekey.partial`;
+  let tempDir = null;
+
+  try {
+    // Legacy whole-file backups cannot be streamed: decrypt them to a
+    // private temporary directory first
+    let decrypting;
+    if (header) {
+      decrypting = [createReadStream(filePath), createDecryptStream(oldKeys)];
+    } else {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-rekey-'));
+      const plainPath = path.join(tempDir, 'backup.zip');
+      await decryptBackupFile(filePath, plainPath, oldKeys);
+      decrypting = [createReadStream(plainPath)];
+    }
+
+    const hash = createHash('sha256');
+    const tap = createHashTap(hash);
+    const encryptStream = await createEncryptStream(recipients);
+    await pipeline(
+      ...decrypting,
+      tap,
+      encryptStream,
+      createWriteStream(partialPath, { mode: 0o600 })
+    );
+    const expected = { sha256: hash.digest('hex'), bytes: tap.bytes };
+
+    // Check the new file before it replaces the original
+    const written = await readEnvelopeHeader(partialPath);
+    if (!isRekeyed(written, fingerprints)) {
+      throw new Error('re-encrypted file does not list the new keys');
+    }
+    const actual = await hashDecrypted(
+      partialPath,
+      newKeys?.privateKey
+        ? createDecryptStream(newKeys)
+        : new DecryptStream(async () => encryptStream.dataKey)
+    );
+    if (actual.sha256 !== expected.sha256 || actual.bytes !== expected.bytes) {
+      throw new Error('re-encrypted file does not match the original backup');
+    }
+
+    await fs.rename(partialPath, filePath);
+    return { file: filePath, status: 'rekeyed', bytes: expected.bytes };
+  } catch (error) {
+    await fs.unlink(partialPath).catch(() => {});
+    throw new Error(`Rekey failed: ${error.message}`);
+  } finally {
+    if (tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Re-encrypt backups for new recipient keys
+ * @param {string[]} paths - Encrypted backup files and directories
+ * @param {Object} oldKeys - Keys with the current private key
+ * @param {string[]} recipients - New recipient public keys
+ * @param {Object} [newKeys] - New key file, used to check the result
+ * @returns {Promise<Array<{file: string, status: string}>>} Outcome per backup
+ * @throws {Error} Listing the backups that failed, after trying every backup
+ */
+export async function rekeyBackups(paths, oldKeys, recipients, newKeys = null) {
+  const files = await findEncryptedBackups(paths);
+  if (files.length === 0) {
+    throw new Error('No encrypted backups found');
+  }
+
+  const results = [];
+  const failures = [];
+
+  for (const [index, file] of files.entries()) {
+    const label = `[${index + 1}/${files.length}] ${path.basename(file)}`;
+    try {
+      const result = await rekeyBackupFile(file, oldKeys, recipients, newKeys);
+      console.log(
+        result.status === 'skipped'
+          ? `⏭️  ${label}: already encrypted for the new keys`
+          : `✓ ${label}: re-encrypted and verified`
+      );
+      results.push(result);
+    } catch (error) {
+      console.error(`✗ ${label}: ${error.message}`);
+      failures.push(path.basename(file));
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(
+      `Rekey failed for: ${failures.join(', ')}. Rekeyed backups are skipped when the command is run again.`
+    );
+  }
+
+  return results;
+}
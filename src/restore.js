@@ -3,14 +3,25 @@ import path from 'path';
 import { getProvider, defaultProvider } from './providers/index.js';
 import { decryptBackupFile } from './encrypt.js';
 import { ensureDirectory } from './utils.js';
+import { readManifest, verifyManifestEntries } from './manifest.js';
+import { checkManifestSignature } from './signing.js';
+import { BASE_BACKUP_FORMAT } from './providers/postgres.js';
+import { preparePointInTimeRecovery } from './wal.js';
+import { BINLOG_FORMAT } from './providers/mysql.js';
+import { replayBinaryLogs } from './binlog.js';
+import { OPLOG_FORMAT } from './providers/mongodb.js';
+import { compareOplogTimestamps } from './providers/oplog.js';
+import { describeFilters } from './filters.js';
 
 /**
  * Extract a ZIP archive
+ * Backups with a manifest name their dump file and are checked against the
+ * manifest checksums; older backups fall back to guessing by extension.
  * @param {string} zipPath - Path to ZIP file
  * @param {string} outputDir - Directory to extract to
- * @returns {Promise<string>} Path to extracted dump file
+ * @returns {Promise<{dumpFile: string, manifest: Object|null}>} Path to extracted dump file and the backup manifest
  */
-async function extractZipArchive(zipPath, outputDir) {
+export async function extractZipArchive(zipPath, outputDir) {
   const { exec } = await import('child_process');
   const { promisify } = await import('util');
   const execAsync = promisify(exec);
@@ -20,6 +31,26 @@ async function extractZipArchive(zipPath, outputDir) {
   try {
     await execAsync(`unzip -o "${zipPath}" -d "${outputDir}"`);
 
+    const manifest = await readManifest(outputDir);
+    if (manifest) {
+      const problems = await verifyManifestEntries(manifest, outputDir);
+      const listed = manifest.entries?.some(
+        (entry) => entry.name === manifest.dumpFile
+      );
+      if (!listed) {
+        problems.push(`${manifest.dumpFile}: not listed in manifest entries`);
+      }
+      if (problems.length > 0) {
+        throw new Error(
+          `Archive integrity check failed: ${problems.join('; ')}`
+        );
+      }
+      return {
+        dumpFile: path.join(outputDir, manifest.dumpFile),
+        manifest,
+      };
+    }
+
     // Find the extracted dump file
     const files = await fs.readdir(outputDir);
     const dumpFile = files.find(
@@ -34,27 +65,100 @@ async function extractZipArchive(zipPath, outputDir) {
       throw new Error('No database dump file found in archive');
     }
 
-    return path.join(outputDir, dumpFile);
+    return { dumpFile: path.join(outputDir, dumpFile), manifest: null };
   } catch (error) {
     throw new Error(`Failed to extract archive: ${error.message}`);
   }
 }
 
+/**
+ * Pick the provider to restore with
+ * The backup manifest decides; an explicit provider must match it unless
+ * forced. Backups without a manifest default to Supabase.
+ * @param {Object|null} manifest - Backup manifest
+ * @param {string|null} providerName - Provider requested by the user
+ * @param {boolean} force - Allow a provider that differs from the manifest
+ * @returns {Object} Provider instance
+ * @throws {Error} If the requested provider does not match the manifest
+ */
+export function resolveRestoreProvider(manifest, providerName, force = false) {
+  if (!providerName) {
+    return manifest ? getProvider(manifest.provider) : defaultProvider;
+  }
+
+  const provider = getProvider(providerName);
+  if (manifest && provider.name !== manifest.provider && !force) {
+    throw new Error(
+      `Backup was created with provider '${manifest.provider}' but '${providerName}' was requested. Use --force to restore anyway.`
+    );
+  }
+  return provider;
+}
+
+/**
+ * Check and report the signature of an extracted backup
+ * @param {string} dir - Directory the archive was extracted to
+ * @param {Map<string, string>} trustedSigners - Trusted signer public keys
+ * @param {boolean} allowUnsigned - Accept unsigned or untrusted backups
+ * @returns {Promise<{status: string, signer: string|null}>} Signature status
+ * @throws {Error} If the backup may not be used
+ */
+export async function checkBackupSignature(dir, trustedSigners, allowUnsigned) {
+  const result = await checkManifestSignature(dir, trustedSigners, {
+    allowUnsigned,
+  });
+  if (result.status === 'trusted') {
+    console.log(`✓ Signed by trusted key ${result.signer}`);
+  } else if (result.status === 'untrusted') {
+    console.log(
+      `⚠️  Signed by untrusted key ${result.signer} (accepted with --allow-unsigned)`
+    );
+  } else {
+    console.log('⚠️  Backup is not signed (accepted with --allow-unsigned)');
+  }
+  return result;
+}
+
 /**
  * Restore a database from an encrypted backup
  * @param {string} encryptedBackupPath - Path to encrypted backup file
  * @param {Object} keys - Encryption keys
- * @param {string} providerName - Database provider name
+ * @param {string|null} providerName - Database provider name (default: from the backup manifest)
  * @param {Object} providerOptions - Provider-specific restore options
+ * @param {string[]} [providerOptions.only] - Only restore these tables or
+ *   collections
+ * @param {string} [providerOptions.into] - Schema or database to restore
+ *   them into instead
  * @param {string} workDir - Working directory for temporary files
- * @returns {Promise<void>}
+ * @param {Object} options - Restore options
+ * @param {boolean} [options.force=false] - Restore even if the provider does not match the manifest
+ * @param {Map<string, string>} [options.trustedSigners] - Trusted signer public keys
+ * @param {boolean} [options.allowUnsigned=false] - Restore unsigned or untrusted
+ *   backups and archived WAL or binary logs
+ * @param {string} [options.pgdata] - Data directory to unpack a PostgreSQL base backup into
+ * @param {string} [options.walDir] - Encrypted WAL archive to replay after a base backup
+ * @param {string} [options.targetTime] - Replay WAL or binary logs up to this time (ISO timestamp)
+ * @param {{file: string, position: number}} [options.targetPosition] - Replay
+ *   MySQL binary logs up to this position
+ * @param {string} [options.binlogDir] - Encrypted MySQL binary logs to replay after the dump
+ * @returns {Promise<string>} Path of the dump file that was restored
  */
 export async function restoreFromBackup(
   encryptedBackupPath,
   keys,
-  providerName = 'supabase',
+  providerName = null,
   providerOptions = {},
-  workDir = './restore-temp'
+  workDir = './restore-temp',
+  {
+    force = false,
+    trustedSigners = new Map(),
+    allowUnsigned = false,
+    pgdata,
+    walDir,
+    targetTime,
+    targetPosition,
+    binlogDir,
+  } = {}
 ) {
   await ensureDirectory(workDir);
 
@@ -69,15 +173,144 @@ export async function restoreFromBackup(
 
     // Step 2: Extract the ZIP archive
     console.log('📦 Extracting archive...');
-    const dumpFilePath = await extractZipArchive(decryptedZipPath, extractDir);
-    console.log(`✓ Archive extracted: ${path.basename(dumpFilePath)}\n`);
+    const { dumpFile: dumpFilePath, manifest } = await extractZipArchive(
+      decryptedZipPath,
+      extractDir
+    );
+    console.log(`✓ Archive extracted: ${path.basename(dumpFilePath)}`);
+    if (manifest) {
+      console.log(
+        `✓ Manifest: ${manifest.provider} backup of ${manifest.database}, created ${manifest.createdAt}`
+      );
+      if (manifest.filters) {
+        console.log(`✓ Partial backup: ${describeFilters(manifest.filters)}`);
+      }
+      if (manifest.oplogEnd) {
+        console.log(
+          `✓ Consistent snapshot up to oplog ${manifest.oplogEnd} (${manifest.oplogEndTime})`
+        );
+      }
+    }
+    await checkBackupSignature(extractDir, trustedSigners, allowUnsigned);
+    console.log('');
 
     // Step 3: Restore using the provider
-    const provider = providerName ? getProvider(providerName) : defaultProvider;
+    const provider = resolveRestoreProvider(manifest, providerName, force);
+
+    const only = providerOptions.only?.length > 0 ? providerOptions.only : null;
+
+    if (manifest?.format === BASE_BACKUP_FORMAT) {
+      if (only) {
+        throw new Error(
+          'A base backup restores the whole cluster; --only needs a pg_dump backup'
+        );
+      }
+      if (!pgdata) {
+        throw new Error(
+          'This is a PostgreSQL base backup: restore it into a data directory with --pgdata'
+        );
+      }
+      if (targetTime && new Date(targetTime) < new Date(manifest.createdAt)) {
+        throw new Error(
+          `Target time ${targetTime} is before the base backup finished (${manifest.createdAt})`
+        );
+      }
+      console.log('⏱️  Preparing point-in-time recovery...');
+      const recovery = await preparePointInTimeRecovery(
+        provider,
+        dumpFilePath,
+        keys,
+        { pgdata, walDir, targetTime, trustedSigners, allowUnsigned }
+      );
+      console.log(
+        `\n▶️  Start PostgreSQL on the restored cluster to replay the WAL:`
+      );
+      console.log(`   pg_ctl -D "${recovery.pgdata}" start`);
+      console.log(
+        `   Remove ${recovery.replayDir} once recovery has finished.\n`
+      );
+      return dumpFilePath;
+    }
+    const rollForward = Boolean(targetTime || targetPosition);
+    if (rollForward && manifest?.format !== BINLOG_FORMAT) {
+      throw new Error(
+        'Point-in-time restore needs a PostgreSQL base backup (qdb backup --base-backup) or a MySQL backup with --binlog'
+      );
+    }
+    if (rollForward && only) {
+      throw new Error(
+        'Binary logs can only be replayed onto a full restore; remove --only'
+      );
+    }
+
+    // Dumps with a captured oplog are replayed to their consistent point
+    const restoreOptions = { ...providerOptions };
+    if (manifest?.format === OPLOG_FORMAT && only) {
+      if (providerOptions.oplogLimit) {
+        throw new Error('--oplog-limit cannot be combined with --only');
+      }
+      console.log(
+        '⚠️  Selective restore: the oplog captured with the dump is not replayed'
+      );
+    } else if (manifest?.format === OPLOG_FORMAT) {
+      restoreOptions.oplogReplay = true;
+      const { oplogLimit } = providerOptions;
+      if (
+        oplogLimit &&
+        manifest.oplogEnd &&
+        compareOplogTimestamps(oplogLimit, manifest.oplogEnd) > 0
+      ) {
+        console.log(
+          `⚠️  --oplog-limit is after the end of the captured oplog (${manifest.oplogEnd}); all of it is replayed`
+        );
+      }
+    }
+
+    // Unqualified --only names refer to the database the backup was made
+    // from (an --oplog dump holds every database, so it has none)
+    if (only && manifest && manifest.format !== OPLOG_FORMAT) {
+      restoreOptions.sourceDatabase = manifest.database;
+    }
+    let selection = '';
+    if (only) {
+      const into = providerOptions.into ? ` into ${providerOptions.into}` : '';
+      selection = `${only.join(', ')}${into} `;
+    }
 
-    console.log(`🔄 Restoring to ${provider.displayName} database...`);
-    await provider.restoreFromDump(dumpFilePath, providerOptions);
-    console.log('✓ Database restored successfully\n');
+    console.log(
+      `🔄 Restoring ${selection}to ${provider.displayName} database...`
+    );
+    await provider.restoreFromDump(dumpFilePath, restoreOptions);
+    console.log(
+      only
+        ? `✓ Restored ${only.length} table(s)/collection(s)\n`
+        : '✓ Database restored successfully\n'
+    );
+
+    if (rollForward) {
+      console.log('⏱️  Replaying binary logs...');
+      const replay = await replayBinaryLogs(
+        provider,
+        dumpFilePath,
+        keys,
+        providerOptions,
+        {
+          binlogDir,
+          workDir,
+          sourceDatabase: manifest.database,
+          targetTime,
+          targetPosition,
+          trustedSigners,
+          allowUnsigned,
+        }
+      );
+      const target = targetPosition
+        ? `${targetPosition.file}:${targetPosition.position}`
+        : targetTime;
+      console.log(
+        `✓ Replayed ${replay.files.length} binary log file(s) up to ${target}\n`
+      );
+    }
 
     return dumpFilePath;
   } finally {
@@ -0,0 +1,264 @@
+import { parseBackupFilename } from './utils.js';
+import { createDestination } from './destinations/index.js';
+import { recordPrunedBackup } from './catalog.js';
+
+/**
+ * Retention rule names, in the order they are applied
+ */
+export const RETENTION_KEYS = [
+  'keepLast',
+  'keepDaily',
+  'keepWeekly',
+  'keepMonthly',
+];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Start of the ISO week (Monday) containing a date
+ * @param {Date} date - Date
+ * @returns {Date} Monday 00:00 local time
+ */
+function startOfWeek(date) {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+}
+
+/**
+ * Grandfather-father-son rules: each keeps the newest backup per period
+ * for the last N periods, counting the current one.
+ */
+const PERIOD_RULES = {
+  keepDaily: {
+    bucket: (date) =>
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    cutoff: (now, count) => {
+      const start = startOfDay(now);
+      start.setDate(start.getDate() - (count - 1));
+      return start;
+    },
+  },
+  keepWeekly: {
+    bucket: (date) => String(startOfWeek(date).getTime()),
+    cutoff: (now, count) => {
+      const start = startOfWeek(now);
+      start.setDate(start.getDate() - (count - 1) * 7);
+      return start;
+    },
+  },
+  keepMonthly: {
+    bucket: (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`,
+    cutoff: (now, count) =>
+      new Date(now.getFullYear(), now.getMonth() - (count - 1), 1),
+  },
+};
+
+/**
+ * Validate a retention policy
+ * @param {Object} policy - Retention policy
+ * @param {number} [policy.keepLast] - Always keep the N newest backups
+ * @param {number} [policy.keepDaily] - Keep the newest backup of each of the last D days
+ * @param {number} [policy.keepWeekly] - Keep the newest backup of each of the last W weeks
+ * @param {number} [policy.keepMonthly] - Keep the newest backup of each of the last M months
+ * @returns {Object} Policy with every rule as a non-negative integer
+ * @throws {Error} If a rule is invalid or the policy would keep nothing
+ */
+export function normalizeRetentionPolicy(policy = {}) {
+  const normalized = {};
+
+  for (const key of RETENTION_KEYS) {
+    const value = policy[key] ?? 0;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(
+        `Invalid retention ${key}: ${value} (must be a whole number)`
+      );
+    }
+    normalized[key] = count;
+  }
+
+  if (RETENTION_KEYS.every((key) => normalized[key] === 0)) {
+    throw new Error(
+      'No retention policy configured. Add a "retention" section to config.json or use --keep-* options.'
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Decide which backups of one database a retention policy keeps
+ * @param {Array<{name: string, createdAt: Date}>} backups - Backups of a single database
+ * @param {Object} policy - Normalized retention policy
+ * @param {Date} [now] - Reference time (default: now)
+ * @returns {{keep: Array<Object>, prune: Array<Object>}} Backups to keep
+ *   (with the rules that keep them in `reasons`) and to delete, newest first
+ */
+export function applyRetention(backups, policy, now = new Date()) {
+  const sorted = [...backups].sort((a, b) => b.createdAt - a.createdAt);
+  const reasons = new Map(sorted.map((backup) => [backup, []]));
+
+  sorted
+    .slice(0, policy.keepLast)
+    .forEach((backup) => reasons.get(backup).push('last'));
+
+  for (const [key, rule] of Object.entries(PERIOD_RULES)) {
+    if (!policy[key]) {
+      continue;
+    }
+    const cutoff = rule.cutoff(now, policy[key]);
+    const seen = new Set();
+    for (const backup of sorted) {
+      if (backup.createdAt < cutoff) {
+        break;
+      }
+      const bucket = rule.bucket(backup.createdAt);
+      if (!seen.has(bucket)) {
+        seen.add(bucket);
+        reasons.get(backup).push(key.replace('keep', '').toLowerCase());
+      }
+    }
+  }
+
+  const keep = [];
+  const prune = [];
+  for (const backup of sorted) {
+    const kept = reasons.get(backup);
+    if (kept.length > 0) {
+      keep.push({ ...backup, reasons: kept });
+    } else {
+      prune.push(backup);
+    }
+  }
+  return { keep, prune };
+}
+
+/**
+ * Group stored files into encrypted backups per database
+ * The creation time comes from the timestamp in the filename, not the mtime.
+ * Files that were not named by QDB are never returned, so never pruned.
+ * @param {Array<{name: string}>} files - Files listed by a destination
+ * @returns {Map<string, Array<Object>>} Backups keyed by 'provider/dbName'
+ */
+export function groupBackups(files) {
+  const groups = new Map();
+
+  for (const file of files) {
+    const parsed = parseBackupFilename(file.name);
+    if (!parsed || !parsed.extension.endsWith('.encrypted')) {
+      continue;
+    }
+    const key = `${parsed.provider}/${parsed.dbName}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ ...file, ...parsed });
+  }
+
+  return groups;
+}
+
+/**
+ * Apply a retention policy to the work directory and every destination
+ * Deleted copies are recorded in the backup catalog.
+ * @param {Object} config - Merged configuration from mergeConfig()
+ * @param {Object} options - Prune options
+ * @param {Object} options.policy - Retention policy
+ * @param {boolean} [options.dryRun=false] - Only report what would be deleted
+ * @param {{provider: string, dbName: string}|null} [options.database] -
+ *   Limit pruning to one database (default: every database found)
+ * @param {Date} [options.now] - Reference time (default: now)
+ * @returns {Promise<Array<{location: string, database: string, kept: number, pruned: string[]}>>}
+ *   Result for each database at each location
+ * @throws {Error} If any location could not be listed or a deletion failed
+ */
+export async function pruneBackups(
+  config,
+  { policy, dryRun = false, database = null, now = new Date() }
+) {
+  const normalized = normalizeRetentionPolicy(policy);
+  const workDirectory = {
+    name: 'work directory',
+    type: 'local',
+    path: config.workDir,
+  };
+  const locations = [workDirectory, ...(config.destinations || [])];
+  const results = [];
+  const failures = [];
+
+  for (const locationConfig of locations) {
+    let location;
+    let groups;
+    try {
+      location = createDestination(locationConfig);
+      groups = groupBackups(await location.list());
+    } catch (error) {
+      console.error(
+        `✗ Could not list ${locationConfig.name}: ${error.message}`
+      );
+      failures.push(locationConfig.name);
+      continue;
+    }
+
+    for (const [key, backups] of groups) {
+      if (database && key !== `${database.provider}/${database.dbName}`) {
+        continue;
+      }
+
+      const { keep, prune } = applyRetention(backups, normalized, now);
+      console.log(
+        `🗂️  ${location.name} – ${key}: keeping ${keep.length}, ${dryRun ? 'would delete' : 'deleting'} ${prune.length}`
+      );
+
+      const pruned = [];
+      for (const backup of prune) {
+        if (dryRun) {
+          console.log(`   would delete ${backup.name}`);
+          pruned.push(backup.name);
+          continue;
+        }
+        try {
+          await location.delete(backup.name);
+          console.log(`   ✓ deleted ${backup.name}`);
+          pruned.push(backup.name);
+        } catch (error) {
+          console.error(`   ✗ ${backup.name}: ${error.message}`);
+          failures.push(`${location.name}/${backup.name}`);
+          continue;
+        }
+        try {
+          await recordPrunedBackup(
+            backup.name,
+            locationConfig === workDirectory
+              ? { workDir: config.workDir }
+              : { destination: locationConfig.name }
+          );
+        } catch (error) {
+          console.warn(
+            `   ⚠️  Could not record the deletion in the catalog: ${error.message}`
+          );
+        }
+      }
+
+      results.push({
+        location: location.name,
+        database: key,
+        kept: keep.length,
+        pruned,
+      });
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Prune failed for: ${failures.join(', ')}`);
+  }
+
+  return results;
+}
@@ -0,0 +1,393 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCron, getNextRun } from './cron.js';
+import {
+  getConfigDir,
+  loadConfig,
+  configExists,
+  mergeConfig,
+} from './config.js';
+import { ensureDirectory } from './utils.js';
+import { runBackup } from './workflow.js';
+
+// Upper bound when counting missed runs (e.g. an every-minute schedule)
+const MAX_MISSED_COUNT = 10000;
+
+/**
+ * Get the scheduler state file path
+ * @returns {string} State file path
+ */
+export function getScheduleStatePath() {
+  return path.join(getConfigDir(), 'schedule-state.json');
+}
+
+/**
+ * Get the scheduler run log path (one JSON object per line)
+ * @returns {string} Run log path
+ */
+export function getScheduleLogPath() {
+  return path.join(getConfigDir(), 'logs', 'schedule.log');
+}
+
+/**
+ * Get the lock file path for a database
+ * @param {string} database - Database key (e.g. 'postgres/billing')
+ * @returns {string} Lock file path
+ */
+export function getLockPath(database) {
+  const safeName = database.replace(/[^\w.-]/g, '_');
+  return path.join(getConfigDir(), 'locks', `${safeName}.lock`);
+}
+
+/**
+ * Get the scheduled profiles from a configuration
+ * @param {Object} config - Configuration object
+ * @returns {Array<{profile: string, expression: string}>} Schedules in config order
+ */
+export function getSchedules(config) {
+  return Object.entries(config.profiles || {})
+    .filter(([, profile]) => profile.schedule)
+    .map(([name, profile]) => ({
+      profile: name,
+      expression: profile.schedule,
+    }));
+}
+
+/**
+ * Load the scheduler state (last handled run per profile)
+ * @returns {Promise<Object>} State object ({ profiles: { name: {...} } })
+ */
+export async function loadScheduleState() {
+  try {
+    return JSON.parse(await fs.readFile(getScheduleStatePath(), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { profiles: {} };
+    }
+    throw new Error(`Failed to load schedule state: ${error.message}`);
+  }
+}
+
+/**
+ * Save the scheduler state atomically
+ * @param {Object} state - State object
+ */
+export async function saveScheduleState(state) {
+  const statePath = getScheduleStatePath();
+  const tempPath = `${statePath}.${process.pid}.tmp`;
+
+  await ensureDirectory(path.dirname(statePath));
+  await fs.writeFile(tempPath, JSON.stringify(state, null, 2), {
+    mode: 0o600,
+  });
+  await fs.rename(tempPath, statePath);
+}
+
+/**
+ * Append a run outcome to the scheduler log
+ * @param {Object} entry - Run outcome
+ */
+export async function appendScheduleLog(entry) {
+  const logPath = getScheduleLogPath();
+  await ensureDirectory(path.dirname(logPath));
+  await fs.appendFile(logPath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Take the backup lock for a database
+ * Lock files are shared by all QDB processes on the host; a lock left by a
+ * process that no longer exists is taken over.
+ * @param {string} database - Database key (e.g. 'postgres/billing')
+ * @returns {Promise<Function|null>} Release function, or null if another run holds the lock
+ */
+export async function acquireLock(database) {
+  const lockPath = getLockPath(database);
+  await ensureDirectory(path.dirname(lockPath));
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(
+        lockPath,
+        JSON.stringify({ pid: process.pid, startedAt: new Date() }),
+        { flag: 'wx', mode: 0o600 }
+      );
+      return () => fs.unlink(lockPath).catch(() => {});
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    let holder = null;
+    try {
+      holder = JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+    } catch {
+      // Unreadable lock: treat as stale
+    }
+    if (holder && isProcessAlive(holder.pid)) {
+      return null;
+    }
+    await fs.unlink(lockPath).catch(() => {});
+  }
+
+  return null;
+}
+
+/**
+ * Find the most recent scheduled time that is due
+ * @param {Object} schedule - Parsed cron schedule
+ * @param {Date} since - Last handled scheduled time
+ * @param {Date} now - Current time
+ * @returns {{scheduledFor: Date, missed: number}|null} Latest due time and
+ *   how many scheduled times it covers, or null if nothing is due
+ */
+export function getDueRun(schedule, since, now) {
+  let next = getNextRun(schedule, since);
+  if (next > now) {
+    return null;
+  }
+
+  let scheduledFor = next;
+  let missed = 1;
+  while (missed < MAX_MISSED_COUNT) {
+    next = getNextRun(schedule, scheduledFor);
+    if (next > now) {
+      break;
+    }
+    scheduledFor = next;
+    missed++;
+  }
+  return { scheduledFor, missed };
+}
+
+/**
+ * Runs scheduled profile backups from config.json
+ * Each tick reloads the configuration, so schedule changes apply without a
+ * restart. Runs for different databases may overlap; runs for the same
+ * database never do.
+ */
+export class Scheduler {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {boolean} [options.catchUp=true] - Run once for schedules missed while stopped
+   * @param {Object} [options.workflowOptions] - Options passed to runBackup()
+   * @param {Function} [options.runProfile] - Backup runner (profile name → result)
+   */
+  constructor({
+    catchUp = true,
+    workflowOptions = {},
+    runProfile = null,
+  } = {}) {
+    this.catchUp = catchUp;
+    this.workflowOptions = workflowOptions;
+    this.runProfile = runProfile || ((name) => this.backupProfile(name));
+    this.running = new Map();
+    this.timer = null;
+    this.stopped = false;
+    this.stateQueue = Promise.resolve();
+  }
+
+  /**
+   * Update the state file, one update at a time
+   * @param {Function} update - Receives the current state to modify
+   * @returns {Promise<void>}
+   */
+  updateState(update) {
+    const next = this.stateQueue.then(async () => {
+      const state = await loadScheduleState();
+      update(state);
+      await saveScheduleState(state);
+    });
+    this.stateQueue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Back up a profile with the standard workflow, holding the database lock
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} Backup result, or null if the database is locked
+   */
+  async backupProfile(name) {
+    const config = await mergeConfig({ profile: name });
+    const database = `${config.provider}/${config.dbName}`;
+    const release = await acquireLock(database);
+    if (!release) {
+      return null;
+    }
+
+    try {
+      return await runBackup(config, this.workflowOptions);
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Start every run that is due
+   * @param {Date} [now] - Current time
+   * @returns {Promise<void>}
+   */
+  async tick(now = new Date()) {
+    const config = (await configExists()) ? await loadConfig() : {};
+    const state = await loadScheduleState();
+    const handled = {};
+
+    for (const { profile, expression } of getSchedules(config)) {
+      if (this.running.has(profile)) {
+        continue;
+      }
+
+      let schedule;
+      try {
+        schedule = parseCron(expression);
+      } catch (error) {
+        console.error(`✗ ${profile}: ${error.message}`);
+        continue;
+      }
+
+      // A new schedule owes nothing from before it was first seen
+      const entry = state.profiles[profile];
+      if (!entry?.lastScheduled) {
+        handled[profile] = now;
+        continue;
+      }
+
+      const due = getDueRun(schedule, new Date(entry.lastScheduled), now);
+      if (!due) {
+        continue;
+      }
+
+      // Anything scheduled before the current minute was missed while stopped
+      const isCatchUp = now - due.scheduledFor >= 60 * 1000 || due.missed > 1;
+      if (isCatchUp && !this.catchUp) {
+        console.log(
+          `⏭️  ${profile}: skipped ${due.missed} missed run(s) (catch-up disabled)`
+        );
+        handled[profile] = due.scheduledFor;
+        continue;
+      }
+
+      const run = this.runScheduled(profile, due, isCatchUp);
+      this.running.set(profile, run);
+      run.finally(() => this.running.delete(profile));
+    }
+
+    if (Object.keys(handled).length > 0) {
+      await this.updateState((current) => {
+        for (const [profile, lastScheduled] of Object.entries(handled)) {
+          current.profiles[profile] = {
+            ...current.profiles[profile],
+            lastScheduled,
+          };
+        }
+      });
+    }
+  }
+
+  /**
+   * Run one scheduled backup and record its outcome
+   * @param {string} profile - Profile name
+   * @param {{scheduledFor: Date, missed: number}} due - Due run
+   * @param {boolean} isCatchUp - Whether the run makes up for missed runs
+   * @returns {Promise<void>}
+   */
+  async runScheduled(profile, due, isCatchUp) {
+    const startedAt = new Date();
+    console.log(
+      `\n⏰ ${profile}: starting backup scheduled for ${due.scheduledFor.toLocaleString()}` +
+        (isCatchUp ? ` (catching up ${due.missed} missed run(s))` : '')
+    );
+
+    const outcome = {
+      profile,
+      scheduledFor: due.scheduledFor,
+      startedAt,
+      catchUp: isCatchUp,
+      missed: due.missed,
+    };
+
+    try {
+      const result = await this.runProfile(profile);
+      if (!result) {
+        // Locked by another run; retried on the next tick
+        console.log(
+          `⏳ ${profile}: another backup of this database is running, will retry`
+        );
+        return;
+      }
+      outcome.status = 'success';
+      outcome.encryptedFile = result.encryptedFile;
+      outcome.keyFingerprints = result.keyFingerprints;
+      console.log(`✅ ${profile}: backup completed (${result.encryptedFile})`);
+    } catch (error) {
+      outcome.status = 'failed';
+      outcome.error = error.message;
+      console.error(`❌ ${profile}: backup failed: ${error.message}`);
+    }
+
+    outcome.finishedAt = new Date();
+    await this.recordOutcome(outcome);
+  }
+
+  /**
+   * Persist a run outcome to the state file and run log
+   * @param {Object} outcome - Run outcome
+   * @returns {Promise<void>}
+   */
+  async recordOutcome(outcome) {
+    try {
+      await this.updateState((state) => {
+        state.profiles[outcome.profile] = {
+          lastScheduled: outcome.scheduledFor,
+          lastRun: {
+            status: outcome.status,
+            startedAt: outcome.startedAt,
+            finishedAt: outcome.finishedAt,
+            ...(outcome.error && { error: outcome.error }),
+          },
+        };
+      });
+      await appendScheduleLog({ host: os.hostname(), ...outcome });
+    } catch (error) {
+      console.error(`⚠️  Failed to record scheduler state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tick at the start of every minute until stopped
+   */
+  start() {
+    const loop = async () => {
+      try {
+        await this.tick();
+      } catch (error) {
+        console.error(`⚠️  Scheduler error: ${error.message}`);
+      }
+      if (!this.stopped) {
+        const delay = 60 * 1000 - (Date.now() % (60 * 1000));
+        this.timer = setTimeout(loop, delay);
+      }
+    };
+    loop();
+  }
+
+  /**
+   * Stop scheduling and wait for running backups to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    await Promise.allSettled(this.running.values());
+  }
+}
@@ -0,0 +1,218 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getAbsolutePath, readJsonFile } from './utils.js';
+import { getKeyFingerprint } from './keys.js';
+import { loadKeys } from './encrypt.js';
+import { MANIFEST_NAME } from './manifest.js';
+
+// Signing uses the ML-DSA functions of post-quantum-helper; as with
+// encryption, the exact export names may vary between helper versions
+let signMessage, verifyMessage, generateSigningKeyPair;
+try {
+  const pqHelper = await import('@profullstack/post-quantum-helper');
+  signMessage = pqHelper.sign || pqHelper.default?.sign;
+  verifyMessage = pqHelper.verify || pqHelper.default?.verify;
+  generateSigningKeyPair =
+    pqHelper.generateSigningKeyPair || pqHelper.default?.generateSigningKeyPair;
+} catch {
+  // encrypt.js already warns when the helper is missing
+}
+
+/**
+ * Name of the manifest signature entry inside backup archives
+ */
+export const SIGNATURE_NAME = 'manifest.sig';
+
+/**
+ * Signature scheme used for new signing keys
+ */
+export const SIGNATURE_ALGORITHM = 'ML-DSA-65';
+
+/**
+ * Generate a post-quantum signing key pair
+ * Signing keys are separate from encryption keys: backup hosts hold the
+ * signing private key, restore hosts only its public key.
+ * @returns {Promise<{type: string, algorithm: string, createdAt: string, publicKey: string, privateKey: string}>}
+ *   Signing key file contents
+ */
+export async function generateSigningKeys() {
+  if (!generateSigningKeyPair) {
+    throw new Error(
+      '@profullstack/post-quantum-helper signing is not available'
+    );
+  }
+
+  const keyPair = await generateSigningKeyPair();
+  return {
+    type: 'signing',
+    algorithm: keyPair.algorithm || SIGNATURE_ALGORITHM,
+    createdAt: new Date().toISOString(),
+    publicKey: keyPair.publicKey,
+    privateKey: keyPair.privateKey,
+  };
+}
+
+/**
+ * Load a signing key file with its private key
+ * A passphrase-protected file is unlocked with QDB_KEY_PASSPHRASE.
+ * @param {string} keysPath - Path to signing key file
+ * @returns {Promise<Object>} Signing keys
+ * @throws {Error} If the file is not a signing key or lacks the private key
+ */
+export async function loadSigningKeys(keysPath) {
+  const keys = await loadKeys(keysPath);
+  if (keys.type !== 'signing') {
+    throw new Error(
+      `${keysPath} is not a signing key. Create one with "qdb keygen --signing".`
+    );
+  }
+  return keys;
+}
+
+/**
+ * Sign the exact bytes of a manifest
+ * @param {string} manifestText - manifest.json contents
+ * @param {Object} signingKeys - Signing key file with the private key
+ * @returns {Promise<{algorithm: string, signer: string, signedAt: string, signature: *}>}
+ *   Contents of manifest.sig
+ */
+export async function signManifest(manifestText, signingKeys) {
+  if (!signMessage) {
+    throw new Error(
+      '@profullstack/post-quantum-helper signing is not available'
+    );
+  }
+
+  return {
+    algorithm: signingKeys.algorithm || SIGNATURE_ALGORITHM,
+    signer: getKeyFingerprint(signingKeys.publicKey),
+    signedAt: new Date().toISOString(),
+    signature: await signMessage(manifestText, signingKeys.privateKey),
+  };
+}
+
+/**
+ * Load the public keys of trusted backup signers
+ * @param {string[]} keyFiles - Paths to signing public key files
+ * @returns {Promise<Map<string, string>>} Public keys by fingerprint
+ * @throws {Error} If a file cannot be read or has no public key
+ */
+export async function loadTrustedSigners(keyFiles = []) {
+  const signers = new Map();
+
+  for (const keyFile of keyFiles) {
+    const keys = await readJsonFile(getAbsolutePath(keyFile));
+    if (!keys.publicKey) {
+      throw new Error(`Trusted signer ${keyFile} does not contain a publicKey`);
+    }
+    signers.set(getKeyFingerprint(keys.publicKey), keys.publicKey);
+  }
+
+  return signers;
+}
+
+/**
+ * Read a file from an extracted archive, or null if it is absent
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} Contents
+ */
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check a signature over some text against the trusted signers
+ * @param {string|null} text - Signed text, or null if it is missing
+ * @param {Object|null} signature - Parsed signature file, or null if missing
+ * @param {Map<string, string>} trustedSigners - From loadTrustedSigners()
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.allowUnsigned=false] - Accept missing signatures
+ *   and signatures from untrusted signers
+ * @param {string} [options.subject='Backup'] - What was signed, for messages
+ * @returns {Promise<{status: 'trusted'|'unsigned'|'untrusted', signer: string|null}>}
+ *   Signature status
+ * @throws {Error} If the signature is invalid, or missing or untrusted
+ *   without allowUnsigned
+ */
+export async function checkSignature(
+  text,
+  signature,
+  trustedSigners,
+  { allowUnsigned = false, subject = 'Backup' } = {}
+) {
+  if (!text || !signature) {
+    if (!allowUnsigned) {
+      throw new Error(
+        `${subject} is not signed. Use --allow-unsigned to accept it anyway.`
+      );
+    }
+    return { status: 'unsigned', signer: null };
+  }
+
+  const publicKey = trustedSigners.get(signature.signer);
+  if (!publicKey) {
+    if (!allowUnsigned) {
+      throw new Error(
+        `${subject} is signed by ${signature.signer}, which is not a trusted signer. ` +
+          'Add its public key to trustedSigners in config.json, use --trusted-signer, or use --allow-unsigned to accept it anyway.'
+      );
+    }
+    return { status: 'untrusted', signer: signature.signer };
+  }
+
+  if (!verifyMessage) {
+    throw new Error(
+      '@profullstack/post-quantum-helper signing is not available'
+    );
+  }
+  let valid = false;
+  try {
+    valid = await verifyMessage(signature.signature, text, publicKey);
+  } catch {
+    // Malformed signatures are reported as invalid below
+  }
+  if (!valid) {
+    throw new Error(
+      `Invalid signature from ${signature.signer}: ${subject} was modified or not signed by this key`
+    );
+  }
+
+  return { status: 'trusted', signer: signature.signer };
+}
+
+/**
+ * Check the manifest signature of an extracted backup
+ * The manifest holds the SHA-256 of every archive entry, so a valid
+ * signature over it covers the whole backup once the entries are checked.
+ * @param {string} dir - Directory the archive was extracted to
+ * @param {Map<string, string>} trustedSigners - From loadTrustedSigners()
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.allowUnsigned=false] - Accept unsigned backups
+ *   and backups from untrusted signers (with a warning)
+ * @returns {Promise<{status: 'trusted'|'unsigned'|'untrusted', signer: string|null}>}
+ *   Signature status
+ * @throws {Error} If the signature is invalid, or missing or untrusted
+ *   without allowUnsigned
+ */
+export async function checkManifestSignature(
+  dir,
+  trustedSigners,
+  { allowUnsigned = false } = {}
+) {
+  const manifestText = await readOptionalFile(path.join(dir, MANIFEST_NAME));
+  const signatureText = await readOptionalFile(path.join(dir, SIGNATURE_NAME));
+
+  return checkSignature(
+    manifestText,
+    signatureText && JSON.parse(signatureText),
+    trustedSigners,
+    { allowUnsigned }
+  );
+}
@@ -0,0 +1,269 @@
+/**
+ * Placeholders available to each email template kind
+ * Templates reference them as {{name}}.
+ */
+export const TEMPLATE_PLACEHOLDERS = {
+  success: [
+    'database',
+    'provider',
+    'profile',
+    'filename',
+    'size',
+    'checksum',
+    'keyFingerprint',
+    'signer',
+    'host',
+    'duration',
+    'timestamp',
+  ],
+  failure: [
+    'database',
+    'provider',
+    'profile',
+    'step',
+    'error',
+    'outcome',
+    'host',
+    'duration',
+    'timestamp',
+  ],
+  digest: [
+    'total',
+    'succeeded',
+    'failed',
+    'summary',
+    'host',
+    'duration',
+    'timestamp',
+  ],
+};
+
+/**
+ * Built-in email templates, used for any kind or field config leaves out
+ */
+export const BUILT_IN_TEMPLATES = {
+  success: {
+    subject: 'Encrypted Database Backup - {{database}}',
+    text: `
+Your encrypted database backup is ready.
+
+Database: {{database}} ({{provider}})
+Filename: {{filename}}
+File Size: {{size}}
+SHA-256: {{checksum}}
+Encrypted for: {{keyFingerprint}}
+Signed by: {{signer}}
+Host: {{host}}
+Duration: {{duration}}
+Timestamp: {{timestamp}}
+
+This backup has been encrypted using post-quantum cryptography.
+Keep your decryption keys safe - they are required to restore this backup.
+
+IMPORTANT SECURITY NOTES:
+- Your encryption keys are NOT stored anywhere
+- You are solely responsible for keeping your keys safe
+- Without your keys, this backup cannot be decrypted
+- Store your keys in a secure location separate from this backup
+
+To decrypt this backup, you will need:
+1. Your keys.json file
+2. The qdb CLI tool
+3. The command: qdb decrypt --input <encrypted-file> --output <output-file> --keys <keys.json>
+`,
+    html: `
+<p>Your encrypted database backup is ready.</p>
+<table>
+  <tr><th align="left">Database</th><td>{{database}} ({{provider}})</td></tr>
+  <tr><th align="left">Filename</th><td>{{filename}}</td></tr>
+  <tr><th align="left">File Size</th><td>{{size}}</td></tr>
+  <tr><th align="left">SHA-256</th><td><code>{{checksum}}</code></td></tr>
+  <tr><th align="left">Encrypted for</th><td><code>{{keyFingerprint}}</code></td></tr>
+  <tr><th align="left">Signed by</th><td><code>{{signer}}</code></td></tr>
+  <tr><th align="left">Host</th><td>{{host}}</td></tr>
+  <tr><th align="left">Duration</th><td>{{duration}}</td></tr>
+  <tr><th align="left">Timestamp</th><td>{{timestamp}}</td></tr>
+</table>
+<p>This backup has been encrypted using post-quantum cryptography.
+Keep your decryption keys safe - they are required to restore this backup.</p>
+<p>To decrypt it: <code>qdb decrypt --input &lt;encrypted-file&gt; --output &lt;output-file&gt; --keys &lt;keys.json&gt;</code></p>
+`,
+  },
+  failure: {
+    subject: 'Database Backup FAILED - {{database}}',
+    text: `
+The database backup failed.
+
+Database: {{database}} ({{provider}})
+Failed step: {{step}}
+Error: {{error}}
+Host: {{host}}
+Duration: {{duration}}
+Timestamp: {{timestamp}}
+
+{{outcome}}
+Check the host's logs and run the backup again once the problem is fixed.
+`,
+    html: `
+<p><strong>The database backup failed.</strong></p>
+<table>
+  <tr><th align="left">Database</th><td>{{database}} ({{provider}})</td></tr>
+  <tr><th align="left">Failed step</th><td>{{step}}</td></tr>
+  <tr><th align="left">Error</th><td><code>{{error}}</code></td></tr>
+  <tr><th align="left">Host</th><td>{{host}}</td></tr>
+  <tr><th align="left">Duration</th><td>{{duration}}</td></tr>
+  <tr><th align="left">Timestamp</th><td>{{timestamp}}</td></tr>
+</table>
+<p>{{outcome}}</p>
+<p>Check the host's logs and run the backup again once the problem is
+fixed.</p>
+`,
+  },
+  digest: {
+    subject: 'Database Backup Digest - {{succeeded}}/{{total}} succeeded',
+    text: `
+Backup run on {{host}} finished in {{duration}}.
+
+Succeeded: {{succeeded}} of {{total}}
+Failed: {{failed}}
+
+{{summary}}
+
+Timestamp: {{timestamp}}
+`,
+    html: `
+<p>Backup run on {{host}} finished in {{duration}}.</p>
+<p>Succeeded: {{succeeded}} of {{total}}<br>Failed: {{failed}}</p>
+<pre>{{summary}}</pre>
+<p>Timestamp: {{timestamp}}</p>
+`,
+  },
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Escape a value for HTML
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+export function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Replace {{name}} placeholders in a template string
+ * Unknown placeholders are left as they are; missing values render as '-'.
+ * @param {string} template - Template string
+ * @param {Object} values - Placeholder values
+ * @param {Object} [options] - Render options
+ * @param {boolean} [options.html=false] - HTML-escape the values
+ * @returns {string} Rendered string
+ */
+export function renderTemplate(template, values, { html = false } = {}) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!(name in values)) {
+      return match;
+    }
+    const value = values[name] == null ? '-' : String(values[name]);
+    return html ? escapeHtml(value) : value;
+  });
+}
+
+/**
+ * Get the template for a kind, with config overrides applied
+ * A custom template that sets text or html replaces both built-in bodies,
+ * so mandated wording is never mixed with the built-in wording.
+ * @param {string} kind - 'success', 'failure' or 'digest'
+ * @param {Object} [templates] - emailTemplates from config
+ * @returns {{subject: string, text?: string, html?: string}} Template
+ */
+export function getEmailTemplate(kind, templates = {}) {
+  const builtIn = BUILT_IN_TEMPLATES[kind];
+  if (!builtIn) {
+    throw new Error(`Unknown email template: ${kind}`);
+  }
+
+  const custom = templates?.[kind] || {};
+  const hasCustomBody = custom.text != null || custom.html != null;
+  return {
+    subject: custom.subject || builtIn.subject,
+    text: hasCustomBody ? custom.text : builtIn.text,
+    html: hasCustomBody ? custom.html : builtIn.html,
+  };
+}
+
+/**
+ * Render an email from a template kind
+ * @param {string} kind - 'success', 'failure' or 'digest'
+ * @param {Object} values - Placeholder values
+ * @param {Object} [templates] - emailTemplates from config
+ * @returns {{subject: string, text?: string, html?: string}} Rendered email
+ */
+export function renderEmail(kind, values, templates) {
+  const template = getEmailTemplate(kind, templates);
+  return {
+    subject: renderTemplate(template.subject, values).replace(/\s+/g, ' '),
+    ...(template.text != null && {
+      text: renderTemplate(template.text, values).trim(),
+    }),
+    ...(template.html != null && {
+      html: renderTemplate(template.html, values, { html: true }).trim(),
+    }),
+  };
+}
+
+/**
+ * Check email templates from config
+ * @param {Object} templates - emailTemplates from config
+ * @returns {string[]} Problems found (unknown kinds, fields or placeholders)
+ */
+export function validateEmailTemplates(templates) {
+  const errors = [];
+
+  for (const [kind, template] of Object.entries(templates || {})) {
+    const placeholders = TEMPLATE_PLACEHOLDERS[kind];
+    if (!placeholders) {
+      errors.push(`Unknown email template: ${kind}`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(template || {})) {
+      if (!['subject', 'text', 'html'].includes(field)) {
+        errors.push(`Email template '${kind}': unknown field ${field}`);
+        continue;
+      }
+      for (const [, name] of String(value).matchAll(PLACEHOLDER_PATTERN)) {
+        if (!placeholders.includes(name)) {
+          errors.push(
+            `Email template '${kind}' ${field}: unknown placeholder {{${name}}}`
+          );
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format a duration for templates (e.g. '2m 05s')
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  if (minutes < 60) {
+    return `${minutes}m ${rest}s`;
+  }
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
@@ -21,11 +21,40 @@ export function generateTimestamp() {
  * Generate a backup filename with timestamp and database name
  * @param {string} dbName - Database name
  * @param {string} extension - File extension (default: 'sql')
+ * @param {string} providerName - Database provider name (default: 'supabase')
  * @returns {string} Generated filename
  */
-export function generateBackupFilename(dbName, extension = 'sql') {
+export function generateBackupFilename(
+  dbName,
+  extension = 'sql',
+  providerName = 'supabase'
+) {
   const timestamp = generateTimestamp();
-  return `supabase-backup-${timestamp}-${dbName}.${extension}`;
+  return `${providerName}-backup-${timestamp}-${dbName}.${extension}`;
+}
+
+/**
+ * Parse a filename created by generateBackupFilename()
+ * The timestamp is interpreted in local time, as generateTimestamp() writes it.
+ * @param {string} filename - Backup filename (e.g. 'postgres-backup-20240115-103000-app.zip.encrypted')
+ * @returns {{provider: string, dbName: string, createdAt: Date, extension: string}|null}
+ *   Parsed fields, or null if the name was not generated by QDB
+ */
+export function parseBackupFilename(filename) {
+  const match = filename.match(
+    /^([a-z0-9]+)-backup-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})-(.+?)\.(\w+(?:\.encrypted)?)$/
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [, provider, year, month, day, hours, minutes, seconds, dbName] = match;
+  return {
+    provider,
+    dbName,
+    createdAt: new Date(year, month - 1, day, hours, minutes, seconds),
+    extension: match[9],
+  };
 }
 
 /**
@@ -88,4 +117,26 @@ export function validateRequiredKeys(obj, requiredKeys) {
  */
 export function getAbsolutePath(relativePath) {
   return path.resolve(process.cwd(), relativePath);
+}
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Parse a size such as 15728640, '15MB' or '512 KB' (binary units)
+ * @param {number|string} value - Size in bytes, or with a B/KB/MB/GB unit
+ * @returns {number} Size in bytes
+ * @throws {Error} If the size is not a positive number with a known unit
+ */
+export function parseSize(value) {
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([KMG]?B)?$/i);
+  const bytes = match
+    ? Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()])
+    : NaN;
+
+  if (!(bytes > 0)) {
+    throw new Error(`Invalid size: ${value} (use bytes or e.g. 15MB)`);
+  }
+  return bytes;
 }
\ No newline at end of file
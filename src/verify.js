@@ -0,0 +1,124 @@
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import path from 'path';
+import {
+  decryptBackupFile,
+  getHeaderRecipients,
+  readEnvelopeHeader,
+} from './encrypt.js';
+import {
+  checkBackupSignature,
+  extractZipArchive,
+  resolveRestoreProvider,
+} from './restore.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Verify that an encrypted backup is intact and restorable
+ * Decrypts to a private temporary directory, tests the ZIP, checks entry
+ * checksums against the manifest and runs the provider's own dump check.
+ * No database is touched.
+ * @param {string} encryptedBackupPath - Path to encrypted backup file
+ * @param {Object} keys - Encryption keys
+ * @param {Object} options - Verify options
+ * @param {string|null} [options.providerName] - Provider for backups without a manifest
+ * @param {Object} [options.providerOptions] - Options for the provider check
+ * @param {boolean} [options.skipProviderCheck=false] - Skip the provider check
+ * @param {Map<string, string>} [options.trustedSigners] - Trusted signer public keys
+ * @param {boolean} [options.allowUnsigned=false] - Accept unsigned or untrusted backups
+ * @returns {Promise<{manifest: Object|null, provider: string, dumpFile: string, providerCheck: string|null, recipients: string[]|null, signature: Object}>}
+ *   Verification result (recipients: key fingerprints that can decrypt the
+ *   backup; null for legacy-format backups)
+ * @throws {Error} With the reason if any check fails
+ */
+export async function verifyBackup(
+  encryptedBackupPath,
+  keys,
+  {
+    providerName = null,
+    providerOptions = {},
+    skipProviderCheck = false,
+    trustedSigners = new Map(),
+    allowUnsigned = false,
+  } = {}
+) {
+  // mkdtemp creates the directory with 0700 permissions
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-verify-'));
+  const zipPath = path.join(workDir, 'backup.zip');
+
+  try {
+    const header = await readEnvelopeHeader(encryptedBackupPath);
+    const recipients = header
+      ? getHeaderRecipients(header).map(
+          (recipient) => recipient.fingerprint || 'unknown'
+        )
+      : null;
+
+    // Step 1: Decrypt (authenticates every encrypted frame)
+    console.log('🔓 Decrypting backup...');
+    await decryptBackupFile(encryptedBackupPath, zipPath, keys);
+    console.log('✓ Backup decrypted and authenticated');
+
+    // Step 2: ZIP integrity
+    try {
+      await execFileAsync('unzip', ['-tq', zipPath]);
+    } catch (error) {
+      throw new Error(
+        `ZIP integrity check failed: ${(error.stdout || error.message).trim()}`
+      );
+    }
+    console.log('✓ ZIP archive integrity OK');
+
+    // Step 3: Extract and compare checksums with the manifest
+    const extractDir = path.join(workDir, 'extracted');
+    const { dumpFile, manifest } = await extractZipArchive(zipPath, extractDir);
+    if (manifest) {
+      console.log(
+        `✓ Checksums match manifest (${manifest.entries.length} entries)`
+      );
+    } else {
+      console.log('⚠️  No manifest (older backup); checksums not available');
+    }
+
+    // Step 4: Signature over the manifest
+    const signature = await checkBackupSignature(
+      extractDir,
+      trustedSigners,
+      allowUnsigned
+    );
+
+    // Step 5: Provider-level check of the dump itself
+    const provider = resolveRestoreProvider(manifest, providerName);
+    let providerCheck = null;
+    if (skipProviderCheck) {
+      console.log(`⚠️  Skipped ${provider.displayName} dump check`);
+    } else {
+      try {
+        providerCheck = await provider.verifyDump(dumpFile, {
+          format: manifest?.format,
+          ...providerOptions,
+        });
+      } catch (error) {
+        throw new Error(
+          `${provider.displayName} dump check failed: ${error.message}`
+        );
+      }
+      console.log(`✓ ${provider.displayName} dump check: ${providerCheck}`);
+    }
+
+    return {
+      manifest,
+      provider: provider.name,
+      dumpFile: path.basename(dumpFile),
+      providerCheck,
+      recipients,
+      signature,
+    };
+  } finally {
+    // Remove decrypted data
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
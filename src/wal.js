@@ -0,0 +1,164 @@
+import path from 'path';
+import {
+  archiveEncryptedFile,
+  decryptArchivedFiles,
+  getArchivedNames,
+  listArchivedFiles,
+} from './archive.js';
+
+const KIND = 'wal';
+
+/**
+ * Suffix of encrypted WAL files, locally and at destinations
+ */
+export const WAL_SUFFIX = getArchivedNames('', KIND).encrypted;
+
+// WAL segments, history, backup history and partial files
+const WAL_NAME_PATTERN = /^[0-9A-F]{8}(?:[0-9A-F]{16})?(?:\.[\w.]+)?$/;
+
+/**
+ * Get the local directory encrypted WAL is archived to
+ * @param {string} workDir - Backup work directory
+ * @returns {string} WAL directory
+ */
+export function getWalDir(workDir) {
+  return path.join(workDir, 'wal');
+}
+
+/**
+ * Encrypt a WAL file and store it locally and at every destination
+ * Meant to run as PostgreSQL's archive_command, so it only succeeds once the
+ * file is stored everywhere. Archiving the same file again (a retry after a
+ * crash) succeeds without storing it twice; archiving different contents
+ * under an existing name fails.
+ * @param {string} sourcePath - WAL file to archive (%p)
+ * @param {string} name - WAL file name (%f)
+ * @param {Object} options - Archive options
+ * @param {Object|string[]} options.recipients - Keys object or recipient public keys
+ * @param {string} options.walDir - Local WAL directory
+ * @param {Array<Object>} [options.destinations] - Destination configurations
+ * @param {Object|null} [options.signingKeys] - Signing key file to sign the
+ *   file with
+ * @returns {Promise<{name: string, status: 'archived'|'already archived', uploads: number}>}
+ *   Outcome
+ * @throws {Error} If the file could not be stored everywhere
+ */
+export async function archiveWalSegment(
+  sourcePath,
+  name,
+  { recipients, walDir, destinations = [], signingKeys = null }
+) {
+  if (!WAL_NAME_PATTERN.test(name)) {
+    throw new Error(`Not a WAL file name: ${name}`);
+  }
+  return archiveEncryptedFile(sourcePath, name, {
+    kind: KIND,
+    recipients,
+    dir: walDir,
+    destinations,
+    signingKeys,
+  });
+}
+
+/**
+ * Check whether a restore starting at a WAL file needs an archived file
+ * History files are always needed; segments are needed from the start
+ * segment on, on the start timeline or later ones.
+ * @param {string} name - Archived WAL file name
+ * @param {string} startWal - First WAL segment of the base backup
+ * @returns {boolean} True if the file should be restored
+ */
+export function isWalNeeded(name, startWal) {
+  if (name.endsWith('.history')) {
+    return true;
+  }
+  if (!/^[0-9A-F]{24}$/.test(name)) {
+    return false;
+  }
+  return (
+    name.slice(0, 8) >= startWal.slice(0, 8) &&
+    name.slice(8) >= startWal.slice(8)
+  );
+}
+
+/**
+ * Decrypt the archived WAL a base backup needs for replay
+ * @param {string} sourceDir - Directory with encrypted WAL (*.wal.encrypted)
+ * @param {string} outputDir - Directory for the decrypted WAL
+ * @param {Object} keys - Keys with the private key
+ * @param {string} startWal - First WAL segment of the base backup
+ * @param {Object} [signatureOptions] - trustedSigners and allowUnsigned, see
+ *   decryptArchivedFiles()
+ * @returns {Promise<string[]>} Names of the decrypted WAL files
+ * @throws {Error} If the source directory cannot be read, or a file is not
+ *   signed by a trusted signer or fails to decrypt
+ */
+export async function restoreWalSegments(
+  sourceDir,
+  outputDir,
+  keys,
+  startWal,
+  signatureOptions = {}
+) {
+  const names = (await listArchivedFiles(sourceDir, KIND)).filter((name) =>
+    isWalNeeded(name, startWal)
+  );
+  await decryptArchivedFiles(
+    sourceDir,
+    outputDir,
+    keys,
+    names,
+    KIND,
+    signatureOptions
+  );
+  return names;
+}
+
+/**
+ * Set up point-in-time recovery from a base backup and archived WAL
+ * The base backup is unpacked into pgdata and the WAL it needs is decrypted
+ * next to it (into "<pgdata>-wal"); starting PostgreSQL on pgdata then
+ * replays it up to the target time.
+ * @param {Object} provider - PostgreSQL provider
+ * @param {string} tarPath - Base backup tar
+ * @param {Object} keys - Keys with the private key
+ * @param {Object} options - Recovery options
+ * @param {string} options.pgdata - Data directory to create
+ * @param {string} options.walDir - Directory with the encrypted WAL archive
+ * @param {string} [options.targetTime] - Recovery target (ISO timestamp)
+ * @param {Map<string, string>} [options.trustedSigners] - Trusted signer
+ *   public keys for the WAL signatures
+ * @param {boolean} [options.allowUnsigned=false] - Accept unsigned WAL
+ * @returns {Promise<{pgdata: string, replayDir: string, segments: number}>}
+ *   Where recovery was set up and how many WAL files were restored
+ */
+export async function preparePointInTimeRecovery(
+  provider,
+  tarPath,
+  keys,
+  { pgdata, walDir, targetTime, trustedSigners, allowUnsigned }
+) {
+  const dataDir = path.resolve(pgdata);
+  const replayDir = `${dataDir}-wal`;
+
+  const startWal = await provider.restoreBaseBackup(tarPath, dataDir);
+  console.log(`✓ Base backup unpacked into ${dataDir} (starts at ${startWal})`);
+
+  const names = await restoreWalSegments(walDir, replayDir, keys, startWal, {
+    trustedSigners,
+    allowUnsigned,
+  });
+  console.log(
+    `✓ Decrypted ${names.length} archived WAL file(s) into ${replayDir}`
+  );
+
+  await provider.writeRecoveryConfig(dataDir, {
+    walDir: replayDir,
+    targetTime,
+  });
+  console.log(
+    `✓ Recovery configured${targetTime ? ` to ${targetTime}` : ' to the end of the archive'}`
+  );
+
+  return { pgdata: dataDir, replayDir, segments: names.length };
+}
@@ -0,0 +1,418 @@
+import path from 'path';
+import os from 'os';
+import { createBackup, createEncryptedBackup } from './backup.js';
+import {
+  loadKeys,
+  encryptBackupFile,
+  getFileSize,
+  formatBytes,
+} from './encrypt.js';
+import {
+  applySmtpConfig,
+  sendBackupEmails,
+  generateBackupEmailContent,
+} from './email.js';
+import { getAbsolutePath } from './utils.js';
+import { createDestination } from './destinations/index.js';
+import { getKeyFingerprint, loadRecipientKeys } from './keys.js';
+import { loadSigningKeys } from './signing.js';
+import { hashFile } from './manifest.js';
+import { formatDuration, validateEmailTemplates } from './templates.js';
+import { sendNotifications } from './notify.js';
+import { appendCatalogRecord } from './catalog.js';
+import { describeFilters, getFilters } from './filters.js';
+
+/**
+ * Load the public keys backups are encrypted for
+ * @param {Object} config - Merged configuration (keys, recipients)
+ * @returns {Promise<{keys: Object|null, recipients: string[]}>} Keys file
+ *   contents and every recipient public key
+ */
+export async function loadBackupRecipients(config) {
+  const keys = config.keys
+    ? await loadKeys(getAbsolutePath(config.keys), ['publicKey'])
+    : null;
+  const recipients = [
+    ...(keys ? [keys.publicKey] : []),
+    ...(await loadRecipientKeys(config.recipients)),
+  ];
+  return { keys, recipients };
+}
+
+/**
+ * Check that a merged configuration has everything a backup needs
+ * @param {Object} config - Merged configuration from mergeConfig()
+ * @param {boolean} sendEmail - Whether the backup will be emailed
+ * @throws {Error} If a required value is missing
+ */
+export function assertBackupConfig(config, sendEmail) {
+  if (!config.keys && !config.recipients?.length) {
+    throw new Error(
+      'Keys path not specified. Run "qdb init" or use --keys or --recipient option.'
+    );
+  }
+  if (sendEmail && !config.email) {
+    throw new Error(
+      'Email not specified. Run "qdb init" or use --email option.'
+    );
+  }
+  if (!config.dbName) {
+    throw new Error(
+      'Database name not specified. Run "qdb init" or use --db-name option.'
+    );
+  }
+
+  // Validate SMTP configuration if email is enabled
+  if (sendEmail && (!config.smtp.user || !config.smtp.pass)) {
+    throw new Error(
+      'SMTP not configured. Run "qdb init" or set SMTP_USER and SMTP_PASS environment variables.'
+    );
+  }
+
+  const templateErrors = validateEmailTemplates(config.emailTemplates);
+  if (sendEmail && templateErrors.length > 0) {
+    throw new Error(`Invalid email templates: ${templateErrors.join('; ')}`);
+  }
+}
+
+/**
+ * Upload an encrypted backup to every configured destination
+ * Every destination is attempted even if an earlier one fails.
+ * @param {string} encryptedFile - Path to the encrypted backup
+ * @param {Array<Object>} destinations - Destination configurations
+ * @returns {Promise<Array<{destination: string, ok: boolean, location?: string, error?: string}>>}
+ *   Result for each destination
+ */
+export async function uploadToDestinations(encryptedFile, destinations) {
+  const results = [];
+
+  for (const config of destinations) {
+    try {
+      const destination = createDestination(config);
+      console.log(
+        `☁️  Uploading to ${destination.name} (${destination.type})...`
+      );
+      const { location } = await destination.put(encryptedFile);
+      console.log(`✓ Uploaded to ${destination.name}: ${location}`);
+      results.push({ destination: config.name, ok: true, location });
+    } catch (error) {
+      console.error(`✗ Upload to ${config.name} failed: ${error.message}`);
+      results.push({
+        destination: config.name,
+        ok: false,
+        error: error.message,
+      });
+    }
+  }
+
+  console.log('');
+  return results;
+}
+
+/**
+ * Describe a finished backup for email templates and notifications
+ * @param {Object} config - Merged configuration
+ * @param {Object} result - Backup result (encryptedFile, fileSize, checksum,
+ *   keyFingerprints, signer)
+ * @param {number} startedAt - Start time in milliseconds
+ * @returns {Object} Values for the success template
+ */
+function getBackupDetails(config, result, startedAt) {
+  return {
+    database: config.dbName,
+    provider: config.provider,
+    profile: config.profile,
+    filename: path.basename(result.encryptedFile),
+    size: formatBytes(result.fileSize),
+    checksum: result.checksum,
+    keyFingerprint: result.keyFingerprints.join(', '),
+    signer: result.signer || '(unsigned)',
+    host: os.hostname(),
+    duration: formatDuration(Date.now() - startedAt),
+  };
+}
+
+/**
+ * Record a backup in the local catalog
+ * Backups that fail the configuration check are not recorded. A catalog
+ * that cannot be written is reported but does not fail the backup.
+ * @param {Object} config - Merged configuration
+ * @param {{step: string, result?: Object, uploads?: Array<Object>}} run - Run state
+ * @param {Error} [error] - Error, if the backup failed
+ * @returns {Promise<string|null>} Catalog ID
+ */
+async function catalogBackup(config, run, error) {
+  if (error && run.step === 'check configuration') {
+    return null;
+  }
+
+  const { result = {}, uploads = [] } = run;
+  try {
+    const record = await appendCatalogRecord({
+      profile: config.profile,
+      provider: config.provider,
+      database: config.dbName,
+      // Absolute, so restore --id finds it from any directory
+      file: result.encryptedFile ? path.resolve(result.encryptedFile) : null,
+      filename: result.encryptedFile
+        ? path.basename(result.encryptedFile)
+        : null,
+      format: result.format || null,
+      size: result.fileSize ?? null,
+      checksum: result.checksum || null,
+      keyFingerprints: result.keyFingerprints || [],
+      signer: result.signer || null,
+      ...(getFilters(config.providerOptions) && {
+        filters: getFilters(config.providerOptions),
+      }),
+      destinations: uploads.map(({ destination, ok, location }) => ({
+        destination,
+        ok,
+        ...(location && { location }),
+      })),
+      status: error ? 'failed' : 'success',
+      ...(error && { step: error.step, error: error.message }),
+    });
+    return record.id;
+  } catch (catalogError) {
+    console.warn(
+      `⚠️  Could not record the backup in the catalog: ${catalogError.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Run a complete backup: dump → ZIP → encrypt → email → upload
+ * By default the dump is streamed straight into compression and encryption.
+ * Every backup is recorded in the local catalog. Configured notification
+ * channels are told about the outcome; a failed notification is reported
+ * but does not change it.
+ * @param {Object} config - Merged configuration from mergeConfig()
+ * @param {Object} options - Workflow options
+ * @param {boolean} [options.sendEmail=true] - Email the encrypted backup
+ * @param {boolean} [options.keepFiles=false] - Write and keep the plaintext
+ *   dump and ZIP files instead of streaming
+ * @param {boolean} [options.upload=true] - Upload to the configured destinations
+ * @param {boolean} [options.notify=true] - Send success/failure notifications
+ * @returns {Promise<{id: string|null, encryptedFile: string, format: string|null, fileSize: number, checksum: string, keyFingerprints: string[], signer: string|null, uploads: Array<Object>}>}
+ *   Backup result with its catalog ID
+ * @throws {Error} If any step fails, including any destination upload; the
+ *   error's `step` names the step that failed
+ */
+export async function runBackup(config, options = {}) {
+  const { notify = true } = options;
+  const run = { step: 'check configuration', startedAt: Date.now() };
+
+  try {
+    const result = await performBackup(config, options, run);
+    result.id = await catalogBackup(config, run);
+    if (notify) {
+      await sendNotifications(
+        config,
+        'success',
+        getBackupDetails(config, result, run.startedAt)
+      );
+    }
+    return result;
+  } catch (error) {
+    error.step = error.step || run.step;
+    await catalogBackup(config, run, error);
+    if (notify) {
+      await sendNotifications(config, 'failure', {
+        database: config.dbName,
+        provider: config.provider,
+        profile: config.profile,
+        step: error.step,
+        error: error.message,
+        outcome: describeFailureOutcome(run, error.step),
+        host: os.hostname(),
+        duration: formatDuration(Date.now() - run.startedAt),
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Say what a failed run left behind
+ * run.result is only set once the encrypted backup is complete, so a later
+ * step (email, upload) leaves it in the work directory.
+ * @param {{result?: Object}} run - Run state
+ * @param {string} step - Failed step
+ * @returns {string} Sentence for failure notifications
+ */
+function describeFailureOutcome(run, step) {
+  if (!run.result?.encryptedFile) {
+    return 'No backup was produced by this run.';
+  }
+  return `The encrypted backup was created before the ${step} step failed and is kept at ${path.resolve(run.result.encryptedFile)}.`;
+}
+
+/**
+ * Backup steps of runBackup()
+ * @param {Object} config - Merged configuration
+ * @param {Object} options - Workflow options
+ * @param {{step: string, startedAt: number}} run - Updated with the current
+ *   step, the encrypted file (result) and upload results (uploads)
+ * @returns {Promise<Object>} Backup result
+ */
+async function performBackup(
+  config,
+  { sendEmail = true, keepFiles = false, upload = true },
+  run
+) {
+  assertBackupConfig(config, sendEmail);
+
+  // Load encryption keys
+  run.step = 'load keys';
+  console.log('📋 Loading encryption keys...');
+  const { keys, recipients } = await loadBackupRecipients(config);
+  const keyFingerprints = [...new Set(recipients.map(getKeyFingerprint))];
+  console.log('✓ Keys loaded successfully');
+  if (keys?.privateKey) {
+    console.log(
+      '⚠️  The keys file contains the private key. Backups only need the public key;'
+    );
+    console.log(
+      '   use "qdb keys export-public" to keep the private key off this host.'
+    );
+  }
+  console.log(
+    `🔑 Encrypting for ${keyFingerprints.length} key(s): ${keyFingerprints.join(', ')}`
+  );
+  const filters = getFilters(config.providerOptions);
+  if (filters) {
+    console.log(`🔎 Partial backup: ${describeFilters(filters)}`);
+  }
+
+  // Signing key (separate from the encryption keys)
+  const signingKeys = config.signingKey
+    ? await loadSigningKeys(getAbsolutePath(config.signingKey))
+    : null;
+  const signer = signingKeys ? getKeyFingerprint(signingKeys.publicKey) : null;
+  if (signer) {
+    console.log(`✍️  Signing with key: ${signer}\n`);
+  } else {
+    console.log(
+      '⚠️  No signing key configured: restoring this backup will need --allow-unsigned\n'
+    );
+  }
+
+  let encryptedFile;
+  let manifest;
+  let intermediateFiles = [];
+
+  if (keepFiles) {
+    // Create database backup (dump + ZIP) on disk, then encrypt the ZIP
+    run.step = 'dump database';
+    console.log('💾 Creating database backup...');
+    const backup = await createBackup(
+      config.dbName,
+      config.workDir,
+      config.provider,
+      config.providerOptions,
+      signingKeys
+    );
+    const { dumpFile, zipFile } = backup;
+    manifest = backup.manifest;
+    console.log(`✓ Database dump created: ${path.basename(dumpFile)}`);
+    console.log(`✓ ZIP archive created: ${path.basename(zipFile)}\n`);
+
+    run.step = 'encrypt backup';
+    console.log('🔒 Encrypting backup with post-quantum cryptography...');
+    encryptedFile = `${zipFile}.encrypted`;
+    await encryptBackupFile(zipFile, encryptedFile, recipients);
+    intermediateFiles = [dumpFile, zipFile];
+  } else {
+    // Stream dump → ZIP → encryption; no plaintext touches the disk
+    run.step = 'dump and encrypt';
+    console.log('💾 Creating encrypted database backup...');
+    ({ encryptedFile, manifest } = await createEncryptedBackup(
+      config.dbName,
+      config.workDir,
+      config.provider,
+      config.providerOptions,
+      recipients,
+      signingKeys
+    ));
+  }
+
+  const fileSize = await getFileSize(encryptedFile);
+  const { sha256: checksum } = await hashFile(encryptedFile);
+  console.log(`✓ Backup encrypted: ${path.basename(encryptedFile)}`);
+  console.log(`✓ File size: ${formatBytes(fileSize)}\n`);
+  const result = {
+    encryptedFile,
+    format: manifest?.format || null,
+    fileSize,
+    checksum,
+    keyFingerprints,
+    signer,
+  };
+  run.result = result;
+
+  // Upload first, so a rejected email does not leave the backup unstored
+  let uploads = [];
+  if (upload && config.destinations?.length > 0) {
+    run.step = 'upload';
+    uploads = await uploadToDestinations(encryptedFile, config.destinations);
+    run.uploads = uploads;
+  }
+
+  // Send email if enabled
+  let emailError = null;
+  if (sendEmail) {
+    run.step = 'send email';
+    console.log(`📧 Sending encrypted backup to ${config.email}...`);
+    try {
+      const { subject, text, html } = generateBackupEmailContent(
+        getBackupDetails(config, result, run.startedAt),
+        config.emailTemplates
+      );
+
+      applySmtpConfig(config.smtp);
+      const sent = await sendBackupEmails({
+        to: config.email,
+        subject,
+        text,
+        html,
+        attachmentPath: encryptedFile,
+        maxAttachmentSize: config.smtp.maxAttachmentSize || undefined,
+      });
+      console.log(
+        sent.parts > 1
+          ? `✓ Backup sent in ${sent.parts} emails (backup ID ${sent.backupId})\n`
+          : '✓ Email sent successfully\n'
+      );
+    } catch (error) {
+      emailError = error;
+      console.error(`✗ ${error.message}\n`);
+    }
+  }
+
+  if (keepFiles) {
+    console.log('📁 Kept intermediate files:');
+    intermediateFiles.forEach((file) => console.log(`   ${file}`));
+    console.log('');
+  }
+
+  // Report the email and the uploads together
+  const problems = emailError ? [emailError.message] : [];
+  const failedUploads = uploads.filter((result) => !result.ok);
+  if (failedUploads.length > 0) {
+    const names = failedUploads.map((result) => result.destination).join(', ');
+    problems.push(
+      `Upload failed for ${failedUploads.length} of ${uploads.length} destinations: ${names}`
+    );
+  }
+  if (problems.length > 0) {
+    const error = new Error(
+      `${problems.join('; ')} (backup kept at ${encryptedFile})`
+    );
+    error.step = emailError ? 'send email' : 'upload';
+    throw error;
+  }
+
+  return { ...result, uploads };
+}
@@ -0,0 +1,158 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  archiveBinaryLogs,
+  parseBinlogName,
+  parseBinlogPosition,
+  selectBinlogs,
+} from '../src/binlog.js';
+import mysql, { BINLOG_FORMAT } from '../src/providers/mysql.js';
+
+describe('Binlog Module', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-binlog-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseBinlogName', () => {
+    it('should split base name and sequence number', () => {
+      expect(parseBinlogName('mysql-bin.000042')).to.deep.equal({
+        base: 'mysql-bin',
+        sequence: 42,
+      });
+      expect(parseBinlogName('binlog.index')).to.be.null;
+    });
+  });
+
+  describe('parseBinlogPosition', () => {
+    it('should parse file:position', () => {
+      expect(parseBinlogPosition('binlog.000042:1337')).to.deep.equal({
+        file: 'binlog.000042',
+        position: 1337,
+      });
+    });
+
+    it('should reject other values', () => {
+      for (const value of ['binlog.000042', '1337', 'binlog.index:4']) {
+        expect(() => parseBinlogPosition(value)).to.throw(
+          'Invalid binary log position'
+        );
+      }
+    });
+  });
+
+  describe('selectBinlogs', () => {
+    const names = [
+      'binlog.000001',
+      'binlog.000002',
+      'binlog.000003',
+      'binlog.000004',
+      'other.000003',
+    ];
+
+    it('should select every archived file from the dump position on', () => {
+      expect(selectBinlogs(names, 'binlog.000002')).to.deep.equal([
+        'binlog.000002',
+        'binlog.000003',
+        'binlog.000004',
+      ]);
+    });
+
+    it('should stop at the target file', () => {
+      expect(
+        selectBinlogs(names, 'binlog.000002', 'binlog.000003')
+      ).to.deep.equal(['binlog.000002', 'binlog.000003']);
+    });
+
+    it('should report gaps in the archive', () => {
+      expect(() =>
+        selectBinlogs(
+          ['binlog.000002', 'binlog.000004'],
+          'binlog.000002',
+          'binlog.000004'
+        )
+      ).to.throw('binlog.000003 is missing');
+      expect(() => selectBinlogs(names, 'binlog.000007')).to.throw(
+        'binlog.000007 is missing'
+      );
+    });
+
+    it('should reject a target before the dump position', () => {
+      expect(() =>
+        selectBinlogs(names, 'binlog.000003', 'binlog.000002')
+      ).to.throw('not after the dump position');
+    });
+  });
+
+  describe('archiveBinaryLogs', () => {
+    it('should skip archived files and the active file', async () => {
+      const binlogDir = path.join(tempDir, 'binlog');
+      await fs.mkdir(binlogDir);
+      await fs.writeFile(
+        path.join(binlogDir, 'binlog.000001.binlog.sha256'),
+        'abc\n'
+      );
+      const fetched = [];
+      const provider = {
+        listBinaryLogs: async () => ['binlog.000001', 'binlog.000002'],
+        fetchBinaryLog: async (name) => fetched.push(name),
+      };
+
+      const result = await archiveBinaryLogs(
+        provider,
+        {},
+        { recipients: [], binlogDir }
+      );
+
+      expect(result).to.deep.equal({ archived: [], skipped: 1 });
+      expect(fetched).to.deep.equal([]);
+    });
+  });
+
+  describe('MySQL provider', () => {
+    const options = { user: 'root', database: 'shop', binlog: true };
+
+    it('should record the binary log position when dumping', () => {
+      const args = mysql.getDumpArgs(options, undefined, '--master-data=2');
+      expect(args).to.include('--master-data=2');
+      expect(args).to.include('--flush-logs');
+      expect(mysql.getDumpArgs({ ...options, binlog: false })).to.not.include(
+        '--flush-logs'
+      );
+      expect(mysql.getDumpFormat(options)).to.equal(BINLOG_FORMAT);
+    });
+
+    it('should read the position from a dump', async () => {
+      const dumpPath = path.join(tempDir, 'shop.sql');
+      await fs.writeFile(
+        dumpPath,
+        '-- MySQL dump 10.13\n' +
+          "-- CHANGE REPLICATION SOURCE TO SOURCE_LOG_FILE='binlog.000012', SOURCE_LOG_POS=157;\n"
+      );
+
+      expect(await mysql.getDumpBinlogPosition(dumpPath)).to.deep.equal({
+        file: 'binlog.000012',
+        position: 157,
+      });
+    });
+
+    it('should fail for dumps without a position', async () => {
+      const dumpPath = path.join(tempDir, 'shop.sql');
+      await fs.writeFile(dumpPath, '-- MySQL dump 10.13\n');
+
+      try {
+        await mysql.getDumpBinlogPosition(dumpPath);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('back up with --binlog');
+      }
+    });
+  });
+});
@@ -0,0 +1,236 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  appendCatalogRecord,
+  fetchCatalogBackup,
+  filterCatalog,
+  findCatalogRecord,
+  getCatalogPath,
+  loadCatalog,
+  parseCatalogDate,
+  recordPrunedBackup,
+  recordRekeyedBackups,
+  updateCatalogRecord,
+} from '../src/catalog.js';
+import { hashFile } from '../src/manifest.js';
+
+describe('Catalog Module', () => {
+  const originalHome = process.env.HOME;
+  let tempHome;
+
+  beforeEach(async () => {
+    tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-catalog-test-'));
+    process.env.HOME = tempHome;
+  });
+
+  afterEach(async () => {
+    process.env.HOME = originalHome;
+    await fs.rm(tempHome, { recursive: true, force: true });
+  });
+
+  describe('appendCatalogRecord', () => {
+    it('should append records and skip unreadable lines', async () => {
+      const first = await appendCatalogRecord({ database: 'app' });
+      await fs.appendFile(getCatalogPath(), '{"id": "cut-sho');
+      await fs.appendFile(getCatalogPath(), '\n');
+      const second = await appendCatalogRecord({ database: 'billing' });
+
+      const records = await loadCatalog();
+      expect(records.map((record) => record.id)).to.deep.equal([
+        first.id,
+        second.id,
+      ]);
+      expect(first.createdAt).to.be.a('string');
+    });
+  });
+
+  describe('updateCatalogRecord', () => {
+    it('should merge changes into the record', async () => {
+      const record = await appendCatalogRecord({ database: 'app', size: 1 });
+      await updateCatalogRecord(record.id, { size: 2 });
+      await updateCatalogRecord('unknown', { size: 3 });
+
+      const records = await loadCatalog();
+      expect(records).to.have.length(1);
+      expect(records[0]).to.include({
+        id: record.id,
+        createdAt: record.createdAt,
+        database: 'app',
+        size: 2,
+      });
+      expect(records[0].updatedAt).to.be.a('string');
+    });
+  });
+
+  describe('recordRekeyedBackups', () => {
+    it('should update records whose file changed', async () => {
+      const file = path.join(tempHome, 'backup.encrypted');
+      await fs.writeFile(file, 'old ciphertext');
+      const { sha256 } = await hashFile(file);
+      const record = await appendCatalogRecord({
+        file,
+        checksum: sha256,
+        keyFingerprints: ['old'],
+        status: 'success',
+      });
+
+      expect(await recordRekeyedBackups([file], ['new'])).to.equal(0);
+
+      await fs.writeFile(file, 'new ciphertext!');
+      expect(await recordRekeyedBackups([file], ['new'])).to.equal(1);
+      const [loaded] = await loadCatalog();
+      expect(loaded).to.deep.include({
+        id: record.id,
+        checksum: (await hashFile(file)).sha256,
+        size: 15,
+        keyFingerprints: ['new'],
+      });
+      expect((await fetchCatalogBackup(loaded)).filePath).to.equal(file);
+    });
+  });
+
+  describe('recordPrunedBackup', () => {
+    it('should mark a backup pruned once no copy is left', async () => {
+      const workDir = path.join(tempHome, 'work');
+      const filename = 'postgres-backup-20240513-020000-app.zip.encrypted';
+      const record = await appendCatalogRecord({
+        file: path.join(workDir, filename),
+        filename,
+        destinations: [
+          { destination: 'nas', ok: true },
+          { destination: 's3', ok: false },
+        ],
+        status: 'success',
+      });
+      await appendCatalogRecord({
+        file: path.join(workDir, 'other.zip.encrypted'),
+        filename: 'other.zip.encrypted',
+        destinations: [{ destination: 'nas', ok: true }],
+        status: 'success',
+      });
+
+      expect(
+        await recordPrunedBackup(filename, { destination: 'nas' })
+      ).to.equal(1);
+      let [loaded] = await loadCatalog();
+      expect(loaded.status).to.equal('success');
+      expect(loaded.destinations).to.deep.equal([
+        { destination: 'nas', ok: false, pruned: true },
+        { destination: 's3', ok: false },
+      ]);
+
+      expect(await recordPrunedBackup(filename, { workDir })).to.equal(1);
+      [loaded] = await loadCatalog();
+      expect(loaded).to.include({
+        id: record.id,
+        status: 'pruned',
+        fileRemoved: true,
+      });
+      expect(
+        filterCatalog(await loadCatalog(), { status: 'success' })
+      ).to.have.length(1);
+
+      try {
+        await fetchCatalogBackup(loaded);
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('was deleted by qdb prune');
+      }
+    });
+  });
+
+  describe('filterCatalog', () => {
+    const records = [
+      {
+        database: 'app',
+        provider: 'postgres',
+        createdAt: '2024-10-05T23:00:00Z',
+      },
+      { database: 'app', provider: 'mysql', createdAt: '2024-10-06T12:00:00Z' },
+      {
+        database: 'crm',
+        provider: 'postgres',
+        createdAt: '2024-10-07T01:00:00Z',
+      },
+    ];
+
+    it('should filter by database, provider and date range', () => {
+      expect(
+        filterCatalog(records, { database: 'app', provider: 'postgres' })
+      ).to.deep.equal([records[0]]);
+      expect(
+        filterCatalog(records, {
+          since: new Date('2024-10-06T00:00:00Z'),
+          until: new Date('2024-10-06T23:59:59Z'),
+        })
+      ).to.deep.equal([records[1]]);
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => parseCatalogDate('yesterday')).to.throw('Invalid date');
+    });
+  });
+
+  describe('findCatalogRecord', () => {
+    const records = [
+      { id: 'abcd1234-0000' },
+      { id: 'abcd5678-0000' },
+      { id: 'ef012345-0000' },
+    ];
+
+    it('should find a record by unique prefix', () => {
+      expect(findCatalogRecord(records, 'ef01')).to.equal(records[2]);
+    });
+
+    it('should reject ambiguous, short and unknown IDs', () => {
+      expect(() => findCatalogRecord(records, 'abcd')).to.throw('ambiguous');
+      expect(() => findCatalogRecord(records, 'ef0')).to.throw('No backup');
+      expect(() => findCatalogRecord(records, 'ffff')).to.throw('No backup');
+    });
+  });
+
+  describe('fetchCatalogBackup', () => {
+    it('should fall back to a destination when the local file is gone', async () => {
+      const storeDir = path.join(tempHome, 'store');
+      await fs.mkdir(storeDir);
+      const stored = path.join(storeDir, 'app.zip.encrypted');
+      await fs.writeFile(stored, 'ciphertext');
+
+      const record = {
+        id: 'abcd1234',
+        status: 'success',
+        file: path.join(tempHome, 'gone', 'app.zip.encrypted'),
+        filename: 'app.zip.encrypted',
+        checksum: (await hashFile(stored)).sha256,
+        destinations: [{ destination: 'nas', ok: true }],
+      };
+      const backup = await fetchCatalogBackup(record, [
+        { name: 'nas', type: 'local', path: storeDir },
+      ]);
+
+      expect(await fs.readFile(backup.filePath, 'utf-8')).to.equal(
+        'ciphertext'
+      );
+      await backup.cleanup();
+      await fs.access(backup.filePath).then(
+        () => expect.fail('Expected the download to be removed'),
+        () => {}
+      );
+    });
+
+    it('should refuse backups that did not complete', async () => {
+      try {
+        await fetchCatalogBackup({
+          id: 'abcd1234',
+          status: 'failed',
+          step: 'upload',
+        });
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('did not complete (failed at upload)');
+      }
+    });
+  });
+});
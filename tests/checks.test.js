@@ -0,0 +1,98 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import { gzipSync } from 'zlib';
+import os from 'os';
+import path from 'path';
+import { checkSqlDump, checkGzipFile } from '../src/providers/checks.js';
+
+describe('Provider Dump Checks', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-checks-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function expectError(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected promise to reject');
+  }
+
+  describe('checkSqlDump', () => {
+    const mysqlDump = {
+      header: /^-- (MySQL|MariaDB) dump/m,
+      footer: /-- Dump completed/,
+    };
+
+    it('should accept a complete dump', async () => {
+      const dumpPath = path.join(tempDir, 'dump.sql');
+      await fs.writeFile(
+        dumpPath,
+        '-- MySQL dump 10.13\nCREATE TABLE t (id INT);\n-- Dump completed on 2024-10-06\n'
+      );
+      expect(await checkSqlDump(dumpPath, mysqlDump)).to.equal(
+        'SQL header and completion marker present'
+      );
+    });
+
+    it('should reject a truncated dump', async () => {
+      const dumpPath = path.join(tempDir, 'dump.sql');
+      await fs.writeFile(dumpPath, '-- MySQL dump 10.13\nCREATE TABLE t (id');
+      const error = await expectError(checkSqlDump(dumpPath, mysqlDump));
+      expect(error.message).to.include('No SQL statements');
+    });
+
+    it('should reject a dump without the completion marker', async () => {
+      const dumpPath = path.join(tempDir, 'dump.sql');
+      await fs.writeFile(dumpPath, '-- MySQL dump 10.13\nCREATE TABLE t ();\n');
+      const error = await expectError(checkSqlDump(dumpPath, mysqlDump));
+      expect(error.message).to.include('looks truncated');
+    });
+
+    it('should reject empty and binary files', async () => {
+      const emptyPath = path.join(tempDir, 'empty.sql');
+      const binaryPath = path.join(tempDir, 'binary.sql');
+      await fs.writeFile(emptyPath, '');
+      await fs.writeFile(binaryPath, Buffer.from([0x50, 0x00, 0x3b]));
+
+      expect((await expectError(checkSqlDump(emptyPath))).message).to.equal(
+        'Dump file is empty'
+      );
+      expect((await expectError(checkSqlDump(binaryPath))).message).to.equal(
+        'Dump file is not a plain-text SQL dump'
+      );
+    });
+  });
+
+  describe('checkGzipFile', () => {
+    const magic = Buffer.from([0x6d, 0xe2, 0x99, 0x81]);
+
+    it('should return the decompressed size', async () => {
+      const filePath = path.join(tempDir, 'dump.archive');
+      const data = Buffer.concat([magic, Buffer.alloc(100)]);
+      await fs.writeFile(filePath, gzipSync(data));
+      expect(await checkGzipFile(filePath, magic)).to.equal(104);
+    });
+
+    it('should reject corrupt gzip data', async () => {
+      const filePath = path.join(tempDir, 'dump.archive');
+      const compressed = gzipSync(Buffer.alloc(1000));
+      await fs.writeFile(filePath, compressed.subarray(0, 20));
+      await expectError(checkGzipFile(filePath, magic));
+    });
+
+    it('should reject an unexpected signature', async () => {
+      const filePath = path.join(tempDir, 'dump.archive');
+      await fs.writeFile(filePath, gzipSync(Buffer.from('not an archive')));
+      const error = await expectError(checkGzipFile(filePath, magic));
+      expect(error.message).to.include('Unexpected file signature');
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getConfigPath,
+  getProfileNames,
+  getProviderOptions,
+  mergeConfig,
+  resolveDestinations,
+  resolveProviderName,
+  toProviderDefaults,
+  validateConfig,
+} from '../src/config.js';
+
+describe('Config Module', () => {
+  const originalHome = process.env.HOME;
+  let tempHome;
+
+  beforeEach(async () => {
+    tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-config-'));
+    process.env.HOME = tempHome;
+  });
+
+  afterEach(async () => {
+    process.env.HOME = originalHome;
+    await fs.rm(tempHome, { recursive: true, force: true });
+  });
+
+  async function writeConfig(config) {
+    await fs.mkdir(path.dirname(getConfigPath()), { recursive: true });
+    await fs.writeFile(getConfigPath(), JSON.stringify(config));
+  }
+
+  describe('resolveProviderName', () => {
+    it('should default to supabase', () => {
+      expect(resolveProviderName()).to.equal('supabase');
+    });
+
+    it('should map aliases to the canonical provider name', () => {
+      expect(resolveProviderName('PostgreSQL')).to.equal('postgres');
+    });
+  });
+
+  describe('getProviderOptions', () => {
+    it('should pick connection options and parse the port', () => {
+      const options = getProviderOptions({
+        host: 'db',
+        port: '5433',
+        email: 'ops@example.com',
+      });
+      expect(options).to.deep.equal({ host: 'db', port: 5433 });
+    });
+  });
+
+  describe('toProviderDefaults', () => {
+    it('should strip the provider prefix from prompt answers', () => {
+      const defaults = toProviderDefaults('postgres', {
+        postgresHost: 'localhost',
+        postgresPort: 5432,
+        postgresPassword: '',
+      });
+      expect(defaults).to.deep.equal({ host: 'localhost', port: 5432 });
+    });
+  });
+
+  describe('mergeConfig', () => {
+    it('should use saved provider defaults', async () => {
+      await writeConfig({
+        defaultDbName: 'app',
+        defaultProvider: 'postgres',
+        providers: { postgres: { host: 'db.internal', user: 'backup' } },
+      });
+
+      const config = await mergeConfig({ port: '6543' });
+      expect(config.provider).to.equal('postgres');
+      expect(config.providerOptions).to.deep.equal({
+        database: 'app',
+        host: 'db.internal',
+        user: 'backup',
+        port: 6543,
+      });
+    });
+
+    it('should apply a named profile over the top-level config', async () => {
+      await writeConfig({
+        defaultEmail: 'ops@example.com',
+        keysPath: './keys.json',
+        profiles: {
+          'billing-prod': {
+            provider: 'mongodb',
+            dbName: 'billing',
+            email: 'billing@example.com',
+            workDir: '/var/backups/billing',
+            connection: { uri: 'mongodb://billing:27017' },
+          },
+        },
+      });
+
+      const config = await mergeConfig({ profile: 'billing-prod' });
+      expect(config.profile).to.equal('billing-prod');
+      expect(config.provider).to.equal('mongodb');
+      expect(config.dbName).to.equal('billing');
+      expect(config.email).to.equal('billing@example.com');
+      expect(config.keys).to.equal('./keys.json');
+      expect(config.workDir).to.equal('/var/backups/billing');
+      expect(config.providerOptions).to.deep.equal({
+        database: 'billing',
+        uri: 'mongodb://billing:27017',
+      });
+    });
+
+    it('should add --recipient key files to the configured recipients', async () => {
+      await writeConfig({
+        recipients: ['./team/alice.pub.json'],
+        profiles: {
+          billing: { dbName: 'billing', recipients: ['./team/bob.pub.json'] },
+        },
+      });
+
+      expect(
+        (await mergeConfig({ recipient: ['./extra.pub.json'] })).recipients
+      ).to.deep.equal(['./team/alice.pub.json', './extra.pub.json']);
+      expect(
+        (await mergeConfig({ profile: 'billing' })).recipients
+      ).to.deep.equal(['./team/bob.pub.json']);
+    });
+
+    it('should take filters from the profile unless given as flags', async () => {
+      await writeConfig({
+        profiles: {
+          nightly: {
+            dbName: 'app',
+            provider: 'postgres',
+            exclude: ['audit_log', 'events_*'],
+          },
+        },
+      });
+
+      const config = await mergeConfig({ profile: 'nightly' });
+      expect(config.providerOptions.exclude).to.deep.equal([
+        'audit_log',
+        'events_*',
+      ]);
+      expect(config.providerOptions).to.not.have.property('include');
+
+      const flagged = await mergeConfig({
+        profile: 'nightly',
+        exclude: ['audit_log'],
+        include: ['schema:public'],
+      });
+      expect(flagged.providerOptions.exclude).to.deep.equal(['audit_log']);
+      expect(flagged.providerOptions.include).to.deep.equal(['schema:public']);
+    });
+
+    it('should throw for an unknown profile', async () => {
+      await writeConfig({ profiles: { a: { dbName: 'a' } } });
+
+      let error;
+      try {
+        await mergeConfig({ profile: 'missing' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal(
+        "Profile 'missing' not found. Available profiles: a"
+      );
+    });
+  });
+
+  describe('getProfileNames', () => {
+    it('should return an empty list without profiles', () => {
+      expect(getProfileNames({})).to.deep.equal([]);
+    });
+  });
+
+  describe('resolveDestinations', () => {
+    const config = {
+      destinations: {
+        nas: { type: 'local', path: '/mnt/nas' },
+        minio: { type: 's3', bucket: 'backups' },
+      },
+    };
+
+    it('should use every destination without a profile list', () => {
+      expect(resolveDestinations(config).map((d) => d.name)).to.deep.equal([
+        'nas',
+        'minio',
+      ]);
+    });
+
+    it('should resolve named and inline profile destinations', () => {
+      const destinations = resolveDestinations(config, {
+        destinations: ['minio', { type: 'local', path: '/tmp/copy' }],
+      });
+      expect(destinations).to.deep.equal([
+        { type: 's3', bucket: 'backups', name: 'minio' },
+        { name: 'local-2', type: 'local', path: '/tmp/copy' },
+      ]);
+    });
+
+    it('should throw for an unknown destination', () => {
+      expect(() =>
+        resolveDestinations(config, { destinations: ['tape'] })
+      ).to.throw("Destination 'tape' not found");
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should report invalid profiles', () => {
+      const { valid, errors } = validateConfig({
+        keysPath: './keys.json',
+        defaultEmail: 'ops@example.com',
+        defaultDbName: 'app',
+        smtp: { user: 'u', pass: 'p' },
+        profiles: { broken: { provider: 'oracle' } },
+      });
+      expect(valid).to.equal(false);
+      expect(errors).to.deep.equal([
+        "Profile 'broken': database name (dbName) is required",
+        "Profile 'broken': unknown provider oracle",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+import { parseCron, getNextRun } from '../src/cron.js';
+
+describe('Cron Module', () => {
+  // Wednesday 2024-05-15 12:00:30 local time
+  const after = new Date(2024, 4, 15, 12, 0, 30);
+
+  describe('parseCron', () => {
+    it('should expand lists, ranges, steps and names', () => {
+      const schedule = parseCron('0,30 */6 * jan-mar mon-fri');
+      expect([...schedule.minute]).to.deep.equal([0, 30]);
+      expect([...schedule.hour]).to.deep.equal([0, 6, 12, 18]);
+      expect([...schedule.month]).to.deep.equal([1, 2, 3]);
+      expect([...schedule.dayOfWeek]).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(() => parseCron('* * *')).to.throw('expected 5 fields');
+      expect(() => parseCron('60 * * * *')).to.throw('out of range');
+      expect(() => parseCron('* * * * funday')).to.throw('Invalid day of week');
+    });
+  });
+
+  describe('getNextRun', () => {
+    it('should find the next matching minute', () => {
+      expect(getNextRun('*/15 * * * *', after)).to.deep.equal(
+        new Date(2024, 4, 15, 12, 15)
+      );
+      expect(getNextRun('0 2 * * *', after)).to.deep.equal(
+        new Date(2024, 4, 16, 2, 0)
+      );
+    });
+
+    it('should support macros and Sunday as 7', () => {
+      expect(getNextRun('@monthly', after)).to.deep.equal(
+        new Date(2024, 5, 1, 0, 0)
+      );
+      expect(getNextRun('0 3 * * 7', after)).to.deep.equal(
+        new Date(2024, 4, 19, 3, 0)
+      );
+    });
+
+    it('should match either day of month or day of week when both are set', () => {
+      // 17 May 2024 is a Friday, before the 20th
+      expect(getNextRun('0 0 20 * fri', after)).to.deep.equal(
+        new Date(2024, 4, 17, 0, 0)
+      );
+    });
+
+    it('should throw for schedules that never run', () => {
+      expect(() => getNextRun('0 0 30 2 *', after)).to.throw('never runs');
+    });
+  });
+});
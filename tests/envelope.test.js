@@ -0,0 +1,132 @@
+import { expect } from 'chai';
+import { randomBytes } from 'crypto';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import {
+  EncryptStream,
+  DecryptStream,
+  createHeader,
+  isEnvelope,
+  CHUNK_SIZE,
+} from '../src/envelope.js';
+
+async function collect(source, ...transforms) {
+  const chunks = [];
+  await pipeline(
+    Readable.from(source),
+    ...transforms,
+    new Writable({
+      write(chunk, _encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+    })
+  );
+  return Buffer.concat(chunks);
+}
+
+describe('Envelope Module', () => {
+  const dataKey = randomBytes(32);
+  const resolveKey = async () => dataKey;
+
+  async function encrypt(plaintext) {
+    return collect(
+      [plaintext],
+      new EncryptStream(dataKey, createHeader({ wrappedKey: 'test' }))
+    );
+  }
+
+  it('should round-trip data spanning several frames', async () => {
+    const plaintext = randomBytes(CHUNK_SIZE * 2 + 123);
+    const ciphertext = await encrypt(plaintext);
+
+    expect(isEnvelope(ciphertext)).to.equal(true);
+    const decrypted = await collect(
+      [ciphertext],
+      new DecryptStream(resolveKey)
+    );
+    expect(decrypted.equals(plaintext)).to.equal(true);
+  });
+
+  it('should round-trip empty input', async () => {
+    const ciphertext = await encrypt(Buffer.alloc(0));
+    const decrypted = await collect(
+      [ciphertext],
+      new DecryptStream(resolveKey)
+    );
+    expect(decrypted.length).to.equal(0);
+  });
+
+  it('should expose the header to the key resolver', async () => {
+    const ciphertext = await encrypt(Buffer.from('hello'));
+    let seen;
+    await collect(
+      [ciphertext],
+      new DecryptStream(async (header) => {
+        seen = header;
+        return dataKey;
+      })
+    );
+    expect(seen.wrappedKey).to.equal('test');
+  });
+
+  it('should reject tampered ciphertext', async () => {
+    const ciphertext = await encrypt(randomBytes(1000));
+    ciphertext[ciphertext.length - 20] ^= 0xff;
+
+    let error;
+    try {
+      await collect([ciphertext], new DecryptStream(resolveKey));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.include('Authentication failed');
+  });
+
+  it('should reject a truncated stream', async () => {
+    const plaintext = randomBytes(CHUNK_SIZE * 2);
+    const ciphertext = await encrypt(plaintext);
+    // Drop the whole final frame: length prefix + ciphertext + tag
+    const truncated = ciphertext.subarray(
+      0,
+      ciphertext.length - (4 + CHUNK_SIZE + 16)
+    );
+
+    let error;
+    try {
+      await collect([truncated], new DecryptStream(resolveKey));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal('Encrypted stream is truncated');
+  });
+
+  it('should reject frames longer than the chunk size', async () => {
+    const ciphertext = await encrypt(Buffer.from('hello'));
+    // The only frame: length prefix + 5 bytes of ciphertext + tag
+    ciphertext.writeUInt32BE(0xffffffff, ciphertext.length - (4 + 5 + 16));
+
+    let error;
+    try {
+      await collect([ciphertext], new DecryptStream(resolveKey));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal(
+      'Encrypted frame is larger than the chunk size'
+    );
+  });
+
+  it('should reject data that is not an envelope', async () => {
+    let error;
+    try {
+      await collect(
+        [Buffer.from('PK\u0003\u0004 not encrypted at all')],
+        new DecryptStream(resolveKey)
+      );
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal('Not a QDB encrypted stream');
+  });
+});
@@ -0,0 +1,286 @@
+import { expect } from 'chai';
+import {
+  describeFilters,
+  getFilters,
+  matchesPattern,
+  matchesTable,
+  parseFilterPattern,
+  parseTableName,
+  splitFilters,
+} from '../src/filters.js';
+import mongodb from '../src/providers/mongodb.js';
+import mysql from '../src/providers/mysql.js';
+import postgres from '../src/providers/postgres.js';
+import supabase from '../src/providers/supabase.js';
+import sqlite from '../src/providers/sqlite.js';
+
+describe('Filters Module', () => {
+  describe('parseFilterPattern', () => {
+    it('should tell schema and table patterns apart', () => {
+      expect(parseFilterPattern('schema:reporting')).to.deep.equal({
+        kind: 'schema',
+        pattern: 'reporting',
+      });
+      expect(parseFilterPattern('public.events_*')).to.deep.equal({
+        kind: 'table',
+        pattern: 'public.events_*',
+      });
+    });
+
+    it('should reject empty and qualified schema patterns', () => {
+      expect(() => parseFilterPattern('schema:')).to.throw(
+        'Invalid filter pattern'
+      );
+      expect(() => parseFilterPattern('schema:a.b')).to.throw(
+        "schema patterns cannot contain '.'"
+      );
+    });
+  });
+
+  describe('getFilters', () => {
+    it('should return null without patterns', () => {
+      expect(getFilters({})).to.be.null;
+      expect(getFilters({ include: [], exclude: [] })).to.be.null;
+      expect(getFilters({ exclude: ['audit_log'] })).to.deep.equal({
+        include: [],
+        exclude: ['audit_log'],
+      });
+    });
+  });
+
+  describe('splitFilters', () => {
+    it('should split patterns by direction and kind', () => {
+      expect(
+        splitFilters({
+          include: ['schema:public', 'orders'],
+          exclude: ['schema:audit', 'events_*'],
+        })
+      ).to.deep.equal({
+        includeSchemas: ['public'],
+        excludeSchemas: ['audit'],
+        includeTables: ['orders'],
+        excludeTables: ['events_*'],
+      });
+    });
+  });
+
+  describe('matchesPattern', () => {
+    it('should match * and ? wildcards against whole names', () => {
+      expect(matchesPattern('events_2024', 'events_*')).to.be.true;
+      expect(matchesPattern('old_events_2024', 'events_*')).to.be.false;
+      expect(matchesPattern('log1', 'log?')).to.be.true;
+      expect(matchesPattern('log12', 'log?')).to.be.false;
+      expect(matchesPattern('a+b', 'a+b')).to.be.true;
+    });
+  });
+
+  describe('describeFilters', () => {
+    it('should list both directions', () => {
+      expect(
+        describeFilters({ include: ['schema:public'], exclude: ['audit_*'] })
+      ).to.equal('include schema:public; exclude audit_*');
+    });
+  });
+
+  describe('parseTableName', () => {
+    it('should split off the schema or database', () => {
+      expect(parseTableName(' users ')).to.deep.equal({
+        schema: null,
+        name: 'users',
+      });
+      expect(parseTableName('logs.2024.10')).to.deep.equal({
+        schema: 'logs',
+        name: '2024.10',
+      });
+    });
+
+    it('should reject wildcards and empty parts', () => {
+      for (const value of ['events_*', '.users', 'public.', '']) {
+        expect(() => parseTableName(value)).to.throw('Invalid table name');
+      }
+    });
+  });
+
+  describe('matchesTable', () => {
+    it('should match unqualified names in any schema', () => {
+      const users = { schema: 'public', name: 'users' };
+      expect(
+        ['users', 'public.users', 'audit.users'].map((name) =>
+          matchesTable(parseTableName(name), users)
+        )
+      ).to.deep.equal([true, true, false]);
+    });
+  });
+
+  describe('providers', () => {
+    const filters = {
+      include: ['schema:public'],
+      exclude: ['schema:audit', 'events_*'],
+    };
+
+    it('should map filters to pg_dump options', () => {
+      const { args } = postgres.getDumpCommand({
+        user: 'postgres',
+        database: 'app',
+        ...filters,
+      });
+      expect(args).to.include.members([
+        '--schema=public',
+        '--exclude-schema=audit',
+        '--exclude-table=events_*',
+      ]);
+      expect(() =>
+        postgres.getBaseBackupCommand({ user: 'postgres', ...filters })
+      ).to.throw('cannot be filtered');
+    });
+
+    it('should map filters to mongodump namespaces', () => {
+      const args = mongodb.getDumpArgs({
+        uri: 'mongodb://localhost:27017',
+        database: 'shop',
+        exclude: ['events', 'logs.*'],
+      });
+      expect(args).to.include.members([
+        '--nsInclude=shop.*',
+        '--nsExclude=shop.events',
+        '--nsExclude=logs.*',
+      ]);
+      expect(args).to.not.include('--db=shop');
+    });
+
+    it('should map schema includes to supabase db dump --schema', () => {
+      expect(
+        supabase.getDumpArgs({ include: ['schema:public', 'schema:auth'] })
+      ).to.deep.equal(['supabase', 'db', 'dump', '--schema', 'public,auth']);
+      expect(() => supabase.getDumpArgs({ exclude: ['audit_log'] })).to.throw(
+        'only be filtered by schema'
+      );
+    });
+
+    it('should resolve MySQL wildcards against the table list', async () => {
+      const provider = Object.create(mysql);
+      provider.listTables = async () => [
+        'orders',
+        'events_2023',
+        'events_2024',
+        'users',
+      ];
+      const options = {
+        user: 'root',
+        database: 'shop',
+        exclude: ['events_*', 'shop.audit_log'],
+      };
+
+      const resolved = await provider.resolveTableFilters(options);
+      expect(resolved.ignoreTables).to.deep.equal([
+        'events_2023',
+        'events_2024',
+        'audit_log',
+      ]);
+      expect(provider.getDumpArgs(resolved)).to.include.members([
+        '--ignore-table=shop.events_2023',
+        '--ignore-table=shop.events_2024',
+        '--ignore-table=shop.audit_log',
+      ]);
+
+      const included = await provider.resolveTableFilters({
+        user: 'root',
+        database: 'shop',
+        include: ['orders', 'users'],
+      });
+      expect(provider.getDumpArgs(included).slice(-3)).to.deep.equal([
+        'shop',
+        'orders',
+        'users',
+      ]);
+    });
+
+    it('should reject filters MySQL cannot apply', async () => {
+      for (const options of [
+        { database: 'shop', include: ['schema:shop'] },
+        { database: 'shop', exclude: ['other.logs'] },
+        { database: 'shop', exclude: ['logs'], binlog: true },
+      ]) {
+        try {
+          await mysql.resolveTableFilters(options);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.not.equal('Should have thrown');
+        }
+      }
+    });
+
+    it('should map --only to mongorestore namespaces', () => {
+      expect(
+        mongodb.getRestoreNamespaceArgs({
+          only: ['users', 'archive.orders'],
+          sourceDatabase: 'shop',
+          into: 'compare',
+        })
+      ).to.deep.equal([
+        '--nsInclude=shop.users',
+        '--nsFrom=shop.users',
+        '--nsTo=compare.users',
+        '--nsInclude=archive.orders',
+        '--nsFrom=archive.orders',
+        '--nsTo=compare.orders',
+      ]);
+      expect(mongodb.getRestoreNamespaceArgs({})).to.be.null;
+      expect(() =>
+        mongodb.getRestoreNamespaceArgs({ only: ['users'] })
+      ).to.throw('Qualify users');
+    });
+
+    it('should pass --only namespaces to mongorestore as arguments', () => {
+      expect(
+        mongodb.getRestoreArgs('/tmp/$(touch x).archive', {
+          uri: 'mongodb://localhost:27017',
+          database: 'shop',
+          only: ['users'],
+          sourceDatabase: 'shop',
+        })
+      ).to.deep.equal([
+        '--uri=mongodb://localhost:27017',
+        '--nsInclude=shop.users',
+        '--archive=/tmp/$(touch x).archive',
+        '--gzip',
+      ]);
+    });
+
+    it('should reject MySQL tables from another database', async () => {
+      try {
+        await mysql.selectTables('/nonexistent/dump.sql', '/nonexistent/out', {
+          database: 'shop',
+          only: ['billing.invoices'],
+        });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Table billing.invoices is not in the backup of shop'
+        );
+      }
+    });
+
+    it('should reject filters for whole-file snapshots', async () => {
+      try {
+        await sqlite.createDump('/nonexistent/out.sqlite', {
+          database: 'app.db',
+          exclude: ['logs'],
+        });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('cannot be filtered');
+      }
+
+      try {
+        await sqlite.restoreFromDump('/nonexistent/app.sqlite', {
+          database: 'app.db',
+          only: ['users'],
+        });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('can only be restored whole');
+      }
+    });
+  });
+});
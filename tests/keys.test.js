@@ -0,0 +1,228 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import { randomBytes } from 'crypto';
+import os from 'os';
+import path from 'path';
+import {
+  decodeKey,
+  describeKeys,
+  getKeyFingerprint,
+  isProtected,
+  protectKeys,
+  toPublicKeys,
+  unprotectKeys,
+  writeKeyFile,
+} from '../src/keys.js';
+import {
+  loadKeys,
+  getHeaderRecipients,
+  readEnvelopeHeader,
+} from '../src/encrypt.js';
+import { createHeader, encodeHeader } from '../src/envelope.js';
+
+describe('Keys Module', () => {
+  const keys = {
+    publicKey: Buffer.alloc(1184, 1).toString('base64'),
+    privateKey: Buffer.alloc(2400, 2).toString('base64'),
+  };
+
+  describe('decodeKey', () => {
+    it('should decode base64 and hex keys', () => {
+      expect(decodeKey('AQID')).to.deep.equal(Buffer.from([1, 2, 3]));
+      expect(decodeKey('010203')).to.deep.equal(Buffer.from([1, 2, 3]));
+    });
+  });
+
+  describe('getKeyFingerprint', () => {
+    it('should return four colon-separated groups of hex', () => {
+      const fingerprint = getKeyFingerprint(keys.publicKey);
+      expect(fingerprint).to.match(/^[0-9a-f]{4}(:[0-9a-f]{4}){3}$/);
+      expect(getKeyFingerprint(keys.publicKey)).to.equal(fingerprint);
+      expect(getKeyFingerprint(keys.privateKey)).to.not.equal(fingerprint);
+    });
+  });
+
+  describe('describeKeys', () => {
+    it('should recognise the algorithm from the key sizes', () => {
+      expect(describeKeys(keys)).to.deep.equal({
+        algorithm: 'ML-KEM-768',
+        publicKeySize: 1184,
+        privateKeySize: 2400,
+        fingerprint: getKeyFingerprint(keys.publicKey),
+        createdAt: null,
+        protected: false,
+      });
+    });
+
+    it('should describe a public-key-only file', () => {
+      const details = describeKeys(toPublicKeys(keys));
+      expect(details.privateKeySize).to.equal(null);
+      expect(details.fingerprint).to.equal(getKeyFingerprint(keys.publicKey));
+    });
+  });
+
+  describe('writeKeyFile', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-keys-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should write owner-only files and refuse to overwrite', async () => {
+      const keysPath = path.join(tempDir, 'keys.json');
+      await writeKeyFile(keysPath, keys);
+
+      const stats = await fs.stat(keysPath);
+      expect(stats.mode & 0o777).to.equal(0o600);
+
+      try {
+        await writeKeyFile(keysPath, keys);
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('already exists');
+      }
+    });
+  });
+
+  describe('loadKeys', () => {
+    let tempDir;
+    let publicPath;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-keys-'));
+      publicPath = path.join(tempDir, 'keys.pub.json');
+      await writeKeyFile(publicPath, toPublicKeys(keys));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should accept a public-key-only file for encryption', async () => {
+      const loaded = await loadKeys(publicPath, ['publicKey']);
+      expect(loaded.publicKey).to.equal(keys.publicKey);
+    });
+
+    it('should name the missing private key', async () => {
+      try {
+        await loadKeys(publicPath, ['privateKey']);
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('does not contain the private key');
+        expect(error.message).to.include('public-key-only');
+      }
+    });
+  });
+
+  describe('passphrase protection', function () {
+    // scrypt is deliberately slow
+    this.timeout(20000);
+
+    it('should round-trip the private key', async () => {
+      const protectedKeys = await protectKeys(keys, 'correct horse');
+      expect(isProtected(protectedKeys)).to.equal(true);
+      expect(protectedKeys).to.not.have.property('privateKey');
+      expect(protectedKeys.publicKey).to.equal(keys.publicKey);
+      expect(toPublicKeys(protectedKeys)).to.not.have.property(
+        'encryptedPrivateKey'
+      );
+
+      expect(await unprotectKeys(protectedKeys, 'correct horse')).to.deep.equal(
+        keys
+      );
+    });
+
+    it('should reject a wrong passphrase or a swapped public key', async () => {
+      const protectedKeys = await protectKeys(keys, 'correct horse');
+      const swapped = {
+        ...protectedKeys,
+        publicKey: Buffer.alloc(1184, 9).toString('base64'),
+      };
+
+      for (const [candidate, passphrase] of [
+        [protectedKeys, 'wrong'],
+        [swapped, 'correct horse'],
+      ]) {
+        try {
+          await unprotectKeys(candidate, passphrase);
+          expect.fail('Expected an error');
+        } catch (error) {
+          expect(error.message).to.include('Wrong passphrase');
+        }
+      }
+    });
+
+    it('should unlock a protected file in loadKeys only when needed', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-keys-'));
+      const keysPath = path.join(tempDir, 'keys.json');
+      await writeKeyFile(keysPath, await protectKeys(keys, 'correct horse'));
+      let prompts = 0;
+      const getPassphrase = async () => {
+        prompts++;
+        return 'correct horse';
+      };
+
+      try {
+        await loadKeys(keysPath, ['publicKey'], { getPassphrase });
+        expect(prompts).to.equal(0);
+
+        const loaded = await loadKeys(keysPath, ['privateKey'], {
+          getPassphrase,
+        });
+        expect(prompts).to.equal(1);
+        expect(loaded.privateKey).to.equal(keys.privateKey);
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('envelope recipients', () => {
+    it('should list every recipient of a multi-recipient header', () => {
+      const header = createHeader({
+        recipients: [
+          { fingerprint: 'aaaa:bbbb:cccc:dddd', wrappedKey: 'x' },
+          { fingerprint: '1111:2222:3333:4444', wrappedKey: 'y' },
+        ],
+      });
+      expect(
+        getHeaderRecipients(header).map((recipient) => recipient.fingerprint)
+      ).to.deep.equal(['aaaa:bbbb:cccc:dddd', '1111:2222:3333:4444']);
+    });
+
+    it('should read single-key headers from older backups', () => {
+      const header = createHeader({
+        wrappedKey: 'x',
+        keyFingerprint: 'aaaa:bbbb:cccc:dddd',
+      });
+      expect(getHeaderRecipients(header)).to.deep.equal([
+        { fingerprint: 'aaaa:bbbb:cccc:dddd', wrappedKey: 'x' },
+      ]);
+    });
+
+    it('should read the header without a key', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-keys-'));
+      const filePath = path.join(tempDir, 'backup.encrypted');
+      const header = createHeader({
+        recipients: [{ fingerprint: 'aaaa:bbbb:cccc:dddd', wrappedKey: 'x' }],
+      });
+
+      try {
+        await fs.writeFile(
+          filePath,
+          Buffer.concat([encodeHeader(header), randomBytes(64)])
+        );
+        expect(await readEnvelopeHeader(filePath)).to.deep.equal(header);
+
+        await fs.writeFile(filePath, randomBytes(64));
+        expect(await readEnvelopeHeader(filePath)).to.equal(null);
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getSourceHost,
+  hashFile,
+  readManifest,
+  verifyManifestEntries,
+  MANIFEST_NAME,
+} from '../src/manifest.js';
+import { resolveRestoreProvider } from '../src/restore.js';
+
+describe('Manifest Module', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-manifest-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('getSourceHost', () => {
+    it('should use host and port', () => {
+      expect(getSourceHost({ host: 'db', port: 5432 })).to.equal('db:5432');
+    });
+
+    it('should strip credentials from a connection URI', () => {
+      expect(
+        getSourceHost({ uri: 'mongodb://admin:secret@h1:27017,h2/app?x=1' })
+      ).to.equal('h1:27017,h2');
+    });
+
+    it('should return null without connection details', () => {
+      expect(getSourceHost({})).to.equal(null);
+    });
+  });
+
+  describe('verifyManifestEntries', () => {
+    it('should accept matching entries', async () => {
+      const dumpPath = path.join(tempDir, 'dump.sql');
+      await fs.writeFile(dumpPath, 'CREATE TABLE t ();');
+      const manifest = {
+        entries: [{ name: 'dump.sql', ...(await hashFile(dumpPath)) }],
+      };
+
+      expect(await verifyManifestEntries(manifest, tempDir)).to.deep.equal([]);
+    });
+
+    it('should report modified and missing entries', async () => {
+      const dumpPath = path.join(tempDir, 'dump.sql');
+      await fs.writeFile(dumpPath, 'CREATE TABLE t ();');
+      const { size } = await hashFile(dumpPath);
+      const manifest = {
+        entries: [
+          { name: 'dump.sql', size, sha256: '0'.repeat(64) },
+          { name: 'other.sql', size: 1, sha256: '0'.repeat(64) },
+          { name: '../escape.sql', size: 1, sha256: '0'.repeat(64) },
+        ],
+      };
+
+      expect(await verifyManifestEntries(manifest, tempDir)).to.deep.equal([
+        'dump.sql: SHA-256 checksum mismatch',
+        'other.sql: missing from archive',
+        '../escape.sql: invalid entry path',
+      ]);
+    });
+  });
+
+  describe('readManifest', () => {
+    it('should return null for archives without a manifest', async () => {
+      expect(await readManifest(tempDir)).to.equal(null);
+    });
+
+    it('should reject manifests from a newer format version', async () => {
+      await fs.writeFile(
+        path.join(tempDir, MANIFEST_NAME),
+        JSON.stringify({ manifestVersion: 99 })
+      );
+
+      let error;
+      try {
+        await readManifest(tempDir);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.include('newer than this qdb supports');
+    });
+  });
+
+  describe('resolveRestoreProvider', () => {
+    it('should pick the provider from the manifest', () => {
+      const provider = resolveRestoreProvider({ provider: 'mongodb' }, null);
+      expect(provider.name).to.equal('mongodb');
+    });
+
+    it('should default to supabase without a manifest', () => {
+      expect(resolveRestoreProvider(null, null).name).to.equal('supabase');
+    });
+
+    it('should accept an alias of the manifest provider', () => {
+      const provider = resolveRestoreProvider(
+        { provider: 'postgres' },
+        'postgresql'
+      );
+      expect(provider.name).to.equal('postgres');
+    });
+
+    it('should refuse a mismatched provider unless forced', () => {
+      const manifest = { provider: 'postgres' };
+      expect(() => resolveRestoreProvider(manifest, 'mysql')).to.throw(
+        'Use --force'
+      );
+      expect(resolveRestoreProvider(manifest, 'mysql', true).name).to.equal(
+        'mysql'
+      );
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { expect } from 'chai';
+import http from 'http';
+import { buildWebhookPayload, sendNotifications } from '../src/notify.js';
+import { runBackup } from '../src/workflow.js';
+
+describe('Notify Module', () => {
+  let server;
+  let url;
+  let requests;
+  let statusCode;
+
+  before(async () => {
+    server = http.createServer(async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      requests.push({
+        headers: req.headers,
+        body: JSON.parse(Buffer.concat(chunks).toString('utf-8')),
+      });
+      res.writeHead(statusCode).end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    statusCode = 200;
+  });
+
+  const failure = {
+    database: 'app',
+    provider: 'postgres',
+    step: 'dump database',
+    error: 'pg_dump: connection refused',
+    host: 'db-backup-1',
+  };
+
+  describe('buildWebhookPayload', () => {
+    it('should build Slack and Teams messages with the failure details', () => {
+      const slack = buildWebhookPayload('slack', 'failure', failure, 'Failed');
+      expect(slack.text).to.equal('❌ Failed');
+      expect(slack.attachments[0].fields).to.deep.include({
+        title: 'Failed step',
+        value: 'dump database',
+        short: true,
+      });
+
+      const teams = buildWebhookPayload('teams', 'failure', failure, 'Failed');
+      expect(teams['@type']).to.equal('MessageCard');
+      expect(teams.sections[0].facts).to.deep.include({
+        name: 'Host',
+        value: 'db-backup-1',
+      });
+    });
+  });
+
+  describe('sendNotifications', () => {
+    it('should post raw JSON to channels subscribed to the event', async () => {
+      const config = {
+        notifications: [
+          { type: 'webhook', url, headers: { 'X-Token': 'secret' } },
+          { type: 'webhook', url, on: ['success'] },
+        ],
+      };
+
+      const results = await sendNotifications(config, 'failure', failure);
+      expect(results).to.have.length(1);
+      expect(results[0].ok).to.equal(true);
+      expect(requests).to.have.length(1);
+      expect(requests[0].headers['x-token']).to.equal('secret');
+      expect(requests[0].body).to.include({
+        event: 'backup.failure',
+        title: 'Database Backup FAILED - app',
+        step: 'dump database',
+        error: 'pg_dump: connection refused',
+        host: 'db-backup-1',
+      });
+    });
+
+    it('should report failed channels without throwing', async () => {
+      statusCode = 500;
+      const config = { notifications: [{ type: 'webhook', url }] };
+
+      const [result] = await sendNotifications(config, 'failure', failure);
+      expect(result.ok).to.equal(false);
+      expect(result.error).to.include('HTTP 500');
+    });
+  });
+
+  describe('runBackup', () => {
+    it('should notify with the failed step when a backup fails', async () => {
+      const config = {
+        dbName: 'app',
+        provider: 'postgres',
+        recipients: [],
+        smtp: {},
+        notifications: [{ type: 'webhook', url, format: 'raw' }],
+      };
+
+      try {
+        await runBackup(config, { sendEmail: false });
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.step).to.equal('check configuration');
+      }
+      expect(requests).to.have.length(1);
+      expect(requests[0].body.step).to.equal('check configuration');
+      expect(requests[0].body.error).to.include('Keys path not specified');
+    });
+  });
+});
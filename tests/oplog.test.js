@@ -0,0 +1,184 @@
+import { expect } from 'chai';
+import { randomBytes } from 'crypto';
+import { Readable } from 'stream';
+import { gzipSync } from 'zlib';
+import {
+  ARCHIVE_MAGIC,
+  compareOplogTimestamps,
+  parseOplogLimit,
+  readOplogEnd,
+} from '../src/providers/oplog.js';
+import mongodb, { OPLOG_FORMAT } from '../src/providers/mongodb.js';
+
+const TERMINATOR = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+
+function element(type, key, value) {
+  return Buffer.concat([Buffer.from([type]), Buffer.from(`${key}\0`), value]);
+}
+
+function string(key, value) {
+  const bytes = Buffer.from(`${value}\0`);
+  const length = Buffer.alloc(4);
+  length.writeInt32LE(bytes.length);
+  return element(0x02, key, Buffer.concat([length, bytes]));
+}
+
+function timestamp(key, t, i) {
+  const value = Buffer.alloc(8);
+  value.writeUInt32LE(i, 0);
+  value.writeUInt32LE(t, 4);
+  return element(0x11, key, value);
+}
+
+function doc(...elements) {
+  const body = Buffer.concat([...elements, Buffer.from([0])]);
+  const length = Buffer.alloc(4);
+  length.writeInt32LE(body.length + 4);
+  return Buffer.concat([length, body]);
+}
+
+function archive(...parts) {
+  return Readable.from([gzipSync(Buffer.concat([ARCHIVE_MAGIC, ...parts]))]);
+}
+
+describe('Oplog Module', () => {
+  describe('readOplogEnd', () => {
+    it('should return the timestamp of the last oplog entry', async () => {
+      const source = archive(
+        doc(string('server_version', '7.0.0')),
+        doc(string('db', 'shop'), string('collection', 'orders')),
+        TERMINATOR,
+        doc(string('db', 'shop'), string('collection', 'orders')),
+        // A large document that spans many chunks, with its own ts field
+        doc(timestamp('ts', 999, 9), string('note', 'x'.repeat(100000))),
+        TERMINATOR,
+        doc(string('db', ''), string('collection', 'oplog')),
+        doc(timestamp('ts', 1700000000, 1), string('op', 'i')),
+        doc(timestamp('ts', 1700000005, 3), string('op', 'u')),
+        TERMINATOR,
+        doc(
+          string('db', ''),
+          string('collection', 'oplog'),
+          element(0x08, 'EOF', Buffer.from([1]))
+        ),
+        TERMINATOR
+      );
+
+      expect(await readOplogEnd(source)).to.deep.equal({
+        t: 1700000005,
+        i: 3,
+      });
+    });
+
+    it('should return null when no oplog was captured', async () => {
+      const source = archive(
+        doc(string('server_version', '7.0.0')),
+        TERMINATOR,
+        doc(string('db', 'shop'), string('collection', 'orders')),
+        doc(string('name', 'order')),
+        TERMINATOR
+      );
+
+      expect(await readOplogEnd(source)).to.be.null;
+    });
+
+    it('should reject other files', async () => {
+      try {
+        await readOplogEnd(Readable.from([gzipSync(Buffer.from('hello'))]));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Not a mongodump archive');
+      }
+    });
+  });
+
+  describe('parseOplogLimit', () => {
+    it('should accept oplog timestamps', () => {
+      expect(parseOplogLimit('1700000000')).to.equal('1700000000');
+      expect(parseOplogLimit('1700000000:4')).to.equal('1700000000:4');
+    });
+
+    it('should convert dates to seconds', () => {
+      expect(parseOplogLimit('2023-11-14T22:13:20Z')).to.equal('1700000000:0');
+    });
+
+    it('should reject other values', () => {
+      expect(() => parseOplogLimit('yesterday')).to.throw(
+        'Invalid oplog limit'
+      );
+    });
+  });
+
+  describe('compareOplogTimestamps', () => {
+    it('should order by seconds, then ordinal', () => {
+      expect(compareOplogTimestamps('100:2', '100:10')).to.be.below(0);
+      expect(compareOplogTimestamps('101', '100:10')).to.be.above(0);
+      expect(compareOplogTimestamps('100', '100:0')).to.equal(0);
+    });
+  });
+
+  describe('MongoDB provider', () => {
+    it('should dump every database with --oplog', () => {
+      const options = {
+        uri: 'mongodb://localhost:27017/?replicaSet=rs0',
+        database: 'shop',
+        oplog: true,
+      };
+
+      const args = mongodb.getDumpArgs(options);
+      expect(args).to.include('--oplog');
+      expect(args).to.not.include('--db=shop');
+      expect(mongodb.getDumpFormat(options)).to.equal(OPLOG_FORMAT);
+      expect(mongodb.getDumpArgs({ ...options, oplog: false })).to.include(
+        '--db=shop'
+      );
+    });
+
+    it('should replay the oplog with mongorestore arguments', () => {
+      expect(
+        mongodb.getRestoreArgs('/tmp/$(touch x).archive', {
+          uri: 'mongodb://localhost:27017',
+          database: 'shop',
+          oplogReplay: true,
+          oplogLimit: '1700000000:4',
+        })
+      ).to.deep.equal([
+        '--uri=mongodb://localhost:27017',
+        '--oplogReplay',
+        '--oplogLimit=1700000000:4',
+        '--archive=/tmp/$(touch x).archive',
+        '--gzip',
+      ]);
+      expect(() =>
+        mongodb.getRestoreArgs('dump.archive', {
+          uri: 'mongodb://localhost:27017',
+          oplogLimit: '1700000000',
+        })
+      ).to.throw('An oplog limit needs a backup made with --oplog');
+    });
+
+    it('should keep streaming the dump when the oplog scan fails', async () => {
+      const data = gzipSync(randomBytes(2 * 1024 * 1024));
+      const chunks = [];
+      for (let start = 0; start < data.length; start += 64 * 1024) {
+        chunks.push(data.subarray(start, start + 64 * 1024));
+      }
+      const dump = mongodb.scanOplogDump({
+        stream: Readable.from(chunks),
+        completed: Promise.resolve(''),
+      });
+
+      let bytes = 0;
+      for await (const chunk of dump.stream) {
+        bytes += chunk.length;
+      }
+      expect(bytes).to.equal(data.length);
+      try {
+        await dump.details;
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Not a mongodump archive');
+      }
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import { promises as fs, createReadStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createPartsManifest,
+  joinBackups,
+  PARTS_MANIFEST_SUFFIX,
+} from '../src/parts.js';
+
+describe('Parts Module', () => {
+  let tempDir;
+  let filePath;
+  let contents;
+
+  /**
+   * Split the test file into parts on disk, as a recipient would save them
+   * @param {number} partSize - Maximum part size
+   * @returns {Promise<Object>} Parts manifest
+   */
+  async function splitToDisk(partSize) {
+    const manifest = await createPartsManifest(filePath, partSize);
+    const partsDir = path.join(tempDir, 'parts');
+    await fs.mkdir(partsDir);
+    for (const part of manifest.parts) {
+      const chunks = [];
+      for await (const chunk of createReadStream(filePath, {
+        start: part.offset,
+        end: part.offset + part.size - 1,
+      })) {
+        chunks.push(chunk);
+      }
+      await fs.writeFile(path.join(partsDir, part.name), Buffer.concat(chunks));
+    }
+    await fs.writeFile(
+      path.join(partsDir, `${manifest.filename}${PARTS_MANIFEST_SUFFIX}`),
+      JSON.stringify(manifest)
+    );
+    return manifest;
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-parts-test-'));
+    filePath = path.join(tempDir, 'backup.zip.encrypted');
+    contents = Buffer.from(Array.from({ length: 2500 }, (_, i) => i % 251));
+    await fs.writeFile(filePath, contents);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createPartsManifest', () => {
+    it('should split a file into numbered parts of at most partSize', async () => {
+      const manifest = await createPartsManifest(filePath, 1000);
+
+      expect(manifest.size).to.equal(2500);
+      expect(manifest.parts.map((part) => part.name)).to.deep.equal([
+        'backup.zip.encrypted.part001',
+        'backup.zip.encrypted.part002',
+        'backup.zip.encrypted.part003',
+      ]);
+      expect(manifest.parts.map((part) => part.size)).to.deep.equal([
+        1000, 1000, 500,
+      ]);
+      expect(manifest.backupId).to.be.a('string');
+    });
+  });
+
+  describe('joinBackups', () => {
+    it('should rebuild the original file from its parts', async () => {
+      const manifest = await splitToDisk(1000);
+      const output = path.join(tempDir, 'joined.encrypted');
+
+      const [result] = await joinBackups([path.join(tempDir, 'parts')], output);
+      expect(result.backupId).to.equal(manifest.backupId);
+      expect(result.parts).to.equal(3);
+      expect(await fs.readFile(output)).to.deep.equal(contents);
+    });
+
+    it('should name missing and corrupted parts', async () => {
+      await splitToDisk(1000);
+      const partsDir = path.join(tempDir, 'parts');
+      await fs.unlink(path.join(partsDir, 'backup.zip.encrypted.part002'));
+      await fs.writeFile(
+        path.join(partsDir, 'backup.zip.encrypted.part003'),
+        'tampered'
+      );
+
+      try {
+        await joinBackups([partsDir]);
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('part002: missing');
+        expect(error.message).to.include('part003: checksum mismatch');
+      }
+      const files = await fs.readdir(partsDir);
+      expect(files).to.not.include('backup.zip.encrypted');
+    });
+  });
+});
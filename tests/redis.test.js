@@ -0,0 +1,137 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import redis from '../src/providers/redis.js';
+
+// An empty RDB file: header, EOF opcode and a zero (unchecked) CRC64
+const EMPTY_RDB = Buffer.concat([
+  Buffer.from('REDIS0011', 'latin1'),
+  Buffer.from([0xff]),
+  Buffer.alloc(8),
+]);
+
+describe('Redis Provider', () => {
+  let tempDir;
+  let dumpPath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-redis-test-'));
+    dumpPath = path.join(tempDir, 'snapshot.rdb');
+    await fs.writeFile(dumpPath, EMPTY_RDB);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('getConnection', () => {
+    it('should pass the password in the environment', () => {
+      const { args, env } = redis.getConnection({
+        host: 'cache.internal',
+        port: 6380,
+        user: 'backup',
+        password: 'secret',
+      });
+
+      expect(args).to.deep.equal([
+        '-h',
+        'cache.internal',
+        '-p',
+        '6380',
+        '--user',
+        'backup',
+      ]);
+      expect(args).to.not.include('secret');
+      expect(env.REDISCLI_AUTH).to.equal('secret');
+    });
+  });
+
+  describe('getDatabaseNumber', () => {
+    it('should accept database numbers', () => {
+      expect(redis.getDatabaseNumber({ database: '2' })).to.equal(2);
+      expect(redis.getDatabaseNumber({})).to.be.null;
+    });
+
+    it('should reject names', () => {
+      expect(() => redis.getDatabaseNumber({ database: 'sessions' })).to.throw(
+        'Redis database must be a number'
+      );
+    });
+  });
+
+  describe('canStreamSnapshot', () => {
+    it('should stream from redis-cli 7.0 on', async () => {
+      const provider = Object.create(redis);
+      const streams = [];
+      for (const version of [
+        'redis-cli 7.2.4',
+        'redis-cli 6.2.14',
+        'valkey-cli 8.0.1',
+        null,
+      ]) {
+        provider.getVersion = async () => version;
+        streams.push(await provider.canStreamSnapshot());
+      }
+      expect(streams).to.deep.equal([true, false, true, true]);
+    });
+  });
+
+  describe('verifyDump', () => {
+    it('should accept a complete RDB file', async () => {
+      expect(await redis.verifyDump(dumpPath)).to.match(
+        /RDB version 11|redis-check-rdb passed/
+      );
+    });
+
+    it('should reject truncated RDB files', async () => {
+      await fs.writeFile(dumpPath, EMPTY_RDB.subarray(0, 12));
+
+      try {
+        await redis.verifyDump(dumpPath);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('looks truncated');
+      }
+    });
+
+    it('should reject other files', async () => {
+      await fs.writeFile(dumpPath, 'SQLite format 3\0');
+
+      try {
+        await redis.verifyDump(dumpPath);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Not a Redis RDB file');
+      }
+    });
+  });
+
+  describe('restoreFromDump with a data directory', () => {
+    it('should replace dump.rdb and keep the old one', async () => {
+      const dataDir = path.join(tempDir, 'data');
+      await fs.mkdir(dataDir);
+      await fs.writeFile(path.join(dataDir, 'dump.rdb'), 'old snapshot');
+
+      await redis.restoreFromDump(dumpPath, { dataDir });
+
+      const files = await fs.readdir(dataDir);
+      expect(await fs.readFile(path.join(dataDir, 'dump.rdb'))).to.deep.equal(
+        EMPTY_RDB
+      );
+      expect(files.filter((file) => file.endsWith('.bak'))).to.have.lengthOf(1);
+    });
+
+    it('should refuse when an append-only file would be loaded', async () => {
+      const dataDir = path.join(tempDir, 'data');
+      await fs.mkdir(path.join(dataDir, 'appendonlydir'), { recursive: true });
+
+      try {
+        await redis.restoreFromDump(dumpPath, { dataDir });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('appendonlydir exists');
+      }
+    });
+  });
+});
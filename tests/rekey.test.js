@@ -0,0 +1,160 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import { randomBytes } from 'crypto';
+import os from 'os';
+import path from 'path';
+import { findEncryptedBackups, rekeyBackupFile } from '../src/rekey.js';
+import { createHeader, encodeHeader } from '../src/envelope.js';
+import { generateKeys, getKeyFingerprint } from '../src/keys.js';
+import { decryptBackupFile, encryptBackupFile } from '../src/encrypt.js';
+
+describe('Rekey Module', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-rekey-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('findEncryptedBackups', () => {
+    it('should list encrypted backups in directories and explicit files', async () => {
+      await fs.writeFile(path.join(tempDir, 'b.zip.encrypted'), 'x');
+      await fs.writeFile(path.join(tempDir, 'a.zip.encrypted'), 'x');
+      await fs.writeFile(
+        path.join(tempDir, 'a.zip.encrypted.rekey.partial'),
+        'x'
+      );
+      await fs.writeFile(path.join(tempDir, 'notes.txt'), 'x');
+      const explicit = path.join(tempDir, 'notes.txt');
+
+      expect(await findEncryptedBackups([tempDir, explicit])).to.deep.equal([
+        path.join(tempDir, 'a.zip.encrypted'),
+        path.join(tempDir, 'b.zip.encrypted'),
+        explicit,
+      ]);
+    });
+  });
+
+  describe('rekeyBackupFile', () => {
+    it('should skip backups already encrypted for the new keys', async () => {
+      const publicKey = Buffer.alloc(1184, 3).toString('base64');
+      const filePath = path.join(tempDir, 'backup.zip.encrypted');
+      const contents = encodeHeader(
+        createHeader({
+          recipients: [
+            { fingerprint: getKeyFingerprint(publicKey), wrappedKey: 'x' },
+          ],
+        })
+      );
+      await fs.writeFile(filePath, contents);
+
+      const result = await rekeyBackupFile(filePath, {}, [publicKey]);
+      expect(result.status).to.equal('skipped');
+      expect(await fs.readFile(filePath)).to.deep.equal(contents);
+    });
+  });
+
+  describe('rekeyBackupFile round trip', () => {
+    let oldKeys;
+    let newKeys;
+    let plainPath;
+    let backupPath;
+
+    // Real key wrapping needs @profullstack/post-quantum-helper
+    before(async function () {
+      try {
+        oldKeys = await generateKeys();
+        newKeys = await generateKeys();
+      } catch {
+        this.skip();
+      }
+    });
+
+    beforeEach(async () => {
+      plainPath = path.join(tempDir, 'backup.zip');
+      backupPath = path.join(tempDir, 'backup.zip.encrypted');
+      // Several 64 KiB frames
+      await fs.writeFile(plainPath, randomBytes(200 * 1024));
+    });
+
+    async function decryptsWith(keys) {
+      const outputPath = path.join(tempDir, 'decrypted.zip');
+      try {
+        await decryptBackupFile(backupPath, outputPath, keys);
+        return await fs.readFile(outputPath);
+      } catch {
+        return null;
+      } finally {
+        await fs.rm(outputPath, { force: true });
+      }
+    }
+
+    it('should re-encrypt a backup for the new key only', async () => {
+      await encryptBackupFile(plainPath, backupPath, oldKeys);
+
+      const result = await rekeyBackupFile(
+        backupPath,
+        oldKeys,
+        [newKeys.publicKey],
+        newKeys
+      );
+
+      expect(result.status).to.equal('rekeyed');
+      expect(result.bytes).to.equal(200 * 1024);
+      expect(await decryptsWith(newKeys)).to.deep.equal(
+        await fs.readFile(plainPath)
+      );
+      expect(await decryptsWith(oldKeys)).to.be.null;
+      expect(await fs.readdir(tempDir)).to.have.members([
+        'backup.zip',
+        'backup.zip.encrypted',
+      ]);
+    });
+
+    it('should keep the original and no partial file when decryption fails', async () => {
+      await encryptBackupFile(plainPath, backupPath, oldKeys);
+      const original = await fs.readFile(backupPath);
+
+      try {
+        await rekeyBackupFile(backupPath, newKeys, [newKeys.publicKey]);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Rekey failed');
+      }
+
+      expect(await fs.readFile(backupPath)).to.deep.equal(original);
+      expect(await fs.readdir(tempDir)).to.have.members([
+        'backup.zip',
+        'backup.zip.encrypted',
+      ]);
+    });
+
+    it('should convert legacy whole-file backups', async function () {
+      const pqHelper = await import('@profullstack/post-quantum-helper');
+      const encryptFile = pqHelper.encryptFile || pqHelper.default?.encryptFile;
+      if (!encryptFile) {
+        this.skip();
+      }
+      await encryptFile(plainPath, backupPath, oldKeys.publicKey);
+
+      const result = await rekeyBackupFile(
+        backupPath,
+        oldKeys,
+        [newKeys.publicKey],
+        newKeys
+      );
+
+      expect(result.status).to.equal('rekeyed');
+      expect(await decryptsWith(newKeys)).to.deep.equal(
+        await fs.readFile(plainPath)
+      );
+      expect(await fs.readdir(tempDir)).to.have.members([
+        'backup.zip',
+        'backup.zip.encrypted',
+      ]);
+    });
+  });
+});
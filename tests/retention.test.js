@@ -0,0 +1,214 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  applyRetention,
+  groupBackups,
+  normalizeRetentionPolicy,
+  pruneBackups,
+} from '../src/retention.js';
+import { appendCatalogRecord, loadCatalog } from '../src/catalog.js';
+
+describe('Retention Module', () => {
+  // Wednesday 2024-05-15 12:00 local time
+  const now = new Date(2024, 4, 15, 12, 0, 0);
+
+  function backupAt(year, month, day, hour = 2) {
+    const date = new Date(year, month - 1, day, hour);
+    return { name: date.toISOString(), createdAt: date };
+  }
+
+  function names(backups) {
+    return backups.map((backup) => backup.name);
+  }
+
+  describe('normalizeRetentionPolicy', () => {
+    it('should fill in missing rules and parse strings', () => {
+      expect(normalizeRetentionPolicy({ keepDaily: '7' })).to.deep.equal({
+        keepLast: 0,
+        keepDaily: 7,
+        keepWeekly: 0,
+        keepMonthly: 0,
+      });
+    });
+
+    it('should reject a policy that keeps nothing', () => {
+      expect(() => normalizeRetentionPolicy({})).to.throw(
+        'No retention policy configured'
+      );
+    });
+
+    it('should reject invalid counts', () => {
+      expect(() => normalizeRetentionPolicy({ keepLast: -1 })).to.throw(
+        'Invalid retention keepLast'
+      );
+    });
+  });
+
+  describe('applyRetention', () => {
+    it('should keep the newest N backups', () => {
+      const backups = [
+        backupAt(2024, 5, 13),
+        backupAt(2024, 5, 15),
+        backupAt(2024, 5, 14),
+      ];
+      const { keep, prune } = applyRetention(
+        backups,
+        normalizeRetentionPolicy({ keepLast: 2 }),
+        now
+      );
+      expect(names(keep)).to.deep.equal(names([backups[1], backups[2]]));
+      expect(names(prune)).to.deep.equal(names([backups[0]]));
+    });
+
+    it('should keep the newest backup of each recent day', () => {
+      const backups = [
+        backupAt(2024, 5, 15, 1),
+        backupAt(2024, 5, 15, 2),
+        backupAt(2024, 5, 14, 2),
+        backupAt(2024, 5, 12, 2),
+      ];
+      const { keep } = applyRetention(
+        backups,
+        normalizeRetentionPolicy({ keepDaily: 3 }),
+        now
+      );
+      // Last 3 days are the 13th to the 15th
+      expect(names(keep)).to.deep.equal(names([backups[1], backups[2]]));
+    });
+
+    it('should combine daily, weekly and monthly rules', () => {
+      const backups = [
+        backupAt(2024, 5, 15),
+        backupAt(2024, 5, 14),
+        backupAt(2024, 5, 8), // previous week
+        backupAt(2024, 5, 7), // previous week, older
+        backupAt(2024, 4, 20), // April
+        backupAt(2024, 4, 10), // April, older
+        backupAt(2023, 12, 31), // outside every window
+      ];
+      const { keep, prune } = applyRetention(
+        backups,
+        normalizeRetentionPolicy({
+          keepDaily: 2,
+          keepWeekly: 2,
+          keepMonthly: 2,
+        }),
+        now
+      );
+
+      expect(keep.map((backup) => backup.reasons)).to.deep.equal([
+        ['daily', 'weekly', 'monthly'],
+        ['daily'],
+        ['weekly'],
+        ['monthly'],
+      ]);
+      expect(names(prune)).to.deep.equal(
+        names([backups[3], backups[5], backups[6]])
+      );
+    });
+  });
+
+  describe('groupBackups', () => {
+    it('should group encrypted backups by database using filename timestamps', () => {
+      const groups = groupBackups([
+        { name: 'postgres-backup-20240515-020000-app.zip.encrypted' },
+        { name: 'postgres-backup-20240514-020000-app.zip.encrypted' },
+        { name: 'mongodb-backup-20240515-020000-events.zip.encrypted' },
+        { name: 'postgres-backup-20240515-020000-app.zip' },
+        { name: 'notes.txt' },
+      ]);
+
+      expect([...groups.keys()]).to.deep.equal([
+        'postgres/app',
+        'mongodb/events',
+      ]);
+      expect(groups.get('postgres/app')[1].createdAt).to.deep.equal(
+        new Date(2024, 4, 14, 2, 0, 0)
+      );
+    });
+  });
+
+  describe('pruneBackups', () => {
+    const originalHome = process.env.HOME;
+    let workDir;
+    const files = [
+      'postgres-backup-20240515-020000-app.zip.encrypted',
+      'postgres-backup-20240514-020000-app.zip.encrypted',
+      'postgres-backup-20240513-020000-app.zip.encrypted',
+      'mysql-backup-20240101-020000-shop.zip.encrypted',
+      'unrelated.txt',
+    ];
+
+    beforeEach(async () => {
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-prune-'));
+      // Keep the catalog in the temporary directory
+      process.env.HOME = workDir;
+      for (const file of files) {
+        await fs.writeFile(path.join(workDir, file), 'data');
+      }
+    });
+
+    afterEach(async () => {
+      process.env.HOME = originalHome;
+      await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    it('should only report deletions in a dry run', async () => {
+      const results = await pruneBackups(
+        { workDir },
+        { policy: { keepLast: 1 }, dryRun: true, now }
+      );
+      expect(
+        results.map((r) => [r.database, r.pruned.length])
+      ).to.have.deep.members([
+        ['postgres/app', 2],
+        ['mysql/shop', 0],
+      ]);
+      expect((await fs.readdir(workDir)).length).to.equal(files.length);
+    });
+
+    it('should delete pruned backups of the selected database only', async () => {
+      await pruneBackups(
+        { workDir },
+        {
+          policy: { keepLast: 1 },
+          database: { provider: 'postgres', dbName: 'app' },
+          now,
+        }
+      );
+      expect((await fs.readdir(workDir)).sort()).to.deep.equal([
+        'mysql-backup-20240101-020000-shop.zip.encrypted',
+        'postgres-backup-20240515-020000-app.zip.encrypted',
+        'unrelated.txt',
+      ]);
+    });
+
+    it('should record deleted backups in the catalog', async () => {
+      const [kept, pruned] = files.slice(0, 2);
+      for (const filename of [kept, pruned]) {
+        await appendCatalogRecord({
+          file: path.join(workDir, filename),
+          filename,
+          destinations: [],
+          status: 'success',
+        });
+      }
+
+      await pruneBackups(
+        { workDir },
+        {
+          policy: { keepLast: 1 },
+          database: { provider: 'postgres', dbName: 'app' },
+          now,
+        }
+      );
+      const records = await loadCatalog();
+      expect(records.map((record) => record.status)).to.deep.equal([
+        'success',
+        'pruned',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getConfigPath } from '../src/config.js';
+import { parseCron } from '../src/cron.js';
+import {
+  Scheduler,
+  acquireLock,
+  getDueRun,
+  getLockPath,
+  loadScheduleState,
+  saveScheduleState,
+} from '../src/scheduler.js';
+
+describe('Scheduler Module', () => {
+  const originalHome = process.env.HOME;
+  let tempHome;
+
+  beforeEach(async () => {
+    tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-scheduler-'));
+    process.env.HOME = tempHome;
+  });
+
+  afterEach(async () => {
+    process.env.HOME = originalHome;
+    await fs.rm(tempHome, { recursive: true, force: true });
+  });
+
+  describe('getDueRun', () => {
+    const hourly = parseCron('@hourly');
+
+    it('should return null when nothing is due', () => {
+      const since = new Date(2024, 4, 15, 12, 0);
+      expect(getDueRun(hourly, since, new Date(2024, 4, 15, 12, 59))).to.equal(
+        null
+      );
+    });
+
+    it('should coalesce missed runs into the latest one', () => {
+      const since = new Date(2024, 4, 15, 9, 0);
+      expect(
+        getDueRun(hourly, since, new Date(2024, 4, 15, 12, 30))
+      ).to.deep.equal({
+        scheduledFor: new Date(2024, 4, 15, 12, 0),
+        missed: 3,
+      });
+    });
+  });
+
+  describe('acquireLock', () => {
+    it('should not hand out a held lock', async () => {
+      const release = await acquireLock('postgres/app');
+      expect(release).to.be.a('function');
+      expect(await acquireLock('postgres/app')).to.equal(null);
+
+      await release();
+      const again = await acquireLock('postgres/app');
+      expect(again).to.be.a('function');
+      await again();
+    });
+
+    it('should take over a lock left by a dead process', async () => {
+      const lockPath = getLockPath('postgres/app');
+      await fs.mkdir(path.dirname(lockPath), { recursive: true });
+      // PIDs are far below this limit on Linux and macOS
+      await fs.writeFile(lockPath, JSON.stringify({ pid: 2 ** 30 }));
+
+      const release = await acquireLock('postgres/app');
+      expect(release).to.be.a('function');
+      await release();
+    });
+  });
+
+  describe('Scheduler', () => {
+    async function writeConfig(config) {
+      await fs.mkdir(path.dirname(getConfigPath()), { recursive: true });
+      await fs.writeFile(getConfigPath(), JSON.stringify(config));
+    }
+
+    async function settle(scheduler) {
+      await Promise.all(scheduler.running.values());
+    }
+
+    beforeEach(async () => {
+      await writeConfig({
+        profiles: {
+          app: { dbName: 'app', schedule: '0 2 * * *' },
+          other: { dbName: 'other' },
+        },
+      });
+    });
+
+    it('should not run a new schedule for times before it was seen', async () => {
+      const runs = [];
+      const scheduler = new Scheduler({
+        runProfile: async (name) => runs.push(name),
+      });
+
+      await scheduler.tick(new Date(2024, 4, 15, 12, 0));
+      expect(runs).to.deep.equal([]);
+      expect((await loadScheduleState()).profiles.app).to.have.property(
+        'lastScheduled'
+      );
+    });
+
+    it('should catch up once and record the outcome', async () => {
+      await saveScheduleState({
+        profiles: { app: { lastScheduled: new Date(2024, 4, 12, 2, 0) } },
+      });
+      const runs = [];
+      const scheduler = new Scheduler({
+        runProfile: async (name) => {
+          runs.push(name);
+          return { encryptedFile: 'backup.encrypted' };
+        },
+      });
+
+      await scheduler.tick(new Date(2024, 4, 15, 12, 0));
+      await settle(scheduler);
+
+      expect(runs).to.deep.equal(['app']);
+      const { app } = (await loadScheduleState()).profiles;
+      expect(new Date(app.lastScheduled)).to.deep.equal(
+        new Date(2024, 4, 15, 2, 0)
+      );
+      expect(app.lastRun.status).to.equal('success');
+    });
+
+    it('should skip missed runs when catch-up is disabled', async () => {
+      await saveScheduleState({
+        profiles: { app: { lastScheduled: new Date(2024, 4, 12, 2, 0) } },
+      });
+      const runs = [];
+      const scheduler = new Scheduler({
+        catchUp: false,
+        runProfile: async (name) => runs.push(name),
+      });
+
+      await scheduler.tick(new Date(2024, 4, 15, 12, 0));
+      expect(runs).to.deep.equal([]);
+    });
+  });
+});
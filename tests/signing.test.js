@@ -0,0 +1,73 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  checkManifestSignature,
+  loadTrustedSigners,
+  SIGNATURE_NAME,
+} from '../src/signing.js';
+import { MANIFEST_NAME } from '../src/manifest.js';
+import { getKeyFingerprint, writeKeyFile } from '../src/keys.js';
+
+describe('Signing Module', () => {
+  const publicKey = Buffer.alloc(1952, 4).toString('base64');
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-signing-'));
+    await fs.writeFile(path.join(tempDir, MANIFEST_NAME), '{}');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadTrustedSigners', () => {
+    it('should key signer public keys by fingerprint', async () => {
+      const keyPath = path.join(tempDir, 'signer.pub.json');
+      await writeKeyFile(keyPath, { type: 'signing', publicKey });
+
+      const signers = await loadTrustedSigners([keyPath]);
+      expect([...signers]).to.deep.equal([
+        [getKeyFingerprint(publicKey), publicKey],
+      ]);
+    });
+  });
+
+  describe('checkManifestSignature', () => {
+    it('should refuse unsigned backups unless allowed', async () => {
+      try {
+        await checkManifestSignature(tempDir, new Map());
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('--allow-unsigned');
+      }
+
+      expect(
+        await checkManifestSignature(tempDir, new Map(), {
+          allowUnsigned: true,
+        })
+      ).to.deep.equal({ status: 'unsigned', signer: null });
+    });
+
+    it('should refuse backups from untrusted signers unless allowed', async () => {
+      await fs.writeFile(
+        path.join(tempDir, SIGNATURE_NAME),
+        JSON.stringify({ signer: 'aaaa:bbbb:cccc:dddd', signature: 'x' })
+      );
+      const trusted = new Map([[getKeyFingerprint(publicKey), publicKey]]);
+
+      try {
+        await checkManifestSignature(tempDir, trusted);
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('not a trusted signer');
+      }
+
+      expect(
+        await checkManifestSignature(tempDir, trusted, { allowUnsigned: true })
+      ).to.deep.equal({ status: 'untrusted', signer: 'aaaa:bbbb:cccc:dddd' });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractTables } from '../src/providers/sqlextract.js';
+
+const PG_DUMP = `--
+-- PostgreSQL database dump
+--
+
+SET statement_timeout = 0;
+SELECT pg_catalog.set_config('search_path', '', false);
+
+--
+-- Name: touch(); Type: FUNCTION; Schema: public; Owner: -
+--
+
+CREATE FUNCTION public.touch() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$;
+
+--
+-- Name: users; Type: TABLE; Schema: public; Owner: -
+--
+
+CREATE TABLE public.users (
+    id integer NOT NULL,
+    name text
+);
+
+CREATE TABLE "Sales"."Orders" (
+    id integer NOT NULL
+);
+
+--
+-- Data for Name: users; Type: TABLE DATA; Schema: public; Owner: -
+--
+
+COPY public.users (id, name) FROM stdin;
+1	alice
+2	CREATE TABLE public.other (id int);
+\\.
+
+COPY "Sales"."Orders" (id) FROM stdin;
+7
+\\.
+
+ALTER TABLE ONLY public.users
+    ADD CONSTRAINT users_pkey PRIMARY KEY (id);
+
+--
+-- PostgreSQL database dump complete
+--
+`;
+
+const MYSQL_DUMP = `-- MySQL dump 10.13  Distrib 8.0.36
+/*!40101 SET @OLD_CHARACTER_SET_CLIENT=@@CHARACTER_SET_CLIENT */;
+/*!40014 SET @OLD_FOREIGN_KEY_CHECKS=@@FOREIGN_KEY_CHECKS, FOREIGN_KEY_CHECKS=0 */;
+
+--
+-- Table structure for table \`orders\`
+--
+
+DROP TABLE IF EXISTS \`orders\`;
+CREATE TABLE \`orders\` (
+  \`id\` int NOT NULL
+) ENGINE=InnoDB;
+
+LOCK TABLES \`orders\` WRITE;
+/*!40000 ALTER TABLE \`orders\` DISABLE KEYS */;
+INSERT INTO \`orders\` VALUES (1),(2);
+/*!40000 ALTER TABLE \`orders\` ENABLE KEYS */;
+UNLOCK TABLES;
+/*!50003 SET sql_mode = 'STRICT_TRANS_TABLES' */ ;
+DELIMITER ;;
+/*!50003 CREATE*/ /*!50003 TRIGGER \`orders_bi\` BEFORE INSERT ON \`orders\` FOR EACH ROW BEGIN
+  INSERT INTO \`users\` VALUES (0);
+END */;;
+DELIMITER ;
+
+DROP TABLE IF EXISTS \`users\`;
+CREATE TABLE \`users\` (
+  \`id\` int NOT NULL
+) ENGINE=InnoDB;
+INSERT INTO \`users\` VALUES (1);
+/*!40014 SET FOREIGN_KEY_CHECKS=@OLD_FOREIGN_KEY_CHECKS */;
+
+-- Dump completed on 2024-10-06 14:30:22
+`;
+
+describe('SQL Extract Module', () => {
+  let tempDir;
+  let dumpPath;
+  let outputPath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-sqlextract-'));
+    dumpPath = path.join(tempDir, 'dump.sql');
+    outputPath = path.join(tempDir, 'selected.sql');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('extractTables', () => {
+    it('should keep the definition and data of PostgreSQL tables', async () => {
+      await fs.writeFile(dumpPath, PG_DUMP);
+
+      const missing = await extractTables(dumpPath, outputPath, {
+        dialect: 'postgres',
+        tables: [{ schema: null, name: 'users' }],
+      });
+
+      expect(missing).to.deep.equal([]);
+      expect(await fs.readFile(outputPath, 'utf-8')).to.equal(
+        [
+          'SET statement_timeout = 0;',
+          "SELECT pg_catalog.set_config('search_path', '', false);",
+          'CREATE TABLE public.users (',
+          '    id integer NOT NULL,',
+          '    name text',
+          ');',
+          'COPY public.users (id, name) FROM stdin;',
+          '1\talice',
+          '2\tCREATE TABLE public.other (id int);',
+          '\\.',
+          '',
+        ].join('\n')
+      );
+    });
+
+    it('should move PostgreSQL tables into another schema', async () => {
+      await fs.writeFile(dumpPath, PG_DUMP);
+
+      await extractTables(dumpPath, outputPath, {
+        dialect: 'postgres',
+        tables: [{ schema: 'Sales', name: 'Orders' }],
+        into: 'restored',
+      });
+
+      const sql = await fs.readFile(outputPath, 'utf-8');
+      expect(sql).to.match(/^CREATE SCHEMA IF NOT EXISTS "restored";\n/);
+      expect(sql).to.include('CREATE TABLE "restored"."Orders" (');
+      expect(sql).to.include('COPY "restored"."Orders" (id) FROM stdin;\n7\n');
+      expect(sql).to.not.include('users');
+    });
+
+    it('should keep MySQL tables with the session settings around them', async () => {
+      await fs.writeFile(dumpPath, MYSQL_DUMP);
+
+      const missing = await extractTables(dumpPath, outputPath, {
+        dialect: 'mysql',
+        tables: [
+          { schema: null, name: 'users' },
+          { schema: null, name: 'payments' },
+        ],
+      });
+
+      expect(missing).to.deep.equal([{ schema: null, name: 'payments' }]);
+      const sql = await fs.readFile(outputPath, 'utf-8');
+      expect(sql).to.include('FOREIGN_KEY_CHECKS=0 */;');
+      expect(sql).to.include('DROP TABLE IF EXISTS `users`;');
+      expect(sql).to.include('INSERT INTO `users` VALUES (1);');
+      expect(sql).to.include('FOREIGN_KEY_CHECKS=@OLD_FOREIGN_KEY_CHECKS');
+      expect(sql).to.not.include('orders');
+      expect(sql).to.not.include('INSERT INTO `users` VALUES (0)');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import sqlite from '../src/providers/sqlite.js';
+
+const execFileAsync = promisify(execFile);
+
+async function query(databasePath, sql) {
+  const { stdout } = await execFileAsync('sqlite3', [databasePath, sql]);
+  return stdout.trim();
+}
+
+describe('SQLite Provider', () => {
+  let tempDir;
+  let databasePath;
+
+  before(async function () {
+    if (!(await sqlite.isAvailable())) {
+      this.skip();
+    }
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-sqlite-test-'));
+    databasePath = path.join(tempDir, 'app.db');
+    await query(
+      databasePath,
+      "PRAGMA journal_mode=WAL; CREATE TABLE users (name TEXT); INSERT INTO users VALUES ('ada');"
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should snapshot a database that passes the integrity check', async () => {
+    const snapshotPath = path.join(tempDir, 'snapshot.sqlite');
+    await sqlite.createDump(snapshotPath, { database: databasePath });
+
+    expect(await sqlite.verifyDump(snapshotPath)).to.include('ok');
+    expect(await query(snapshotPath, 'SELECT name FROM users')).to.equal('ada');
+  });
+
+  it('should fail for a missing database file', async () => {
+    try {
+      await sqlite.createDump(path.join(tempDir, 'out.sqlite'), {
+        database: path.join(tempDir, 'missing.db'),
+      });
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('SQLite dump failed');
+    }
+    expect(await fs.readdir(tempDir)).to.not.include('missing.db');
+  });
+
+  it('should stream a snapshot', async () => {
+    const { stream, completed } = await sqlite.createDumpStream({
+      database: databasePath,
+    });
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    await completed;
+
+    const snapshotPath = path.join(tempDir, 'streamed.sqlite');
+    await fs.writeFile(snapshotPath, Buffer.concat(chunks));
+    expect(await query(snapshotPath, 'SELECT name FROM users')).to.equal('ada');
+  });
+
+  it('should reject files that are not databases', async () => {
+    const notDatabase = path.join(tempDir, 'notes.txt');
+    await fs.writeFile(notDatabase, 'hello');
+
+    try {
+      await sqlite.verifyDump(notDatabase);
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('Not an SQLite database file');
+    }
+  });
+
+  it('should replace the target and keep the old file', async () => {
+    const snapshotPath = path.join(tempDir, 'snapshot.sqlite');
+    await sqlite.createDump(snapshotPath, { database: databasePath });
+    const targetPath = path.join(tempDir, 'restored.db');
+    await query(
+      targetPath,
+      'CREATE TABLE old (x); INSERT INTO old VALUES (1);'
+    );
+
+    await sqlite.restoreFromDump(snapshotPath, { database: targetPath });
+
+    expect(await query(targetPath, 'SELECT name FROM users')).to.equal('ada');
+    const kept = (await fs.readdir(tempDir)).filter((file) =>
+      /^restored\.db\.\d{8}-\d{6}\.bak$/.test(file)
+    );
+    expect(kept).to.have.lengthOf(1);
+    expect(
+      await query(path.join(tempDir, kept[0]), 'SELECT x FROM old')
+    ).to.equal('1');
+  });
+
+  it('should refuse to restore over a database with a pending WAL', async () => {
+    const snapshotPath = path.join(tempDir, 'snapshot.sqlite');
+    await sqlite.createDump(snapshotPath, { database: databasePath });
+    await fs.writeFile(`${databasePath}-wal`, 'pending');
+
+    try {
+      await sqlite.restoreFromDump(snapshotPath, { database: databasePath });
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('stop the applications');
+    }
+  });
+});
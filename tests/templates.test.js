@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import {
+  formatDuration,
+  getEmailTemplate,
+  renderEmail,
+  renderTemplate,
+  validateEmailTemplates,
+} from '../src/templates.js';
+
+describe('Templates Module', () => {
+  describe('renderTemplate', () => {
+    it('should replace placeholders and keep unknown ones', () => {
+      expect(
+        renderTemplate('{{database}} {{ size }} {{other}}', {
+          database: 'app',
+          size: '2 MB',
+        })
+      ).to.equal('app 2 MB {{other}}');
+    });
+
+    it('should escape values in HTML', () => {
+      expect(
+        renderTemplate(
+          '<td>{{error}}</td>',
+          { error: 'a < b & "c"' },
+          {
+            html: true,
+          }
+        )
+      ).to.equal('<td>a &lt; b &amp; &quot;c&quot;</td>');
+    });
+  });
+
+  describe('renderEmail', () => {
+    it('should include the checksum in the built-in success email', () => {
+      const email = renderEmail('success', {
+        database: 'app',
+        checksum: 'abc123',
+      });
+      expect(email.subject).to.equal('Encrypted Database Backup - app');
+      expect(email.text).to.include('SHA-256: abc123');
+      expect(email.html).to.include('<code>abc123</code>');
+    });
+
+    it('should use custom wording without mixing in the built-in body', () => {
+      const templates = { success: { text: 'Backup {{database}} stored.' } };
+
+      expect(getEmailTemplate('success', templates).subject).to.include(
+        '{{database}}'
+      );
+      expect(
+        renderEmail('success', { database: 'app' }, templates)
+      ).to.deep.equal({
+        subject: 'Encrypted Database Backup - app',
+        text: 'Backup app stored.',
+      });
+    });
+
+    it('should say what the failed run left in the built-in failure email', () => {
+      const email = renderEmail('failure', {
+        database: 'app',
+        step: 'upload',
+        outcome:
+          'The encrypted backup was created before the upload step failed.',
+      });
+      expect(email.text).to.include('Failed step: upload');
+      expect(email.text).to.include(
+        'The encrypted backup was created before the upload step failed.'
+      );
+      expect(email.text).to.not.include('No backup was produced');
+    });
+  });
+
+  describe('validateEmailTemplates', () => {
+    it('should report unknown kinds, fields and placeholders', () => {
+      expect(
+        validateEmailTemplates({
+          success: { subject: '{{database}} {{checksum}}', body: 'x' },
+          failure: { text: '{{checksum}}' },
+          weekly: {},
+        })
+      ).to.deep.equal([
+        "Email template 'success': unknown field body",
+        "Email template 'failure' text: unknown placeholder {{checksum}}",
+        'Unknown email template: weekly',
+      ]);
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should format seconds, minutes and hours', () => {
+      expect(formatDuration(4200)).to.equal('4s');
+      expect(formatDuration(125000)).to.equal('2m 05s');
+      expect(formatDuration(3720000)).to.equal('1h 02m');
+    });
+  });
+});
@@ -2,8 +2,10 @@ import { expect } from 'chai';
 import {
   generateTimestamp,
   generateBackupFilename,
+  parseBackupFilename,
   validateRequiredKeys,
   getAbsolutePath,
+  parseSize,
 } from '../src/utils.js';
 import { formatBytes } from '../src/encrypt.js';
 
@@ -42,12 +44,32 @@ describe('Utils Module', () => {
       expect(filename).to.match(/^supabase-backup-\d{8}-\d{6}-testdb\.sql$/);
     });
 
+    it('should prefix filename with the provider name', () => {
+      const filename = generateBackupFilename('mydb', 'dump', 'postgres');
+      expect(filename).to.match(/^postgres-backup-\d{8}-\d{6}-mydb\.dump$/);
+    });
+
     it('should handle database names with special characters', () => {
       const filename = generateBackupFilename('my-test_db.prod');
       expect(filename).to.include('my-test_db.prod');
     });
   });
 
+  describe('parseBackupFilename', () => {
+    it('should parse a generated filename', () => {
+      const filename = `${generateBackupFilename('my.db', 'zip', 'postgres')}.encrypted`;
+      const parsed = parseBackupFilename(filename);
+      expect(parsed.provider).to.equal('postgres');
+      expect(parsed.dbName).to.equal('my.db');
+      expect(parsed.extension).to.equal('zip.encrypted');
+      expect(Math.abs(Date.now() - parsed.createdAt)).to.be.below(5000);
+    });
+
+    it('should return null for other files', () => {
+      expect(parseBackupFilename('notes.txt')).to.equal(null);
+    });
+  });
+
   describe('validateRequiredKeys', () => {
     it('should not throw when all required keys are present', () => {
       const obj = { key1: 'value1', key2: 'value2', key3: 'value3' };
@@ -120,4 +142,18 @@ describe('Utils Module', () => {
       expect(result).to.include('GB');
     });
   });
+
+  describe('parseSize', () => {
+    it('should parse bytes and binary units', () => {
+      expect(parseSize(2048)).to.equal(2048);
+      expect(parseSize('512 KB')).to.equal(524288);
+      expect(parseSize('15MB')).to.equal(15728640);
+      expect(parseSize('1.5gb')).to.equal(1610612736);
+    });
+
+    it('should reject invalid sizes', () => {
+      expect(() => parseSize('0')).to.throw('Invalid size');
+      expect(() => parseSize('10 TB')).to.throw('Invalid size');
+    });
+  });
 });
\ No newline at end of file
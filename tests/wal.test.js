@@ -0,0 +1,313 @@
+import { expect } from 'chai';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  archiveWalSegment,
+  getWalDir,
+  isWalNeeded,
+  restoreWalSegments,
+  WAL_SUFFIX,
+} from '../src/wal.js';
+import { hashFile } from '../src/manifest.js';
+import { generateKeys, getKeyFingerprint } from '../src/keys.js';
+import { generateSigningKeys } from '../src/signing.js';
+import { rekeyBackupFile } from '../src/rekey.js';
+import postgres from '../src/providers/postgres.js';
+
+describe('WAL Module', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qdb-wal-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('getWalDir', () => {
+    it('should put WAL under the work directory', () => {
+      expect(getWalDir('/backups')).to.equal(path.join('/backups', 'wal'));
+    });
+  });
+
+  describe('isWalNeeded', () => {
+    const start = '000000010000000000000005';
+
+    it('should keep segments from the start segment on', () => {
+      expect(isWalNeeded('000000010000000000000005', start)).to.be.true;
+      expect(isWalNeeded('000000010000000100000000', start)).to.be.true;
+      expect(isWalNeeded('000000010000000000000004', start)).to.be.false;
+    });
+
+    it('should skip earlier timelines and keep later ones', () => {
+      expect(isWalNeeded('000000000000000000000009', start)).to.be.false;
+      expect(isWalNeeded('000000020000000000000007', start)).to.be.true;
+    });
+
+    it('should keep history files and skip other files', () => {
+      expect(isWalNeeded('00000002.history', start)).to.be.true;
+      expect(isWalNeeded('000000010000000000000005.partial', start)).to.be
+        .false;
+      expect(isWalNeeded('000000010000000000000005.00000028.backup', start)).to
+        .be.false;
+    });
+  });
+
+  describe('archiveWalSegment', () => {
+    it('should reject names that are not WAL files', async () => {
+      const source = path.join(tempDir, 'segment');
+      await fs.writeFile(source, 'wal');
+
+      for (const name of ['../escape', 'pg_wal/000000010000000000000001']) {
+        try {
+          await archiveWalSegment(source, name, {
+            recipients: [],
+            walDir: path.join(tempDir, 'wal'),
+          });
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.include('Not a WAL file name');
+        }
+      }
+    });
+
+    it('should refuse different contents under an archived name', async () => {
+      const name = '000000010000000000000001';
+      const walDir = path.join(tempDir, 'wal');
+      const first = path.join(tempDir, 'first');
+      const second = path.join(tempDir, 'second');
+      await fs.writeFile(first, 'original segment');
+      await fs.writeFile(second, 'different segment');
+      await fs.mkdir(walDir);
+      await fs.writeFile(
+        path.join(walDir, `${name}.wal.sha256`),
+        `${(await hashFile(first)).sha256}\n`
+      );
+
+      try {
+        await archiveWalSegment(second, name, { recipients: [], walDir });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('already archived with different');
+      }
+    });
+  });
+
+  describe('restoreWalSegments', () => {
+    it('should only restore the files the base backup needs', async () => {
+      const walDir = path.join(tempDir, 'wal');
+      await fs.mkdir(walDir);
+      await fs.writeFile(
+        path.join(walDir, `000000010000000000000001${WAL_SUFFIX}`),
+        'not needed'
+      );
+      await fs.writeFile(path.join(walDir, 'notes.txt'), 'ignored');
+
+      const names = await restoreWalSegments(
+        walDir,
+        path.join(tempDir, 'replay'),
+        {},
+        '000000010000000000000003'
+      );
+
+      expect(names).to.deep.equal([]);
+      expect(await fs.readdir(path.join(tempDir, 'replay'))).to.deep.equal([]);
+    });
+
+    it('should fail when the WAL archive is missing', async () => {
+      try {
+        await restoreWalSegments(
+          path.join(tempDir, 'missing'),
+          path.join(tempDir, 'replay'),
+          {},
+          '000000010000000000000003'
+        );
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Cannot read WAL archive');
+      }
+    });
+  });
+
+  describe('WAL signatures', () => {
+    const name = '000000010000000000000003';
+    let walDir;
+
+    beforeEach(() => {
+      walDir = path.join(tempDir, 'wal');
+    });
+
+    async function restore(options) {
+      return restoreWalSegments(
+        walDir,
+        path.join(tempDir, 'replay'),
+        options.keys || {},
+        name,
+        options
+      );
+    }
+
+    it('should refuse unsigned WAL before decrypting it', async () => {
+      await fs.mkdir(walDir);
+      await fs.writeFile(path.join(walDir, `${name}${WAL_SUFFIX}`), 'wal');
+
+      try {
+        await restore({});
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include(`${name} is not signed`);
+        expect(error.message).to.include('--allow-unsigned');
+      }
+      try {
+        await fs.access(path.join(tempDir, 'replay'));
+        expect.fail('Replay directory should not exist');
+      } catch (error) {
+        expect(error.code).to.equal('ENOENT');
+      }
+    });
+
+    describe('round trip', () => {
+      let keys;
+      let newKeys;
+      let signingKeys;
+      let trustedSigners;
+
+      // Real encryption and signing need @profullstack/post-quantum-helper
+      before(async function () {
+        try {
+          keys = await generateKeys();
+          newKeys = await generateKeys();
+          signingKeys = await generateSigningKeys();
+        } catch {
+          this.skip();
+        }
+        trustedSigners = new Map([
+          [getKeyFingerprint(signingKeys.publicKey), signingKeys.publicKey],
+        ]);
+      });
+
+      beforeEach(async () => {
+        const source = path.join(tempDir, 'segment');
+        await fs.writeFile(source, 'signed segment');
+        await archiveWalSegment(source, name, {
+          recipients: keys,
+          walDir,
+          signingKeys,
+        });
+      });
+
+      it('should replay WAL signed by a trusted signer', async () => {
+        expect(await restore({ keys, trustedSigners })).to.deep.equal([name]);
+        expect(
+          await fs.readFile(path.join(tempDir, 'replay', name), 'utf-8')
+        ).to.equal('signed segment');
+      });
+
+      it('should refuse WAL from an untrusted signer unless allowed', async () => {
+        try {
+          await restore({ keys, trustedSigners: new Map() });
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.include('not a trusted signer');
+        }
+
+        expect(
+          await restore({
+            keys,
+            trustedSigners: new Map(),
+            allowUnsigned: true,
+          })
+        ).to.deep.equal([name]);
+      });
+
+      it('should replay signed WAL after it is rekeyed', async () => {
+        const result = await rekeyBackupFile(
+          path.join(walDir, `${name}${WAL_SUFFIX}`),
+          keys,
+          [newKeys.publicKey],
+          newKeys
+        );
+        expect(result.status).to.equal('rekeyed');
+
+        expect(await restore({ keys: newKeys, trustedSigners })).to.deep.equal([
+          name,
+        ]);
+        expect(
+          await fs.readFile(path.join(tempDir, 'replay', name), 'utf-8')
+        ).to.equal('signed segment');
+      });
+
+      it('should refuse WAL replaced after signing', async () => {
+        const other = path.join(tempDir, 'other');
+        await fs.writeFile(other, 'other segment');
+        const otherName = '000000010000000000000004';
+        await archiveWalSegment(other, otherName, { recipients: keys, walDir });
+        await fs.rename(
+          path.join(walDir, `${otherName}${WAL_SUFFIX}`),
+          path.join(walDir, `${name}${WAL_SUFFIX}`)
+        );
+
+        try {
+          await restore({ keys, trustedSigners, allowUnsigned: true });
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.include(`Checksum mismatch for WAL ${name}`);
+        }
+
+        // Replacing the checksum too breaks the signature
+        await fs.rename(
+          path.join(walDir, `${otherName}.wal.sha256`),
+          path.join(walDir, `${name}.wal.sha256`)
+        );
+        try {
+          await restore({ keys, trustedSigners, allowUnsigned: true });
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.include('Invalid signature');
+        }
+      });
+    });
+  });
+
+  describe('PostgreSQL recovery setup', () => {
+    it('should read the start WAL from backup_label', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'backup_label'),
+        'START WAL LOCATION: 0/2000028 (file 000000010000000000000002)\n' +
+          'CHECKPOINT LOCATION: 0/2000060\n'
+      );
+
+      expect(await postgres.getBackupStartWal(tempDir)).to.equal(
+        '000000010000000000000002'
+      );
+    });
+
+    it('should write recovery settings and recovery.signal', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'postgresql.auto.conf'),
+        "work_mem = '8MB'\n"
+      );
+
+      await postgres.writeRecoveryConfig(tempDir, {
+        walDir: '/restore/pgdata-wal',
+        targetTime: '2026-10-19T12:00:00.000Z',
+      });
+
+      const conf = await fs.readFile(
+        path.join(tempDir, 'postgresql.auto.conf'),
+        'utf-8'
+      );
+      expect(conf).to.include("work_mem = '8MB'");
+      expect(conf).to.include(
+        `restore_command = 'cp "/restore/pgdata-wal/%f" "%p"'`
+      );
+      expect(conf).to.include(
+        "recovery_target_time = '2026-10-19T12:00:00.000Z'"
+      );
+      expect(conf).to.include("recovery_target_action = 'promote'");
+      await fs.access(path.join(tempDir, 'recovery.signal'));
+    });
+  });
+});